@@ -2,23 +2,43 @@ import React, { useState } from 'react';
 import Game from './components/Game';
 import SinglePlayerGameV2 from './components/SinglePlayerGameV2';
 import ModeSelection from './components/ModeSelection';
+import MapEditor from './components/MapEditor';
+import { getRoomCodeFromPath, setRoomPath } from './utils/roomLink';
+import { loadDifficulty, saveDifficulty } from './utils/difficultyPreference';
 
 function App() {
-  const [gameMode, setGameMode] = useState(null); // null, 'single', 'multi'
+  // Room deep links (/r/ABCD) skip mode selection and go straight to multiplayer
+  const [initialRoomCode] = useState(() => getRoomCodeFromPath());
+  const [gameMode, setGameMode] = useState(initialRoomCode ? 'multi' : null); // null, 'single', 'multi', 'editor'
+  // Single-player difficulty, remembered between sessions
+  const [difficulty, setDifficulty] = useState(loadDifficulty);
 
   const handleSelectMode = (mode) => {
     setGameMode(mode);
   };
 
+  const handleDifficultyChange = (nextDifficulty) => {
+    saveDifficulty(nextDifficulty);
+    setDifficulty(nextDifficulty);
+  };
+
   const handleBackToMenu = () => {
+    setRoomPath(null);
     setGameMode(null);
   };
 
   return (
     <div className="w-full h-screen overflow-hidden">
-      {!gameMode && <ModeSelection onSelectMode={handleSelectMode} />}
-      {gameMode === 'single' && <SinglePlayerGameV2 onBackToMenu={handleBackToMenu} />}
-      {gameMode === 'multi' && <Game onBackToMenu={handleBackToMenu} />}
+      {!gameMode && (
+        <ModeSelection
+          onSelectMode={handleSelectMode}
+          difficulty={difficulty}
+          onDifficultyChange={handleDifficultyChange}
+        />
+      )}
+      {gameMode === 'single' && <SinglePlayerGameV2 difficulty={difficulty} onBackToMenu={handleBackToMenu} />}
+      {gameMode === 'multi' && <Game onBackToMenu={handleBackToMenu} initialRoomCode={initialRoomCode} />}
+      {gameMode === 'editor' && <MapEditor onBackToMenu={handleBackToMenu} />}
     </div>
   );
 }
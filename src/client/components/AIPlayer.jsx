@@ -1,33 +1,34 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 import PhysicsPlayer from './PhysicsPlayer';
+import { createAIBrain } from '../../shared/ai.js';
 
 /**
  * AIPlayer - Computer-controlled opponent with real physics
+ * Driven by the same brains as the server's bots, so each difficulty has its own play style.
+ * Every other player in the match is fair game.
+ *
+ * @param {Object} props
+ * @param {Object} props.playersRef - Ref to a Map of player ID -> latest { position, velocity } for everyone still in
+ * @param {string} props.difficulty - Key of AI_DIFFICULTIES, or 'adaptive'
+ * @param {number} [props.skill] - Adaptive skill level, 0 (easy) to 1 (hard)
  */
 export default function AIPlayer({
   id,
   name,
   colorIndex,
   initialPosition,
-  playerPosition,
-  playerVelocity,
+  playersRef,
   platformRadius,
   onPositionUpdate,
   canMove,
   difficulty = 'medium',
+  skill,
   playerScale = 1.0,
 }) {
-  // Simulate keyboard input for the AI
-  const aiKeysRef = useRef({
-    up: false,
-    down: false,
-    left: false,
-    right: false,
-    boost: false,
-    anchor: false,
-  });
+  // Input intent chosen by the brain (world space, read by PhysicsPlayer every frame)
+  const aiIntentRef = useRef({ direction: { x: 0, z: 0 }, boost: false, anchor: false });
 
   // Simulate boost state for the AI
   const aiBoostState = useRef({
@@ -55,112 +56,37 @@ export default function AIPlayer({
     }
   });
 
-  const behaviorTimerRef = useRef(0);
   const currentPosRef = useRef(new THREE.Vector3(...initialPosition));
+  const currentVelRef = useRef({ x: 0, y: 0, z: 0 });
 
-  // AI difficulty settings
-  const difficultySettings = {
-    easy: {
-      reactionTime: 800,      // Very slow reactions (was 500)
-      accuracy: 0.3,          // Only 30% accurate (was 0.6)
-      moveChance: 0.5,        // Only moves 50% of the time
-    },
-    medium: {
-      reactionTime: 300,
-      accuracy: 0.8,
-      moveChance: 0.9,
-    },
-    hard: {
-      reactionTime: 100,
-      accuracy: 0.95,
-      moveChance: 1.0,
-    },
-  };
-
-  const settings = difficultySettings[difficulty] || difficultySettings.medium;
+  // Brain for this difficulty (see shared/ai.js) - a new one if the difficulty or skill changes
+  const brain = useMemo(() => createAIBrain(difficulty, { skill }), [difficulty, skill]);
 
-  // Update AI behavior
-  useFrame((state, delta) => {
+  // Let the brain decide on its next input (it keeps its own reaction time)
+  useFrame(() => {
     if (!canMove) return;
 
-    behaviorTimerRef.current += delta * 1000;
-
-    // Update AI controls periodically
-    if (behaviorTimerRef.current > settings.reactionTime) {
-      behaviorTimerRef.current = 0;
-
-      // Reset all keys
-      aiKeysRef.current.up = false;
-      aiKeysRef.current.down = false;
-      aiKeysRef.current.left = false;
-      aiKeysRef.current.right = false;
-      aiKeysRef.current.boost = false;
-
-      // AI randomly decides not to move (based on moveChance)
-      if (Math.random() > settings.moveChance) {
-        return; // Skip this update - AI does nothing
-      }
-
-      if (playerPosition) {
-        const currentPos = currentPosRef.current;
-        const targetPos = new THREE.Vector3(playerPosition.x, playerPosition.y, playerPosition.z);
-        
-        // Calculate direction to player
-        const direction = new THREE.Vector3().subVectors(targetPos, currentPos);
-        const distance = direction.length();
-        
-        // Only chase player if close enough (reduced aggression)
-        if (distance > 1.5 && distance < 8) {  // Added minimum distance
-          direction.normalize();
-          
-          // Apply accuracy - AI makes mistakes
-          const accuracy = settings.accuracy;
-          
-          // Convert world direction to movement keys with accuracy
-          // Up/down (Z axis)
-          if (Math.random() < accuracy && direction.z < -0.4) {  // Increased threshold
-            aiKeysRef.current.up = true;
-          } else if (Math.random() < accuracy && direction.z > 0.4) {
-            aiKeysRef.current.down = true;
-          }
-          
-          // Left/right (X axis)
-          if (Math.random() < accuracy && direction.x < -0.4) {
-            aiKeysRef.current.left = true;
-          } else if (Math.random() < accuracy && direction.x > 0.4) {
-            aiKeysRef.current.right = true;
-          }
-          
-          // Rarely use boost (only at medium/hard difficulty)
-          if (distance < 3 && Math.random() < (settings.accuracy * 0.3)) {
-            aiKeysRef.current.boost = true;
-          }
-        }
-        
-        // Check if too close to edge
-        const distanceFromCenter = Math.sqrt(currentPos.x ** 2 + currentPos.z ** 2);
-        if (distanceFromCenter > platformRadius * 0.7) {
-          // Override movement to go back to center
-          const toCenter = new THREE.Vector3(-currentPos.x, 0, -currentPos.z).normalize();
-          
-          aiKeysRef.current.up = false;
-          aiKeysRef.current.down = false;
-          aiKeysRef.current.left = false;
-          aiKeysRef.current.right = false;
-          
-          if (toCenter.z < -0.3) aiKeysRef.current.up = true;
-          else if (toCenter.z > 0.3) aiKeysRef.current.down = true;
-          
-          if (toCenter.x < -0.3) aiKeysRef.current.left = true;
-          else if (toCenter.x > 0.3) aiKeysRef.current.right = true;
-        }
-      }
-    }
+    const self = {
+      position: currentPosRef.current,
+      velocity: currentVelRef.current,
+      canBoost: aiBoostState.current.canBoost,
+    };
+    const opponents = [];
+    playersRef.current.forEach((state, otherId) => {
+      if (otherId !== id) opponents.push(state);
+    });
+    const view = {
+      opponents,
+      getClearance: (x, z) => platformRadius - Math.sqrt(x * x + z * z),
+    };
+    const intent = brain.think(self, view, performance.now());
+    if (intent) aiIntentRef.current = intent;
   });
 
   // Handle position updates from physics
   const handlePositionUpdate = (position, velocity) => {
     currentPosRef.current.set(position.x, position.y, position.z);
+    currentVelRef.current = velocity;
     if (onPositionUpdate) {
       onPositionUpdate(position, velocity);
     }
@@ -175,7 +101,7 @@ export default function AIPlayer({
       colorIndex={colorIndex}
       initialPosition={initialPosition}
       isLocal={true}  // Changed to true so onPositionUpdate fires!
-      keysRef={aiKeysRef}
+      intentRef={aiIntentRef}
       boostState={aiBoostState.current}
       onPositionUpdate={handlePositionUpdate}
       canMove={canMove}
@@ -0,0 +1,101 @@
+import { useRef, useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { usePhysics, getPlatformMaterial } from './PhysicsProvider';
+import { createTileBody, decodeTileBits } from '../../shared/tiles.js';
+import { PLATFORM, TILES } from '../utils/constants';
+
+const normalColor = new THREE.Color(TILES.COLOR);
+const edgeColor = new THREE.Color(TILES.EDGE_COLOR);
+const warningColor = new THREE.Color(TILES.WARNING_COLOR);
+
+/**
+ * CrumblingTiles - Hex tile platform where tiles fall one by one
+ * Every tile has its own static body in the local world so prediction walks on
+ * the same floor as the server. Tile state comes from the server as bitsets:
+ * warning tiles flash, fallen tiles lose their body and drop out of sight.
+ *
+ * @param {Object} props
+ * @param {Object} props.grid - Tile grid from createTileGrid (same arena and radius as the server)
+ * @param {string} props.warning - Bitset of tiles about to fall (encodeTileBits)
+ * @param {string} props.fallen - Bitset of tiles that have fallen (encodeTileBits)
+ */
+export default function CrumblingTiles({ grid, warning = '', fallen = '' }) {
+  const { addBody, removeBody } = usePhysics();
+  const meshRefs = useRef([]);
+  const fallSpeedsRef = useRef([]); // Per-tile fall speed, null while the tile stands
+
+  const geometry = useMemo(
+    () => new THREE.CylinderGeometry(grid.size * TILES.GAP, grid.size * TILES.GAP, PLATFORM.HEIGHT, 6),
+    [grid]
+  );
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const warningFlags = useMemo(() => decodeTileBits(warning, grid.tiles.length), [warning, grid]);
+  const fallenFlags = useMemo(() => decodeTileBits(fallen, grid.tiles.length), [fallen, grid]);
+
+  // One static body per standing tile
+  useEffect(() => {
+    const material = getPlatformMaterial();
+    fallSpeedsRef.current = grid.tiles.map(() => null);
+    grid.tiles.forEach((tile, index) => {
+      addBody(`tile-${index}`, createTileBody(tile, grid.size, PLATFORM.HEIGHT, { material }), 'platform');
+    });
+    return () => grid.tiles.forEach((_, index) => removeBody(`tile-${index}`));
+  }, [grid, addBody, removeBody]);
+
+  // Fallen tiles leave the simulation and start dropping
+  useEffect(() => {
+    fallenFlags.forEach((isFallen, index) => {
+      if (!isFallen || fallSpeedsRef.current[index] !== null) return;
+      removeBody(`tile-${index}`);
+      fallSpeedsRef.current[index] = 0;
+    });
+  }, [fallenFlags, removeBody]);
+
+  useFrame((state, delta) => {
+    const flash = Math.sin(state.clock.elapsedTime * 14) * 0.5 + 0.5;
+
+    meshRefs.current.forEach((mesh, index) => {
+      if (!mesh) return;
+      const fallSpeed = fallSpeedsRef.current[index];
+
+      if (typeof fallSpeed === 'number') {
+        if (!mesh.visible) return;
+        fallSpeedsRef.current[index] = fallSpeed + TILES.FALL_GRAVITY * delta;
+        mesh.position.y -= fallSpeedsRef.current[index] * delta;
+        mesh.rotation.x += delta * 1.5;
+        mesh.visible = mesh.position.y > -TILES.FALL_DEPTH;
+        return;
+      }
+
+      const { material } = mesh;
+      if (warningFlags[index]) {
+        material.color.copy(normalColor).lerp(warningColor, flash);
+        material.emissive.copy(warningColor);
+        material.emissiveIntensity = 0.4 + flash * 1.2;
+      } else {
+        material.color.copy(normalColor);
+        material.emissive.copy(edgeColor);
+        material.emissiveIntensity = 0.15;
+      }
+    });
+  });
+
+  return (
+    <group>
+      {grid.tiles.map((tile, index) => (
+        <mesh
+          key={index}
+          ref={(mesh) => { meshRefs.current[index] = mesh; }}
+          geometry={geometry}
+          position={[tile.x, -PLATFORM.HEIGHT / 2, tile.z]}
+          receiveShadow
+          castShadow
+        >
+          <meshStandardMaterial color={TILES.COLOR} emissive={TILES.EDGE_COLOR} emissiveIntensity={0.15} metalness={0.4} roughness={0.5} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
@@ -2,19 +2,39 @@ import { useState, useEffect } from 'react';
 
 /**
  * EliminatedOverlay - Shows when local player is eliminated
- * Displays Game Over message and spectating controls
+ * Displays Game Over message and spectating controls, or a respawn
+ * countdown when the player still has lives (stock mode)
  *
  * @param {Object} props
  * @param {number} props.alivePlayers - Number of players still alive
  * @param {number} props.totalPlayers - Total players in match
  * @param {string} props.playerColor - Player's color for styling
+ * @param {number|null} props.respawnAt - Local timestamp of the pending respawn, if any
+ * @param {number|null} props.livesLeft - Lives remaining in stock mode
  */
 export default function EliminatedOverlay({
   alivePlayers,
   totalPlayers,
   playerColor = '#ff4444',
+  respawnAt = null,
+  livesLeft = null,
 }) {
   const [showFullOverlay, setShowFullOverlay] = useState(false);
+  const [respawnSeconds, setRespawnSeconds] = useState(null);
+
+  // Tick the respawn countdown
+  useEffect(() => {
+    if (!respawnAt) {
+      setRespawnSeconds(null);
+      return undefined;
+    }
+    const update = () => setRespawnSeconds(Math.max(0, Math.ceil((respawnAt - Date.now()) / 1000)));
+    update();
+    const interval = setInterval(update, 250);
+    return () => clearInterval(interval);
+  }, [respawnAt]);
+
+  const isRespawning = respawnSeconds !== null;
 
   // Delay showing full overlay for dramatic effect
   useEffect(() => {
@@ -72,10 +92,20 @@ export default function EliminatedOverlay({
               animation: 'eliminationText 0.8s ease-out',
             }}
           >
-            ELIMINATED
+            {isRespawning ? 'LIFE LOST' : 'ELIMINATED'}
           </h1>
 
-          {/* Placement info could go here in future */}
+          {/* Respawn countdown (stock mode) */}
+          {isRespawning && (
+            <div>
+              <p className="text-3xl text-white font-bold tracking-wider">
+                RESPAWNING IN <span className="text-neon-cyan tabular-nums">{respawnSeconds}</span>
+              </p>
+              <p className="text-gray-300 mt-2">
+                {'❤'.repeat(livesLeft)} {livesLeft} {livesLeft === 1 ? 'life' : 'lives'} left
+              </p>
+            </div>
+          )}
         </div>
       </div>
 
@@ -98,7 +128,7 @@ export default function EliminatedOverlay({
                   <div className="absolute inset-0 w-3 h-3 rounded-full bg-cyan-400/50 animate-ping" />
                 </div>
                 <span className="text-cyan-400 font-semibold tracking-wide">
-                  SPECTATING
+                  {isRespawning ? 'WAITING TO RESPAWN' : 'SPECTATING'}
                 </span>
               </div>
 
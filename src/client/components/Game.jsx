@@ -1,6 +1,6 @@
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Stars } from '@react-three/drei';
-import { useRef, useState, useCallback, useEffect } from 'react';
+import { useRef, useState, useCallback, useEffect, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import Platform from './Platform';
 import PhysicsPlayer from './PhysicsPlayer';
@@ -11,6 +11,8 @@ import CollisionSparks from './CollisionSparks';
 import EliminationAnimation from './EliminationAnimation';
 import EliminatedOverlay from './EliminatedOverlay';
 import Shockwave from './Shockwave';
+import PowerUpPickup from './PowerUpPickup';
+import Hazards from './Hazards';
 import JoinScreen from './JoinScreen';
 import Lobby from './Lobby';
 import GameOverScreen from './GameOverScreen';
@@ -24,10 +26,8 @@ import useSocket from '../hooks/useSocket';
 import useKonamiCode from '../hooks/useKonamiCode';
 import useTouch from '../hooks/useTouch';
 import useScreenShake from '../hooks/useScreenShake';
-import { GAME_STATES } from '../utils/constants';
-
-// Throttle interval for position updates (ms)
-const POSITION_UPDATE_INTERVAL = 50; // 20 updates per second
+import { GAME_STATES, GAME_MODES, NETWORK, POWER_UPS } from '../utils/constants';
+import { createTileGrid } from '../../shared/tiles.js';
 
 /**
  * CameraRig - Wrapper group for camera shake effects
@@ -60,8 +60,19 @@ function PhysicsScene({
   remotePlayers,
   gameState,
   onPositionUpdate,
+  onInputUpdate,
+  serverStateRef,
+  snapshotBuffersRef,
+  serverClockOffsetRef,
   platformRadius,
+  arena,
+  spawnVersion,
   shrinkWarning,
+  hill,
+  pickups,
+  hazards,
+  hazardStateRef,
+  tiles,
   eliminations,
   onEliminationComplete,
   isSpectating,
@@ -69,7 +80,8 @@ function PhysicsScene({
   onShockwaveComplete,
 }) {
   const controlsRef = useRef();
-  const lastUpdateRef = useRef(0);
+  const lastInputSentRef = useRef(0);
+  const lastInputKeyRef = useRef(null);
   const localPositionRef = useRef({ x: 0, y: 1, z: 0 });
   const localVelocityRef = useRef({ x: 0, y: 0, z: 0 });
 
@@ -79,28 +91,48 @@ function PhysicsScene({
     }
   });
 
-  // Handle local player position updates to server
+  // Track local player's simulated position (for effects)
   const handleLocalPositionUpdate = useCallback(
     (position, velocity) => {
       localPositionRef.current = position;
       localVelocityRef.current = velocity;
+      if (onPositionUpdate) {
+        onPositionUpdate(position, velocity);
+      }
+    },
+    [onPositionUpdate]
+  );
 
+  // Send input intent to the server - immediately on change, otherwise throttled.
+  // Returns the input's sequence number when sent so it can be replayed on reconcile
+  const handleLocalInputUpdate = useCallback(
+    (input) => {
+      const inputKey = `${input.direction.x.toFixed(2)},${input.direction.z.toFixed(2)},${input.boost},${input.anchor}`;
       const now = Date.now();
-      if (now - lastUpdateRef.current >= POSITION_UPDATE_INTERVAL) {
-        lastUpdateRef.current = now;
-        if (onPositionUpdate) {
-          onPositionUpdate(position, velocity);
+      const changed = inputKey !== lastInputKeyRef.current;
+      const elapsed = now - lastInputSentRef.current;
+      if ((changed && elapsed >= NETWORK.MIN_INPUT_INTERVAL) || elapsed >= NETWORK.INPUT_SEND_INTERVAL) {
+        lastInputKeyRef.current = inputKey;
+        lastInputSentRef.current = now;
+        if (onInputUpdate) {
+          return onInputUpdate(input);
         }
       }
+      return null;
     },
-    [onPositionUpdate]
+    [onInputUpdate]
   );
 
   const isPlaying = gameState === GAME_STATES.PLAYING;
   const showLocalPlayer = localPlayer && !localPlayer.isEliminated;
 
+  // The hill takes its holder's color
+  const hillHolder = hill?.holderId
+    ? (hill.holderId === localPlayer?.id ? localPlayer : remotePlayers[hill.holderId])
+    : null;
+
   return (
-    <PhysicsProvider onCollision={onCollision} platformRadius={platformRadius}>
+    <PhysicsProvider onCollision={onCollision} platformRadius={platformRadius} arena={arena} tiled={Boolean(tiles)}>
       {/* Background color */}
       <color attach="background" args={['#0a0a1a']} />
 
@@ -141,13 +173,26 @@ function PhysicsScene({
       {/* Platform with shrink warning visual */}
       <Platform
         radius={platformRadius}
+        arena={arena}
         isWarning={shrinkWarning.isWarning}
         warningProgress={shrinkWarning.warningProgress}
+        hill={hill}
+        hillColor={hillHolder?.color}
+        tiles={tiles}
       />
 
+      {/* Arena hazards (bumpers, sweeper, gravity wells) */}
+      <Hazards hazards={hazards} hazardStateRef={hazardStateRef} serverClockOffsetRef={serverClockOffsetRef} />
+
+      {/* Power-up pickups waiting to be collected */}
+      {pickups.map((pickup) => (
+        <PowerUpPickup key={pickup.id} pickup={pickup} />
+      ))}
+
       {/* Local controllable player with physics */}
       {showLocalPlayer && (
         <PhysicsPlayer
+          key={spawnVersion} // Start a fresh body whenever the server moves everyone to new spots
           id={localPlayer.id}
           name={localPlayer.name}
           colorIndex={localPlayer.color}
@@ -160,7 +205,10 @@ function PhysicsScene({
           keysRef={isPlaying ? keysRef : null}
           boostState={isPlaying ? boostState : null}
           onPositionUpdate={isPlaying ? handleLocalPositionUpdate : undefined}
+          onInputUpdate={isPlaying ? handleLocalInputUpdate : undefined}
+          serverStateRef={serverStateRef}
           canMove={isPlaying}
+          effects={localPlayer.effects}
         />
       )}
 
@@ -170,11 +218,14 @@ function PhysicsScene({
           <RemotePlayer
             key={player.id}
             id={player.id}
-            name={player.name}
+            name={player.isReconnecting ? `${player.name} (reconnecting)` : player.name}
             colorIndex={player.color}
             targetPosition={player.targetPosition || player.position}
             targetVelocity={player.targetVelocity || player.velocity}
+            snapshotBuffersRef={snapshotBuffersRef}
+            serverClockOffsetRef={serverClockOffsetRef}
             isEliminated={player.isEliminated}
+            effects={player.effects}
           />
         ) : null
       )}
@@ -197,6 +248,7 @@ function PhysicsScene({
         <Shockwave
           position={shockwave.position}
           color={shockwave.color}
+          maxRadius={shockwave.maxRadius}
           onComplete={onShockwaveComplete}
         />
       )}
@@ -217,7 +269,7 @@ function PhysicsScene({
   );
 }
 
-export default function Game({ onBackToMenu }) {
+export default function Game({ onBackToMenu, initialRoomCode = null }) {
   // Socket connection and game state
   const {
     connected,
@@ -232,14 +284,44 @@ export default function Game({ onBackToMenu }) {
     konamiActivator,
     playerCount,
     maxPlayers,
+    roomCode,
+    isPrivateRoom,
     joinError,
+    rules,
+    ruleLimits,
+    rulesError,
     hostChangeNotification,
     shrinkWarning,
     scores,
+    teams,
+    teamScores,
+    winningTeam,
+    hill,
+    timeRemaining,
+    standings,
+    pickups,
+    lastPowerUp,
+    hazards,
+    hazardStateRef,
+    tiles,
+    map,
+    maps,
+    mapError,
+    botsError,
+    spawnVersion,
+    localServerStateRef,
+    snapshotBuffersRef,
+    serverClockOffsetRef,
     join,
     sendInput,
     sendCollision,
     startGame,
+    updateRules,
+    selectMap,
+    uploadMap,
+    addBots,
+    removeBot,
+    chooseTeam,
     playAgain,
     triggerKonami,
   } = useSocket();
@@ -291,17 +373,16 @@ export default function Game({ onBackToMenu }) {
   // Track active elimination animations
   const [eliminations, setEliminations] = useState([]);
 
-  // Track if player has joined
-  const [hasJoined, setHasJoined] = useState(false);
+  // Player has joined once the server confirms (stays on join screen after a joinError)
+  const hasJoined = Boolean(localPlayer);
 
   // Track last known positions for elimination animation (for all players)
   const playerPositionsRef = useRef({});
 
-  // Handle join
+  // Handle join (options: { roomCode, createPrivate })
   const handleJoin = useCallback(
-    (name) => {
-      join(name);
-      setHasJoined(true);
+    (name, options) => {
+      join(name, options);
     },
     [join]
   );
@@ -337,6 +418,23 @@ export default function Game({ onBackToMenu }) {
     }
   }, [konamiActivator, localPlayer, players]);
 
+  // Power-up collected - shockwave blast visual, instant boost refill for the local player
+  const { refillBoost } = boostState;
+  const localPlayerId = localPlayer?.id;
+  useEffect(() => {
+    if (!lastPowerUp) return;
+    if (lastPowerUp.type === 'shockwave') {
+      setShockwave({
+        position: [lastPowerUp.position.x, 1, lastPowerUp.position.z],
+        color: POWER_UPS.shockwave.color,
+        maxRadius: POWER_UPS.shockwave.radius,
+      });
+    }
+    if (lastPowerUp.type === 'boost' && lastPowerUp.playerId === localPlayerId) {
+      refillBoost();
+    }
+  }, [lastPowerUp, refillBoost, localPlayerId]);
+
   // Handle collision events from physics
   const handleCollision = useCallback((collision) => {
     // Send collision event to server for elimination attribution
@@ -410,14 +508,12 @@ export default function Game({ onBackToMenu }) {
   }, [localPlayer, players, eliminations]);
 
   // Update position tracking for all players (for elimination animations)
-  const handlePositionUpdate = useCallback((position, velocity) => {
+  const handlePositionUpdate = useCallback((position) => {
     // Track local player position
     if (localPlayer) {
       playerPositionsRef.current[localPlayer.id] = position;
     }
-    // Send to server
-    sendInput(position, velocity);
-  }, [localPlayer, sendInput]);
+  }, [localPlayer]);
 
   // Clear eliminations when game resets to lobby
   useEffect(() => {
@@ -427,6 +523,17 @@ export default function Game({ onBackToMenu }) {
     }
   }, [gameState]);
 
+  // The host's authored map replaces the arena rule's layout
+  const arena = map ?? rules?.arena;
+
+  // Crumbling tiles - the grid is rebuilt locally from the arena and radius, only tile states are synced
+  const isTiled = Boolean(tiles);
+  const tileGrid = useMemo(
+    () => (isTiled ? createTileGrid(arena, platformRadius) : null),
+    [isTiled, arena, platformRadius]
+  );
+  const tileState = useMemo(() => (tileGrid ? { grid: tileGrid, ...tiles } : null), [tileGrid, tiles]);
+
   // Determine what UI to show
   const showJoinScreen = !hasJoined;
   const showLobby = hasJoined && (gameState === GAME_STATES.LOBBY || gameState === GAME_STATES.COUNTDOWN);
@@ -453,8 +560,19 @@ export default function Game({ onBackToMenu }) {
             remotePlayers={players}
             gameState={gameState}
             onPositionUpdate={handlePositionUpdate}
+            onInputUpdate={sendInput}
+            serverStateRef={localServerStateRef}
+            snapshotBuffersRef={snapshotBuffersRef}
+            serverClockOffsetRef={serverClockOffsetRef}
             platformRadius={platformRadius}
+            arena={arena}
+            spawnVersion={spawnVersion}
             shrinkWarning={shrinkWarning}
+            hill={hill}
+            pickups={pickups}
+            hazards={hazards}
+            hazardStateRef={hazardStateRef}
+            tiles={tileState}
             eliminations={eliminations}
             onEliminationComplete={handleEliminationComplete}
             isSpectating={isSpectating}
@@ -484,6 +602,7 @@ export default function Game({ onBackToMenu }) {
           playerCount={playerCount}
           maxPlayers={maxPlayers}
           joinError={joinError}
+          initialRoomCode={initialRoomCode}
         />
       )}
 
@@ -497,6 +616,22 @@ export default function Game({ onBackToMenu }) {
           onStartGame={startGame}
           countdown={countdown}
           hostChangeNotification={hostChangeNotification}
+          roomCode={roomCode}
+          isPrivateRoom={isPrivateRoom}
+          rules={rules}
+          ruleLimits={ruleLimits}
+          onUpdateRules={updateRules}
+          rulesError={rulesError}
+          teams={teams}
+          onChooseTeam={chooseTeam}
+          map={map}
+          maps={maps}
+          mapError={mapError}
+          onSelectMap={selectMap}
+          onUploadMap={uploadMap}
+          onAddBots={addBots}
+          onRemoveBot={removeBot}
+          botsError={botsError}
         />
       )}
 
@@ -504,7 +639,11 @@ export default function Game({ onBackToMenu }) {
       {showGameOver && (
         <GameOverScreen
           winner={winner}
+          winningTeam={winningTeam}
+          teamScores={teamScores}
+          standings={standings}
           localPlayerId={localPlayer?.id}
+          localTeam={localPlayer?.team}
           isHost={isHost}
           onPlayAgain={playAgain}
           konamiActivator={konamiActivator}
@@ -518,6 +657,7 @@ export default function Game({ onBackToMenu }) {
           players={players}
           localPlayer={localPlayer}
           platformRadius={platformRadius}
+          timeRemaining={timeRemaining}
         />
       )}
 
@@ -525,6 +665,10 @@ export default function Game({ onBackToMenu }) {
       {showGameStatus && (
         <LiveScoreboard
           scores={scores}
+          teamScores={teamScores}
+          hillTarget={rules?.mode === GAME_MODES.KING_OF_THE_HILL ? rules.hillTarget : null}
+          hillPointsPerSecond={rules?.hillPointsPerSecond}
+          timeRemaining={timeRemaining}
           localPlayerId={localPlayer?.id}
         />
       )}
@@ -543,6 +687,8 @@ export default function Game({ onBackToMenu }) {
           alivePlayers={alivePlayers.length}
           totalPlayers={allPlayers.length}
           playerColor={localPlayer?.color}
+          respawnAt={localPlayer?.respawnAt}
+          livesLeft={localPlayer?.lives}
         />
       )}
 
@@ -1,5 +1,8 @@
 import { useState, useEffect, useMemo } from 'react';
 
+// Rows shown in the final standings (the local player is added if ranked lower)
+const STANDINGS_ROWS = 5;
+
 /**
  * VictoryConfetti - 2D CSS-based confetti animation for the victory screen
  */
@@ -79,17 +82,32 @@ function VictoryConfetti({ winnerColor }) {
 
 /**
  * GameOverScreen - Victory/defeat overlay at end of game
- * Shows winner prominently with celebration effects
+ * Shows winner (or winning team) prominently with celebration effects,
+ * followed by the final standings ranked by score
  */
 export default function GameOverScreen({
   winner,
+  winningTeam = null,
+  teamScores = null,
+  standings = null,
   localPlayerId,
+  localTeam = null,
   isHost,
   onPlayAgain,
   konamiActivator,
 }) {
   const [showContent, setShowContent] = useState(false);
   const isLocalWinner = winner?.id === localPlayerId;
+  const isLocalTeamWinner = winningTeam !== null && winningTeam.id === localTeam;
+
+  // Top of the standings, plus the local player's own row if they finished lower
+  const standingRows = useMemo(() => {
+    if (!standings) return [];
+    const rows = standings.map((entry, index) => ({ ...entry, rank: index + 1 }));
+    const top = rows.slice(0, STANDINGS_ROWS);
+    const localRow = rows.find((row) => row.id === localPlayerId);
+    return localRow && localRow.rank > STANDINGS_ROWS ? [...top, localRow] : top;
+  }, [standings, localPlayerId]);
   const isKonamiWin = konamiActivator !== null;
 
   // Animate content entry
@@ -101,8 +119,8 @@ export default function GameOverScreen({
   return (
     <>
       {/* Confetti celebration effect */}
-      {(winner || isKonamiWin) && (
-        <VictoryConfetti winnerColor={winner?.color || konamiActivator?.color} />
+      {(winner || winningTeam || isKonamiWin) && (
+        <VictoryConfetti winnerColor={winner?.color || konamiActivator?.color || winningTeam?.color} />
       )}
 
       <div className="fixed inset-0 flex items-center justify-center z-50">
@@ -217,6 +235,46 @@ export default function GameOverScreen({
                 </div>
               </div>
             </div>
+          ) : winningTeam ? (
+            <div className="relative">
+              {/* Team victory/defeat */}
+              <div
+                className={`text-9xl mb-6 ${isLocalTeamWinner ? 'animate-bounce' : 'animate-pulse'}`}
+                style={{ filter: `drop-shadow(0 0 30px ${winningTeam.color})` }}
+              >
+                {isLocalTeamWinner ? '🏆' : '💀'}
+              </div>
+
+              <h1
+                className={`text-7xl font-black mb-6 tracking-wider ${
+                  isLocalTeamWinner ? '' : 'text-gray-400'
+                }`}
+              >
+                {isLocalTeamWinner ? 'VICTORY!' : 'DEFEAT'}
+              </h1>
+
+              <div className="mb-8">
+                <p className="text-xl text-gray-400 mb-2">Winning team:</p>
+                <div
+                  className="inline-block px-8 py-4 rounded-xl"
+                  style={{
+                    background: `linear-gradient(135deg, ${winningTeam.color}30, ${winningTeam.color}15)`,
+                    border: `3px solid ${winningTeam.color}`,
+                    boxShadow: `0 0 30px ${winningTeam.color}50, inset 0 0 30px ${winningTeam.color}20`,
+                  }}
+                >
+                  <span
+                    className="text-5xl font-black tracking-wide"
+                    style={{
+                      color: winningTeam.color,
+                      textShadow: `0 0 20px ${winningTeam.color}, 0 0 40px ${winningTeam.color}`,
+                    }}
+                  >
+                    {winningTeam.name.toUpperCase()} TEAM
+                  </span>
+                </div>
+              </div>
+            </div>
           ) : (
             <div className="relative">
               {/* Draw state */}
@@ -235,6 +293,50 @@ export default function GameOverScreen({
             </div>
           )}
 
+          {/* Team totals (teams mode) */}
+          {teamScores && (
+            <div className="flex justify-center gap-3 mb-8">
+              {teamScores.map((team) => (
+                <div
+                  key={team.id}
+                  className="px-4 py-2 rounded-lg bg-black/50 border"
+                  style={{ borderColor: `${team.color}60` }}
+                >
+                  <p className="text-sm font-bold" style={{ color: team.color }}>
+                    {team.name.toUpperCase()}
+                  </p>
+                  <p className="text-2xl font-black text-white tabular-nums">{team.score}</p>
+                  <p className="text-xs text-gray-400">🎯{team.eliminations}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Final standings by score */}
+          {standingRows.length > 1 && (
+            <div className="mx-auto mb-8 w-[320px] rounded-lg bg-black/50 border border-gray-700/60 p-3 text-left">
+              <p className="text-gray-400 text-xs font-bold tracking-wider mb-2">FINAL STANDINGS</p>
+              <ol className="space-y-1">
+                {standingRows.map((row) => (
+                  <li
+                    key={row.id}
+                    className={`flex items-center justify-between text-sm px-2 py-0.5 rounded ${
+                      row.id === localPlayerId ? 'bg-cyan-500/10 border border-cyan-400/40' : ''
+                    }`}
+                  >
+                    <span className="flex items-center gap-2">
+                      <span className="text-gray-500 font-bold w-6">#{row.rank}</span>
+                      <span className="font-semibold truncate max-w-[160px]" style={{ color: row.color }}>
+                        {row.name}
+                      </span>
+                    </span>
+                    <span className="text-white font-black tabular-nums">{row.score}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
           {/* Play again button (HOST ONLY) */}
           {isHost && (
             <button
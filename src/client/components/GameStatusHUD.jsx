@@ -1,17 +1,45 @@
 /**
  * GameStatusHUD - Shows game state, alive player count, and timer during gameplay
- * Provides visual feedback on current game phase
+ * Provides visual feedback on current game phase. The timer counts up, or down
+ * in modes that end on a clock. The local player's active power-ups are listed below.
  */
 import { useState, useEffect } from 'react';
-import { GAME_STATES } from '../utils/constants';
+import { GAME_STATES, POWER_UPS } from '../utils/constants';
 
 export default function GameStatusHUD({
   gameState,
   players,
   localPlayer,
   platformRadius,
+  timeRemaining = null, // ms left on the match clock (from the server), null if the match has none
 }) {
   const [elapsedTime, setElapsedTime] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Tick while power-ups are active so their timers count down
+  const effects = localPlayer?.effects;
+  const hasEffects = Boolean(effects && Object.keys(effects).length > 0);
+  useEffect(() => {
+    if (!hasEffects) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [hasEffects]);
+
+  // Count down locally between server clock updates
+  useEffect(() => {
+    if (timeRemaining === null || timeRemaining === undefined) {
+      setSecondsLeft(null);
+      return undefined;
+    }
+
+    const endsAt = Date.now() + timeRemaining;
+    const update = () => setSecondsLeft(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    update();
+    const interval = setInterval(update, 250);
+    return () => clearInterval(interval);
+  }, [timeRemaining]);
 
   // Timer that runs during PLAYING state
   useEffect(() => {
@@ -49,7 +77,9 @@ export default function GameStatusHUD({
     return null;
   }
 
-  const isEliminated = localPlayer?.isEliminated;
+  // Waiting to respawn isn't elimination (EliminatedOverlay shows the countdown)
+  const isEliminated = localPlayer?.isEliminated && !localPlayer.respawnAt;
+  const isCountingDown = secondsLeft !== null;
 
   return (
     <div className="fixed top-4 left-1/2 -translate-x-1/2 z-40 pointer-events-none">
@@ -73,9 +103,13 @@ export default function GameStatusHUD({
 
         {/* Timer */}
         <div className="flex items-center gap-2 px-4 py-2 rounded-full bg-space-dark/90 border border-gray-600/50 backdrop-blur-sm">
-          <span className="text-gray-400 text-sm">TIME</span>
-          <span className="text-white font-mono font-bold text-lg">
-            {formatTime(elapsedTime)}
+          <span className="text-gray-400 text-sm">{isCountingDown ? 'LEFT' : 'TIME'}</span>
+          <span
+            className={`font-mono font-bold text-lg ${
+              isCountingDown && secondsLeft <= 10 ? 'text-red-400 animate-pulse' : 'text-white'
+            }`}
+          >
+            {formatTime(isCountingDown ? secondsLeft : elapsedTime)}
           </span>
         </div>
 
@@ -102,6 +136,31 @@ export default function GameStatusHUD({
         </div>
       </div>
 
+      {/* Active power-ups */}
+      {hasEffects && (
+        <div className="mt-3 flex justify-center gap-2">
+          {Object.entries(effects).map(([type, expiresAt]) => {
+            const powerUp = POWER_UPS[type];
+            if (!powerUp) return null;
+            return (
+              <div
+                key={type}
+                className="flex items-center gap-1.5 px-3 py-1 rounded-full bg-space-dark/90 border backdrop-blur-sm"
+                style={{ borderColor: powerUp.color, boxShadow: `0 0 10px ${powerUp.color}40` }}
+              >
+                <span>{powerUp.icon}</span>
+                <span className="text-xs font-bold tracking-wider" style={{ color: powerUp.color }}>
+                  {powerUp.label}
+                </span>
+                <span className="font-mono text-xs text-white">
+                  {Math.max(0, Math.ceil((expiresAt - now) / 1000))}s
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Eliminated overlay */}
       {isEliminated && (
         <div className="mt-4 text-center">
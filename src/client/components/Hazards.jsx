@@ -0,0 +1,241 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { usePhysics } from './PhysicsProvider';
+import { HAZARDS } from '../utils/constants';
+
+/**
+ * Bumper - Orbiting pinball post that kicks players away
+ * Kinematic body in the local world so the predicted player bounces off it the
+ * same way the server's does. The kick cooldown runs on simulated time, as the
+ * server's does.
+ */
+function Bumper({ hazard, getAngle }) {
+  const { addBody, removeBody, bodies, getSimTime, isReplaying } = usePhysics();
+  const meshRef = useRef();
+  const bodyRef = useRef(null);
+  const kicksRef = useRef(new Map()); // body ID -> simulated time (ms) of the last kick
+
+  useEffect(() => {
+    const body = new CANNON.Body({
+      type: CANNON.Body.KINEMATIC,
+      shape: new CANNON.Cylinder(hazard.radius, hazard.radius, HAZARDS.BUMPER.HEIGHT, 16),
+      position: new CANNON.Vec3(0, HAZARDS.BUMPER.HEIGHT / 2, 0),
+    });
+
+    // Mirror the server's kick so prediction doesn't snap back
+    body.addEventListener('collide', ({ body: other }) => {
+      // A replay re-runs steps that were already kicked for real
+      if (isReplaying()) return;
+      const isPlayer = Array.from(bodies.values()).some((entry) => entry.body === other && entry.type === 'player');
+      if (!isPlayer) return;
+
+      const now = getSimTime();
+      if (now - (kicksRef.current.get(other.id) ?? -Infinity) < HAZARDS.BUMPER.COOLDOWN) return;
+      kicksRef.current.set(other.id, now);
+
+      const dx = other.position.x - body.position.x;
+      const dz = other.position.z - body.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz) || 1;
+      other.applyImpulse(
+        new CANNON.Vec3((dx / distance) * HAZARDS.BUMPER.IMPULSE, 0, (dz / distance) * HAZARDS.BUMPER.IMPULSE),
+        other.position
+      );
+    });
+
+    bodyRef.current = body;
+    addBody(hazard.id, body, 'hazard');
+    return () => removeBody(hazard.id);
+  }, [hazard.id, hazard.radius, addBody, removeBody, bodies, getSimTime, isReplaying]);
+
+  useFrame((state) => {
+    const current = getAngle(hazard.id);
+    if (!current) return;
+    const { angle, orbit, speed } = current;
+    const x = current.x + Math.cos(angle) * orbit;
+    const z = current.z + Math.sin(angle) * orbit;
+
+    const body = bodyRef.current;
+    if (body) {
+      body.position.x = x;
+      body.position.z = z;
+      body.velocity.set(-Math.sin(angle) * orbit * speed, 0, Math.cos(angle) * orbit * speed);
+    }
+    if (meshRef.current) {
+      meshRef.current.position.set(x, HAZARDS.BUMPER.HEIGHT / 2, z);
+      meshRef.current.material.emissiveIntensity = 1 + Math.sin(state.clock.elapsedTime * 6) * 0.5;
+    }
+  });
+
+  return (
+    <mesh ref={meshRef} castShadow>
+      <cylinderGeometry args={[hazard.radius, hazard.radius, HAZARDS.BUMPER.HEIGHT, 24]} />
+      <meshStandardMaterial
+        color={HAZARDS.BUMPER.COLOR}
+        emissive={HAZARDS.BUMPER.COLOR}
+        emissiveIntensity={1}
+        metalness={0.5}
+        roughness={0.3}
+        toneMapped={false}
+      />
+    </mesh>
+  );
+}
+
+/**
+ * Sweeper - Beam rotating about the platform center (or its spot on an authored map)
+ * The body pivots at the center with the arm offset along +X, so rotating it
+ * by -angle about Y points the arm at (cos angle, sin angle) like the server.
+ */
+function Sweeper({ hazard, getAngle }) {
+  const { addBody, removeBody } = usePhysics();
+  const groupRef = useRef();
+  const bodyRef = useRef(null);
+  const axis = useRef(new CANNON.Vec3(0, 1, 0));
+
+  useEffect(() => {
+    const body = new CANNON.Body({
+      type: CANNON.Body.KINEMATIC,
+      position: new CANNON.Vec3(0, HAZARDS.SWEEPER.HEIGHT / 2, 0),
+    });
+    body.addShape(
+      new CANNON.Box(new CANNON.Vec3(hazard.length / 2, HAZARDS.SWEEPER.HEIGHT / 2, HAZARDS.SWEEPER.WIDTH / 2)),
+      new CANNON.Vec3(hazard.length / 2, 0, 0)
+    );
+
+    bodyRef.current = body;
+    addBody(hazard.id, body, 'hazard');
+    return () => removeBody(hazard.id);
+  }, [hazard.id, hazard.length, addBody, removeBody]);
+
+  useFrame(() => {
+    const current = getAngle(hazard.id);
+    if (!current) return;
+
+    const body = bodyRef.current;
+    if (body) {
+      body.position.x = current.x;
+      body.position.z = current.z;
+      body.quaternion.setFromAxisAngle(axis.current, -current.angle);
+      body.angularVelocity.set(0, -current.speed, 0);
+    }
+    if (groupRef.current) {
+      groupRef.current.position.x = current.x;
+      groupRef.current.position.z = current.z;
+      groupRef.current.rotation.y = -current.angle;
+    }
+  });
+
+  return (
+    <group ref={groupRef} position={[0, HAZARDS.SWEEPER.HEIGHT / 2, 0]}>
+      <mesh position={[hazard.length / 2, 0, 0]} castShadow>
+        <boxGeometry args={[hazard.length, HAZARDS.SWEEPER.HEIGHT, HAZARDS.SWEEPER.WIDTH]} />
+        <meshStandardMaterial
+          color={HAZARDS.SWEEPER.COLOR}
+          emissive={HAZARDS.SWEEPER.COLOR}
+          emissiveIntensity={0.8}
+          metalness={0.6}
+          roughness={0.3}
+          toneMapped={false}
+        />
+      </mesh>
+      {/* Hub */}
+      <mesh>
+        <cylinderGeometry args={[0.5, 0.5, HAZARDS.SWEEPER.HEIGHT + 0.1, 16]} />
+        <meshStandardMaterial color="#333344" metalness={0.8} roughness={0.2} />
+      </mesh>
+    </group>
+  );
+}
+
+/**
+ * GravityWell - Swirling vortex that drags players toward it
+ * Has no body; the pull is applied as a force to local player bodies every tick, like the server.
+ */
+function GravityWell({ hazard, getAngle }) {
+  const { bodies, onTick } = usePhysics();
+  const groupRef = useRef();
+  const swirlRef = useRef();
+  const positionRef = useRef(null); // Where the well is this frame { x, z }
+
+  // Same falloff as the server
+  useEffect(() => onTick(() => {
+    if (!positionRef.current) return;
+    const { x, z } = positionRef.current;
+    bodies.forEach(({ body, type }) => {
+      if (type !== 'player') return;
+      const dx = x - body.position.x;
+      const dz = z - body.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance >= hazard.reach || distance < 0.001) return;
+      const pull = HAZARDS.WELL.STRENGTH * (1 - distance / hazard.reach);
+      body.applyForce(new CANNON.Vec3((dx / distance) * pull, 0, (dz / distance) * pull), body.position);
+    });
+  }), [onTick, bodies, hazard.reach]);
+
+  useFrame((state, delta) => {
+    const current = getAngle(hazard.id);
+    if (!current) return;
+    const x = current.x + Math.cos(current.angle) * current.orbit;
+    const z = current.z + Math.sin(current.angle) * current.orbit;
+
+    if (groupRef.current) {
+      groupRef.current.position.set(x, 0.03, z);
+    }
+    if (swirlRef.current) {
+      swirlRef.current.rotation.z += delta * 3;
+    }
+    positionRef.current = { x, z };
+  });
+
+  return (
+    <group ref={groupRef}>
+      {/* Reach */}
+      <mesh rotation={[-Math.PI / 2, 0, 0]}>
+        <circleGeometry args={[hazard.reach, 48]} />
+        <meshBasicMaterial color={HAZARDS.WELL.COLOR} transparent opacity={0.12} depthWrite={false} side={THREE.DoubleSide} />
+      </mesh>
+      {/* Swirl */}
+      <mesh ref={swirlRef} rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.01, 0]}>
+        <torusGeometry args={[hazard.reach * 0.5, 0.08, 8, 48, Math.PI * 1.5]} />
+        <meshBasicMaterial color={HAZARDS.WELL.COLOR} toneMapped={false} />
+      </mesh>
+      <pointLight position={[0, 1, 0]} color={HAZARDS.WELL.COLOR} intensity={3} distance={hazard.reach * 2} decay={2} />
+    </group>
+  );
+}
+
+/**
+ * Hazards - Arena hazards synchronized from the server
+ * The hazard list comes from React state (it only changes at match start or when
+ * the platform shrinks); positions are advanced every frame from the latest
+ * server angles in hazardStateRef, so every client shows the same arena.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.hazards - Hazard layout from the server [{ id, kind, x, z, orbit, radius, length, reach }]
+ * @param {Object} props.hazardStateRef - Ref to the latest { hazards, timestamp } from the server
+ * @param {Object} props.serverClockOffsetRef - Ref to estimated server minus local clock (ms)
+ */
+export default function Hazards({ hazards = [], hazardStateRef, serverClockOffsetRef }) {
+  // Latest server state for a hazard, with its angle advanced to the current server time
+  const getAngle = useCallback((id) => {
+    const latest = hazardStateRef?.current;
+    const state = latest?.hazards.find((hazard) => hazard.id === id);
+    if (!state) return null;
+    const serverNow = Date.now() + (serverClockOffsetRef?.current ?? 0);
+    const elapsed = Math.max(0, serverNow - latest.timestamp) / 1000;
+    return { ...state, angle: state.angle + state.speed * elapsed };
+  }, [hazardStateRef, serverClockOffsetRef]);
+
+  return (
+    <>
+      {hazards.map((hazard) => {
+        if (hazard.kind === 'bumper') return <Bumper key={hazard.id} hazard={hazard} getAngle={getAngle} />;
+        if (hazard.kind === 'sweeper') return <Sweeper key={hazard.id} hazard={hazard} getAngle={getAngle} />;
+        if (hazard.kind === 'well') return <GravityWell key={hazard.id} hazard={hazard} getAngle={getAngle} />;
+        return null;
+      })}
+    </>
+  );
+}
@@ -1,11 +1,28 @@
 import { useState, useEffect, useRef } from 'react';
+import { ROOM_CODE } from '../utils/constants';
+import { normalizeRoomCode, setRoomPath } from '../utils/roomLink';
 
 /**
  * JoinScreen - UI for entering name and joining the game
+ * Joins a public match by default, or a private room by code / deep link
+ *
+ * @param {Object} props
+ * @param {Function} props.onJoin - Called with (name, { roomCode, createPrivate })
+ * @param {string|null} props.initialRoomCode - Room code from a /r/ABCD deep link
  */
-export default function JoinScreen({ onJoin, connected, playerCount = 0, maxPlayers = 40, joinError }) {
+export default function JoinScreen({
+  onJoin,
+  connected,
+  playerCount = 0,
+  maxPlayers = 40,
+  joinError,
+  initialRoomCode = null,
+}) {
   const [name, setName] = useState('');
   const [error, setError] = useState('');
+  const [targetRoomCode, setTargetRoomCode] = useState(initialRoomCode);
+  const [roomInfo, setRoomInfo] = useState(null);
+  const [codeInput, setCodeInput] = useState('');
   const inputRef = useRef(null);
 
   // Update error if join error received from server
@@ -15,16 +32,37 @@ export default function JoinScreen({ onJoin, connected, playerCount = 0, maxPlay
     }
   }, [joinError]);
 
-  const isFull = playerCount >= maxPlayers;
+  // Look up a deep-linked room so its player count (or absence) shows before joining
+  useEffect(() => {
+    setRoomInfo(null);
+    if (!targetRoomCode) return;
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    const trimmedName = name.trim();
+    let cancelled = false;
+    fetch(`/api/rooms/${targetRoomCode}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((info) => {
+        if (cancelled) return;
+        if (info) {
+          setRoomInfo(info);
+        } else {
+          setError(`Room ${targetRoomCode} not found - check the code or create a new room`);
+        }
+      })
+      .catch(() => {
+        // Lookup is best-effort; the server still validates the code on join
+      });
 
-    if (isFull) {
-      setError('Server is full');
-      return;
-    }
+    return () => {
+      cancelled = true;
+    };
+  }, [targetRoomCode]);
+
+  const isFull = targetRoomCode ? Boolean(roomInfo?.isFull) : playerCount >= maxPlayers;
+  const displayCount = targetRoomCode ? roomInfo?.playerCount ?? 0 : playerCount;
+
+  // Validate the name, then join with the given room options
+  const submitJoin = (options = {}) => {
+    const trimmedName = name.trim();
 
     if (!trimmedName) {
       setError('Please enter a name');
@@ -37,7 +75,38 @@ export default function JoinScreen({ onJoin, connected, playerCount = 0, maxPlay
     }
 
     setError('');
-    onJoin(trimmedName);
+    onJoin(trimmedName, options);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (isFull) {
+      setError(targetRoomCode ? `Room ${targetRoomCode} is full` : 'Server is full');
+      return;
+    }
+
+    submitJoin(targetRoomCode ? { roomCode: targetRoomCode } : {});
+  };
+
+  const handleCreatePrivate = () => {
+    submitJoin({ createPrivate: true });
+  };
+
+  const handleJoinByCode = () => {
+    const code = normalizeRoomCode(codeInput);
+    if (!code) {
+      setError(`Room codes are ${ROOM_CODE.LENGTH} letters or digits, e.g. ABCD`);
+      return;
+    }
+    submitJoin({ roomCode: code });
+  };
+
+  // Drop the deep-linked room and fall back to public matchmaking
+  const handleLeaveRoomLink = () => {
+    setTargetRoomCode(null);
+    setError('');
+    setRoomPath(null);
   };
 
   // Handle tap on input container to focus input (iOS fix)
@@ -75,6 +144,16 @@ export default function JoinScreen({ onJoin, connected, playerCount = 0, maxPlay
             </span>
           </div>
 
+          {/* Target room (deep link) */}
+          {targetRoomCode && (
+            <div className="text-center mb-2">
+              <span className="text-gray-400 text-sm">Room </span>
+              <span className="text-neon-magenta font-mono font-bold text-lg tracking-widest">
+                {targetRoomCode}
+              </span>
+            </div>
+          )}
+
           {/* Player count */}
           <div className="flex items-center justify-center gap-2 mb-6">
             <span
@@ -82,7 +161,7 @@ export default function JoinScreen({ onJoin, connected, playerCount = 0, maxPlay
                 isFull ? 'text-red-400' : 'text-neon-cyan'
               }`}
             >
-              {playerCount} / {maxPlayers}
+              {displayCount} / {maxPlayers}
             </span>
             <span className="text-gray-400">players</span>
           </div>
@@ -123,10 +202,62 @@ export default function JoinScreen({ onJoin, connected, playerCount = 0, maxPlay
                 hover:opacity-90 hover:shadow-lg hover:shadow-neon-cyan/20
                 disabled:opacity-50 disabled:cursor-not-allowed touch-manipulation"
             >
-              {isFull ? 'SERVER FULL' : 'JOIN GAME'}
+              {isFull
+                ? targetRoomCode ? 'ROOM FULL' : 'SERVER FULL'
+                : targetRoomCode ? `JOIN ROOM ${targetRoomCode}` : 'JOIN GAME'}
             </button>
           </form>
 
+          {/* Private rooms */}
+          {targetRoomCode ? (
+            <button
+              type="button"
+              onClick={handleLeaveRoomLink}
+              className="w-full mt-4 text-sm text-gray-400 hover:text-white transition-colors touch-manipulation"
+            >
+              Play a public match instead
+            </button>
+          ) : (
+            <div className="mt-6 pt-4 border-t border-gray-700 space-y-3">
+              <button
+                type="button"
+                onClick={handleCreatePrivate}
+                disabled={!connected}
+                className="w-full py-2 border border-neon-magenta text-neon-magenta font-bold rounded-lg
+                  transition-colors hover:bg-neon-magenta/10
+                  disabled:opacity-50 disabled:cursor-not-allowed touch-manipulation"
+              >
+                CREATE PRIVATE ROOM
+              </button>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={codeInput}
+                  onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+                  placeholder="Room code"
+                  maxLength={ROOM_CODE.LENGTH}
+                  autoCapitalize="characters"
+                  autoCorrect="off"
+                  disabled={!connected}
+                  className="flex-1 min-w-0 px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg
+                    text-white font-mono tracking-widest uppercase placeholder-gray-500 placeholder:tracking-normal
+                    focus:outline-none focus:border-neon-magenta disabled:opacity-50 touch-manipulation"
+                  style={{ fontSize: '16px' }} /* Prevents iOS zoom on focus */
+                />
+                <button
+                  type="button"
+                  onClick={handleJoinByCode}
+                  disabled={!connected || !codeInput.trim()}
+                  className="px-4 py-2 bg-gray-800 border border-gray-600 text-white font-bold rounded-lg
+                    transition-colors hover:bg-gray-700
+                    disabled:opacity-50 disabled:cursor-not-allowed touch-manipulation"
+                >
+                  JOIN
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Controls hint */}
           <div className="mt-6 text-center text-sm text-gray-500">
             <p>Drag to move • Tap to boost</p>
@@ -1,11 +1,31 @@
 import { memo, useState, useEffect } from 'react';
 
 /**
- * LiveScoreboard - Real-time scoring display for all players in multiplayer
+ * Format milliseconds as m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatClock(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * LiveScoreboard - Real-time scoring display for all players (multiplayer and single player)
  * Shows: Score, Eliminations, Survival Time, Out of Bounds Time
+ * plus team totals in teams mode, hill time in King of the Hill and lives in stock mode.
  * Collapsible on mobile to not block gameplay
  */
-function LiveScoreboard({ scores, localPlayerId }) {
+function LiveScoreboard({
+  scores,
+  teamScores = null,
+  hillTarget = null,
+  hillPointsPerSecond = 0,
+  timeRemaining = null,
+  localPlayerId,
+}) {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
 
@@ -63,6 +83,37 @@ function LiveScoreboard({ scores, localPlayerId }) {
         </button>
       </div>
       
+      {/* King of the Hill target and clock */}
+      {hillTarget !== null && (
+        <div className="flex items-center justify-between mb-2 pb-2 border-b border-cyan-500/30 text-xs">
+          <span className="text-yellow-400 font-bold">⛰ FIRST TO {hillTarget}</span>
+          {timeRemaining !== null && (
+            <span className="text-white font-mono tabular-nums">{formatClock(timeRemaining)}</span>
+          )}
+        </div>
+      )}
+
+      {/* Team totals (teams mode) */}
+      {teamScores && (
+        <div className="grid grid-cols-2 gap-1 mb-2 pb-2 border-b border-cyan-500/30">
+          {teamScores.map((team) => (
+            <div
+              key={team.id}
+              className={`flex items-center justify-between p-1.5 rounded border text-xs ${
+                team.alive === 0 ? 'opacity-50' : ''
+              }`}
+              style={{ borderColor: `${team.color}60` }}
+            >
+              <span className="font-bold" style={{ color: team.color }}>
+                {team.name.toUpperCase()}
+                <span className="text-gray-500 font-normal"> {team.alive}/{team.players}</span>
+              </span>
+              <span className="font-black tabular-nums" style={{ color: team.color }}>{team.score}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="space-y-1">
         {scores.slice(0, 10).map((player, index) => {
           const isLocal = player.id === localPlayerId;
@@ -93,6 +144,17 @@ function LiveScoreboard({ scores, localPlayerId }) {
                   </span>
                 </div>
                 <div className="flex items-center gap-2">
+                  {player.lives !== null && player.lives !== undefined && (
+                    <span className="text-red-400 text-xs tabular-nums">❤{player.lives}</span>
+                  )}
+                  {hillTarget !== null && player.hillTime > 0 && (
+                    <span
+                      className="text-yellow-300 text-xs tabular-nums"
+                      title={`${Math.round(player.hillTime * hillPointsPerSecond)} / ${hillTarget} hill points`}
+                    >
+                      ⛰{player.hillTime}s
+                    </span>
+                  )}
                   {player.eliminations > 0 && (
                     <span className="text-yellow-400 text-xs">🎯{player.eliminations}</span>
                   )}
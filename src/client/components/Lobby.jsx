@@ -1,6 +1,14 @@
+import { useState, useCallback } from 'react';
+import { getRoomLink } from '../utils/roomLink';
+import { GAME_MODES, BOTS } from '../utils/constants';
+import { AI_DIFFICULTIES, DEFAULT_AI_DIFFICULTY } from '../../shared/ai.js';
+import MatchRulesPanel from './MatchRulesPanel';
+import MapPicker from './MapPicker';
+
 /**
  * Lobby - Space-themed waiting room UI showing all players
- * Displays real-time player list and host controls
+ * Displays real-time player list, room invite code, match rules, map, team picker and host controls
+ * (including adding and removing bots)
  */
 export default function Lobby({
   localPlayer,
@@ -10,7 +18,38 @@ export default function Lobby({
   onStartGame,
   countdown,
   hostChangeNotification,
+  roomCode,
+  isPrivateRoom = false,
+  rules,
+  ruleLimits,
+  onUpdateRules,
+  rulesError,
+  teams = [],
+  onChooseTeam,
+  map = null,
+  maps = [],
+  mapError,
+  onSelectMap,
+  onUploadMap,
+  onAddBots,
+  onRemoveBot,
+  botsError,
 }) {
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [botCount, setBotCount] = useState(1);
+  const [botDifficulty, setBotDifficulty] = useState(DEFAULT_AI_DIFFICULTY);
+
+  // Copy the /r/CODE invite link so others can join this room directly
+  const handleCopyLink = useCallback(() => {
+    if (!roomCode || !navigator.clipboard) return;
+    navigator.clipboard.writeText(getRoomLink(roomCode)).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    }).catch(() => {
+      // Clipboard can be blocked (e.g. insecure context) - the code is still shown
+    });
+  }, [roomCode]);
+
   // Combine local player with remote players for display
   const allPlayers = [
     localPlayer,
@@ -21,6 +60,11 @@ export default function Lobby({
   }));
 
   const canStart = allPlayers.length >= 1; // At least 1 player for testing
+  const canEditBots = isHost && countdown === null;
+  const botCountInLobby = allPlayers.filter((player) => player.isBot).length;
+
+  // Teams in play this match (teams mode only)
+  const activeTeams = rules?.mode === GAME_MODES.TEAMS ? teams.slice(0, rules.teamCount) : [];
 
   return (
     <div className="fixed inset-0 pointer-events-none z-40">
@@ -45,6 +89,54 @@ export default function Lobby({
             </div>
           </div>
 
+          {/* Room code and invite link */}
+          {roomCode && (
+            <div className="flex items-center justify-between gap-3 mb-4 p-2 rounded-lg bg-gray-900/50 border border-neon-magenta/30">
+              <div>
+                <p className="text-gray-400 text-xs">
+                  {isPrivateRoom ? 'PRIVATE ROOM' : 'ROOM'}
+                </p>
+                <p className="text-neon-magenta font-mono font-bold text-xl tracking-widest">
+                  {roomCode}
+                </p>
+              </div>
+              <button
+                onClick={handleCopyLink}
+                className="px-3 py-1.5 text-xs font-bold rounded bg-neon-magenta/20 text-neon-magenta border border-neon-magenta/40 hover:bg-neon-magenta/30 transition-colors"
+              >
+                {linkCopied ? 'COPIED!' : 'COPY INVITE LINK'}
+              </button>
+            </div>
+          )}
+
+          {/* Team picker */}
+          {activeTeams.length > 0 && (
+            <div className="mb-4">
+              <p className="text-gray-400 text-xs mb-2">PICK YOUR TEAM</p>
+              <div className="grid grid-cols-2 gap-2">
+                {activeTeams.map((team) => {
+                  const isMine = localPlayer?.team === team.id;
+                  const memberCount = allPlayers.filter((p) => p.team === team.id).length;
+                  return (
+                    <button
+                      key={team.id}
+                      onClick={() => onChooseTeam(team.id)}
+                      disabled={isMine || countdown !== null}
+                      className="px-3 py-1.5 text-xs font-bold rounded border transition-colors disabled:cursor-default"
+                      style={{
+                        color: team.color,
+                        borderColor: isMine ? team.color : `${team.color}40`,
+                        backgroundColor: isMine ? `${team.color}30` : 'transparent',
+                      }}
+                    >
+                      {team.name.toUpperCase()} ({memberCount})
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Player list with animated entries */}
           <ul className="space-y-2 max-h-[400px] overflow-y-auto">
             {allPlayers.map((player, index) => (
@@ -73,6 +165,31 @@ export default function Lobby({
 
                 {/* Tags */}
                 <div className="flex items-center gap-1">
+                  {activeTeams[player.team] && (
+                    <span
+                      className="px-2 py-0.5 text-xs font-bold rounded border"
+                      style={{
+                        color: activeTeams[player.team].color,
+                        borderColor: `${activeTeams[player.team].color}60`,
+                      }}
+                    >
+                      {activeTeams[player.team].name.toUpperCase()}
+                    </span>
+                  )}
+                  {player.isBot && (
+                    <span className="px-2 py-0.5 text-xs font-bold rounded bg-purple-500/20 text-purple-300 border border-purple-500/30">
+                      BOT · {player.difficulty?.toUpperCase()}
+                    </span>
+                  )}
+                  {player.isBot && canEditBots && (
+                    <button
+                      onClick={() => onRemoveBot(player.id)}
+                      className="px-1.5 text-xs text-gray-500 hover:text-red-400 transition-colors"
+                      title="Remove bot"
+                    >
+                      ✕
+                    </button>
+                  )}
                   {player.id === localPlayer?.id && (
                     <span className="px-2 py-0.5 text-xs font-bold rounded bg-neon-cyan/20 text-neon-cyan border border-neon-cyan/30">
                       YOU
@@ -94,6 +211,11 @@ export default function Lobby({
                       READY
                     </span>
                   )}
+                  {player.isReconnecting && (
+                    <span className="px-2 py-0.5 text-xs font-bold rounded bg-orange-500/20 text-orange-400 border border-orange-500/30">
+                      RECONNECTING
+                    </span>
+                  )}
                 </div>
               </li>
             ))}
@@ -105,9 +227,65 @@ export default function Lobby({
               <p>No players yet...</p>
             </div>
           )}
+
+          {/* Bots - host fills the lobby with computer players */}
+          {canEditBots && (
+            <div className="mt-4 pt-3 border-t border-neon-cyan/30">
+              <p className="text-gray-400 text-xs mb-2">ADD BOTS</p>
+              <div className="flex items-center gap-2 text-xs">
+                <input
+                  type="number"
+                  value={botCount}
+                  min={1}
+                  max={BOTS.MAX_PER_ROOM}
+                  onChange={(e) => setBotCount(Math.max(1, Math.min(BOTS.MAX_PER_ROOM, Math.round(Number(e.target.value)) || 1)))}
+                  className="w-14 px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white text-right focus:border-neon-cyan focus:outline-none"
+                />
+                <select
+                  value={botDifficulty}
+                  onChange={(e) => setBotDifficulty(e.target.value)}
+                  className="flex-1 px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white focus:border-neon-cyan focus:outline-none"
+                >
+                  {Object.entries(AI_DIFFICULTIES).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onAddBots(botCount, botDifficulty)}
+                  disabled={botCountInLobby >= BOTS.MAX_PER_ROOM}
+                  className="px-3 py-0.5 font-bold rounded bg-neon-cyan/20 text-neon-cyan border border-neon-cyan/40 hover:bg-neon-cyan/30 transition-colors disabled:opacity-40"
+                >
+                  ADD
+                </button>
+              </div>
+              <p className="text-gray-500 text-xs mt-1">{AI_DIFFICULTIES[botDifficulty].style}</p>
+              {botsError && (
+                <p className="text-red-400 text-xs mt-2">{botsError}</p>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Match rules and map - editable by the host */}
+      <div className="absolute top-4 right-4 flex flex-col gap-3 pointer-events-auto">
+        <MatchRulesPanel
+          rules={rules}
+          ruleLimits={ruleLimits}
+          isHost={isHost && countdown === null}
+          onUpdateRules={onUpdateRules}
+          rulesError={rulesError}
+        />
+        <MapPicker
+          map={map}
+          maps={maps}
+          isHost={isHost && countdown === null}
+          mapError={mapError}
+          onSelectMap={onSelectMap}
+          onUploadMap={onUploadMap}
+        />
+      </div>
+
       {/* Host change notification */}
       {hostChangeNotification && (
         <div
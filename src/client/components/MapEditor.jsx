@@ -0,0 +1,461 @@
+import { useState, useMemo, useRef } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls, Stars } from '@react-three/drei';
+import Platform from './Platform';
+import { HAZARDS } from '../utils/constants';
+import { getArenaClearance, getPieceOutline } from '../../shared/arena.js';
+import { MAP_LIMITS, createEmptyMap, parseArenaMap } from '../../shared/maps.js';
+
+const GRID_STEP = 0.5; // Clicks snap to this many world units
+const VIEW_MARGIN = 1.3; // Grid shows this many radii around the center
+const MARKER_RADIUS = 0.35;
+const SPAWN_COLOR = '#00ff88';
+const POWER_UP_COLOR = '#ffff00';
+
+// Tools in the palette: which list a click adds to
+const TOOLS = [
+  { id: 'regular', label: 'Polygon', group: 'Platform' },
+  { id: 'box', label: 'Box', group: 'Platform' },
+  { id: 'ring', label: 'Ring', group: 'Platform' },
+  { id: 'bumper', label: 'Bumper', group: 'Hazards' },
+  { id: 'sweeper', label: 'Sweeper', group: 'Hazards' },
+  { id: 'well', label: 'Gravity well', group: 'Hazards' },
+  { id: 'spawn', label: 'Spawn point', group: 'Points' },
+  { id: 'powerUp', label: 'Power-up spawner', group: 'Points' },
+  { id: 'erase', label: 'Erase', group: 'Edit' },
+];
+
+const HAZARD_COLORS = {
+  bumper: HAZARDS.BUMPER.COLOR,
+  sweeper: HAZARDS.SWEEPER.COLOR,
+  well: HAZARDS.WELL.COLOR,
+};
+
+const DEFAULT_SIZES = { radius: 3, innerRadius: 1.5, sides: 6, width: 4, depth: 2 };
+
+/**
+ * Round a coordinate to the editor grid
+ * @param {number} value - World units
+ * @returns {number}
+ */
+function snap(value) {
+  return Math.round(value / GRID_STEP) * GRID_STEP;
+}
+
+/**
+ * SVG points attribute for an outline loop
+ * @param {Object[]} loop - [{ x, z }]
+ * @returns {string}
+ */
+function toSvgPoints(loop) {
+  return loop.map(({ x, z }) => `${x},${z}`).join(' ');
+}
+
+/**
+ * Number field for a size setting
+ */
+function SizeInput({ label, value, min, max, step = GRID_STEP, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs">
+      <span className="text-gray-400">{label}</span>
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        step={step}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-16 px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white text-right focus:border-neon-cyan focus:outline-none"
+      />
+    </label>
+  );
+}
+
+/**
+ * PreviewMarkers - Spawns, power-up spawners and hazards shown on the 3D preview
+ * @param {Object} props
+ * @param {Object} props.mapFile - Map being edited (world units)
+ */
+function PreviewMarkers({ mapFile }) {
+  return (
+    <group>
+      {mapFile.spawns.map((spawn, index) => (
+        <mesh key={`spawn-${index}`} position={[spawn.x, 0.05, spawn.z]}>
+          <cylinderGeometry args={[0.5, 0.5, 0.1, 16]} />
+          <meshBasicMaterial color={SPAWN_COLOR} transparent opacity={0.7} />
+        </mesh>
+      ))}
+      {mapFile.powerUpSpawners.map((spawner, index) => (
+        <mesh key={`power-up-${index}`} position={[spawner.x, 0.6, spawner.z]}>
+          <octahedronGeometry args={[0.4]} />
+          <meshStandardMaterial color={POWER_UP_COLOR} emissive={POWER_UP_COLOR} emissiveIntensity={0.8} />
+        </mesh>
+      ))}
+      {mapFile.hazards.map((hazard, index) => {
+        if (hazard.kind === 'bumper') {
+          const { RADIUS, HEIGHT } = HAZARDS.BUMPER;
+          return (
+            <mesh key={`hazard-${index}`} position={[hazard.x, HEIGHT / 2, hazard.z]}>
+              <cylinderGeometry args={[RADIUS, RADIUS, HEIGHT, 16]} />
+              <meshStandardMaterial color={HAZARD_COLORS.bumper} emissive={HAZARD_COLORS.bumper} emissiveIntensity={0.5} />
+            </mesh>
+          );
+        }
+        if (hazard.kind === 'sweeper') {
+          const length = mapFile.radius * HAZARDS.SWEEPER.PLACED_LENGTH;
+          return (
+            <mesh key={`hazard-${index}`} position={[hazard.x + length / 2, HAZARDS.SWEEPER.HEIGHT / 2, hazard.z]}>
+              <boxGeometry args={[length, HAZARDS.SWEEPER.HEIGHT, HAZARDS.SWEEPER.WIDTH]} />
+              <meshStandardMaterial color={HAZARD_COLORS.sweeper} emissive={HAZARD_COLORS.sweeper} emissiveIntensity={0.5} />
+            </mesh>
+          );
+        }
+        return (
+          <mesh key={`hazard-${index}`} position={[hazard.x, 0.05, hazard.z]} rotation={[-Math.PI / 2, 0, 0]}>
+            <circleGeometry args={[HAZARDS.WELL.REACH, 32]} />
+            <meshBasicMaterial color={HAZARD_COLORS.well} transparent opacity={0.3} depthWrite={false} />
+          </mesh>
+        );
+      })}
+    </group>
+  );
+}
+
+/**
+ * MapEditor - Build arena maps on a grid and save them as JSON
+ * Clicking the grid adds the selected piece, hazard or point at the snapped
+ * spot; the 3D preview renders the map with the game's own Platform. Files are
+ * checked with the same parseArenaMap the server uses, so anything that exports
+ * cleanly can be uploaded in a lobby or dropped into the server's maps/ folder.
+ *
+ * @param {Object} props
+ * @param {Function} props.onBackToMenu - Leave the editor
+ */
+export default function MapEditor({ onBackToMenu }) {
+  const [mapFile, setMapFile] = useState(() => createEmptyMap(10));
+  const [history, setHistory] = useState([]); // Earlier versions of mapFile, for undo
+  const [tool, setTool] = useState('regular');
+  const [sizes, setSizes] = useState(DEFAULT_SIZES);
+  const [importError, setImportError] = useState(null);
+  const svgRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Same validation as the server - the preview keeps the last map that passed
+  const { map: parsedMap, error } = useMemo(() => parseArenaMap(mapFile), [mapFile]);
+  const lastValidRef = useRef(null);
+  if (parsedMap) lastValidRef.current = { map: parsedMap, radius: mapFile.radius };
+  const preview = lastValidRef.current;
+
+  const view = mapFile.radius * VIEW_MARGIN;
+
+  const updateMap = (changes) => {
+    setHistory((prev) => [...prev.slice(-49), mapFile]);
+    setMapFile((prev) => ({ ...prev, ...changes }));
+    setImportError(null);
+  };
+
+  const handleUndo = () => {
+    if (history.length === 0) return;
+    setMapFile(history[history.length - 1]);
+    setHistory((prev) => prev.slice(0, -1));
+  };
+
+  // Remove the point nearest the click, or else the topmost piece under it
+  const eraseAt = (x, z) => {
+    const lists = ['spawns', 'powerUpSpawners', 'hazards'];
+    let nearest = null;
+    lists.forEach((list) => {
+      mapFile[list].forEach((point, index) => {
+        const distance = Math.hypot(point.x - x, point.z - z);
+        if (distance < 1 && (!nearest || distance < nearest.distance)) {
+          nearest = { list, index, distance };
+        }
+      });
+    });
+    if (nearest) {
+      updateMap({ [nearest.list]: mapFile[nearest.list].filter((_, i) => i !== nearest.index) });
+      return;
+    }
+
+    for (let i = mapFile.pieces.length - 1; i >= 0; i--) {
+      if (getArenaClearance([mapFile.pieces[i]], x, z) >= 0) {
+        updateMap({ pieces: mapFile.pieces.filter((_, index) => index !== i) });
+        return;
+      }
+    }
+  };
+
+  const handleGridClick = (event) => {
+    const svg = svgRef.current;
+    const matrix = svg.getScreenCTM()?.inverse();
+    if (!matrix) return;
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix);
+    const x = snap(point.x);
+    const z = snap(point.y);
+
+    switch (tool) {
+      case 'regular':
+        updateMap({ pieces: [...mapFile.pieces, { type: 'regular', x, z, radius: sizes.radius, sides: sizes.sides }] });
+        break;
+      case 'box':
+        updateMap({ pieces: [...mapFile.pieces, { type: 'box', x, z, width: sizes.width, depth: sizes.depth }] });
+        break;
+      case 'ring':
+        updateMap({
+          pieces: [...mapFile.pieces, { type: 'ring', x, z, radius: sizes.radius, innerRadius: sizes.innerRadius, sides: sizes.sides }],
+        });
+        break;
+      case 'bumper':
+      case 'sweeper':
+      case 'well':
+        updateMap({ hazards: [...mapFile.hazards, { kind: tool, x, z }] });
+        break;
+      case 'spawn':
+        updateMap({ spawns: [...mapFile.spawns, { x, z }] });
+        break;
+      case 'powerUp':
+        updateMap({ powerUpSpawners: [...mapFile.powerUpSpawners, { x, z }] });
+        break;
+      default:
+        eraseAt(x, z);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([`${JSON.stringify(mapFile, null, 2)}\n`], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${mapFile.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'arena'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        setImportError('Not a JSON file');
+        return;
+      }
+      const { error: parseError } = parseArenaMap(data);
+      if (parseError) {
+        setImportError(parseError);
+        return;
+      }
+      updateMap({ hazards: [], spawns: [], powerUpSpawners: [], ...data });
+    });
+  };
+
+  const gridLines = [];
+  for (let value = -Math.floor(view); value <= view; value++) {
+    gridLines.push(value);
+  }
+
+  return (
+    <div className="fixed inset-0 flex bg-space-dark text-white">
+      {/* Tools and map settings */}
+      <aside className="w-64 shrink-0 overflow-y-auto border-r-2 border-neon-cyan/30 p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-neon-cyan font-bold tracking-wide">MAP EDITOR</h1>
+          <button onClick={onBackToMenu} className="text-xs text-gray-400 hover:text-white">← Menu</button>
+        </div>
+
+        <div className="space-y-1.5">
+          <label className="block text-xs text-gray-400">
+            Name
+            <input
+              value={mapFile.name}
+              maxLength={MAP_LIMITS.NAME_LENGTH}
+              onChange={(e) => updateMap({ name: e.target.value })}
+              className="mt-1 w-full px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white focus:border-neon-cyan focus:outline-none"
+            />
+          </label>
+          <SizeInput
+            label="Platform radius"
+            value={mapFile.radius}
+            min={MAP_LIMITS.MIN_RADIUS}
+            max={MAP_LIMITS.MAX_RADIUS}
+            step={1}
+            onChange={(radius) => updateMap({ radius })}
+          />
+        </div>
+
+        {['Platform', 'Hazards', 'Points', 'Edit'].map((group) => (
+          <div key={group}>
+            <h2 className="text-xs text-neon-magenta font-bold mb-1">{group.toUpperCase()}</h2>
+            <div className="grid grid-cols-2 gap-1">
+              {TOOLS.filter((entry) => entry.group === group).map((entry) => (
+                <button
+                  key={entry.id}
+                  onClick={() => setTool(entry.id)}
+                  className={`px-2 py-1 rounded text-xs border transition-colors ${
+                    tool === entry.id
+                      ? 'border-neon-cyan bg-neon-cyan/20 text-neon-cyan'
+                      : 'border-gray-700 text-gray-300 hover:border-gray-500'
+                  }`}
+                >
+                  {entry.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {/* Size of the next piece placed */}
+        {['regular', 'ring'].includes(tool) && (
+          <div className="space-y-1.5">
+            <SizeInput label="Radius" value={sizes.radius} min={0.5} onChange={(radius) => setSizes((prev) => ({ ...prev, radius }))} />
+            {tool === 'ring' && (
+              <SizeInput label="Hole radius" value={sizes.innerRadius} min={0.5} onChange={(innerRadius) => setSizes((prev) => ({ ...prev, innerRadius }))} />
+            )}
+            <SizeInput
+              label="Sides"
+              value={sizes.sides}
+              min={MAP_LIMITS.MIN_SIDES}
+              max={MAP_LIMITS.MAX_SIDES}
+              step={1}
+              onChange={(sides) => setSizes((prev) => ({ ...prev, sides }))}
+            />
+          </div>
+        )}
+        {tool === 'box' && (
+          <div className="space-y-1.5">
+            <SizeInput label="Width" value={sizes.width} min={0.5} onChange={(width) => setSizes((prev) => ({ ...prev, width }))} />
+            <SizeInput label="Depth" value={sizes.depth} min={0.5} onChange={(depth) => setSizes((prev) => ({ ...prev, depth }))} />
+          </div>
+        )}
+
+        <ul className="text-xs text-gray-400 space-y-0.5">
+          <li>Pieces: <span className="text-white">{mapFile.pieces.length}/{MAP_LIMITS.MAX_PIECES}</span></li>
+          <li>Hazards: <span className="text-white">{mapFile.hazards.length}/{MAP_LIMITS.MAX_HAZARDS}</span></li>
+          <li>Spawn points: <span className="text-white">{mapFile.spawns.length}/{MAP_LIMITS.MAX_SPAWNS}</span></li>
+          <li>Power-up spawners: <span className="text-white">{mapFile.powerUpSpawners.length}/{MAP_LIMITS.MAX_POWER_UP_SPAWNERS}</span></li>
+        </ul>
+
+        <div className="grid grid-cols-2 gap-1 text-xs">
+          <button
+            onClick={handleUndo}
+            disabled={history.length === 0}
+            className="px-2 py-1 rounded border border-gray-700 text-gray-300 hover:border-gray-500 disabled:opacity-40"
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => updateMap(createEmptyMap(mapFile.radius))}
+            className="px-2 py-1 rounded border border-gray-700 text-gray-300 hover:border-gray-500"
+          >
+            Clear
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="px-2 py-1 rounded border border-neon-cyan/50 text-neon-cyan hover:bg-neon-cyan/10"
+          >
+            Import…
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={Boolean(error)}
+            className="px-2 py-1 rounded border border-neon-magenta/50 text-neon-magenta hover:bg-neon-magenta/10 disabled:opacity-40"
+          >
+            Export JSON
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </div>
+
+        {(importError || error) && (
+          <p className="text-red-400 text-xs">{importError || error}</p>
+        )}
+        <p className="text-gray-500 text-xs">
+          Click the grid to place. Export the file to upload it in a lobby, or add it to the server&apos;s maps/ folder.
+        </p>
+      </aside>
+
+      {/* Top-down grid (X right, Z down - the same view as the game camera) */}
+      <div className="flex-1 min-w-0 flex items-center justify-center p-4">
+        <svg
+          ref={svgRef}
+          viewBox={`${-view} ${-view} ${view * 2} ${view * 2}`}
+          onClick={handleGridClick}
+          className="max-w-full max-h-full aspect-square cursor-crosshair bg-black/40 rounded-lg"
+        >
+          {gridLines.map((value) => (
+            <g key={value} stroke={value === 0 ? '#335566' : '#1a2a33'} strokeWidth={0.04}>
+              <line x1={value} y1={-view} x2={value} y2={view} />
+              <line x1={-view} y1={value} x2={view} y2={value} />
+            </g>
+          ))}
+          <circle r={mapFile.radius} fill="none" stroke="#335566" strokeWidth={0.05} strokeDasharray="0.3 0.3" />
+
+          {mapFile.pieces.map((piece, index) => {
+            const { outer, hole } = getPieceOutline(piece);
+            return (
+              <g key={index}>
+                <polygon points={toSvgPoints(outer)} fill="#0a3a44" fillOpacity={0.8} stroke="#00ffff" strokeWidth={0.08} />
+                {hole && <polygon points={toSvgPoints(hole)} fill="#000000" stroke="#00ffff" strokeWidth={0.08} />}
+              </g>
+            );
+          })}
+
+          {mapFile.hazards.map((hazard, index) => (
+            <g key={index} fill={HAZARD_COLORS[hazard.kind]} stroke={HAZARD_COLORS[hazard.kind]}>
+              {hazard.kind === 'bumper' && <circle cx={hazard.x} cy={hazard.z} r={HAZARDS.BUMPER.RADIUS} />}
+              {hazard.kind === 'sweeper' && (
+                <>
+                  <circle
+                    cx={hazard.x}
+                    cy={hazard.z}
+                    r={mapFile.radius * HAZARDS.SWEEPER.PLACED_LENGTH}
+                    fill="none"
+                    strokeWidth={0.06}
+                    strokeDasharray="0.2 0.2"
+                  />
+                  <circle cx={hazard.x} cy={hazard.z} r={MARKER_RADIUS} />
+                </>
+              )}
+              {hazard.kind === 'well' && (
+                <>
+                  <circle cx={hazard.x} cy={hazard.z} r={HAZARDS.WELL.REACH} fillOpacity={0.15} strokeWidth={0.06} />
+                  <circle cx={hazard.x} cy={hazard.z} r={MARKER_RADIUS} />
+                </>
+              )}
+            </g>
+          ))}
+
+          {mapFile.spawns.map((spawn, index) => (
+            <circle key={index} cx={spawn.x} cy={spawn.z} r={MARKER_RADIUS} fill={SPAWN_COLOR} />
+          ))}
+          {mapFile.powerUpSpawners.map((spawner, index) => (
+            <rect
+              key={index}
+              x={spawner.x - MARKER_RADIUS}
+              y={spawner.z - MARKER_RADIUS}
+              width={MARKER_RADIUS * 2}
+              height={MARKER_RADIUS * 2}
+              transform={`rotate(45 ${spawner.x} ${spawner.z})`}
+              fill={POWER_UP_COLOR}
+            />
+          ))}
+        </svg>
+      </div>
+
+      {/* 3D preview with the game's platform */}
+      <div className="w-[40%] shrink-0 border-l-2 border-neon-cyan/30">
+        <Canvas camera={{ position: [0, mapFile.radius * 1.5, mapFile.radius * 1.5], fov: 60 }}>
+          <Stars radius={100} depth={50} count={2000} factor={4} fade />
+          <ambientLight intensity={0.4} />
+          <directionalLight position={[10, 20, 10]} intensity={1} />
+          {preview && <Platform radius={preview.radius} arena={preview.map} />}
+          <PreviewMarkers mapFile={mapFile} />
+          <OrbitControls enablePan={false} />
+        </Canvas>
+      </div>
+    </div>
+  );
+}
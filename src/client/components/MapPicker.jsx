@@ -0,0 +1,89 @@
+import { useState, useRef } from 'react';
+import { parseArenaMap } from '../../shared/maps.js';
+
+/**
+ * MapPicker - Lobby panel for playing on an authored map
+ * The host picks one of the server's maps or uploads a file saved from the map
+ * editor; everyone else sees which map is in play. Uploads are checked here for
+ * quick feedback, then validated again by the server.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.map - Map in play (unit scale), null for the arena rule's layout
+ * @param {Object[]} props.maps - Server's maps [{ id, name }]
+ * @param {boolean} props.isHost - Whether the local player can change the map
+ * @param {string|null} props.mapError - Last error from the server
+ * @param {Function} props.onSelectMap - Called with a map ID, or null for the arena rule
+ * @param {Function} props.onUploadMap - Called with a parsed map file
+ */
+export default function MapPicker({ map, maps = [], isHost, mapError, onSelectMap, onUploadMap }) {
+  const [fileError, setFileError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Let the same file be picked again after editing it
+    if (!file) return;
+
+    file.text().then((text) => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        setFileError('Not a JSON file');
+        return;
+      }
+      const { error } = parseArenaMap(data);
+      setFileError(error ?? null);
+      if (!error) onUploadMap(data);
+    });
+  };
+
+  // Uploaded maps aren't in the server's list
+  const isListed = map && maps.some(({ id }) => id === map.id);
+  const error = fileError || mapError;
+
+  if (!isHost && !map) return null;
+
+  return (
+    <div className="relative bg-space-dark/95 border-2 border-neon-cyan/50 rounded-xl p-4 w-[260px] backdrop-blur-sm">
+      <h2 className="text-neon-cyan font-bold text-sm tracking-wide mb-3 pb-2 border-b border-neon-cyan/30">
+        MAP
+      </h2>
+
+      {isHost ? (
+        <div className="space-y-2 text-xs">
+          <select
+            value={map ? (isListed ? map.id : 'upload') : ''}
+            onChange={(e) => {
+              setFileError(null);
+              onSelectMap(e.target.value || null);
+            }}
+            className="w-full px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white focus:border-neon-cyan focus:outline-none"
+          >
+            <option value="">Arena rule (no map)</option>
+            {maps.map(({ id, name }) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+            {map && !isListed && (
+              <option value="upload" disabled>{map.name} (uploaded)</option>
+            )}
+          </select>
+
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="w-full px-2 py-1 rounded border border-neon-cyan/50 text-neon-cyan hover:bg-neon-cyan/10 transition-colors"
+          >
+            Upload map file…
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+        </div>
+      ) : (
+        <p className="text-white text-xs font-mono">{map.name}</p>
+      )}
+
+      {isHost && error && (
+        <p className="text-red-400 text-xs mt-3">{error}</p>
+      )}
+    </div>
+  );
+}
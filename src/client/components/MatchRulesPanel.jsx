@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+import { GAME_MODES } from '../utils/constants';
+import { ARENA_LAYOUTS } from '../../shared/arena.js';
+
+// Display names for rules that pick from a list of options
+const OPTION_LABELS = {
+  [GAME_MODES.FFA]: 'Free-for-all',
+  [GAME_MODES.TEAMS]: 'Teams',
+  [GAME_MODES.KING_OF_THE_HILL]: 'King of the Hill',
+  [GAME_MODES.STOCK]: 'Stock (lives)',
+  [GAME_MODES.SCORE_ATTACK]: 'Score attack',
+  ...Object.fromEntries(Object.entries(ARENA_LAYOUTS).map(([key, layout]) => [key, layout.label])),
+};
+
+// How each rule is shown - values in ms are edited in seconds (scale 1000)
+// Fields with modes are only shown while one of those modes is selected,
+// fields with requires only while that on/off rule is on
+const RESPAWN_MODES = [GAME_MODES.STOCK, GAME_MODES.SCORE_ATTACK];
+const RULE_FIELDS = [
+  { name: 'mode', label: 'Mode' },
+  { name: 'arena', label: 'Arena' },
+  { name: 'crumblingTiles', label: 'Crumbling tiles' },
+  { name: 'tileStandTime', label: 'Tile falls after standing', unit: 's', scale: 1000, requires: 'crumblingTiles' },
+  { name: 'tileDropInterval', label: 'Random tile drop every', unit: 's', scale: 1000, requires: 'crumblingTiles' },
+  { name: 'teamCount', label: 'Teams', modes: [GAME_MODES.TEAMS] },
+  { name: 'friendlyFireCredit', label: 'Credit teammate pushes', modes: [GAME_MODES.TEAMS] },
+  { name: 'hillTarget', label: 'Points to win', unit: 'pts', modes: [GAME_MODES.KING_OF_THE_HILL] },
+  { name: 'hillTimeLimit', label: 'Time limit', unit: 's', modes: [GAME_MODES.KING_OF_THE_HILL] },
+  { name: 'hillPointsPerSecond', label: 'Hill points per second', unit: 'pts', modes: [GAME_MODES.KING_OF_THE_HILL] },
+  { name: 'hillMoveInterval', label: 'Hill moves every', unit: 's', scale: 1000, modes: [GAME_MODES.KING_OF_THE_HILL] },
+  { name: 'matchDuration', label: 'Match length', unit: 's', modes: [GAME_MODES.SCORE_ATTACK] },
+  { name: 'lives', label: 'Lives', modes: [GAME_MODES.STOCK] },
+  { name: 'respawnDelay', label: 'Respawn after', unit: 's', scale: 1000, modes: RESPAWN_MODES },
+  { name: 'spawnProtection', label: 'Spawn protection', unit: 's', scale: 1000, modes: RESPAWN_MODES },
+  { name: 'shrinkInterval', label: 'Shrink every', unit: 's', scale: 1000 },
+  { name: 'shrinkAmount', label: 'Shrink by', unit: 'u' },
+  { name: 'minRadius', label: 'Minimum radius', unit: 'u' },
+  { name: 'countdownDuration', label: 'Countdown', unit: 's' },
+  { name: 'outOfBoundsLimit', label: 'Out of bounds limit', unit: 's' },
+  { name: 'attributionWindow', label: 'Push credit window', unit: 's', scale: 1000 },
+  { name: 'eliminationPoints', label: 'Points per elimination', unit: 'pts' },
+  { name: 'survivalPoints', label: 'Points per second alive', unit: 'pts' },
+  { name: 'outOfBoundsPenalty', label: 'Penalty per second out', unit: 'pts' },
+  { name: 'hazardBumpers', label: 'Bumpers' },
+  { name: 'hazardSweeper', label: 'Sweeper arm' },
+  { name: 'hazardWells', label: 'Gravity wells' },
+  { name: 'powerUps', label: 'Power-ups' },
+  { name: 'powerUpInterval', label: 'Power-up every', unit: 's', scale: 1000, requires: 'powerUps' },
+  { name: 'powerUpMax', label: 'Most power-ups at once', requires: 'powerUps' },
+  { name: 'powerUpHeavy', label: 'Heavy spawn weight', requires: 'powerUps' },
+  { name: 'powerUpGiant', label: 'Giant spawn weight', requires: 'powerUps' },
+  { name: 'powerUpSpeed', label: 'Speed spawn weight', requires: 'powerUps' },
+  { name: 'powerUpBoost', label: 'Boost refill spawn weight', requires: 'powerUps' },
+  { name: 'powerUpShield', label: 'Shield spawn weight', requires: 'powerUps' },
+  { name: 'powerUpShockwave', label: 'Shockwave spawn weight', requires: 'powerUps' },
+];
+
+/**
+ * Convert a rule value to its display value
+ * @param {Object} field - Entry from RULE_FIELDS
+ * @param {number} value - Rule value as stored on the server
+ * @returns {number} Display value
+ */
+function toDisplay(field, value) {
+  return value / (field.scale || 1);
+}
+
+/**
+ * Format a rule value for read-only display
+ * @param {Object} field - Entry from RULE_FIELDS
+ * @param {*} value - Rule value as stored on the server
+ * @returns {string|number}
+ */
+function formatValue(field, value) {
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  if (typeof value === 'string') return OPTION_LABELS[value] || value;
+  return toDisplay(field, value);
+}
+
+/**
+ * MatchRulesPanel - Lobby panel listing the match rules
+ * The host can edit each rule; changes are sent on blur/Enter and the server
+ * validates them against the limits it sent in `joined`. Option and on/off rules
+ * are sent as soon as they change.
+ *
+ * @param {Object} props
+ * @param {Object} props.rules - Current rules from the server
+ * @param {Object} props.ruleLimits - { [name]: { min, max, integer } | { options } | { type: 'boolean' } } from the server
+ * @param {boolean} props.isHost - Whether the local player may edit
+ * @param {Function} props.onUpdateRules - Called with { [name]: value } changes
+ * @param {string|null} props.rulesError - Last rejection message from the server
+ */
+export default function MatchRulesPanel({ rules, ruleLimits, isHost, onUpdateRules, rulesError }) {
+  const [drafts, setDrafts] = useState({});
+
+  // Drop local edits once the server confirms (or replaces) the rules
+  useEffect(() => {
+    setDrafts({});
+  }, [rules]);
+
+  if (!rules) return null;
+
+  const commit = (field) => {
+    const draft = drafts[field.name];
+    if (draft === undefined) return;
+
+    const value = Number(draft) * (field.scale || 1);
+    if (draft === '' || !Number.isFinite(value) || value === rules[field.name]) {
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[field.name];
+        return next;
+      });
+      return;
+    }
+    onUpdateRules({ [field.name]: value });
+  };
+
+  const renderEditor = (field, limits) => {
+    if (limits?.options) {
+      return (
+        <select
+          value={rules[field.name]}
+          onChange={(e) => onUpdateRules({ [field.name]: e.target.value })}
+          className="px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white focus:border-neon-magenta focus:outline-none"
+        >
+          {limits.options.map((option) => (
+            <option key={option} value={option}>{OPTION_LABELS[option] || option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (limits?.type === 'boolean') {
+      return (
+        <input
+          type="checkbox"
+          checked={rules[field.name]}
+          onChange={(e) => onUpdateRules({ [field.name]: e.target.checked })}
+          className="accent-neon-magenta"
+        />
+      );
+    }
+
+    return (
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          value={drafts[field.name] ?? toDisplay(field, rules[field.name])}
+          min={limits ? toDisplay(field, limits.min) : undefined}
+          max={limits ? toDisplay(field, limits.max) : undefined}
+          step={limits?.integer ? 1 : 'any'}
+          onChange={(e) => setDrafts((prev) => ({ ...prev, [field.name]: e.target.value }))}
+          onBlur={() => commit(field)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') e.currentTarget.blur();
+          }}
+          className="w-16 px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white text-right focus:border-neon-magenta focus:outline-none"
+        />
+        <span className="text-gray-500 w-6">{field.unit}</span>
+      </span>
+    );
+  };
+
+  const visibleFields = RULE_FIELDS.filter(
+    (field) => (!field.modes || field.modes.includes(rules.mode)) && (!field.requires || rules[field.requires])
+  );
+
+  return (
+    <div className="relative bg-space-dark/95 border-2 border-neon-magenta/50 rounded-xl p-4 w-[260px] backdrop-blur-sm">
+      <h2 className="text-neon-magenta font-bold text-sm tracking-wide mb-3 pb-2 border-b border-neon-magenta/30">
+        MATCH RULES
+      </h2>
+
+      <ul className="space-y-1.5">
+        {visibleFields.map((field) => (
+          <li key={field.name} className="flex items-center justify-between gap-2 text-xs">
+            <span className="text-gray-400">{field.label}</span>
+            {isHost ? (
+              renderEditor(field, ruleLimits?.[field.name])
+            ) : (
+              <span className="text-white font-mono">
+                {formatValue(field, rules[field.name])} {field.unit && <span className="text-gray-500">{field.unit}</span>}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isHost && rulesError && (
+        <p className="text-red-400 text-xs mt-3">{rulesError}</p>
+      )}
+    </div>
+  );
+}
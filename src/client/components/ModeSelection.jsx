@@ -1,9 +1,19 @@
 import { useState } from 'react';
+import { AI_DIFFICULTIES, ADAPTIVE_AI_DIFFICULTY, getDifficultyInfo } from '../../shared/ai.js';
+
+const DIFFICULTY_OPTIONS = [...Object.keys(AI_DIFFICULTIES), ADAPTIVE_AI_DIFFICULTY];
 
 /**
- * ModeSelection - Choose between single-player and multiplayer modes
+ * ModeSelection - Choose between single-player and multiplayer modes, or open the map editor
+ * Also picks the single-player difficulty - the level every opponent starts at
+ * on the setup screen.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSelectMode - Called with 'single', 'multi' or 'editor'
+ * @param {string} props.difficulty - Single-player difficulty (key of AI_DIFFICULTIES or 'adaptive')
+ * @param {Function} props.onDifficultyChange - Called with the newly picked difficulty
  */
-export default function ModeSelection({ onSelectMode }) {
+export default function ModeSelection({ onSelectMode, difficulty, onDifficultyChange }) {
   const [hoveredMode, setHoveredMode] = useState(null);
 
   return (
@@ -125,6 +135,35 @@ export default function ModeSelection({ onSelectMode }) {
             </button>
           </div>
 
+          {/* Single-player difficulty */}
+          <div className="mt-4 md:mt-8">
+            <div className="flex flex-wrap items-center justify-center gap-2">
+              <span className="text-gray-400 text-sm mr-1">AI Difficulty</span>
+              {DIFFICULTY_OPTIONS.map((key) => (
+                <button
+                  key={key}
+                  onClick={() => onDifficultyChange(key)}
+                  className={`px-3 py-1.5 rounded-lg border-2 text-sm font-semibold transition-colors touch-manipulation ${
+                    difficulty === key
+                      ? 'border-cyan-400 text-cyan-300 bg-cyan-500/10'
+                      : 'border-gray-700 text-gray-400 hover:border-gray-500 hover:text-gray-200'
+                  }`}
+                >
+                  {getDifficultyInfo(key).label}
+                </button>
+              ))}
+            </div>
+            <p className="mt-2 text-gray-500 text-xs md:text-sm">{getDifficultyInfo(difficulty).style}</p>
+          </div>
+
+          {/* Map editor */}
+          <button
+            onClick={() => onSelectMode('editor')}
+            className="mt-4 md:mt-8 px-6 py-3 rounded-xl border-2 border-gray-700 bg-gray-900 text-gray-300 hover:border-pink-400 hover:text-pink-300 transition-colors touch-manipulation"
+          >
+            🛠️ Map Editor
+          </button>
+
           {/* Footer hint */}
           <div className="mt-6 md:mt-12 text-gray-500 text-xs md:text-sm pb-4">
             Push opponents off the platform to win!
@@ -1,18 +1,34 @@
-import { useRef } from 'react';
+import { useRef, useEffect, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import Player from './Player';
 import FlameTrail from './FlameTrail';
 import PlayerTrail from './PlayerTrail';
+import { usePhysics } from './PhysicsProvider';
 import usePhysicsBody from '../hooks/usePhysicsBody';
-import { MOVEMENT, BOOST, PHYSICS } from '../utils/constants';
+import { PHYSICS, NETWORK, getEffectModifiers } from '../utils/constants';
+import {
+  SIMULATION,
+  IDLE_INPUT_FRAME,
+  createMovementState,
+  applyInputFrame,
+  replayInputFrames,
+} from '../../shared/simulation.js';
 
 /**
  * PhysicsPlayer - A player with physics-based movement and collision
  * For local player: handles keyboard input and applies forces
  * For remote players: syncs position from physics simulation
  *
+ * Movement itself is the shared simulation (shared/simulation.js, the same code
+ * the server runs): each frame only reads the controls into an input frame, and
+ * PhysicsProvider's fixed ticks apply it.
+ *
+ * In multiplayer the local player is predicted: every input sent to the server
+ * is tagged with a sequence number and kept until the server acknowledges it.
+ * When a snapshot arrives, the body is rewound to the server state and the
+ * unacknowledged inputs are replayed; any remaining visual jump is smoothed out.
+ *
  * @param {Object} props
  * @param {string} props.id - Unique player ID
  * @param {string} props.name - Display name
@@ -20,11 +36,15 @@ import { MOVEMENT, BOOST, PHYSICS } from '../utils/constants';
  * @param {[number, number, number]} props.initialPosition - Starting position
  * @param {boolean} props.isLocal - Whether this is the controllable player
  * @param {Object} props.keysRef - Keyboard input ref (local player only)
+ * @param {Object} props.intentRef - World-space input intent ref, used instead of keysRef (computer players)
  * @param {Object} props.boostState - Boost state object (local player only)
  * @param {Function} props.onBoostTriggered - Callback when boost triggers
- * @param {Function} props.onPositionUpdate - Callback to send position to server (local player only)
+ * @param {Function} props.onPositionUpdate - Callback with simulated position/velocity (local player only)
+ * @param {Function} props.onInputUpdate - Called with input intent { direction, boost, anchor }; returns the sequence number if it was sent to the server (local player only)
+ * @param {Object} props.serverStateRef - Ref to latest authoritative { position, velocity, lastInputSeq, timestamp } from the server (local player only)
  * @param {boolean} props.isEliminated - Whether player is eliminated
  * @param {boolean} props.canMove - Whether player can move (false during lobby/countdown)
+ * @param {Object} props.effects - Active power-up effects: type -> expiry timestamp
  */
 export default function PhysicsPlayer({
   id,
@@ -33,167 +53,245 @@ export default function PhysicsPlayer({
   initialPosition = [0, 1, 0],
   isLocal = false,
   keysRef,
+  intentRef,
   boostState,
   onBoostTriggered,
   onPositionUpdate,
+  onInputUpdate,
+  serverStateRef,
   isEliminated = false,
   canMove = true,
   playerScale = 1.0,
+  effects,
 }) {
   const groupRef = useRef();
-  const prevBoostKeyRef = useRef(false);
-  const lastDirectionRef = useRef({ x: 0, z: -1 });
   const velocityRef = useRef({ x: 0, y: 0, z: 0 });
 
+  // Simulation state: movement carried between ticks, the input frame ticks apply, and whether they apply it
+  const movementRef = useRef(createMovementState());
+  const inputRef = useRef(IDLE_INPUT_FRAME);
+  const isDrivenRef = useRef(false);
+
+  // Prediction state: inputs awaiting server acknowledgement and visual correction offset
+  const pendingInputsRef = useRef([]); // [{ seq, intent, sentAt, boostImpulse }]
+  const lastServerTimestampRef = useRef(null);
+  const smoothingOffsetRef = useRef({ x: 0, y: 0, z: 0 });
+
+  const { onTick, replayBody } = usePhysics();
+
   // Create physics body for this player
   const {
     bodyRef,
     positionRef,
     syncFromPhysics,
-    applyForce,
-    applyImpulse,
+    setPosition,
+    setVelocity,
     getVelocity,
   } = usePhysicsBody(id, initialPosition, isLocal);
 
-  // Update physics and visuals each frame
+  // Power-up modifiers - mass and size go on the body, speed is applied per frame
+  const modifiers = useMemo(() => getEffectModifiers(effects), [effects]);
+  const modifiersRef = useRef(modifiers);
+  modifiersRef.current = modifiers;
+
+  useEffect(() => {
+    const body = bodyRef.current;
+    if (!body) return;
+    const shape = body.shapes[0];
+    shape.radius = PHYSICS.PLAYER_RADIUS * modifiers.radiusMultiplier;
+    shape.updateBoundingSphereRadius();
+    body.updateBoundingRadius();
+    body.mass = PHYSICS.PLAYER_MASS * modifiers.massMultiplier;
+    body.updateMassProperties();
+  }, [bodyRef, modifiers.radiusMultiplier, modifiers.massMultiplier]);
+
+  // Latest boost callbacks for the tick handler
+  const boostCallbacksRef = useRef({ boostState, onBoostTriggered });
+  boostCallbacksRef.current = { boostState, onBoostTriggered };
+
+  // Apply the current input frame on every fixed tick
+  useEffect(() => {
+    if (!isLocal) return undefined;
+    return onTick((simTime) => {
+      const body = bodyRef.current;
+      if (!body || !isDrivenRef.current) return;
+
+      const impulse = applyInputFrame(body, movementRef.current, inputRef.current, modifiersRef.current, simTime);
+      if (!impulse) return;
+
+      // Boost fired - show the cooldown, and make replays of this input include the impulse
+      const callbacks = boostCallbacksRef.current;
+      callbacks.boostState?.triggerBoost();
+      const latestInput = pendingInputsRef.current[pendingInputsRef.current.length - 1];
+      if (latestInput && !latestInput.boostImpulse) {
+        latestInput.boostImpulse = impulse;
+      }
+      if (callbacks.onBoostTriggered) callbacks.onBoostTriggered();
+    });
+  }, [isLocal, onTick, bodyRef]);
+
+  // The cooldown display is what the player sees - if it ends early (boost power-up), so does the simulation's
+  const isBoostShownReady = boostState?.canBoost;
+  useEffect(() => {
+    if (isBoostShownReady) movementRef.current.boostReadyAt = 0;
+  }, [isBoostShownReady]);
+
+  /**
+   * Rewind to the server's state and replay inputs it hasn't processed yet
+   * The replay runs on a stand-in body in PhysicsProvider's scratch world, so
+   * hazards, tiles and other players aren't stepped again and no contacts re-fire.
+   * @param {Object} serverState - { position, velocity, lastInputSeq }
+   */
+  const reconcile = (serverState) => {
+    const body = bodyRef.current;
+    if (!body) return;
+
+    // Drop inputs the server has already applied
+    const pending = pendingInputsRef.current.filter((entry) => entry.seq > serverState.lastInputSeq);
+    pendingInputsRef.current = pending;
+
+    let replayed = null;
+    replayBody(body, (replay, step) => {
+      // Rewind to the authoritative state
+      replay.position.set(serverState.position.x, serverState.position.y, serverState.position.z);
+      replay.velocity.set(serverState.velocity.x, serverState.velocity.y, serverState.velocity.z);
+
+      // Replay each unacknowledged input for as long as it was held, through the shared simulation
+      const now = Date.now();
+      let ticksRemaining = NETWORK.MAX_REPLAY_STEPS;
+      const frames = pending.map((entry, index) => {
+        const endTime = index + 1 < pending.length ? pending[index + 1].sentAt : now;
+        const ticks = Math.min(Math.round((endTime - entry.sentAt) / 1000 / SIMULATION.TIMESTEP), ticksRemaining);
+        ticksRemaining -= ticks;
+        return { input: entry.intent, ticks, boostImpulse: entry.boostImpulse };
+      });
+      replayInputFrames(replay, movementRef.current, frames, { step, modifiers: modifiersRef.current });
+
+      replayed = {
+        position: { x: replay.position.x, y: replay.position.y, z: replay.position.z },
+        velocity: { x: replay.velocity.x, y: replay.velocity.y, z: replay.velocity.z },
+        mass: replay.mass,
+      };
+    });
+
+    const errorX = replayed.position.x - body.position.x;
+    const errorY = replayed.position.y - body.position.y;
+    const errorZ = replayed.position.z - body.position.z;
+    const error = Math.sqrt(errorX * errorX + errorY * errorY + errorZ * errorZ);
+
+    // Prediction was right - keep it untouched to avoid jitter
+    if (error < NETWORK.RECONCILE_EPSILON) return;
+
+    setPosition(replayed.position.x, replayed.position.y, replayed.position.z);
+    setVelocity(replayed.velocity.x, replayed.velocity.y, replayed.velocity.z);
+    body.mass = replayed.mass;
+
+    if (error < NETWORK.SNAP_DISTANCE) {
+      // Hide the correction: render from the old spot and ease into the new one
+      smoothingOffsetRef.current.x -= errorX;
+      smoothingOffsetRef.current.y -= errorY;
+      smoothingOffsetRef.current.z -= errorZ;
+    } else {
+      smoothingOffsetRef.current = { x: 0, y: 0, z: 0 };
+    }
+  };
+
+  // Read input and update visuals each frame
   useFrame((state, delta) => {
+    isDrivenRef.current = Boolean(!isEliminated && isLocal && canMove && (keysRef?.current || intentRef?.current));
     if (isEliminated) return;
 
-    // Time scale for frame-rate independent physics forces
-    const timeScale = Math.min(delta, 0.1) * 60;
-
     // For local player: handle input (only when canMove is true)
-    if (isLocal && canMove && keysRef?.current) {
-      const keys = keysRef.current;
+    if (isDrivenRef.current) {
       const body = bodyRef.current;
 
       if (!body) return;
 
-      // Get camera for screen-space movement
-      const camera = state.camera;
-      
-      // Calculate screen-space directions
-      const cameraForward = new THREE.Vector3();
-      camera.getWorldDirection(cameraForward);
-      cameraForward.y = 0;
-      cameraForward.normalize();
-      
-      const cameraRight = new THREE.Vector3();
-      cameraRight.crossVectors(cameraForward, new THREE.Vector3(0, 1, 0));
-      cameraRight.normalize();
-      
-      // Handle anchor mode (Enter key)
-      if (keys.anchor) {
-        body.mass = 100;
-        body.velocity.x *= 0.5;
-        body.velocity.z *= 0.5;
-      } else {
-        body.mass = 1;
-      }
-      
-      // Calculate movement with acceleration
-      let forceX = 0;
-      let forceZ = 0;
-      
-      const baseForce = MOVEMENT.PHYSICS_ACCELERATION;
-      const currentVel = body.velocity;
-      const currentSpeed = Math.sqrt(currentVel.x * currentVel.x + currentVel.z * currentVel.z);
-      
-      // Acceleration multiplier (speeds up over time)
-      const accelMultiplier = Math.min(1 + currentSpeed * 0.5, 3.0);
-      const movementForce = baseForce * accelMultiplier;
-      
-      // Boost multiplier
-      const boostMultiplier = keys.boost ? 3.0 : 1.0;
-      const finalForce = movementForce * boostMultiplier;
-      
-      // Apply forces in screen space
-      if (keys.up) {
-        forceX += cameraForward.x * finalForce;
-        forceZ += cameraForward.z * finalForce;
-      }
-      if (keys.down) {
-        forceX -= cameraForward.x * finalForce;
-        forceZ -= cameraForward.z * finalForce;
-      }
-      if (keys.left) {
-        forceX -= cameraRight.x * finalForce;
-        forceZ -= cameraRight.z * finalForce;
-      }
-      if (keys.right) {
-        forceX += cameraRight.x * finalForce;
-        forceZ += cameraRight.z * finalForce;
-      }
+      let intent = intentRef?.current;
+      if (!intent) {
+        const keys = keysRef.current;
 
-      // Normalize diagonal movement
-      if (forceX !== 0 && forceZ !== 0) {
-        const magnitude = Math.sqrt(forceX * forceX + forceZ * forceZ);
-        forceX = (forceX / magnitude) * movementForce;
-        forceZ = (forceZ / magnitude) * movementForce;
-      }
+        // Get camera for screen-space movement
+        const camera = state.camera;
 
-      // Track movement direction for boost
-      if (forceX !== 0 || forceZ !== 0) {
-        const dirMagnitude = Math.sqrt(forceX * forceX + forceZ * forceZ);
-        lastDirectionRef.current.x = forceX / dirMagnitude;
-        lastDirectionRef.current.z = forceZ / dirMagnitude;
-      } else {
-        const velocity = getVelocity();
-        const velMagnitude = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
-        if (velMagnitude > 0.01) {
-          lastDirectionRef.current.x = velocity.x / velMagnitude;
-          lastDirectionRef.current.z = velocity.z / velMagnitude;
-        }
-      }
-
-      // Apply movement force
-      if (forceX !== 0 || forceZ !== 0) {
-        applyForce(forceX * timeScale, 0, forceZ * timeScale);
-      }
+        // Calculate screen-space directions
+        const cameraForward = new THREE.Vector3();
+        camera.getWorldDirection(cameraForward);
+        cameraForward.y = 0;
+        cameraForward.normalize();
 
-      // Clamp velocity to max speed
-      const velocity = getVelocity();
-      const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
-      const isCurrentlyBoosted = boostState?.isBoostActive || false;
-      const maxSpeed = isCurrentlyBoosted ? BOOST.PHYSICS_MAX_BOOSTED_SPEED : MOVEMENT.PHYSICS_MAX_SPEED;
+        const cameraRight = new THREE.Vector3();
+        cameraRight.crossVectors(cameraForward, new THREE.Vector3(0, 1, 0));
+        cameraRight.normalize();
 
-      if (speed > maxSpeed && body) {
-        const scale = maxSpeed / speed;
-        body.velocity.x *= scale;
-        body.velocity.z *= scale;
+        // Combine held keys into a world-space direction
+        let dirX = 0;
+        let dirZ = 0;
+        if (keys.up) {
+          dirX += cameraForward.x;
+          dirZ += cameraForward.z;
+        }
+        if (keys.down) {
+          dirX -= cameraForward.x;
+          dirZ -= cameraForward.z;
+        }
+        if (keys.left) {
+          dirX -= cameraRight.x;
+          dirZ -= cameraRight.z;
+        }
+        if (keys.right) {
+          dirX += cameraRight.x;
+          dirZ += cameraRight.z;
+        }
+        const dirMagnitude = Math.sqrt(dirX * dirX + dirZ * dirZ);
+        intent = {
+          direction: dirMagnitude > 0.001
+            ? { x: dirX / dirMagnitude, z: dirZ / dirMagnitude }
+            : { x: 0, z: 0 },
+          boost: Boolean(keys.boost),
+          anchor: Boolean(keys.anchor),
+        };
       }
 
-      // Handle boost trigger (rising edge detection)
-      const boostKeyDown = keys.boost;
-      if (boostKeyDown && !prevBoostKeyRef.current && boostState) {
-        const success = boostState.triggerBoost();
-        if (success) {
-          const direction = lastDirectionRef.current;
-          applyImpulse(
-            direction.x * BOOST.PHYSICS_IMPULSE_STRENGTH,
-            0,
-            direction.z * BOOST.PHYSICS_IMPULSE_STRENGTH
-          );
-          if (onBoostTriggered) onBoostTriggered();
+      // The next ticks apply this
+      inputRef.current = intent;
+
+      // Report input intent for the server simulation; remember it until acknowledged
+      if (onInputUpdate) {
+        const seq = onInputUpdate(intent);
+        if (seq != null && serverStateRef) {
+          pendingInputsRef.current.push({ seq, intent, sentAt: Date.now(), boostImpulse: null });
+          if (pendingInputsRef.current.length > NETWORK.MAX_PENDING_INPUTS) {
+            pendingInputsRef.current.shift();
+          }
         }
       }
-      prevBoostKeyRef.current = boostKeyDown;
 
-      // Keep player above platform (prevent falling through)
-      if (body.position.y < 0.5) {
-        body.position.y = 0.5;
-        if (body.velocity.y < 0) {
-          body.velocity.y = 0;
-        }
+      // Reconcile against each new authoritative snapshot
+      const serverState = serverStateRef?.current;
+      if (serverState && serverState.timestamp !== lastServerTimestampRef.current) {
+        lastServerTimestampRef.current = serverState.timestamp;
+        reconcile(serverState);
+      } else if (serverStateRef && !serverState) {
+        // Match was reset - nothing left to reconcile against
+        pendingInputsRef.current = [];
+        lastServerTimestampRef.current = null;
       }
     }
 
+    // Decay the visual correction offset left by reconciliation
+    const offset = smoothingOffsetRef.current;
+    const decay = Math.exp(-NETWORK.SMOOTHING_RATE * Math.min(delta, 0.1));
+    offset.x *= decay;
+    offset.y *= decay;
+    offset.z *= decay;
+
     // Sync visual position from physics
     const pos = syncFromPhysics();
     if (groupRef.current) {
-      groupRef.current.position.x = pos.x;
-      groupRef.current.position.y = pos.y;
-      groupRef.current.position.z = pos.z;
+      groupRef.current.position.x = pos.x + offset.x;
+      groupRef.current.position.y = pos.y + offset.y;
+      groupRef.current.position.z = pos.z + offset.z;
     }
 
     // Update velocity ref for trail effect
@@ -202,7 +300,7 @@ export default function PhysicsPlayer({
     velocityRef.current.y = velocity.y;
     velocityRef.current.z = velocity.z;
 
-    // Send position update to server for local player
+    // Report simulated position for local player
     if (isLocal && onPositionUpdate) {
       onPositionUpdate(
         { x: pos.x, y: pos.y, z: pos.z },
@@ -228,6 +326,7 @@ export default function PhysicsPlayer({
         isLocal={isLocal}
         isEliminated={isEliminated}
         playerScale={playerScale}
+        effects={effects}
       />
       {/* Particle trail on movement */}
       {isLocal && canMove && (
@@ -240,7 +339,7 @@ export default function PhysicsPlayer({
       {isLocal && boostState && (
         <FlameTrail
           isActive={boostState.isBoostActive}
-          direction={lastDirectionRef.current}
+          direction={movementRef.current.lastDirection}
           color={playerColor}
         />
       )}
@@ -2,6 +2,8 @@ import { createContext, useContext, useRef, useEffect, useMemo, useState, useCal
 import { useFrame } from '@react-three/fiber';
 import * as CANNON from 'cannon-es';
 import { PHYSICS, PLATFORM } from '../utils/constants';
+import { DEFAULT_ARENA, getArenaPieces, createArenaBody } from '../../shared/arena.js';
+import { SIMULATION, createTickClock } from '../../shared/simulation.js';
 
 // Context for physics world access
 const PhysicsContext = createContext(null);
@@ -12,7 +14,7 @@ let platformMaterial = null;
 
 /**
  * Hook to access the physics world and utilities
- * @returns {{ world: CANNON.World, addBody: Function, removeBody: Function, bodies: Map }}
+ * @returns {{ world: CANNON.World, addBody: Function, removeBody: Function, onTick: Function, replayBody: Function, getSimTime: Function, isReplaying: Function, bodies: Map }}
  */
 export function usePhysics() {
   const context = useContext(PhysicsContext);
@@ -31,15 +33,83 @@ export function getPlayerMaterial() {
   return playerMaterial;
 }
 
+/**
+ * Get the platform material instance for creating floor bodies (crumbling tiles)
+ * @returns {CANNON.Material|null} The platform material instance
+ */
+export function getPlatformMaterial() {
+  return platformMaterial;
+}
+
+/**
+ * Build the static platform body for an arena layout (same builder as the server)
+ * @param {string} arena - Arena layout key
+ * @param {number} radius - Platform radius
+ * @returns {CANNON.Body}
+ */
+function createPlatformBody(arena, radius) {
+  return createArenaBody(getArenaPieces(arena, radius), PLATFORM.HEIGHT, { material: platformMaterial });
+}
+
+/**
+ * Build the scratch world that reconciliation replays run in
+ * Same gravity, materials and platform as the scene but nothing else - no
+ * hazards, tiles or other players, and no contact listeners - so replaying
+ * the local player can't step the scene or report hits that never happened.
+ * Crumbling tiles are stood in for by the solid platform at the same height.
+ * @param {string} arena - Arena layout key
+ * @param {number} radius - Platform radius
+ * @returns {{ world: CANNON.World, platformBody: CANNON.Body, body: CANNON.Body }}
+ */
+function createReplayWorld(arena, radius) {
+  const world = new CANNON.World();
+  world.gravity.set(0, PHYSICS.GRAVITY, 0);
+  world.broadphase = new CANNON.NaiveBroadphase();
+  world.solver.iterations = 10;
+  world.addContactMaterial(new CANNON.ContactMaterial(playerMaterial, platformMaterial, {
+    friction: PHYSICS.PLATFORM_FRICTION,
+    restitution: 0.3,
+  }));
+
+  const platformBody = createPlatformBody(arena, radius);
+  world.addBody(platformBody);
+
+  // Stand-in for the replayed player, copied from the real body before every replay
+  const body = new CANNON.Body({
+    mass: PHYSICS.PLAYER_MASS,
+    shape: new CANNON.Sphere(PHYSICS.PLAYER_RADIUS),
+    material: playerMaterial,
+    type: CANNON.Body.DYNAMIC,
+  });
+  body.allowSleep = false;
+  world.addBody(body);
+
+  return { world, platformBody, body };
+}
+
 /**
  * PhysicsProvider - Initializes and manages the Cannon-es physics world
  * Provides world access to child components via context
+ *
+ * The world advances in whole fixed ticks (shared/simulation.js), never by the
+ * frame's delta: each tick runs every handler registered with onTick - players
+ * apply their input there - then steps the world once.
  */
-export default function PhysicsProvider({ children, onCollision, platformRadius = PLATFORM.INITIAL_RADIUS }) {
+export default function PhysicsProvider({
+  children,
+  onCollision,
+  platformRadius = PLATFORM.INITIAL_RADIUS,
+  arena = DEFAULT_ARENA,
+  tiled = false, // Crumbling tiles bring their own bodies - leave the solid platform out
+}) {
   const worldRef = useRef(null);
   const bodiesRef = useRef(new Map()); // Map of id -> { body, type }
+  const tickHandlersRef = useRef(new Set()); // Called with the simulated time (ms) at the start of each tick
+  const clockRef = useRef(createTickClock({ maxTicks: PHYSICS.MAX_SUBSTEPS }));
   const platformBodyRef = useRef(null);
-  const currentPlatformRadiusRef = useRef(PLATFORM.INITIAL_RADIUS);
+  const replayRef = useRef(null); // Scratch world for reconciliation replays (see createReplayWorld)
+  const isReplayingRef = useRef(false);
+  const currentPlatformRef = useRef({ radius: platformRadius, arena, tiled });
   const [worldReady, setWorldReady] = useState(false);
   
   // Store onCollision in a ref so the world setup effect doesn't re-run when it changes
@@ -88,29 +158,17 @@ export default function PhysicsProvider({ children, onCollision, platformRadius
     );
     world.addContactMaterial(playerPlayerContactMaterial);
 
-    // Create static platform body (hexagonal approximated as cylinder)
-    const platformShape = new CANNON.Cylinder(
-      PLATFORM.INITIAL_RADIUS,
-      PLATFORM.INITIAL_RADIUS,
-      PLATFORM.HEIGHT,
-      6
-    );
-
-    const platformBody = new CANNON.Body({
-      mass: 0,
-      shape: platformShape,
-      position: new CANNON.Vec3(0, -PLATFORM.HEIGHT / 2, 0),
-      material: platformMaterial,
-    });
-
-    // Rotate to align with visual hexagon
-    const quat = new CANNON.Quaternion();
-    quat.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-    platformBody.quaternion.copy(quat);
+    // Create static platform body from the arena layout (must match server)
+    const { radius, arena: layout, tiled: isTiled } = currentPlatformRef.current;
+    const platformBody = createPlatformBody(layout, radius);
 
-    world.addBody(platformBody);
     platformBodyRef.current = platformBody;
-    bodiesRef.current.set('platform', { body: platformBody, type: 'platform' });
+    if (!isTiled) {
+      world.addBody(platformBody);
+      bodiesRef.current.set('platform', { body: platformBody, type: 'platform' });
+    }
+
+    replayRef.current = createReplayWorld(layout, radius);
 
     // Set up collision detection - use ref to get current callback
     world.addEventListener('beginContact', (event) => {
@@ -151,49 +209,42 @@ export default function PhysicsProvider({ children, onCollision, platformRadius
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // NO DEPENDENCIES - world is created once and never recreated
 
-  // Update platform physics body when radius changes
+  // Update platform physics body when the radius or layout changes, or tiles replace it
   useEffect(() => {
     if (!worldRef.current || !platformBodyRef.current) return;
-    if (Math.abs(currentPlatformRadiusRef.current - platformRadius) < 0.01) return;
+    const current = currentPlatformRef.current;
+    if (Math.abs(current.radius - platformRadius) < 0.01 && current.arena === arena && current.tiled === tiled) return;
 
     // Remove old platform body
     const oldBody = platformBodyRef.current;
     worldRef.current.removeBody(oldBody);
     bodiesRef.current.delete('platform');
 
-    // Create new platform body with updated radius
-    const platformShape = new CANNON.Cylinder(
-      platformRadius,
-      platformRadius,
-      PLATFORM.HEIGHT,
-      6
-    );
-
-    const newPlatformBody = new CANNON.Body({
-      mass: 0,
-      shape: platformShape,
-      position: new CANNON.Vec3(0, -PLATFORM.HEIGHT / 2, 0),
-      material: platformMaterial,
-    });
+    // Create new platform body with the updated radius and layout
+    const newPlatformBody = createPlatformBody(arena, platformRadius);
 
-    // Rotate to align with visual hexagon
-    const quat = new CANNON.Quaternion();
-    quat.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-    newPlatformBody.quaternion.copy(quat);
-
-    worldRef.current.addBody(newPlatformBody);
     platformBodyRef.current = newPlatformBody;
-    bodiesRef.current.set('platform', { body: newPlatformBody, type: 'platform' });
-    currentPlatformRadiusRef.current = platformRadius;
-  }, [platformRadius]);
+    if (!tiled) {
+      worldRef.current.addBody(newPlatformBody);
+      bodiesRef.current.set('platform', { body: newPlatformBody, type: 'platform' });
+    }
+    currentPlatformRef.current = { radius: platformRadius, arena, tiled };
 
-  // Step physics each frame
+    // Replays stand on the same platform
+    const replay = replayRef.current;
+    replay.world.removeBody(replay.platformBody);
+    replay.platformBody = createPlatformBody(arena, platformRadius);
+    replay.world.addBody(replay.platformBody);
+  }, [platformRadius, arena, tiled]);
+
+  // Run the fixed ticks this frame's time adds up to (capped, so there's no huge jump after the tab was inactive)
   useFrame((state, delta) => {
-    if (worldRef.current) {
-      // Cap delta to prevent huge jumps after tab inactive
-      const cappedDelta = Math.min(delta, 0.1);
-      worldRef.current.step(PHYSICS.TIMESTEP, cappedDelta, PHYSICS.MAX_SUBSTEPS);
-    }
+    const world = worldRef.current;
+    if (!world) return;
+    clockRef.current.advance(delta, (simTime) => {
+      tickHandlersRef.current.forEach((handler) => handler(simTime));
+      world.step(SIMULATION.TIMESTEP);
+    });
   });
 
   // Functions to add/remove bodies - use useCallback for stable references
@@ -228,15 +279,67 @@ export default function PhysicsProvider({ children, onCollision, platformRadius
     return entry ? entry.body : null;
   }, []);
 
+  /**
+   * Replay a player body on its own, away from the scene
+   * The stand-in starts as a copy of the body; run moves it, calling step to
+   * advance the scratch world one tick. The scene world is never touched -
+   * copy what you need back from the stand-in afterwards.
+   * @param {CANNON.Body} source - Player body to copy
+   * @param {Function} run - Called with (body, step)
+   */
+  const replayBody = useCallback((source, run) => {
+    const { world, body } = replayRef.current;
+
+    const shape = body.shapes[0];
+    shape.radius = source.shapes[0].radius;
+    shape.updateBoundingSphereRadius();
+    body.updateBoundingRadius();
+    body.mass = source.mass;
+    body.invMass = source.invMass;
+    body.inertia.copy(source.inertia);
+    body.invInertia.copy(source.invInertia);
+    body.linearDamping = source.linearDamping;
+    body.angularDamping = source.angularDamping;
+    body.position.copy(source.position);
+    body.quaternion.copy(source.quaternion);
+    body.velocity.copy(source.velocity);
+    body.angularVelocity.copy(source.angularVelocity);
+    body.force.set(0, 0, 0);
+    body.torque.set(0, 0, 0);
+
+    isReplayingRef.current = true;
+    try {
+      run(body, () => world.step(SIMULATION.TIMESTEP));
+    } finally {
+      isReplayingRef.current = false;
+    }
+  }, []);
+
+  // Simulated time in ms from the tick clock (during a tick: the time it started, like the server)
+  const getSimTime = useCallback(() => clockRef.current.getTime(), []);
+
+  // Whether a reconciliation replay is running
+  const isReplaying = useCallback(() => isReplayingRef.current, []);
+
+  // Run a handler at the start of every tick, before the world steps; returns the unsubscribe function
+  const onTick = useCallback((handler) => {
+    tickHandlersRef.current.add(handler);
+    return () => tickHandlersRef.current.delete(handler);
+  }, []);
+
   // Context value
   const contextValue = useMemo(() => ({
     world: worldRef.current,
     addBody,
     removeBody,
     getBody,
+    onTick,
+    replayBody,
+    getSimTime,
+    isReplaying,
     bodies: bodiesRef.current,
     platformBody: platformBodyRef.current,
-  }), [worldReady, addBody, removeBody, getBody]);
+  }), [worldReady, addBody, removeBody, getBody, onTick, replayBody, getSimTime, isReplaying]);
 
   return (
     <PhysicsContext.Provider value={contextValue}>
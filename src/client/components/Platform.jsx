@@ -1,7 +1,10 @@
 import { useRef, useMemo, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { PLATFORM } from '../utils/constants';
+import { DEFAULT_ARENA, getArenaPieces, getArenaEdges, getPieceOutline } from '../../shared/arena.js';
+import CrumblingTiles from './CrumblingTiles';
 
 // Shader for hex grid pattern
 const hexGridShader = {
@@ -66,63 +69,121 @@ const hexGridShader = {
   `,
 };
 
-// Create hexagonal geometry
-function createHexagonGeometry(radius, height, segments = 6) {
-  const shape = new THREE.Shape();
-  const angleStep = (Math.PI * 2) / segments;
-
-  for (let i = 0; i < segments; i++) {
-    const angle = i * angleStep - Math.PI / 2; // Start from top
-    const x = Math.cos(angle) * radius;
-    const y = Math.sin(angle) * radius;
+// Convert an arena outline point to shape space (the shape is rotated flat, so shape Y is -Z)
+function toShapePoint({ x, z }) {
+  return new THREE.Vector2(x, -z);
+}
 
-    if (i === 0) {
-      shape.moveTo(x, y);
-    } else {
-      shape.lineTo(x, y);
+// Create the platform surface from the arena pieces, extruded downward from y = height / 2
+function createArenaGeometry(pieces, height) {
+  const shapes = pieces.map((piece) => {
+    const { outer, hole } = getPieceOutline(piece);
+    const shape = new THREE.Shape(outer.map(toShapePoint));
+    if (hole) {
+      shape.holes.push(new THREE.Path(hole.map(toShapePoint)));
     }
-  }
-  shape.closePath();
+    return shape;
+  });
 
   const extrudeSettings = {
     depth: height,
     bevelEnabled: false,
   };
 
-  const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+  const geometry = new THREE.ExtrudeGeometry(shapes, extrudeSettings);
   geometry.rotateX(-Math.PI / 2);
   geometry.translate(0, -height / 2, 0);
 
   return geometry;
 }
 
-// Create edge geometry for glow effect
-function createHexEdgeGeometry(radius, height, segments = 6, tubeRadius = 0.15) {
-  const points = [];
-  const angleStep = (Math.PI * 2) / segments;
-
-  // Create points for the hexagon edge
-  for (let i = 0; i <= segments; i++) {
-    const angle = i * angleStep - Math.PI / 2;
-    const x = Math.cos(angle) * radius;
-    const z = Math.sin(angle) * radius;
-    points.push(new THREE.Vector3(x, height / 2, z));
-  }
+// Create edge geometry for glow effect - a tube along every exposed arena edge
+function createEdgeGeometry(edges, y, tubeRadius = 0.15) {
+  const tubes = edges.map(({ points, closed }) => {
+    const curve = new THREE.CatmullRomCurve3(
+      points.map(({ x, z }) => new THREE.Vector3(x, y, z)),
+      closed,
+      'catmullrom',
+      0
+    );
+    return new THREE.TubeGeometry(curve, points.length, tubeRadius, 8, closed);
+  });
 
-  // Create curve from points
-  const curve = new THREE.CatmullRomCurve3(points, true, 'catmullrom', 0);
+  const geometry = mergeGeometries(tubes);
+  tubes.forEach((tube) => tube.dispose());
+  return geometry;
+}
 
-  return new THREE.TubeGeometry(curve, segments * 8, tubeRadius, 8, true);
+// Evenly spaced points along the arena's edges, for rim lights
+function getEdgeLightPositions(edges, count) {
+  const points = edges.flatMap((edge) => edge.points);
+  const spacing = Math.max(1, Math.floor(points.length / count));
+  return points.filter((_, i) => i % spacing === 0).slice(0, count);
 }
 
 // Base radius for all geometries - we scale the group to animate size changes
 const BASE_RADIUS = 1;
 
+// Rim lights placed around the arena edge
+const EDGE_LIGHT_COUNT = 6;
+
+// King of the Hill zone color while nobody (or more than one player) holds it
+const HILL_IDLE_COLOR = '#ffd700';
+
+/**
+ * HillZone - Glowing King of the Hill scoring zone
+ * Glides to each new spot the server picks and takes the holder's color.
+ */
+function HillZone({ hill, color = HILL_IDLE_COLOR, height }) {
+  const groupRef = useRef();
+  const discRef = useRef();
+  const ringRef = useRef();
+
+  useFrame((state, delta) => {
+    if (groupRef.current) {
+      // Glide rather than jump so players can follow the move
+      const t = Math.min(1, 4 * delta);
+      groupRef.current.position.x = THREE.MathUtils.lerp(groupRef.current.position.x, hill.x, t);
+      groupRef.current.position.z = THREE.MathUtils.lerp(groupRef.current.position.z, hill.z, t);
+    }
+
+    const pulse = Math.sin(state.clock.elapsedTime * 4) * 0.5 + 0.5;
+    if (discRef.current) {
+      discRef.current.material.opacity = 0.15 + pulse * (hill.holderId ? 0.25 : 0.1);
+    }
+    if (ringRef.current) {
+      ringRef.current.material.emissiveIntensity = 1 + pulse;
+    }
+  });
+
+  return (
+    <group ref={groupRef} position={[hill.x, height / 2 + 0.02, hill.z]}>
+      {/* Zone fill */}
+      <mesh ref={discRef} rotation={[-Math.PI / 2, 0, 0]}>
+        <circleGeometry args={[hill.radius, 48]} />
+        <meshBasicMaterial color={color} transparent opacity={0.2} depthWrite={false} side={THREE.DoubleSide} />
+      </mesh>
+
+      {/* Zone border */}
+      <mesh ref={ringRef} rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.01, 0]}>
+        <ringGeometry args={[hill.radius - 0.12, hill.radius, 48]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={1} toneMapped={false} side={THREE.DoubleSide} />
+      </mesh>
+
+      <pointLight position={[0, 1.5, 0]} color={color} intensity={2} distance={hill.radius * 3} decay={2} />
+    </group>
+  );
+}
+
 export default function Platform({
   radius = PLATFORM.INITIAL_RADIUS,
+  arena = DEFAULT_ARENA, // Arena layout key - same pieces as the physics body
   height = PLATFORM.HEIGHT,
   isWarning = false,
   warningProgress = 0, // 0-1, how close to shrink (1 = about to shrink)
+  hill = null, // King of the Hill zone { x, z, radius, holderId }
+  hillColor,
+  tiles = null, // Crumbling tiles { grid, warning, fallen } - replaces the solid surface
 }) {
   const shaderRef = useRef();
   const edgeGlowRef = useRef();
@@ -141,9 +202,20 @@ export default function Platform({
 
   // Create geometries with base radius of 1 - scaling is handled by the group transform
   // This makes the intent explicit: geometries are static, only scale changes
-  const hexGeometry = useMemo(() => createHexagonGeometry(BASE_RADIUS, height), [height]);
-  const edgeGeometry = useMemo(() => createHexEdgeGeometry(BASE_RADIUS, height, 6, 0.12), [height]);
-  const outerEdgeGeometry = useMemo(() => createHexEdgeGeometry(BASE_RADIUS, height, 6, 0.25), [height]);
+  const pieces = useMemo(() => getArenaPieces(arena, BASE_RADIUS), [arena]);
+  const edges = useMemo(() => getArenaEdges(pieces), [pieces]);
+  const surfaceGeometry = useMemo(() => createArenaGeometry(pieces, height), [pieces, height]);
+  const edgeGeometry = useMemo(() => createEdgeGeometry(edges, height / 2, 0.12), [edges, height]);
+  const outerEdgeGeometry = useMemo(() => createEdgeGeometry(edges, height / 2, 0.25), [edges, height]);
+  const warningGeometry = useMemo(() => createEdgeGeometry(edges, height / 2 + 0.1, 0.08), [edges, height]);
+  const bottomEdgeGeometry = useMemo(() => createEdgeGeometry(edges, -height / 2, 0.03), [edges, height]);
+  const edgeLights = useMemo(() => getEdgeLightPositions(edges, EDGE_LIGHT_COUNT), [edges]);
+
+  // Free the old geometries when the layout changes
+  useEffect(() => () => {
+    [surfaceGeometry, edgeGeometry, outerEdgeGeometry, warningGeometry, bottomEdgeGeometry]
+      .forEach((geometry) => geometry.dispose());
+  }, [surfaceGeometry, edgeGeometry, outerEdgeGeometry, warningGeometry, bottomEdgeGeometry]);
 
   // Animate shader uniforms, smooth radius transitions, and warning effects
   useFrame((state, delta) => {
@@ -213,9 +285,9 @@ export default function Platform({
         warningGlowRef.current.visible = true;
         const warningPulse = Math.sin(state.clock.elapsedTime * 10) * 0.3 + 0.7;
         warningGlowRef.current.material.opacity = warningProgress * warningPulse * 0.8;
-        // Scale the warning ring slightly outward
+        // Scale the warning outline slightly outward
         const ringScale = 1 + Math.sin(state.clock.elapsedTime * 6) * 0.02;
-        warningGlowRef.current.scale.set(ringScale, ringScale, 1);
+        warningGlowRef.current.scale.set(ringScale, 1, ringScale);
       } else {
         warningGlowRef.current.visible = false;
       }
@@ -223,83 +295,79 @@ export default function Platform({
   });
 
   return (
-    <group ref={groupRef} position={[0, 0, 0]}>
-      {/* Main platform surface with hex grid pattern */}
-      <mesh geometry={hexGeometry} receiveShadow castShadow>
-        <shaderMaterial
-          ref={shaderRef}
-          uniforms={hexGridShader.uniforms}
-          vertexShader={hexGridShader.vertexShader}
-          fragmentShader={hexGridShader.fragmentShader}
-          side={THREE.DoubleSide}
-        />
-      </mesh>
-
-      {/* Inner edge glow (bright cyan, turns red during warning) */}
-      <mesh ref={edgeGlowRef} geometry={edgeGeometry}>
-        <meshStandardMaterial
-          color="#00ffff"
-          emissive="#00ffff"
-          emissiveIntensity={1}
-          toneMapped={false}
-        />
-      </mesh>
-
-      {/* Outer edge glow (magenta bloom, turns red-orange during warning) */}
-      <mesh ref={edgeGlow2Ref} geometry={outerEdgeGeometry}>
-        <meshBasicMaterial
-          color="#ff00ff"
-          transparent
-          opacity={0.6}
-          side={THREE.DoubleSide}
-        />
-      </mesh>
-
-      {/* Warning glow ring (only visible during shrink warning) */}
-      {/* Uses BASE_RADIUS so it scales with the parent group */}
-      <mesh
-        ref={warningGlowRef}
-        position={[0, height / 2 + 0.1, 0]}
-        rotation={[-Math.PI / 2, 0, 0]}
-        visible={false}
-      >
-        <ringGeometry args={[BASE_RADIUS - 0.05, BASE_RADIUS + 0.1, 6]} />
-        <meshBasicMaterial
-          color="#ff0000"
-          transparent
-          opacity={0}
-          side={THREE.DoubleSide}
-        />
-      </mesh>
-
-      {/* Bottom edge glow */}
-      {/* Uses BASE_RADIUS so it scales with the parent group */}
-      <mesh position={[0, -height / 2, 0]} rotation={[-Math.PI / 2, 0, 0]}>
-        <ringGeometry args={[BASE_RADIUS - 0.03, BASE_RADIUS + 0.03, 6]} />
-        <meshBasicMaterial
-          color="#ff00ff"
-          transparent
-          opacity={0.4}
-          side={THREE.DoubleSide}
+    <>
+      {/* Hill sits outside the scaled group - its position and size are in world units */}
+      {hill && <HillZone hill={hill} color={hillColor} height={height} />}
+
+      {/* Crumbling tiles are real per-tile geometry in world units */}
+      {tiles && <CrumblingTiles grid={tiles.grid} warning={tiles.warning} fallen={tiles.fallen} />}
+
+      {!tiles && <group ref={groupRef} position={[0, 0, 0]}>
+        {/* Main platform surface with hex grid pattern */}
+        <mesh geometry={surfaceGeometry} receiveShadow castShadow>
+          <shaderMaterial
+            ref={shaderRef}
+            uniforms={hexGridShader.uniforms}
+            vertexShader={hexGridShader.vertexShader}
+            fragmentShader={hexGridShader.fragmentShader}
+            side={THREE.DoubleSide}
+          />
+        </mesh>
+
+        {/* Inner edge glow (bright cyan, turns red during warning) */}
+        <mesh ref={edgeGlowRef} geometry={edgeGeometry}>
+          <meshStandardMaterial
+            color="#00ffff"
+            emissive="#00ffff"
+            emissiveIntensity={1}
+            toneMapped={false}
+          />
+        </mesh>
+
+        {/* Outer edge glow (magenta bloom, turns red-orange during warning) */}
+        <mesh ref={edgeGlow2Ref} geometry={outerEdgeGeometry}>
+          <meshBasicMaterial
+            color="#ff00ff"
+            transparent
+            opacity={0.6}
+            side={THREE.DoubleSide}
+          />
+        </mesh>
+
+        {/* Warning glow outline (only visible during shrink warning) */}
+        {/* Built at BASE_RADIUS so it scales with the parent group */}
+        <mesh ref={warningGlowRef} geometry={warningGeometry} visible={false}>
+          <meshBasicMaterial
+            color="#ff0000"
+            transparent
+            opacity={0}
+            side={THREE.DoubleSide}
+          />
+        </mesh>
+
+        {/* Bottom edge glow */}
+        {/* Built at BASE_RADIUS so it scales with the parent group */}
+        <mesh geometry={bottomEdgeGeometry}>
+          <meshBasicMaterial
+            color="#ff00ff"
+            transparent
+            opacity={0.4}
+            side={THREE.DoubleSide}
+          />
+        </mesh>
+
+        {/* Underside point light for glow effect */}
+        <pointLight
+          position={[0, -2, 0]}
+          color={isWarning ? '#ff4400' : '#00ffff'}
+          intensity={isWarning ? 3 : 2}
+          distance={15}
+          decay={2}
         />
-      </mesh>
 
-      {/* Underside point light for glow effect */}
-      <pointLight
-        position={[0, -2, 0]}
-        color={isWarning ? '#ff4400' : '#00ffff'}
-        intensity={isWarning ? 3 : 2}
-        distance={15}
-        decay={2}
-      />
-
-      {/* Edge point lights for rim lighting */}
-      {/* Uses BASE_RADIUS + offset so lights scale with the parent group */}
-      {[0, 1, 2, 3, 4, 5].map((i) => {
-        const angle = (i * Math.PI * 2) / 6 - Math.PI / 2;
-        const x = Math.cos(angle) * (BASE_RADIUS + 0.1);
-        const z = Math.sin(angle) * (BASE_RADIUS + 0.1);
-        return (
+        {/* Edge point lights for rim lighting */}
+        {/* Placed on the unit-scale edges so lights scale with the parent group */}
+        {edgeLights.map(({ x, z }, i) => (
           <pointLight
             key={i}
             position={[x, 0.5, z]}
@@ -308,8 +376,8 @@ export default function Platform({
             distance={5}
             decay={2}
           />
-        );
-      })}
-    </group>
+        ))}
+      </group>}
+    </>
   );
 }
@@ -2,7 +2,7 @@ import { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { Html } from '@react-three/drei';
 import * as THREE from 'three';
-import { PLAYER, PLAYER_COLORS } from '../utils/constants';
+import { PLAYER, PLAYER_COLORS, POWER_UPS, getEffectModifiers } from '../utils/constants';
 
 /**
  * Player component - Astronaut representation as glowing capsule/sphere
@@ -14,6 +14,7 @@ import { PLAYER, PLAYER_COLORS } from '../utils/constants';
  * @param {[number, number, number]} props.position - [x, y, z] position
  * @param {boolean} props.isLocal - Whether this is the local player
  * @param {boolean} props.isEliminated - Whether player has been eliminated
+ * @param {Object} props.effects - Active power-up effects: type -> expiry timestamp (giant grows the player, shield adds a bubble)
  */
 export default function Player({
   id,
@@ -23,10 +24,14 @@ export default function Player({
   isLocal = false,
   isEliminated = false,
   playerScale = 1.0,
+  effects,
 }) {
   const groupRef = useRef();
   const glowRef = useRef();
   const innerGlowRef = useRef();
+  const shieldRef = useRef();
+
+  const modifiers = useMemo(() => getEffectModifiers(effects), [effects]);
 
   // Determine player color from index or direct color string
   const playerColor = useMemo(() => {
@@ -49,6 +54,11 @@ export default function Player({
       const pulse = Math.sin(state.clock.elapsedTime * 4 + 1) * 0.3 + 0.7;
       innerGlowRef.current.material.emissiveIntensity = pulse * PLAYER.GLOW_INTENSITY;
     }
+
+    if (shieldRef.current) {
+      shieldRef.current.rotation.y += 0.02;
+      shieldRef.current.material.opacity = Math.sin(state.clock.elapsedTime * 6) * 0.1 + 0.3;
+    }
   });
 
   if (isEliminated) {
@@ -56,7 +66,7 @@ export default function Player({
   }
 
   return (
-    <group ref={groupRef} position={position} scale={playerScale}>
+    <group ref={groupRef} position={position} scale={playerScale * modifiers.radiusMultiplier}>
       {/* Simple glowing sphere */}
       <mesh ref={innerGlowRef} castShadow receiveShadow>
         <sphereGeometry args={[PLAYER.RADIUS * 1.2, 32, 32]} />
@@ -81,6 +91,19 @@ export default function Player({
         />
       </mesh>
 
+      {/* Shield power-up bubble */}
+      {modifiers.shield && (
+        <mesh ref={shieldRef} scale={2}>
+          <icosahedronGeometry args={[PLAYER.RADIUS, 1]} />
+          <meshBasicMaterial
+            color={POWER_UPS.shield.color}
+            transparent
+            opacity={0.3}
+            wireframe
+          />
+        </mesh>
+      )}
+
       {/* Inner point light for additional glow */}
       <pointLight
         color={playerColor}
@@ -0,0 +1,48 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import { POWER_UPS } from '../utils/constants';
+
+/**
+ * PowerUpPickup - A power-up waiting on the platform
+ * Spinning, bobbing crystal in the power-up's color with its icon floating above.
+ * Collection is decided by the server; this is purely visual.
+ *
+ * @param {Object} props
+ * @param {Object} props.pickup - { id, type, x, z } from the server
+ */
+export default function PowerUpPickup({ pickup }) {
+  const crystalRef = useRef();
+  const powerUp = POWER_UPS[pickup.type] || POWER_UPS.boost;
+
+  useFrame((state) => {
+    if (crystalRef.current) {
+      crystalRef.current.rotation.y = state.clock.elapsedTime * 2;
+      crystalRef.current.position.y = Math.sin(state.clock.elapsedTime * 3 + pickup.id) * 0.15;
+    }
+  });
+
+  return (
+    <group position={[pickup.x, 1, pickup.z]}>
+      <mesh ref={crystalRef} castShadow>
+        <octahedronGeometry args={[0.35, 0]} />
+        <meshStandardMaterial
+          color={powerUp.color}
+          emissive={powerUp.color}
+          emissiveIntensity={1.5}
+          metalness={0.2}
+          roughness={0.3}
+          toneMapped={false}
+        />
+      </mesh>
+
+      <pointLight color={powerUp.color} intensity={2} distance={3} decay={2} />
+
+      <Html position={[0, 0.8, 0]} center distanceFactor={15} style={{ pointerEvents: 'none', userSelect: 'none' }}>
+        <div style={{ fontSize: '20px', filter: `drop-shadow(0 0 6px ${powerUp.color})` }}>
+          {powerUp.icon}
+        </div>
+      </Html>
+    </group>
+  );
+}
@@ -1,14 +1,20 @@
 import { useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import Player from './Player';
+import { getInterpolationSettings, sampleSnapshots } from '../utils/snapshotBuffer';
 
-// Interpolation settings
+// Extrapolation mode settings (legacy)
 const INTERPOLATION_SPEED = 10; // Higher = snappier, Lower = smoother
 const VELOCITY_PREDICTION_FACTOR = 0.5; // How much to use velocity for prediction
 
+// Rendering mode and delay (overridable via ?interp= and ?interpDelay=)
+const interpolationSettings = getInterpolationSettings();
+
 /**
  * RemotePlayer - A networked player with position interpolation
- * Smoothly interpolates between server position updates for fluid motion
+ * In 'buffer' mode, renders a fixed delay in the past, interpolating between
+ * the two server snapshots that bracket that time. In 'extrapolate' mode,
+ * lerps toward the latest position plus a velocity lead.
  *
  * @param {Object} props
  * @param {string} props.id - Unique player ID
@@ -16,7 +22,10 @@ const VELOCITY_PREDICTION_FACTOR = 0.5; // How much to use velocity for predicti
  * @param {number|string} props.colorIndex - Color index or hex string
  * @param {Object} props.targetPosition - Target position from server { x, y, z }
  * @param {Object} props.targetVelocity - Target velocity from server { x, y, z }
+ * @param {Object} props.snapshotBuffersRef - Ref to Map of player ID -> timestamped snapshots
+ * @param {Object} props.serverClockOffsetRef - Ref to estimated server minus local clock (ms)
  * @param {boolean} props.isEliminated - Whether player is eliminated
+ * @param {Object} props.effects - Active power-up effects: type -> expiry timestamp
  */
 export default function RemotePlayer({
   id,
@@ -24,7 +33,10 @@ export default function RemotePlayer({
   colorIndex = 0,
   targetPosition = { x: 0, y: 1, z: 0 },
   targetVelocity = { x: 0, y: 0, z: 0 },
+  snapshotBuffersRef,
+  serverClockOffsetRef,
   isEliminated = false,
+  effects,
 }) {
   const groupRef = useRef();
 
@@ -39,6 +51,17 @@ export default function RemotePlayer({
   useFrame((state, delta) => {
     if (!groupRef.current || isEliminated) return;
 
+    // Snapshot interpolation - sample the buffer at (server now - delay)
+    const buffer = snapshotBuffersRef?.current?.get(id);
+    const clockOffset = serverClockOffsetRef?.current;
+    if (interpolationSettings.mode === 'buffer' && buffer?.length && clockOffset != null) {
+      const renderTime = Date.now() + clockOffset - interpolationSettings.delay;
+      const sampled = sampleSnapshots(buffer, renderTime);
+      currentPosition.current = sampled;
+      groupRef.current.position.set(sampled.x, sampled.y, sampled.z);
+      return;
+    }
+
     const cappedDelta = Math.min(delta, 0.1);
     const lerpFactor = 1 - Math.exp(-INTERPOLATION_SPEED * cappedDelta);
 
@@ -74,6 +97,7 @@ export default function RemotePlayer({
         position={[0, 0, 0]} // Position handled by group
         isLocal={false}
         isEliminated={isEliminated}
+        effects={effects}
       />
     </group>
   );
@@ -3,16 +3,17 @@ import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 
 /**
- * Shockwave - 3D expanding shockwave effect for Konami code activation
+ * Shockwave - 3D expanding shockwave effect for Konami code activation (and the shockwave power-up)
  *
  * Creates a dramatic expanding ring effect that pushes outward from a point,
  * with particle debris and glowing energy waves.
  *
  * @param {Array} position - [x, y, z] center position of the shockwave
  * @param {string} color - Color of the shockwave (hex string)
+ * @param {number} maxRadius - How far the rings expand
  * @param {Function} onComplete - Callback when animation finishes
  */
-export default function Shockwave({ position = [0, 1, 0], color = '#ffd700', onComplete }) {
+export default function Shockwave({ position = [0, 1, 0], color = '#ffd700', maxRadius = 50, onComplete }) {
   const groupRef = useRef();
   const ringRef = useRef();
   const innerRingRef = useRef();
@@ -22,7 +23,7 @@ export default function Shockwave({ position = [0, 1, 0], color = '#ffd700', onC
 
   // Animation duration in seconds
   const DURATION = 2.5;
-  const MAX_RADIUS = 50;
+  const MAX_RADIUS = maxRadius;
   const PARTICLE_COUNT = 100;
 
   // Create particle positions and velocities
@@ -1,6 +1,6 @@
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Stars } from '@react-three/drei';
-import { useRef, useState, useCallback, useEffect } from 'react';
+import { useRef, useState, useCallback, useEffect, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
 import Platform from './Platform';
 import PhysicsPlayer from './PhysicsPlayer';
@@ -12,17 +12,73 @@ import GameOverScreen from './GameOverScreen';
 import GameStatusHUD from './GameStatusHUD';
 import TouchJoystick from './TouchJoystick';
 import TouchControlsHint from './TouchControlsHint';
-import Scoreboard from './Scoreboard';
+import LiveScoreboard from './LiveScoreboard';
+import SinglePlayerSetup from './SinglePlayerSetup';
 import useKeyboard from '../hooks/useKeyboard';
 import useBoost from '../hooks/useBoost';
 import useTouch from '../hooks/useTouch';
 import useScreenShake from '../hooks/useScreenShake';
-import { GAME_STATES, getPlayerScale, getPlatformScale } from '../utils/constants';
+import { GAME_STATES, PLAYER_COLORS, SINGLE_PLAYER, getPlayerScale, getPlatformScale } from '../utils/constants';
+import { AI_NAMES, ADAPTIVE_AI_DIFFICULTY, getNextAdaptiveSkill } from '../../shared/ai.js';
+import { calculateScore } from '../../shared/scoring.js';
+import { loadAdaptiveProgress, saveAdaptiveProgress } from '../utils/difficultyPreference';
 
 const INITIAL_PLATFORM_RADIUS = 10;
 const MIN_PLATFORM_RADIUS = 3;
 const SHRINK_INTERVAL = 30000; // 30 seconds
 const SHRINK_AMOUNT = 1;
+const LOCAL_PLAYER_ID = 'player';
+const START_SPREAD = 0.6; // Starting ring as a fraction of the platform radius
+
+/**
+ * Build the players for a match: you, then one per AI opponent
+ * @param {string[]} opponents - Difficulty of each opponent
+ * @param {number} adaptiveSkill - Skill level for adaptive opponents this round
+ * @returns {Object[]} [{ id, name, color, isAI, difficulty, skill, isEliminated }]
+ */
+function createRoster(opponents, adaptiveSkill) {
+  return [
+    { id: LOCAL_PLAYER_ID, name: 'You', color: PLAYER_COLORS[0], isAI: false, difficulty: null, skill: null, isEliminated: false },
+    ...opponents.map((difficulty, index) => ({
+      id: `ai-${index}`,
+      name: AI_NAMES[index % AI_NAMES.length],
+      color: PLAYER_COLORS[(index + 1) % PLAYER_COLORS.length],
+      isAI: true,
+      difficulty,
+      skill: difficulty === ADAPTIVE_AI_DIFFICULTY ? adaptiveSkill : null,
+      isEliminated: false,
+    })),
+  ];
+}
+
+/**
+ * Starting positions evenly spaced on a ring, you first (on the left)
+ * @param {number} count - Players in the match
+ * @param {number} radius - Platform radius
+ * @returns {[number, number, number][]}
+ */
+function getStartPositions(count, radius) {
+  const ring = radius * START_SPREAD;
+  return Array.from({ length: count }, (_, index) => {
+    const angle = Math.PI + (index / count) * Math.PI * 2;
+    return [Math.cos(angle) * ring, 1, Math.sin(angle) * ring];
+  });
+}
+
+/**
+ * Fresh per-player match stats for scoring and elimination attribution
+ * @returns {Object}
+ */
+function createStats() {
+  return {
+    eliminations: 0,
+    outOfBoundsTime: 0, // Seconds past the platform edge, not counting the current stretch
+    outSince: null, // When the current stretch past the edge began
+    survivalTime: 0, // Seconds survived, set when eliminated
+    lastHitBy: null, // { id, timestamp }
+    isEliminated: false,
+  };
+}
 
 /**
  * CameraRig - Wrapper group for camera shake effects
@@ -46,18 +102,17 @@ function CameraRig({ children, onBigImpact }) {
 function PhysicsScene({
   keysRef,
   boostState,
-  onCollision,
-  localPlayer,
-  aiPlayer,
+  roster,
+  startPositions,
+  round,
+  playersRef,
   gameState,
-  onLocalPositionUpdate,
-  onAIPositionUpdate,
+  onPositionUpdate,
   platformRadius,
   shrinkWarning,
   playerScale,
 }) {
   const controlsRef = useRef();
-  const localPlayerPosRef = useRef({ x: -6, y: 1, z: 0 });
 
   useFrame(() => {
     if (controlsRef.current) {
@@ -65,19 +120,7 @@ function PhysicsScene({
     }
   });
 
-  const handleLocalPositionUpdate = useCallback(
-    (position, velocity) => {
-      localPlayerPosRef.current = position;
-      if (onLocalPositionUpdate) {
-        onLocalPositionUpdate(position, velocity);
-      }
-    },
-    [onLocalPositionUpdate]
-  );
-
   const isPlaying = gameState === GAME_STATES.PLAYING;
-  const showLocalPlayer = localPlayer && !localPlayer.isEliminated;
-  const showAIPlayer = aiPlayer && !aiPlayer.isEliminated;
 
   return (
     <>
@@ -86,40 +129,42 @@ function PhysicsScene({
         shrinkWarning={shrinkWarning}
       />
 
-      {/* Local player */}
-      {showLocalPlayer && (
-        <PhysicsPlayer
-          key="local-player"
-          id={localPlayer.id}
-          name={localPlayer.name}
-          colorIndex={localPlayer.color}
-          initialPosition={[-6, 1, 0]}
-          isLocal={true}
-          keysRef={isPlaying ? keysRef : null}
-          boostState={isPlaying ? boostState : null}
-          onPositionUpdate={isPlaying ? handleLocalPositionUpdate : undefined}
-          canMove={isPlaying}
-          playerScale={playerScale}
-        />
-      )}
-
-      {/* AI opponent */}
-      {showAIPlayer && (
-        <AIPlayer
-          key="ai-player"
-          id={aiPlayer.id}
-          name={aiPlayer.name}
-          colorIndex={aiPlayer.color}
-          initialPosition={[6, 1, 0]}
-          playerPosition={localPlayerPosRef.current}
-          playerVelocity={localPlayer?.velocity}
-          platformRadius={platformRadius}
-          onPositionUpdate={onAIPositionUpdate}
-          canMove={isPlaying}
-          difficulty="easy"  // Changed from "medium" to "easy"
-          playerScale={playerScale}
-        />
-      )}
+      {roster.map((player, index) => {
+        if (player.isEliminated) return null;
+        const key = `${player.id}-${round}`; // Fresh bodies every round
+        const handlePositionUpdate = (position, velocity) => onPositionUpdate(player.id, position, velocity);
+
+        return player.isAI ? (
+          <AIPlayer
+            key={key}
+            id={player.id}
+            name={player.name}
+            colorIndex={player.color}
+            initialPosition={startPositions[index]}
+            playersRef={playersRef}
+            platformRadius={platformRadius}
+            onPositionUpdate={handlePositionUpdate}
+            canMove={isPlaying}
+            difficulty={player.difficulty}
+            skill={player.skill}
+            playerScale={playerScale}
+          />
+        ) : (
+          <PhysicsPlayer
+            key={key}
+            id={player.id}
+            name={player.name}
+            colorIndex={player.color}
+            initialPosition={startPositions[index]}
+            isLocal={true}
+            keysRef={isPlaying ? keysRef : null}
+            boostState={isPlaying ? boostState : null}
+            onPositionUpdate={isPlaying ? handlePositionUpdate : undefined}
+            canMove={isPlaying}
+            playerScale={playerScale}
+          />
+        );
+      })}
 
       <OrbitControls
         ref={controlsRef}
@@ -151,80 +196,131 @@ function PhysicsScene({
 }
 
 /**
- * SinglePlayerGame - Single player with AI opponent
+ * SinglePlayerGame - Free-for-all against 1-15 AI opponents
+ * Opponents and their difficulties are picked on a setup screen. Players are
+ * scored with the multiplayer formula (see shared/scoring.js) and a push-off
+ * credits whoever last hit the player, within the attribution window. The last
+ * one standing wins; if you're knocked out first the match ends there, won by
+ * the highest-scoring opponent still in.
+ *
+ * Adaptive opponents get tougher after each win and easier after each loss,
+ * by more the longer the streak; their level carries over between sessions.
+ *
+ * @param {Object} props
+ * @param {string} props.difficulty - Starting difficulty for every opponent (picked on the menu)
+ * @param {Function} props.onBackToMenu - Leave single player
  */
-export default function SinglePlayerGameV2({ onBackToMenu }) {
+export default function SinglePlayerGameV2({ difficulty, onBackToMenu }) {
+  const [opponents, setOpponents] = useState(() => Array(SINGLE_PLAYER.DEFAULT_OPPONENT_COUNT).fill(difficulty));
+  const [adaptive, setAdaptive] = useState(loadAdaptiveProgress); // { skill, streak }
+  const [record, setRecord] = useState({ playerWins: 0, computerWins: 0 });
+  const [roster, setRoster] = useState(null); // null while on the setup screen
+  const [round, setRound] = useState(0);
   const [gameState, setGameState] = useState(GAME_STATES.COUNTDOWN);
   const [countdown, setCountdown] = useState(3);
   const [platformRadius, setPlatformRadius] = useState(INITIAL_PLATFORM_RADIUS);
   const [winner, setWinner] = useState(null);
-  const [playerWins, setPlayerWins] = useState(0);
-  const [computerWins, setComputerWins] = useState(0);
+  const [scores, setScores] = useState([]);
   const [shrinkWarning, setShrinkWarning] = useState({ isWarning: false, warningProgress: 0 });
   const [collisions, setCollisions] = useState([]);
-  
-  // Calculate scaling for 2 players
-  const totalPlayers = 2;
+
+  // Scale for everyone in the match
+  const totalPlayers = roster ? roster.length : opponents.length + 1;
   const playerScale = getPlayerScale(totalPlayers);
   const platformScale = getPlatformScale(totalPlayers);
   const scaledPlatformRadius = platformRadius * platformScale;
+  const startPositions = useMemo(
+    () => getStartPositions(totalPlayers, INITIAL_PLATFORM_RADIUS * platformScale),
+    [totalPlayers, platformScale]
+  );
 
   const keysRef = useKeyboard();
   const boostState = useBoost();
-  
+
   // Touch controls (for mobile)
   const handleTouchBoost = useCallback(() => {
     if (gameState === GAME_STATES.PLAYING) {
       boostState.triggerBoost();
     }
   }, [gameState, boostState]);
-  
+
   const { touchState, joystickPosition, isTouchDevice } = useTouch(keysRef, handleTouchBoost);
   const shakeRef = useRef(null);
 
-  // Player states
-  const [localPlayer, setLocalPlayer] = useState({
-    id: 'player',
-    name: 'You',
-    color: 0,
-    position: { x: -6, y: 1, z: 0 },
-    velocity: { x: 0, y: 0, z: 0 },
-    isEliminated: false,
-  });
-
-  const [aiPlayer, setAIPlayer] = useState({
-    id: 'ai',
-    name: 'Computer',
-    color: 1,
-    position: { x: 6, y: 1, z: 0 },
-    velocity: { x: 0, y: 0, z: 0 },
-    isEliminated: false,
-  });
-
-  // Refs to always access latest player state in intervals
-  const localPlayerRef = useRef(localPlayer);
-  const aiPlayerRef = useRef(aiPlayer);
-  
-  // Keep refs in sync
-  useEffect(() => {
-    localPlayerRef.current = localPlayer;
-  }, [localPlayer]);
-  
-  useEffect(() => {
-    aiPlayerRef.current = aiPlayer;
-  }, [aiPlayer]);
+  // Live physics state for everyone still in (player ID -> { position, velocity }) - read by the AI
+  const playersRef = useRef(new Map());
+  // Per-player scoring and attribution (player ID -> stats, see createStats)
+  const statsRef = useRef(new Map());
+  const matchStartRef = useRef(null);
+
+  const localPlayer = roster?.find((player) => player.id === LOCAL_PLAYER_ID) ?? null;
+  const isLocalEliminated = Boolean(localPlayer?.isEliminated);
+
+  /**
+   * Current standings, ranked by score
+   * @param {number} now - Current timestamp
+   * @returns {Object[]} Same shape as the server's score snapshot
+   */
+  const getScoreSnapshot = useCallback((now) => {
+    if (!roster) return [];
+    return roster
+      .map((player) => {
+        const stats = statsRef.current.get(player.id);
+        const survivalTime = stats.isEliminated || !matchStartRef.current
+          ? stats.survivalTime
+          : (now - matchStartRef.current) / 1000;
+        const outOfBoundsTime = stats.outOfBoundsTime + (stats.outSince !== null ? (now - stats.outSince) / 1000 : 0);
+        return {
+          id: player.id,
+          name: player.name,
+          color: player.color,
+          score: Math.round(calculateScore({ eliminations: stats.eliminations, survivalTime, outOfBoundsTime })),
+          eliminations: stats.eliminations,
+          survivalTime: Math.round(survivalTime * 10) / 10,
+          outOfBoundsTime: Math.round(outOfBoundsTime * 10) / 10,
+          isEliminated: stats.isEliminated,
+          isOutOfBounds: stats.outSince !== null,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }, [roster]);
+
+  // Start a match against the chosen opponents
+  const startMatch = useCallback(() => {
+    const players = createRoster(opponents, adaptive.skill);
+    const positions = getStartPositions(players.length, INITIAL_PLATFORM_RADIUS * getPlatformScale(players.length));
+
+    playersRef.current = new Map(players.map((player, index) => {
+      const [x, y, z] = positions[index];
+      return [player.id, { position: { x, y, z }, velocity: { x: 0, y: 0, z: 0 } }];
+    }));
+    statsRef.current = new Map(players.map((player) => [player.id, createStats()]));
+    matchStartRef.current = null;
+
+    setRoster(players);
+    setRound((prev) => prev + 1);
+    setGameState(GAME_STATES.COUNTDOWN);
+    setCountdown(3);
+    setPlatformRadius(INITIAL_PLATFORM_RADIUS);
+    setWinner(null);
+    setScores([]);
+    setShrinkWarning({ isWarning: false, warningProgress: 0 });
+    setCollisions([]);
+  }, [opponents, adaptive.skill]);
 
   // Countdown timer
   useEffect(() => {
+    if (!roster) return;
     if (gameState === GAME_STATES.COUNTDOWN && countdown > 0) {
       const timer = setTimeout(() => {
         setCountdown(countdown - 1);
       }, 1000);
       return () => clearTimeout(timer);
     } else if (gameState === GAME_STATES.COUNTDOWN && countdown === 0) {
+      matchStartRef.current = Date.now();
       setGameState(GAME_STATES.PLAYING);
     }
-  }, [gameState, countdown]);
+  }, [roster, gameState, countdown]);
 
   // Platform shrinking
   useEffect(() => {
@@ -241,7 +337,7 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
     }, SHRINK_INTERVAL);
 
     return () => clearInterval(shrinkTimer);
-  }, [gameState]);
+  }, [gameState, round]);
 
   // Platform shrink warning
   useEffect(() => {
@@ -264,97 +360,163 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
     return () => clearInterval(warningInterval);
   }, [gameState]);
 
-  // Check for eliminations
+  // Track time past the edge and check for eliminations
   useEffect(() => {
-    if (gameState !== GAME_STATES.PLAYING) {
+    if (gameState !== GAME_STATES.PLAYING || !roster) {
       return;
     }
 
     const checkInterval = setInterval(() => {
-      const local = localPlayerRef.current;
-      const ai = aiPlayerRef.current;
-      
-      const checkPlayer = (player, setPlayer, playerName) => {
-        if (!player.isEliminated) {
-          const distance = Math.sqrt(player.position.x ** 2 + player.position.z ** 2);
-          
-          if (distance > scaledPlatformRadius + 2 || player.position.y < -5) {
-            setPlayer((prev) => ({ ...prev, isEliminated: true }));
-            return true;
-          }
+      const now = Date.now();
+      const stats = statsRef.current;
+
+      const knockedOut = roster.filter((player) => {
+        const playerStats = stats.get(player.id);
+        const state = playersRef.current.get(player.id);
+        if (playerStats.isEliminated || !state) return false;
+
+        const distance = Math.sqrt(state.position.x ** 2 + state.position.z ** 2);
+        const isOut = distance > scaledPlatformRadius;
+        if (isOut && playerStats.outSince === null) {
+          playerStats.outSince = now;
+        } else if (!isOut && playerStats.outSince !== null) {
+          playerStats.outOfBoundsTime += (now - playerStats.outSince) / 1000;
+          playerStats.outSince = null;
         }
-        return false;
-      };
 
-      const localEliminated = checkPlayer(local, setLocalPlayer, 'LOCAL');
-      const aiEliminated = checkPlayer(ai, setAIPlayer, 'AI');
+        return distance > scaledPlatformRadius + 2 || state.position.y < -5;
+      });
+      if (knockedOut.length === 0) return;
+
+      knockedOut.forEach((player) => {
+        const playerStats = stats.get(player.id);
+        playerStats.isEliminated = true;
+        playerStats.survivalTime = (now - matchStartRef.current) / 1000;
+        if (playerStats.outSince !== null) {
+          playerStats.outOfBoundsTime += (now - playerStats.outSince) / 1000;
+          playerStats.outSince = null;
+        }
+        playersRef.current.delete(player.id);
 
-      // Check for winner
-      if (localEliminated && !aiEliminated) {
-        setComputerWins(prev => prev + 1);
-        setWinner('ai');
-        setGameState(GAME_STATES.ENDED);
-      } else if (aiEliminated && !localEliminated) {
-        setPlayerWins(prev => prev + 1);
-        setWinner('player');
-        setGameState(GAME_STATES.ENDED);
-      } else if (localEliminated && aiEliminated) {
-        setWinner('draw');
+        // Credit whoever pushed them off, if the hit was recent
+        const { lastHitBy } = playerStats;
+        if (lastHitBy && now - lastHitBy.timestamp < SINGLE_PLAYER.ATTRIBUTION_WINDOW) {
+          const hitterStats = stats.get(lastHitBy.id);
+          if (hitterStats && !hitterStats.isEliminated) hitterStats.eliminations += 1;
+        }
+      });
+
+      const knockedOutIds = new Set(knockedOut.map((player) => player.id));
+      const nextRoster = roster.map((player) => (
+        knockedOutIds.has(player.id) ? { ...player, isEliminated: true } : player
+      ));
+      setRoster(nextRoster);
+
+      // Last one standing wins - or it's over for you, won by the best opponent still in
+      const alive = nextRoster.filter((player) => !player.isEliminated);
+      if (alive.length <= 1 || knockedOutIds.has(LOCAL_PLAYER_ID)) {
+        const standings = getScoreSnapshot(now);
+        const aliveIds = new Set(alive.map((player) => player.id));
+        const best = standings.find((entry) => aliveIds.has(entry.id)) ?? null;
+        setScores(standings);
+        setWinner(best && { id: best.id, name: best.name, color: best.color });
         setGameState(GAME_STATES.ENDED);
       }
     }, 100);
 
     return () => clearInterval(checkInterval);
-  }, [gameState, scaledPlatformRadius]);
+  }, [gameState, roster, scaledPlatformRadius, getScoreSnapshot]);
+
+  // Tally the result, then tune adaptive opponents for the next round
+  useEffect(() => {
+    if (gameState !== GAME_STATES.ENDED || !roster) return;
+
+    const playerWon = winner?.id === LOCAL_PLAYER_ID;
+    setRecord((prev) => (playerWon
+      ? { ...prev, playerWins: prev.playerWins + 1 }
+      : { ...prev, computerWins: prev.computerWins + 1 }));
+
+    if (roster.some((player) => player.difficulty === ADAPTIVE_AI_DIFFICULTY)) {
+      const streak = playerWon ? Math.max(adaptive.streak, 0) + 1 : Math.min(adaptive.streak, 0) - 1;
+      const next = { skill: getNextAdaptiveSkill(adaptive.skill, streak), streak };
+      saveAdaptiveProgress(next);
+      setAdaptive(next);
+    }
+    // Runs once per match end, reading that match's result
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameState]);
+
+  // Live scoreboard
+  useEffect(() => {
+    if (gameState !== GAME_STATES.PLAYING) return;
 
-  // Handle collisions
+    setScores(getScoreSnapshot(Date.now()));
+    const scoreInterval = setInterval(() => setScores(getScoreSnapshot(Date.now())), SINGLE_PLAYER.SCORE_INTERVAL);
+    return () => clearInterval(scoreInterval);
+  }, [gameState, getScoreSnapshot]);
+
+  // Handle collisions: both players count as hit by the other (as on the server), plus sparks
   const handleCollision = useCallback((collision) => {
-    setCollisions((prev) => [...prev, { ...collision, id: Date.now() }]);
+    const now = Date.now();
+    const statsA = statsRef.current.get(collision.playerA);
+    const statsB = statsRef.current.get(collision.playerB);
+    if (statsA && statsB && !statsA.isEliminated && !statsB.isEliminated) {
+      statsA.lastHitBy = { id: collision.playerB, timestamp: now };
+      statsB.lastHitBy = { id: collision.playerA, timestamp: now };
+    }
+
+    const collisionId = `${now}-${Math.random()}`;
+    setCollisions((prev) => [
+      ...prev,
+      {
+        id: collisionId,
+        position: collision.contactPoint,
+        impactSpeed: collision.impactSpeed,
+      },
+    ]);
 
     // Trigger screen shake for big impacts
-    if (collision.impactVelocity > 3 && shakeRef.current) {
-      shakeRef.current(collision.impactVelocity * 0.3);
+    if (collision.impactSpeed > 1.5 && shakeRef.current) {
+      shakeRef.current(collision.impactSpeed);
     }
-  }, []);
-
-  // Handle position updates
-  const handleLocalPositionUpdate = useCallback((position, velocity) => {
-    setLocalPlayer((prev) => ({ ...prev, position, velocity }));
-  }, []);
 
-  const handleAIPositionUpdate = useCallback((position, velocity) => {
-    setAIPlayer((prev) => ({ ...prev, position, velocity }));
+    // Remove collision effect after animation completes
+    setTimeout(() => {
+      setCollisions((prev) => prev.filter((c) => c.id !== collisionId));
+    }, 700);
   }, []);
 
-  // Handle restart
-  const handleRestart = useCallback(() => {
-    setGameState(GAME_STATES.COUNTDOWN);
-    setCountdown(3);
-    setPlatformRadius(INITIAL_PLATFORM_RADIUS);
-    setWinner(null);
-    setShrinkWarning({ isWarning: false, warningProgress: 0 });
-    setCollisions([]);
-    
-    setLocalPlayer({
-      id: 'player',
-      name: 'You',
-      color: 0,
-      position: { x: -6, y: 1, z: 0 },
-      velocity: { x: 0, y: 0, z: 0 },
-      isEliminated: false,
-    });
-    
-    setAIPlayer({
-      id: 'ai',
-      name: 'Computer',
-      color: 1,
-      position: { x: 6, y: 1, z: 0 },
-      velocity: { x: 0, y: 0, z: 0 },
-      isEliminated: false,
-    });
+  // Handle position updates
+  const handlePositionUpdate = useCallback((id, position, velocity) => {
+    if (!statsRef.current.get(id)?.isEliminated) {
+      playersRef.current.set(id, { position, velocity });
+    }
   }, []);
 
-  const aliveCount = [localPlayer, aiPlayer].filter(p => !p.isEliminated).length;
+  // Setup screen before the first match (and when changing opponents)
+  if (!roster) {
+    return (
+      <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
+        <SinglePlayerSetup
+          opponents={opponents}
+          adaptive={adaptive}
+          record={record}
+          onChange={setOpponents}
+          onStart={startMatch}
+        />
+        {onBackToMenu && (
+          <button
+            onClick={onBackToMenu}
+            className="fixed top-4 left-4 z-50 px-4 py-2 bg-gray-800 hover:bg-gray-700 text-white rounded-lg border border-gray-600 transition-colors"
+          >
+            ← Back to Menu
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  const aiPlayers = Object.fromEntries(roster.filter((player) => player.isAI).map((player) => [player.id, player]));
 
   return (
     <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
@@ -370,12 +532,12 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
             <PhysicsScene
               keysRef={keysRef}
               boostState={boostState}
-              onCollision={handleCollision}
-              localPlayer={localPlayer}
-              aiPlayer={aiPlayer}
+              roster={roster}
+              startPositions={startPositions}
+              round={round}
+              playersRef={playersRef}
               gameState={gameState}
-              onLocalPositionUpdate={handleLocalPositionUpdate}
-              onAIPositionUpdate={handleAIPositionUpdate}
+              onPositionUpdate={handlePositionUpdate}
               platformRadius={scaledPlatformRadius}
               shrinkWarning={shrinkWarning}
               playerScale={playerScale}
@@ -383,11 +545,12 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
             {collisions.map((collision) => (
               <CollisionSparks
                 key={collision.id}
-                position={collision.point}
-                intensity={collision.impactVelocity}
-                onComplete={() => {
-                  setCollisions((prev) => prev.filter((c) => c.id !== collision.id));
-                }}
+                position={[
+                  collision.position?.x || 0,
+                  collision.position?.y || 1,
+                  collision.position?.z || 0,
+                ]}
+                intensity={collision.impactSpeed || 1}
               />
             ))}
           </CameraRig>
@@ -397,29 +560,26 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
       {/* HUD */}
       <GameStatusHUD
         gameState={gameState}
-        players={{ ai: aiPlayer }}
+        players={aiPlayers}
         localPlayer={localPlayer}
         platformRadius={platformRadius}
       />
 
       {/* Scoreboard */}
-      <Scoreboard 
-        scores={[
-          { name: 'You', wins: playerWins, color: '#00ffff' },
-          { name: 'Computer', wins: computerWins, color: '#ff00ff' }
-        ]}
-      />
+      {gameState === GAME_STATES.PLAYING && (
+        <LiveScoreboard scores={scores} localPlayerId={LOCAL_PLAYER_ID} />
+      )}
 
       {/* Boost indicator */}
-      {gameState === GAME_STATES.PLAYING && !localPlayer.isEliminated && (
-        <BoostIndicator 
-          cooldownProgress={boostState.cooldownProgress} 
-          canBoost={boostState.canBoost} 
+      {gameState === GAME_STATES.PLAYING && !isLocalEliminated && (
+        <BoostIndicator
+          cooldownProgress={boostState.cooldownProgress}
+          canBoost={boostState.canBoost}
         />
       )}
 
       {/* Touch controls */}
-      {isTouchDevice && gameState === GAME_STATES.PLAYING && !localPlayer.isEliminated && (
+      {isTouchDevice && gameState === GAME_STATES.PLAYING && !isLocalEliminated && (
         <>
           <TouchJoystick touchState={touchState} joystickPosition={joystickPosition} show={touchState.isDragging} />
           <TouchControlsHint />
@@ -429,15 +589,16 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
       {/* Game over screen */}
       {gameState === GAME_STATES.ENDED && (
         <GameOverScreen
-          winner={winner === 'player' ? { name: 'You', color: '#00ffff' } : winner === 'ai' ? { name: 'Computer', color: '#ff00ff' } : null}
-          localPlayerId="player"
+          winner={winner}
+          standings={scores}
+          localPlayerId={LOCAL_PLAYER_ID}
           isHost={true}
-          onPlayAgain={handleRestart}
+          onPlayAgain={startMatch}
           konamiActivator={null}
         />
       )}
 
-      {/* Back to Menu button */}
+      {/* Back to Menu / change opponents */}
       {onBackToMenu && (
         <button
           onClick={onBackToMenu}
@@ -446,6 +607,14 @@ export default function SinglePlayerGameV2({ onBackToMenu }) {
           ← Back to Menu
         </button>
       )}
+      {gameState === GAME_STATES.ENDED && (
+        <button
+          onClick={() => setRoster(null)}
+          className="fixed top-16 left-4 z-50 px-4 py-2 bg-gray-800 hover:bg-gray-700 text-white rounded-lg border border-gray-600 transition-colors"
+        >
+          ⚙ Change Opponents
+        </button>
+      )}
     </div>
   );
 }
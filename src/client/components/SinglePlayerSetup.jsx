@@ -0,0 +1,155 @@
+import { SINGLE_PLAYER } from '../utils/constants';
+import { AI_DIFFICULTIES, AI_NAMES, ADAPTIVE_AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY, getDifficultyInfo } from '../../shared/ai.js';
+
+const PRESET_KEYS = Object.keys(AI_DIFFICULTIES);
+const DIFFICULTY_KEYS = [...PRESET_KEYS, ADAPTIVE_AI_DIFFICULTY];
+
+/**
+ * Describe a win/loss streak
+ * @param {number} streak - Wins in a row (positive) or losses (negative)
+ * @returns {string}
+ */
+function describeStreak(streak) {
+  if (streak === 0) return 'no streak yet';
+  const count = Math.abs(streak);
+  return `${count} ${streak > 0 ? 'win' : 'loss'}${count === 1 ? '' : streak > 0 ? 's' : 'es'} in a row`;
+}
+
+/**
+ * SinglePlayerSetup - Pick the AI opponents before a single-player match
+ * Choose how many opponents to face and each one's difficulty, or set them all
+ * at once (Mixed deals the preset difficulties out in turn). Adaptive opponents
+ * share one skill level, shown here with the streak it was tuned from.
+ *
+ * @param {Object} props
+ * @param {string[]} props.opponents - Difficulty of each opponent (key of AI_DIFFICULTIES or 'adaptive')
+ * @param {Object} props.adaptive - Adaptive opponents' { skill, streak }
+ * @param {Object} props.record - This session's { playerWins, computerWins }
+ * @param {Function} props.onChange - Called with the new opponents list
+ * @param {Function} props.onStart - Start the match
+ */
+export default function SinglePlayerSetup({ opponents, adaptive, record, onChange, onStart }) {
+  const setCount = (count) => {
+    const clamped = Math.max(1, Math.min(SINGLE_PLAYER.MAX_OPPONENTS, Math.round(count) || 1));
+    const last = opponents[opponents.length - 1] ?? DEFAULT_AI_DIFFICULTY;
+    onChange(Array.from({ length: clamped }, (_, i) => opponents[i] ?? last));
+  };
+
+  const setAll = (difficulty) => {
+    onChange(opponents.map((_, i) => difficulty ?? PRESET_KEYS[i % PRESET_KEYS.length]));
+  };
+
+  const setOne = (index, difficulty) => {
+    onChange(opponents.map((current, i) => (i === index ? difficulty : current)));
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-space-dark z-50 overflow-y-auto py-8">
+      <div className="relative">
+        {/* Glowing background effect */}
+        <div className="absolute -inset-4 bg-gradient-to-r from-neon-cyan to-neon-magenta rounded-2xl opacity-20 blur-xl" />
+
+        <div className="relative bg-space-dark border border-neon-cyan rounded-xl p-8 w-[360px]">
+          <h1 className="text-3xl font-bold text-center mb-2">
+            <span className="text-neon-cyan">SINGLE</span>{' '}
+            <span className="text-neon-magenta">PLAYER</span>
+          </h1>
+          <p className="text-gray-400 text-center text-sm mb-6">
+            Free-for-all against the computer. Last one standing wins!
+          </p>
+
+          {/* Opponent count */}
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-gray-400 text-sm">OPPONENTS</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setCount(opponents.length - 1)}
+                disabled={opponents.length <= 1}
+                className="w-7 h-7 rounded border border-gray-700 text-white hover:border-neon-cyan disabled:opacity-40"
+              >
+                −
+              </button>
+              <span className="text-neon-cyan font-bold text-lg w-6 text-center tabular-nums">{opponents.length}</span>
+              <button
+                onClick={() => setCount(opponents.length + 1)}
+                disabled={opponents.length >= SINGLE_PLAYER.MAX_OPPONENTS}
+                className="w-7 h-7 rounded border border-gray-700 text-white hover:border-neon-cyan disabled:opacity-40"
+              >
+                +
+              </button>
+            </div>
+          </div>
+
+          {/* Set every opponent at once */}
+          <div className="flex gap-1 mb-3 text-xs">
+            {DIFFICULTY_KEYS.map((key) => (
+              <button
+                key={key}
+                onClick={() => setAll(key)}
+                className="flex-1 py-1 rounded border border-gray-700 text-gray-300 hover:border-neon-cyan hover:text-neon-cyan transition-colors"
+              >
+                All {getDifficultyInfo(key).label}
+              </button>
+            ))}
+            <button
+              onClick={() => setAll(null)}
+              className="flex-1 py-1 rounded border border-gray-700 text-gray-300 hover:border-neon-magenta hover:text-neon-magenta transition-colors"
+            >
+              Mixed
+            </button>
+          </div>
+
+          {/* Each opponent */}
+          <div className="space-y-1 max-h-[40vh] overflow-y-auto pr-1 mb-4">
+            {opponents.map((difficulty, index) => (
+              <div
+                key={index}
+                className="flex items-center justify-between gap-2 px-2 py-1 rounded bg-gray-900/60 border border-gray-800"
+                title={getDifficultyInfo(difficulty).style}
+              >
+                <span className="text-white text-sm truncate">{AI_NAMES[index % AI_NAMES.length]}</span>
+                <select
+                  value={difficulty}
+                  onChange={(e) => setOne(index, e.target.value)}
+                  className="px-1.5 py-0.5 rounded bg-gray-900 border border-gray-700 text-white text-xs focus:border-neon-cyan focus:outline-none"
+                >
+                  {DIFFICULTY_KEYS.map((key) => (
+                    <option key={key} value={key}>{getDifficultyInfo(key).label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {/* Adaptive level and this session's results */}
+          <div className="text-xs text-gray-400 mb-6 space-y-1">
+            {opponents.includes(ADAPTIVE_AI_DIFFICULTY) && (
+              <div className="flex justify-between">
+                <span>Adaptive skill</span>
+                <span className="text-neon-magenta tabular-nums">
+                  {Math.round(adaptive.skill * 100)}% · {describeStreak(adaptive.streak)}
+                </span>
+              </div>
+            )}
+            <div className="flex justify-between">
+              <span>This session</span>
+              <span className="tabular-nums">
+                <span className="text-neon-cyan">{record.playerWins}</span> won ·{' '}
+                <span className="text-neon-magenta">{record.computerWins}</span> lost
+              </span>
+            </div>
+          </div>
+
+          <button
+            onClick={onStart}
+            className="w-full py-3 bg-gradient-to-r from-neon-cyan to-neon-magenta
+              text-white font-bold rounded-lg transition-all duration-200
+              hover:opacity-90 hover:shadow-lg hover:shadow-neon-cyan/20 touch-manipulation"
+          >
+            START
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
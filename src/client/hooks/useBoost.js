@@ -15,6 +15,7 @@ import { BOOST } from '../utils/constants';
  *   isBoostActive: boolean - whether boost effect is currently happening
  *   cooldownProgress: number - 0 to 1, 1 = ready
  *   triggerBoost: () => boolean - call to attempt boost, returns true if successful
+ *   refillBoost: () => void - end the cooldown immediately (boost power-up)
  * }
  */
 export default function useBoost() {
@@ -68,6 +69,16 @@ export default function useBoost() {
     return true;
   }, [canBoost, updateCooldownProgress]);
 
+  // Skip the rest of the cooldown
+  const refillBoost = useCallback(() => {
+    if (animationFrameRef.current) {
+      cancelAnimationFrame(animationFrameRef.current);
+    }
+    cooldownStartRef.current = null;
+    setCanBoost(true);
+    setCooldownProgress(1);
+  }, []);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -85,5 +96,6 @@ export default function useBoost() {
     isBoostActive,
     cooldownProgress,
     triggerBoost,
+    refillBoost,
   };
 }
@@ -10,7 +10,7 @@ import { PHYSICS } from '../utils/constants';
  * @param {string} id - Unique player ID
  * @param {[number, number, number]} initialPosition - Starting position [x, y, z]
  * @param {boolean} isLocal - Whether this is the local controllable player
- * @returns {{ bodyRef, positionRef, velocityRef, applyForce, applyImpulse }}
+ * @returns {{ bodyRef, positionRef, velocityRef, syncFromPhysics, applyForce, applyImpulse, setPosition, setVelocity, getVelocity }}
  */
 export default function usePhysicsBody(id, initialPosition = [0, 1, 0], isLocal = false) {
   const { addBody, removeBody, getBody } = usePhysics();
@@ -116,6 +116,14 @@ export default function usePhysicsBody(id, initialPosition = [0, 1, 0], isLocal
     }
   }, []);
 
+  // Set position directly (for server reconciliation)
+  const setPosition = useCallback((x, y, z) => {
+    const body = bodyRef.current;
+    if (body) {
+      body.position.set(x, y, z);
+    }
+  }, []);
+
   // Set velocity directly (for specific behaviors)
   const setVelocity = useCallback((vx, vy, vz) => {
     const body = bodyRef.current;
@@ -144,6 +152,7 @@ export default function usePhysicsBody(id, initialPosition = [0, 1, 0], isLocal
     syncFromPhysics,
     applyForce,
     applyImpulse,
+    setPosition,
     setVelocity,
     getVelocity,
   };
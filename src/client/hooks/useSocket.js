@@ -1,6 +1,8 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
-import { GAME_STATES } from '../utils/constants';
+import { GAME_STATES, INTERPOLATION, SESSION } from '../utils/constants';
+import { setRoomPath } from '../utils/roomLink';
+import { pushSnapshot } from '../utils/snapshotBuffer';
 
 /**
  * useSocket - Hook for managing Socket.io connection and game state
@@ -22,13 +24,51 @@ export default function useSocket() {
   const [playerCount, setPlayerCount] = useState(0);
   const [maxPlayers, setMaxPlayers] = useState(40);
   const [joinError, setJoinError] = useState(null);
+  const [rules, setRules] = useState(null);
+  const [ruleLimits, setRuleLimits] = useState(null);
+  const [rulesError, setRulesError] = useState(null);
+  const [roomCode, setRoomCode] = useState(null);
+  const [isPrivateRoom, setIsPrivateRoom] = useState(false);
   const [hostChangeNotification, setHostChangeNotification] = useState(null);
   const [shrinkWarning, setShrinkWarning] = useState({ isWarning: false, warningProgress: 0 });
   const [scores, setScores] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [teamScores, setTeamScores] = useState(null);
+  const [winningTeam, setWinningTeam] = useState(null);
+  const [hill, setHill] = useState(null);
+  const [timeRemaining, setTimeRemaining] = useState(null);
+  const [standings, setStandings] = useState(null);
+  const [pickups, setPickups] = useState([]);
+  const [lastPowerUp, setLastPowerUp] = useState(null);
+  const [hazards, setHazards] = useState([]);
+  const [tiles, setTiles] = useState(null); // Crumbling tile bitsets { warning, fallen }, null on a solid platform
+  const [map, setMap] = useState(null); // Authored map in play (unit scale), null for the arena rule's layout
+  const [maps, setMaps] = useState([]); // Server's maps offered in the lobby: [{ id, name }]
+  const [mapError, setMapError] = useState(null);
+  const [botsError, setBotsError] = useState(null);
+  const [spawnVersion, setSpawnVersion] = useState(0); // Bumped whenever the server moves everyone to new spots
 
   // Position update handlers - using refs to avoid closure staleness
   const positionCallbackRef = useRef(null);
 
+  // Latest authoritative state of the local player from the server simulation
+  const localServerStateRef = useRef(null);
+
+  // Sequence number of the last input sent (acknowledged back as lastInputSeq)
+  const inputSeqRef = useRef(0);
+
+  // Timestamped position snapshots per remote player, for interpolation
+  const snapshotBuffersRef = useRef(new Map());
+
+  // Estimated server clock minus local clock (ms), includes one-way latency
+  const serverClockOffsetRef = useRef(null);
+
+  // Latest hazard states from the server ({ hazards, timestamp }), read every frame by the scene
+  const hazardStateRef = useRef({ hazards: [], timestamp: 0 });
+
+  // Local player's ID - fixed for the session, unlike the socket ID which changes on reconnect
+  const playerIdRef = useRef(null);
+
   // Initialize socket connection
   useEffect(() => {
     // Connect to server (uses same origin in production, proxy in dev)
@@ -42,8 +82,27 @@ export default function useSocket() {
     socketRef.current = socket;
 
     // Connection events
+    // Hazard layout only re-renders when hazards appear, disappear or resize
+    let hazardLayoutKey = '';
+    const syncHazards = (hazardStates = [], timestamp = Date.now()) => {
+      hazardStateRef.current = { hazards: hazardStates, timestamp };
+      const layoutKey = hazardStates
+        .map((hazard) => `${hazard.id}:${hazard.kind}:${hazard.orbit ?? ''}:${hazard.length ?? ''}`)
+        .join('|');
+      if (layoutKey !== hazardLayoutKey) {
+        hazardLayoutKey = layoutKey;
+        setHazards(hazardStates);
+      }
+    };
+
     socket.on('connect', () => {
       setConnected(true);
+
+      // Pick the match back up after a dropped connection or page reload
+      const sessionToken = sessionStorage.getItem(SESSION.STORAGE_KEY);
+      if (sessionToken) {
+        socket.emit('resume', { sessionToken });
+      }
     });
 
     socket.on('disconnect', () => {
@@ -56,18 +115,58 @@ export default function useSocket() {
       setMaxPlayers(max);
     });
 
-    // Join error (e.g., server full)
+    // Join error (e.g., server full, unknown or full room code)
     socket.on('joinError', ({ message }) => {
       setJoinError(message);
     });
 
-    // Joined successfully
+    // Removed by the server (e.g. anti-cheat) - back to the join screen with the reason
+    socket.on('kicked', ({ reason }) => {
+      sessionStorage.removeItem(SESSION.STORAGE_KEY);
+      playerIdRef.current = null;
+      setLocalPlayer(null);
+      setJoinError(reason);
+    });
+
+    // Session couldn't be resumed - only worth mentioning if we were mid-match on this page
+    socket.on('resumeFailed', ({ message }) => {
+      sessionStorage.removeItem(SESSION.STORAGE_KEY);
+      if (playerIdRef.current) {
+        playerIdRef.current = null;
+        setLocalPlayer(null);
+        setJoinError(message);
+      }
+    });
+
+    // Joined successfully (also sent when a session is resumed)
     socket.on('joined', (data) => {
+      snapshotBuffersRef.current.clear();
+      playerIdRef.current = data.player.id;
+      sessionStorage.setItem(SESSION.STORAGE_KEY, data.sessionToken);
+
+      // Keep input sequence numbers ahead of what the server has seen (e.g. after a reload)
+      inputSeqRef.current = Math.max(inputSeqRef.current, data.player.lastInputSeq || 0);
+
       setLocalPlayer(data.player);
+      setRules(data.rules);
+      setRuleLimits(data.ruleLimits);
+      setMaps(data.maps);
+      setMap(data.map);
+      setTeams(data.teams);
+      setHill(data.hill);
+      setPickups(data.pickups);
+      syncHazards(data.hazards, data.timestamp);
+      setTiles(data.tiles);
+      setTimeRemaining(data.timeRemaining);
       setIsHost(data.isHost);
       setHostId(data.hostId);
       setGameState(data.gameState);
       setPlatformRadius(data.platformRadius);
+      setRoomCode(data.roomCode);
+      setIsPrivateRoom(data.isPrivate);
+
+      // Reflect the room in the URL so it can be shared as-is
+      setRoomPath(data.roomCode);
 
       // Initialize players map from existing players
       const playersMap = {};
@@ -96,12 +195,22 @@ export default function useSocket() {
       }));
     });
 
+    // Player dropped and is held while they reconnect / came back
+    socket.on('playerReconnecting', ({ id }) => {
+      setPlayers((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], isReconnecting: true } } : prev));
+    });
+
+    socket.on('playerReconnected', ({ id }) => {
+      setPlayers((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], isReconnecting: false } } : prev));
+    });
+
     // Player left
     socket.on('playerLeft', ({ id, name, newHostId }) => {
+      snapshotBuffersRef.current.delete(id);
       const wasHost = id === newHostId; // Check if the one who left was host
       setHostId((prevHostId) => {
         // If the player who left was the old host and we're the new host
-        if (prevHostId === id && socket.id === newHostId) {
+        if (prevHostId === id && playerIdRef.current === newHostId) {
           setHostChangeNotification({
             message: 'You are now the host!',
             previousHost: name,
@@ -112,7 +221,7 @@ export default function useSocket() {
         return newHostId;
       });
       setIsHost((prev) => {
-        if (socket.id === newHostId) {
+        if (playerIdRef.current === newHostId) {
           return true;
         }
         return prev;
@@ -125,7 +234,29 @@ export default function useSocket() {
     });
 
     // Position updates from server
-    socket.on('positionUpdate', ({ positions, timestamp }) => {
+    socket.on('positionUpdate', ({ positions, hazards: hazardStates, timestamp }) => {
+      // Track the server clock so remote players can be rendered at server time
+      const sampleOffset = timestamp - Date.now();
+      serverClockOffsetRef.current = serverClockOffsetRef.current === null
+        ? sampleOffset
+        : serverClockOffsetRef.current
+          + (sampleOffset - serverClockOffsetRef.current) * INTERPOLATION.CLOCK_SMOOTHING;
+
+      syncHazards(hazardStates, timestamp);
+
+      // Buffer snapshots of remote players
+      Object.entries(positions).forEach(([id, data]) => {
+        if (id === playerIdRef.current) return;
+        if (!snapshotBuffersRef.current.has(id)) {
+          snapshotBuffersRef.current.set(id, []);
+        }
+        pushSnapshot(snapshotBuffersRef.current.get(id), {
+          timestamp,
+          position: { ...data.position },
+          velocity: { ...data.velocity },
+        });
+      });
+
       // Update target positions for interpolation
       setPlayers((prev) => {
         const updated = { ...prev };
@@ -142,6 +273,11 @@ export default function useSocket() {
         return updated;
       });
 
+      // Keep the server's view of the local player for reconciliation
+      if (positions[playerIdRef.current]) {
+        localServerStateRef.current = { ...positions[playerIdRef.current], timestamp };
+      }
+
       // Call external position callback if set
       if (positionCallbackRef.current) {
         positionCallbackRef.current(positions, timestamp);
@@ -159,23 +295,179 @@ export default function useSocket() {
       setGameState(GAME_STATES.PLAYING);
       setCountdown(null);
       setPlatformRadius(data.platformRadius);
+      setRules(data.rules);
+      setHill(data.hill);
+      setPickups(data.pickups);
+      syncHazards(data.hazards, data.timestamp);
+      setTiles(data.tiles);
+      setTimeRemaining(data.timeRemaining);
+      snapshotBuffersRef.current.clear();
+    });
+
+    // Crumbling tiles started to fall or fell
+    socket.on('tilesUpdated', (tileState) => {
+      setTiles(tileState);
+    });
+
+    // King of the Hill zone moved or changed holder
+    socket.on('hillUpdate', ({ hill: newHill }) => {
+      setHill(newHill);
+    });
+
+    // Power-ups - pickups appear and disappear, collected ones grant timed effects
+    // (effects are kept as local expiry times so the HUD can count them down)
+    const updateEffects = (id, update) => {
+      setPlayers((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], effects: update(prev[id].effects) } } : prev));
+      if (id === playerIdRef.current) {
+        setLocalPlayer((prev) => (prev ? { ...prev, effects: update(prev.effects) } : prev));
+      }
+    };
+
+    socket.on('powerUpSpawned', ({ pickup }) => {
+      setPickups((prev) => [...prev, pickup]);
+    });
+
+    socket.on('powerUpRemoved', ({ pickupId }) => {
+      setPickups((prev) => prev.filter((pickup) => pickup.id !== pickupId));
+    });
+
+    socket.on('powerUpCollected', (collected) => {
+      setPickups((prev) => prev.filter((pickup) => pickup.id !== collected.pickupId));
+      if (collected.duration > 0) {
+        updateEffects(collected.playerId, (effects) => ({ ...effects, [collected.type]: Date.now() + collected.duration }));
+      }
+      setLastPowerUp({ ...collected, receivedAt: Date.now() });
+    });
+
+    socket.on('powerUpExpired', ({ playerId, type }) => {
+      updateEffects(playerId, (effects = {}) => {
+        const remaining = { ...effects };
+        delete remaining[type];
+        return remaining;
+      });
+    });
+
+    // Host changed the match rules
+    socket.on('rulesUpdated', ({ rules: newRules }) => {
+      setRules(newRules);
+      setRulesError(null);
+    });
+
+    // Everyone was moved to a new spot (countdown lineup, or the host switched arena)
+    socket.on('playersRepositioned', ({ positions }) => {
+      snapshotBuffersRef.current.clear();
+      setSpawnVersion((version) => version + 1);
+      setPlayers((prev) => {
+        const updated = { ...prev };
+        Object.entries(positions).forEach(([id, { position, velocity }]) => {
+          if (updated[id]) {
+            updated[id] = {
+              ...updated[id],
+              position: { ...position },
+              velocity: { ...velocity },
+              targetPosition: { ...position },
+              targetVelocity: { ...velocity },
+            };
+          }
+        });
+        return updated;
+      });
+      setLocalPlayer((prev) => {
+        const moved = prev && positions[prev.id];
+        return moved ? { ...prev, position: { ...moved.position }, velocity: { ...moved.velocity } } : prev;
+      });
+    });
+
+    socket.on('rulesError', ({ message }) => {
+      setRulesError(message);
+    });
+
+    // Host picked or uploaded a map (or went back to the arena rule)
+    socket.on('mapUpdated', ({ map: newMap }) => {
+      setMap(newMap);
+      setMapError(null);
+    });
+
+    socket.on('mapError', ({ message }) => {
+      setMapError(message);
+    });
+
+    socket.on('botsError', ({ message }) => {
+      setBotsError(message);
+    });
+
+    // Team assignments changed (player picked a team, or mode/team count changed)
+    socket.on('teamsUpdated', ({ assignments }) => {
+      setPlayers((prev) => {
+        const updated = { ...prev };
+        Object.entries(assignments).forEach(([id, assignment]) => {
+          if (updated[id]) {
+            updated[id] = { ...updated[id], ...assignment };
+          }
+        });
+        return updated;
+      });
+      setLocalPlayer((prev) => {
+        const assignment = prev && assignments[prev.id];
+        return assignment ? { ...prev, ...assignment } : prev;
+      });
     });
 
     // Player eliminated
-    socket.on('playerEliminated', ({ id, name }) => {
+    // In stock mode a player with lives left comes back after respawnIn ms
+    socket.on('playerEliminated', ({ id, livesLeft = null, respawnIn = null }) => {
+      const eliminated = {
+        isEliminated: true,
+        effects: {},
+        lives: livesLeft,
+        respawnAt: respawnIn ? Date.now() + respawnIn : null,
+      };
+
       setPlayers((prev) => {
         if (prev[id]) {
           return {
             ...prev,
-            [id]: { ...prev[id], isEliminated: true },
+            [id]: { ...prev[id], ...eliminated },
           };
         }
         return prev;
       });
 
       // Check if local player was eliminated
-      if (id === socket.id) {
-        setLocalPlayer((prev) => (prev ? { ...prev, isEliminated: true } : prev));
+      if (id === playerIdRef.current) {
+        setLocalPlayer((prev) => (prev ? { ...prev, ...eliminated } : prev));
+      }
+    });
+
+    // Stock mode respawn - back on the platform at a fresh spot
+    socket.on('playerRespawned', ({ id, position, lives }) => {
+      const respawned = {
+        isEliminated: false,
+        respawnAt: null,
+        lives,
+        position,
+        velocity: { x: 0, y: 0, z: 0 },
+      };
+
+      snapshotBuffersRef.current.delete(id); // Don't interpolate from where they fell
+      setPlayers((prev) => {
+        if (prev[id]) {
+          return {
+            ...prev,
+            [id]: {
+              ...prev[id],
+              ...respawned,
+              targetPosition: { ...position },
+              targetVelocity: { x: 0, y: 0, z: 0 },
+            },
+          };
+        }
+        return prev;
+      });
+
+      if (id === playerIdRef.current) {
+        localServerStateRef.current = null;
+        setLocalPlayer((prev) => (prev ? { ...prev, ...respawned } : prev));
       }
     });
 
@@ -199,23 +491,39 @@ export default function useSocket() {
     });
 
     // Game end
-    socket.on('gameEnd', ({ winner: gameWinner }) => {
+    socket.on('gameEnd', (data) => {
       setGameState(GAME_STATES.ENDED);
-      setWinner(gameWinner);
+      setWinner(data.winner);
+      setWinningTeam(data.winningTeam);
+      setTeamScores(data.teamScores);
+      setStandings(data.standings);
     });
 
     // Game reset
     socket.on('gameReset', (data) => {
       setGameState(GAME_STATES.LOBBY);
       setWinner(null);
+      setWinningTeam(null);
+      setTeamScores(null);
+      setStandings(null);
+      setHill(data.hill);
+      setPickups([]);
+      setLastPowerUp(null);
+      syncHazards(data.hazards, data.timestamp);
+      setTiles(data.tiles);
+      setTimeRemaining(null);
       setCountdown(null);
       setPlatformRadius(data.platformRadius);
+      setRules(data.rules);
       setKonamiActivator(null);
+      localServerStateRef.current = null;
+      snapshotBuffersRef.current.clear(); // Players were teleported to spawns - don't interpolate across
+      setSpawnVersion((version) => version + 1);
 
       // Reset player states
       const playersMap = {};
       data.players.forEach((p) => {
-        if (p.id !== socket.id) {
+        if (p.id !== playerIdRef.current) {
           playersMap[p.id] = {
             ...p,
             targetPosition: { ...p.position },
@@ -226,7 +534,7 @@ export default function useSocket() {
       setPlayers(playersMap);
 
       // Reset local player
-      const localP = data.players.find((p) => p.id === socket.id);
+      const localP = data.players.find((p) => p.id === playerIdRef.current);
       if (localP) {
         setLocalPlayer(localP);
       }
@@ -246,29 +554,38 @@ export default function useSocket() {
     });
 
     // Score updates (live during gameplay)
-    socket.on('scoreUpdate', ({ scores: scoreData }) => {
+    socket.on('scoreUpdate', ({ scores: scoreData, teamScores: teamScoreData, timeRemaining: remaining }) => {
       setScores(scoreData);
+      setTeamScores(teamScoreData);
+      setTimeRemaining(remaining);
     });
 
     // Cleanup on unmount
     return () => {
+      // Leaving on purpose - don't try to resume this session later
+      sessionStorage.removeItem(SESSION.STORAGE_KEY);
       socket.disconnect();
       socketRef.current = null;
     };
   }, []);
 
-  // Join game
-  const join = useCallback((name) => {
+  // Join game - a public match by default, or a specific/new private room
+  const join = useCallback((name, { roomCode: code, createPrivate = false } = {}) => {
     if (socketRef.current && connected) {
-      socketRef.current.emit('join', { name });
+      setJoinError(null);
+      socketRef.current.emit('join', { name, roomCode: code, createPrivate });
     }
   }, [connected]);
 
-  // Send position update to server
-  const sendInput = useCallback((position, velocity) => {
+  // Send input intent ({ direction: { x, z }, boost, anchor }) to the server simulation.
+  // Each input is tagged with an increasing seq; returns it, or null if not sent
+  const sendInput = useCallback((input) => {
     if (socketRef.current && connected && gameState === GAME_STATES.PLAYING) {
-      socketRef.current.emit('input', { position, velocity });
+      const seq = ++inputSeqRef.current;
+      socketRef.current.emit('input', { ...input, seq });
+      return seq;
     }
+    return null;
   }, [connected, gameState]);
 
   // Start game (host only)
@@ -278,6 +595,49 @@ export default function useSocket() {
     }
   }, [connected, isHost]);
 
+  // Change match rules (host only, in the lobby) - server validates and broadcasts
+  const updateRules = useCallback((changes) => {
+    if (socketRef.current && connected && isHost) {
+      socketRef.current.emit('updateRules', changes);
+    }
+  }, [connected, isHost]);
+
+  // Pick one of the server's maps, or null for the arena rule (host only, in the lobby)
+  const selectMap = useCallback((id) => {
+    if (socketRef.current && connected && isHost) {
+      socketRef.current.emit('selectMap', { id });
+    }
+  }, [connected, isHost]);
+
+  // Play on a map file from the editor (host only, in the lobby) - server validates and broadcasts
+  const uploadMap = useCallback((mapFile) => {
+    if (socketRef.current && connected && isHost) {
+      socketRef.current.emit('uploadMap', { map: mapFile });
+    }
+  }, [connected, isHost]);
+
+  // Add computer players (host only, in the lobby) - server caps the count
+  const addBots = useCallback((count, difficulty) => {
+    if (socketRef.current && connected && isHost) {
+      setBotsError(null);
+      socketRef.current.emit('addBots', { count, difficulty });
+    }
+  }, [connected, isHost]);
+
+  // Remove a computer player (host only, in the lobby)
+  const removeBot = useCallback((id) => {
+    if (socketRef.current && connected && isHost) {
+      socketRef.current.emit('removeBot', { id });
+    }
+  }, [connected, isHost]);
+
+  // Pick a team (teams mode, in the lobby) - server validates and broadcasts
+  const chooseTeam = useCallback((team) => {
+    if (socketRef.current && connected) {
+      socketRef.current.emit('chooseTeam', { team });
+    }
+  }, [connected]);
+
   // Set ready status
   const setReady = useCallback((ready) => {
     if (socketRef.current && connected) {
@@ -323,6 +683,8 @@ export default function useSocket() {
     hostId,
     playerCount,
     maxPlayers,
+    roomCode,
+    isPrivateRoom,
 
     // Game state
     gameState,
@@ -331,15 +693,43 @@ export default function useSocket() {
     platformRadius,
     konamiActivator,
     joinError,
+    rules,
+    ruleLimits,
+    rulesError,
     hostChangeNotification,
     shrinkWarning,
     scores,
+    teams,
+    teamScores,
+    winningTeam,
+    hill,
+    timeRemaining,
+    standings,
+    pickups,
+    lastPowerUp,
+    hazards,
+    hazardStateRef,
+    tiles,
+    map,
+    maps,
+    mapError,
+    botsError,
+    spawnVersion,
+    localServerStateRef,
+    snapshotBuffersRef,
+    serverClockOffsetRef,
 
     // Actions
     join,
     sendInput,
     sendCollision,
     startGame,
+    updateRules,
+    selectMap,
+    uploadMap,
+    addBots,
+    removeBot,
+    chooseTeam,
     setReady,
     triggerKonami,
     playAgain,
@@ -1,3 +1,5 @@
+import { SIMULATION } from '../../shared/simulation.js';
+
 // Dynamic scaling based on player count
 export function getPlayerScale(playerCount) {
   // 2 players = 1.5x size, 40 players = 0.5x size
@@ -45,13 +47,20 @@ export const GAME_STATES = {
   ENDED: 'ended',
 };
 
+// Match modes (mirrors the server's GAME_MODES)
+export const GAME_MODES = {
+  FFA: 'ffa',
+  TEAMS: 'teams',
+  KING_OF_THE_HILL: 'koth',
+  STOCK: 'stock',
+  SCORE_ATTACK: 'score',
+};
+
 // Platform settings
+// Shrink timing and minimum radius are per-match rules sent by the server (see useSocket `rules`)
 export const PLATFORM = {
   INITIAL_RADIUS: 10,
-  MIN_RADIUS: 4,
   HEIGHT: 0.5,
-  SHRINK_INTERVAL: 30000, // Shrink every 30 seconds (must match server)
-  SHRINK_WARNING_TIME: 5000, // Warning starts 5 seconds before shrink (must match server)
 };
 
 // Player settings
@@ -69,20 +78,15 @@ export const MOVEMENT = {
   MAX_SPEED: 0.12, // Maximum velocity - for direct position updates
   FRICTION: 0.98, // Drag coefficient (0.98 = 2% slowdown per frame, very slippery)
   BOOST_MULTIPLIER: 2.5, // Speed multiplier when boosting (legacy - kept for compatibility)
-  // Physics-scaled values (for cannon-es force application)
-  PHYSICS_ACCELERATION: 3.0, // Increased from 0.75 for better responsiveness
-  PHYSICS_MAX_SPEED: 4.0, // Increased from 1.2 for faster movement
+  // Physics movement (forces, speed clamps) is in shared/simulation.js
 };
 
-// Boost/Dash mechanics
+// Boost/Dash mechanics (the physics impulse and boosted speed clamp are in shared/simulation.js)
 export const BOOST = {
-  COOLDOWN: 1500, // Cooldown duration in milliseconds (1.5 seconds)
+  COOLDOWN: SIMULATION.BOOST_COOLDOWN, // Cooldown duration in milliseconds (1.5 seconds)
   IMPULSE_STRENGTH: 0.4, // Instant velocity boost applied on spacebar - for direct position updates
   MAX_BOOSTED_SPEED: 0.35, // Maximum speed while boosted (higher than normal) - for direct position updates
-  DURATION: 200, // How long the boost effect lasts in ms (for visual trail)
-  // Physics-scaled values (for cannon-es impulse application)
-  PHYSICS_IMPULSE_STRENGTH: 8, // 0.4 * 20 - Impulse magnitude for physics bodies
-  PHYSICS_MAX_BOOSTED_SPEED: 3.5, // 0.35 * 10 - Max velocity during boost for physics bodies
+  DURATION: SIMULATION.BOOST_DURATION, // How long the boost effect lasts in ms (for visual trail)
 };
 
 // Key mappings for controls
@@ -105,9 +109,8 @@ export const COLORS = {
 // Physics settings for Cannon-es
 export const PHYSICS = {
   GRAVITY: -0.5, // Low gravity for floaty feel
-  TIMESTEP: 1 / 60, // Physics runs at 60fps
-  MAX_SUBSTEPS: 3, // Maximum physics substeps per frame
-  PLAYER_MASS: 1, // Player body mass
+  MAX_SUBSTEPS: 3, // Maximum fixed ticks per frame (the tick rate is in shared/simulation.js)
+  PLAYER_MASS: SIMULATION.PLAYER_MASS, // Player body mass
   PLAYER_RADIUS: 0.5, // Collision sphere radius
   PLAYER_LINEAR_DAMPING: 0.05, // Adds drag to slow players (reduced from 0.3 for better movement)
   PLAYER_ANGULAR_DAMPING: 0.9, // Prevents excessive spinning
@@ -117,6 +120,65 @@ export const PHYSICS = {
   FALL_THRESHOLD: -5, // Y position below which player is eliminated (must match server)
 };
 
+// Power-up pickups - display info plus the physics modifiers of timed effects
+// (modifiers mirror the server's POWER_UPS so prediction agrees)
+export const POWER_UPS = {
+  heavy: { label: 'HEAVY', icon: '🪨', color: '#b0b0ff', massMultiplier: 4 },
+  giant: { label: 'GIANT', icon: '⬆', color: '#ff8800', radiusMultiplier: 1.8 },
+  speed: { label: 'SPEED', icon: '⚡', color: '#ffee00', speedMultiplier: 1.5 },
+  boost: { label: 'BOOST', icon: '🔋', color: '#00ff88' },
+  shield: { label: 'SHIELD', icon: '🛡', color: '#00ccff' },
+  shockwave: { label: 'SHOCKWAVE', icon: '💥', color: '#ff0066', radius: 4 }, // Blast reach (matches the server)
+};
+
+/**
+ * Combine a player's active power-up effects into physics modifiers
+ * @param {Object} effects - Active effects: type -> expiry timestamp
+ * @returns {{ massMultiplier: number, radiusMultiplier: number, speedMultiplier: number, shield: boolean }}
+ */
+export function getEffectModifiers(effects = {}) {
+  const modifiers = { massMultiplier: 1, radiusMultiplier: 1, speedMultiplier: 1, shield: 'shield' in effects };
+  Object.keys(effects).forEach((type) => {
+    const powerUp = POWER_UPS[type];
+    if (powerUp?.massMultiplier) modifiers.massMultiplier = powerUp.massMultiplier;
+    if (powerUp?.radiusMultiplier) modifiers.radiusMultiplier = powerUp.radiusMultiplier;
+    if (powerUp?.speedMultiplier) modifiers.speedMultiplier = powerUp.speedMultiplier;
+  });
+  return modifiers;
+}
+
+// Arena hazards - sizes and forces mirror the server's HAZARDS (positions come from the server)
+export const HAZARDS = {
+  BUMPER: { RADIUS: 0.8, HEIGHT: 1, IMPULSE: 6, COOLDOWN: 300, COLOR: '#ff3366' },
+  SWEEPER: { PLACED_LENGTH: 0.3, WIDTH: 0.4, HEIGHT: 1.2, COLOR: '#ffaa00' },
+  WELL: { REACH: 4, STRENGTH: 6, COLOR: '#9933ff' },
+};
+
+// Server-side bot players - limit mirrors the server's BOTS (difficulties are in shared/ai.js)
+export const BOTS = {
+  MAX_PER_ROOM: 16,
+};
+
+// Single player - opponents are the same AI as the server's bots (shared/ai.js)
+export const SINGLE_PLAYER = {
+  MAX_OPPONENTS: 15,
+  DEFAULT_OPPONENT_COUNT: 3, // Opponents on the setup screen, all at the difficulty picked on the menu
+  DIFFICULTY_STORAGE_KEY: 'spacePushDifficulty', // localStorage key for the difficulty picked on the menu
+  ADAPTIVE_STORAGE_KEY: 'spacePushAdaptive', // localStorage key for the adaptive skill level and streak
+  ATTRIBUTION_WINDOW: 3000, // ms a hit counts toward a push-off elimination (the multiplayer default)
+  SCORE_INTERVAL: 500, // ms between live scoreboard refreshes
+};
+
+// Crumbling tile platform visuals (tile layout lives in shared/tiles.js)
+export const TILES = {
+  GAP: 0.94, // Tiles are drawn slightly smaller than their bodies so the seams show
+  COLOR: '#0a3a44',
+  EDGE_COLOR: '#00ffff',
+  WARNING_COLOR: '#ff2200',
+  FALL_GRAVITY: 20, // Units/s² a fallen tile accelerates downward
+  FALL_DEPTH: 30, // Fallen tiles are hidden once this far below the platform
+};
+
 // Elimination animation settings
 export const ELIMINATION = {
   ANIMATION_DURATION: 2000, // Duration of elimination animation in ms
@@ -134,3 +196,37 @@ export const TOUCH = {
   MAX_DRAG_DISTANCE: 100, // Maximum drag distance that maps to full speed
   DIRECTION_THRESHOLD: 0.3, // Threshold (0-1) for activating a direction
 };
+
+// Shareable room codes (must match server ROOMS settings)
+export const ROOM_CODE = {
+  LENGTH: 4,
+  ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // No 0/O or 1/I to avoid misreads
+  PATH_PREFIX: '/r/', // Deep link format: /r/ABCD
+};
+
+// Client-side prediction and server reconciliation for the local player
+export const NETWORK = {
+  INPUT_SEND_INTERVAL: 50, // Resend unchanged input at most every 50ms (changes are sent immediately)
+  MIN_INPUT_INTERVAL: 16, // Never send inputs faster than ~60/s (server rate-limits the input event)
+  RECONCILE_EPSILON: 0.05, // Keep the predicted state if replay lands within this distance of it
+  SNAP_DISTANCE: 3, // Beyond this correction, jump without visual smoothing
+  SMOOTHING_RATE: 12, // Exponential decay rate (1/s) of the visual correction offset
+  MAX_REPLAY_STEPS: 60, // Cap on fixed steps replayed per snapshot (1s at 60Hz)
+  MAX_PENDING_INPUTS: 120, // Drop oldest unacknowledged inputs beyond this
+};
+
+// Remote player rendering - snapshot interpolation buffer
+export const INTERPOLATION = {
+  MODE: 'buffer', // 'buffer' (render in the past between snapshots) or 'extrapolate' (legacy velocity lead)
+  DELAY: 100, // Render remote players this many ms behind the server
+  MAX_EXTRAPOLATION: 200, // Keep moving along the last velocity for at most this long when snapshots stop
+  BUFFER_SIZE: 30, // Snapshots kept per remote player (~1.5s at 20Hz)
+  CLOCK_SMOOTHING: 0.1, // Blend factor for the server clock offset estimate
+  QUERY_MODE_PARAM: 'interp', // ?interp=extrapolate to compare modes
+  QUERY_DELAY_PARAM: 'interpDelay', // ?interpDelay=150 to tune the delay
+};
+
+// Reconnection
+export const SESSION = {
+  STORAGE_KEY: 'spacePushSession', // sessionStorage key for the resumable session token
+};
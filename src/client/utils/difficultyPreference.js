@@ -0,0 +1,78 @@
+import { SINGLE_PLAYER } from './constants';
+import { AI_DIFFICULTIES, ADAPTIVE_AI, ADAPTIVE_AI_DIFFICULTY, DEFAULT_AI_DIFFICULTY } from '../../shared/ai.js';
+
+/**
+ * Read a stored value, ignoring storage that is unavailable (private browsing, blocked cookies)
+ * @param {string} key - localStorage key
+ * @returns {string|null}
+ */
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a value, silently giving up if storage is unavailable
+ * @param {string} key - localStorage key
+ * @param {string} value
+ */
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Not remembered this time
+  }
+}
+
+/**
+ * Check a difficulty can be played in single player
+ * @param {string} difficulty
+ * @returns {boolean}
+ */
+export function isSinglePlayerDifficulty(difficulty) {
+  return difficulty === ADAPTIVE_AI_DIFFICULTY || Object.hasOwn(AI_DIFFICULTIES, difficulty);
+}
+
+/**
+ * The single-player difficulty picked last session
+ * @returns {string} Key of AI_DIFFICULTIES or ADAPTIVE_AI_DIFFICULTY
+ */
+export function loadDifficulty() {
+  const stored = readStorage(SINGLE_PLAYER.DIFFICULTY_STORAGE_KEY);
+  return isSinglePlayerDifficulty(stored) ? stored : DEFAULT_AI_DIFFICULTY;
+}
+
+/**
+ * Remember the single-player difficulty for next session
+ * @param {string} difficulty
+ */
+export function saveDifficulty(difficulty) {
+  writeStorage(SINGLE_PLAYER.DIFFICULTY_STORAGE_KEY, difficulty);
+}
+
+/**
+ * Where adaptive opponents had got to last session
+ * @returns {Object} { skill, streak } - streak counts wins in a row (positive) or losses (negative)
+ */
+export function loadAdaptiveProgress() {
+  try {
+    const { skill, streak } = JSON.parse(readStorage(SINGLE_PLAYER.ADAPTIVE_STORAGE_KEY));
+    if (Number.isFinite(skill) && Number.isInteger(streak)) {
+      return { skill: Math.max(0, Math.min(1, skill)), streak };
+    }
+  } catch {
+    // Nothing stored yet, or unreadable
+  }
+  return { skill: ADAPTIVE_AI.START_SKILL, streak: 0 };
+}
+
+/**
+ * Remember adaptive opponents' skill and the streak for next session
+ * @param {Object} progress - { skill, streak }
+ */
+export function saveAdaptiveProgress({ skill, streak }) {
+  writeStorage(SINGLE_PLAYER.ADAPTIVE_STORAGE_KEY, JSON.stringify({ skill, streak }));
+}
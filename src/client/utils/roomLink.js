@@ -0,0 +1,46 @@
+import { ROOM_CODE } from './constants';
+
+/**
+ * Normalize a user-entered room code and validate its format
+ * @param {string} code - Raw room code
+ * @returns {string|null} Uppercase code, or null if malformed
+ */
+export function normalizeRoomCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  if (normalized.length !== ROOM_CODE.LENGTH) return null;
+  for (const char of normalized) {
+    if (!ROOM_CODE.ALPHABET.includes(char)) return null;
+  }
+  return normalized;
+}
+
+/**
+ * Read the room code from a /r/ABCD deep link in the current URL
+ * @returns {string|null} Room code, or null if the URL isn't a room link
+ */
+export function getRoomCodeFromPath() {
+  const { pathname } = window.location;
+  if (!pathname.startsWith(ROOM_CODE.PATH_PREFIX)) return null;
+  return normalizeRoomCode(pathname.slice(ROOM_CODE.PATH_PREFIX.length).split('/')[0]);
+}
+
+/**
+ * Build the full shareable URL for a room
+ * @param {string} code - Room code
+ * @returns {string} Absolute invite link
+ */
+export function getRoomLink(code) {
+  return `${window.location.origin}${ROOM_CODE.PATH_PREFIX}${code}`;
+}
+
+/**
+ * Point the address bar at a room (or back to the root) without reloading
+ * @param {string|null} code - Room code, or null to clear
+ */
+export function setRoomPath(code) {
+  const path = code ? `${ROOM_CODE.PATH_PREFIX}${code}` : '/';
+  if (window.location.pathname !== path) {
+    window.history.replaceState(null, '', path);
+  }
+}
@@ -0,0 +1,69 @@
+import { INTERPOLATION } from './constants';
+
+/**
+ * Read interpolation settings, allowing ?interp= and ?interpDelay= overrides
+ * so both rendering modes can be compared side by side
+ * @returns {{ mode: string, delay: number }}
+ */
+export function getInterpolationSettings() {
+  const params = new URLSearchParams(window.location.search);
+  const mode = params.get(INTERPOLATION.QUERY_MODE_PARAM);
+  const delay = Number(params.get(INTERPOLATION.QUERY_DELAY_PARAM));
+  return {
+    mode: mode === 'extrapolate' || mode === 'buffer' ? mode : INTERPOLATION.MODE,
+    delay: Number.isFinite(delay) && delay > 0 ? delay : INTERPOLATION.DELAY,
+  };
+}
+
+/**
+ * Append a snapshot to a player's buffer, keeping it ordered and bounded
+ * @param {Array} buffer - Snapshots sorted by timestamp
+ * @param {Object} snapshot - { timestamp, position, velocity }
+ */
+export function pushSnapshot(buffer, snapshot) {
+  const last = buffer[buffer.length - 1];
+  if (last && snapshot.timestamp <= last.timestamp) return; // Out of order or duplicate
+  buffer.push(snapshot);
+  if (buffer.length > INTERPOLATION.BUFFER_SIZE) {
+    buffer.shift();
+  }
+}
+
+/**
+ * Sample a snapshot buffer at a point in server time
+ * Interpolates between the two bracketing snapshots; past the newest one,
+ * extrapolates along its velocity for at most MAX_EXTRAPOLATION ms.
+ * @param {Array} buffer - Snapshots sorted by timestamp
+ * @param {number} renderTime - Server time to sample (ms)
+ * @returns {{ x: number, y: number, z: number }|null} Position, or null if the buffer is empty
+ */
+export function sampleSnapshots(buffer, renderTime) {
+  if (buffer.length === 0) return null;
+
+  const first = buffer[0];
+  if (renderTime <= first.timestamp) {
+    return { ...first.position };
+  }
+
+  for (let i = buffer.length - 1; i > 0; i--) {
+    const from = buffer[i - 1];
+    const to = buffer[i];
+    if (renderTime >= from.timestamp && renderTime <= to.timestamp) {
+      const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+      return {
+        x: from.position.x + (to.position.x - from.position.x) * t,
+        y: from.position.y + (to.position.y - from.position.y) * t,
+        z: from.position.z + (to.position.z - from.position.z) * t,
+      };
+    }
+  }
+
+  // Newer than anything received - bounded extrapolation
+  const latest = buffer[buffer.length - 1];
+  const ahead = Math.min(renderTime - latest.timestamp, INTERPOLATION.MAX_EXTRAPOLATION) / 1000;
+  return {
+    x: latest.position.x + latest.velocity.x * ahead,
+    y: latest.position.y + latest.velocity.y * ahead,
+    z: latest.position.z + latest.velocity.z * ahead,
+  };
+}
@@ -3,6 +3,10 @@
  * These mirror the client constants for server-authoritative game state
  */
 
+import { ARENA_LAYOUTS, DEFAULT_ARENA } from '../shared/arena.js';
+import { SCORE_WEIGHTS } from '../shared/scoring.js';
+import { SIMULATION } from '../shared/simulation.js';
+
 // Player color palette - neon colors for visibility against space background
 export const PLAYER_COLORS = [
   '#ff4444', // Red
@@ -19,6 +23,23 @@ export const PLAYER_COLORS = [
   '#8844ff', // Purple
 ];
 
+// Team palette - team colors override PLAYER_COLORS in teams mode
+export const TEAMS = [
+  { id: 0, name: 'Red', color: '#ff4444' },
+  { id: 1, name: 'Blue', color: '#4488ff' },
+  { id: 2, name: 'Green', color: '#44ff44' },
+  { id: 3, name: 'Yellow', color: '#ffff44' },
+];
+
+// Match modes
+export const GAME_MODES = {
+  FFA: 'ffa', // Free-for-all - last player standing
+  TEAMS: 'teams', // Last team standing
+  KING_OF_THE_HILL: 'koth', // Hold the scoring zone to reach the point target
+  STOCK: 'stock', // Several lives each - respawn after a fall until they run out
+  SCORE_ATTACK: 'score', // Timed - unlimited respawns, highest score when the clock runs out wins
+};
+
 // Game states
 export const GAME_STATES = {
   LOBBY: 'lobby',
@@ -35,6 +56,85 @@ export const PLATFORM = {
   SHRINK_INTERVAL: 30000, // Shrink every 30 seconds
   SHRINK_AMOUNT: 2, // Shrink by 2 units each time
   SHRINK_WARNING_TIME: 5000, // Warning starts 5 seconds before shrink
+  SPOT_ATTEMPTS: 20, // Random spots tried when looking for one far enough inside the arena edge
+};
+
+// King of the Hill scoring zone
+export const HILL = {
+  RADIUS: 2, // Zone radius
+  EDGE_MARGIN: 1, // Keep the whole zone at least this far inside the platform edge
+  MIN_MOVE_DISTANCE: 3, // A move always lands at least this far from the previous spot (when room allows)
+};
+
+// Stock and score attack respawns
+export const RESPAWN = {
+  EDGE_MARGIN: 1.5, // Respawn at least this far inside the platform edge
+  CANDIDATES: 12, // Spots tried when looking for the one furthest from other players
+};
+
+// Round-start spawn allocation (see spawns.js)
+export const SPAWN = {
+  SPACING: 1.8, // Distance between neighbouring spawn slots (a player is 1 across)
+  MIN_SPREAD: 0.4, // Outer spawn ring as a fraction of the platform radius with 2 players...
+  MAX_SPREAD: 0.8, // ...and with 40
+  SPREAD_MIN_PLAYERS: 2,
+  SPREAD_MAX_PLAYERS: 40,
+  EDGE_MARGIN: 1.5, // Slots keep at least this far inside the arena edge...
+  MIN_EDGE_MARGIN: 0.75, // ...or this far when the arena is too cramped for everyone
+  FALLBACK_ATTEMPTS: 30, // Random spots tried per player when the rings are full
+};
+
+// Power-up pickups - timed effects last `duration` ms, instant ones apply once.
+// `weightRule` names the match rule holding the type's spawn weight.
+// Modifiers must match the client POWER_UPS so prediction agrees
+export const POWER_UPS = {
+  TYPES: {
+    heavy: { weightRule: 'powerUpHeavy', duration: 8000, massMultiplier: 4 }, // Hits harder and shrugs off pushes, same handling
+    giant: { weightRule: 'powerUpGiant', duration: 8000, radiusMultiplier: 1.8 }, // Bigger body - longer reach for pushes
+    speed: { weightRule: 'powerUpSpeed', duration: 6000, speedMultiplier: 1.5 }, // Faster acceleration and top speed
+    boost: { weightRule: 'powerUpBoost', duration: 0 }, // Instant boost cooldown refill
+    shield: { weightRule: 'powerUpShield', duration: 6000 }, // Immune to knockback
+    shockwave: { weightRule: 'powerUpShockwave', duration: 0 }, // Instant push on everyone nearby
+  },
+  PICKUP_RADIUS: 0.6, // Reach of a pickup (added to the player's radius)
+  EDGE_MARGIN: 1.5, // Spawn at least this far inside the platform edge
+  MIN_PLAYER_DISTANCE: 2, // Preferred clearance from players when spawning
+  SPAWN_ATTEMPTS: 8, // Spots tried when looking for clearance
+  SHOCKWAVE_RADIUS: 4, // Players within this distance of the collector are pushed
+  SHOCKWAVE_IMPULSE: 10, // Impulse at point blank, falling off linearly to 0 at the radius
+};
+
+// Arena hazards - each one circles the platform center, so its whole state is an angle.
+// Distances given as fractions of the platform radius follow the platform as it shrinks.
+export const HAZARDS = {
+  BUMPER: {
+    COUNT: 3,
+    RADIUS: 0.8, // Bumper post radius
+    HEIGHT: 1,
+    ORBIT: 0.55, // Orbit radius as a fraction of the platform radius
+    SPEED: 0.4, // Orbit speed in rad/s
+    IMPULSE: 6, // Kick given to a player that touches a bumper
+    COOLDOWN: 300, // ms before the same bumper can kick the same player again
+  },
+  SWEEPER: {
+    LENGTH: 0.9, // Arm length as a fraction of the platform radius
+    PLACED_LENGTH: 0.3, // Arm length of a sweeper placed on an authored map
+    WIDTH: 0.4,
+    HEIGHT: 1.2, // Taller than a player so it shoves them sideways rather than launching them
+    SPEED: 0.5, // Rotation speed in rad/s
+  },
+  WELL: {
+    COUNT: 2,
+    ORBIT: 0.85, // Distance from the center as a fraction of the platform radius (near the edge)
+    SPEED: -0.15, // Slow drift around the edge in rad/s
+    REACH: 4, // Players within this distance are pulled in
+    STRENGTH: 6, // Pull force at the well's center, falling off linearly to 0 at its reach
+  },
+};
+
+// Crumbling tile platform (tile layout lives in shared/tiles.js)
+export const TILES = {
+  WARNING_TIME: 1500, // ms a tile flashes before it falls
 };
 
 // Server tick rate
@@ -49,7 +149,133 @@ export const COUNTDOWN = {
   DURATION: 3, // 3 seconds countdown
 };
 
+// Match rules - per-match settings the host can change from the lobby
+// Each rule has a default plus what's accepted from clients: an inclusive
+// numeric range, a list of options, or type 'boolean'
+export const RULES = {
+  mode: { default: GAME_MODES.FFA, options: Object.values(GAME_MODES) },
+  arena: { default: DEFAULT_ARENA, options: Object.keys(ARENA_LAYOUTS) }, // Platform layout (shared/arena.js)
+  teamCount: { default: 2, min: 2, max: TEAMS.length, integer: true }, // Teams in teams mode
+  friendlyFireCredit: { default: false, type: 'boolean' }, // Whether pushing a teammate off counts as an elimination
+  shrinkInterval: { default: PLATFORM.SHRINK_INTERVAL, min: 10000, max: 120000 }, // ms between shrinks
+  shrinkAmount: { default: PLATFORM.SHRINK_AMOUNT, min: 0.5, max: 5 }, // Units removed per shrink
+  minRadius: { default: PLATFORM.MIN_RADIUS, min: 2, max: PLATFORM.INITIAL_RADIUS }, // Platform stops shrinking here
+  countdownDuration: { default: COUNTDOWN.DURATION, min: 1, max: 10, integer: true }, // Seconds before start
+  outOfBoundsLimit: { default: 10, min: 1, max: 60 }, // Cumulative seconds out of bounds before elimination
+  attributionWindow: { default: 3000, min: 500, max: 10000 }, // ms a hit counts toward a push-off elimination
+  eliminationPoints: { default: SCORE_WEIGHTS.eliminationPoints, min: 0, max: 1000 }, // Score per elimination
+  survivalPoints: { default: SCORE_WEIGHTS.survivalPoints, min: 0, max: 100 }, // Score per second survived
+  outOfBoundsPenalty: { default: SCORE_WEIGHTS.outOfBoundsPenalty, min: 0, max: 100 }, // Score lost per second out of bounds
+  hillPointsPerSecond: { default: SCORE_WEIGHTS.hillPointsPerSecond, min: 1, max: 100 }, // King of the Hill - score per second holding the zone alone
+  hillTarget: { default: 300, min: 50, max: 5000, integer: true }, // King of the Hill - hill points that win the match
+  hillTimeLimit: { default: 180, min: 30, max: 900, integer: true }, // King of the Hill - seconds before the hill leader wins
+  hillMoveInterval: { default: 15000, min: 5000, max: 60000 }, // King of the Hill - ms between zone moves
+  lives: { default: 3, min: 2, max: 10, integer: true }, // Stock - lives per player
+  respawnDelay: { default: 3000, min: 1000, max: 10000 }, // Stock/score attack - ms out of play before respawning
+  spawnProtection: { default: 2000, min: 0, max: 5000 }, // Stock/score attack - ms other players pass through a respawned player
+  matchDuration: { default: 120, min: 30, max: 900, integer: true }, // Score attack - seconds on the match clock
+  hazardBumpers: { default: false, type: 'boolean' }, // Orbiting pinball bumpers
+  hazardSweeper: { default: false, type: 'boolean' }, // Rotating sweeper arm
+  hazardWells: { default: false, type: 'boolean' }, // Gravity wells near the edge
+  crumblingTiles: { default: false, type: 'boolean' }, // Platform made of hex tiles that fall instead of shrinking
+  tileStandTime: { default: 3000, min: 500, max: 15000 }, // ms a tile can be stood on before it starts to fall
+  tileDropInterval: { default: 2000, min: 500, max: 30000 }, // ms between random tile drops
+  powerUps: { default: true, type: 'boolean' }, // Whether power-up pickups spawn
+  powerUpInterval: { default: 8000, min: 2000, max: 60000 }, // ms between spawns
+  powerUpMax: { default: 3, min: 1, max: 10, integer: true }, // Most pickups on the platform at once
+  // Spawn table - relative weight of each power-up type (0 disables it)
+  powerUpHeavy: { default: 2, min: 0, max: 10, integer: true },
+  powerUpGiant: { default: 2, min: 0, max: 10, integer: true },
+  powerUpSpeed: { default: 3, min: 0, max: 10, integer: true },
+  powerUpBoost: { default: 3, min: 0, max: 10, integer: true },
+  powerUpShield: { default: 2, min: 0, max: 10, integer: true },
+  powerUpShockwave: { default: 1, min: 0, max: 10, integer: true },
+};
+
 // Player limits
 export const PLAYERS = {
   MAX_PLAYERS: 40, // Maximum concurrent players per game
 };
+
+// Server-side bot players - difficulties and their play styles are in shared/ai.js
+export const BOTS = {
+  MAX_PER_ROOM: 16,
+};
+
+// Room settings
+export const ROOMS = {
+  MAX_ROOMS: 20, // Maximum concurrent matches hosted by one server
+  CODE_LENGTH: 4, // Length of shareable room codes (e.g. ABCD)
+  CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // No 0/O or 1/I to avoid misreads (must match client)
+};
+
+// Physics settings for the server-side Cannon-es world (must match client PHYSICS)
+// Movement, boost and the tick rate are in shared/simulation.js
+export const PHYSICS = {
+  GRAVITY: -0.5, // Low gravity for floaty feel
+  MAX_SUBSTEPS: 6, // Max fixed steps per server tick (caps catch-up after stalls)
+  PLAYER_RADIUS: 0.5,
+  PLAYER_LINEAR_DAMPING: 0.05,
+  PLAYER_ANGULAR_DAMPING: 0.9,
+  PLATFORM_FRICTION: 0.3,
+  PLATFORM_RESTITUTION: 0.3,
+  PLAYER_FRICTION: 0.1,
+  PLAYER_RESTITUTION: 0.5,
+};
+
+// Input validation and anti-cheat
+// Speed cap is derived from movement: the fastest clamp plus a boost impulse on top (mass 1), with slack
+const SPEED_TOLERANCE = 1.25;
+const MAX_HORIZONTAL_SPEED =
+  (Math.max(SIMULATION.MAX_SPEED, SIMULATION.BOOST_MAX_SPEED) + SIMULATION.BOOST_IMPULSE)
+  * SPEED_TOLERANCE;
+
+export const ANTI_CHEAT = {
+  DIRECTION_TOLERANCE: 0.01, // Allowed float slack above a unit-length input direction
+  MAX_HORIZONTAL_SPEED, // Hard cap on simulated horizontal speed (u/s)
+  MAX_STEP_DISPLACEMENT: MAX_HORIZONTAL_SPEED * SIMULATION.TIMESTEP, // Max horizontal distance per fixed step
+  MAX_STRIKES: 5, // Invalid inputs before a player is kicked
+  STRIKE_DECAY_MS: 10000, // Strikes reset after this long without a violation
+  FORBIDDEN_INPUT_FIELDS: ['position', 'velocity'], // Clients may only send intents, never state
+};
+
+// Verification of client-reported collisions (elimination attribution)
+export const COLLISION_VERIFY = {
+  CONTACT_DISTANCE: PHYSICS.PLAYER_RADIUS * 2 + 0.3, // Centers this close count as touching (with slack for tick spacing)
+  WINDOW_MS: 500, // A report must match contact within this long before it arrives
+  HISTORY_MS: 1000, // How much per-tick position history each match keeps
+  DUAL_REPORT_MS: 300, // Reports of the same contact from both players within this window are reconciled
+};
+
+// Per-socket rate limits (token buckets) and payload caps for incoming events
+export const RATE_LIMITS = {
+  EVENTS: {
+    // capacity = burst size, refillPerSecond = sustained rate
+    input: { capacity: 120, refillPerSecond: 120 }, // Sent on every direction change (up to display refresh rate)
+    collision: { capacity: 20, refillPerSecond: 10 },
+    join: { capacity: 5, refillPerSecond: 0.5 },
+    ready: { capacity: 5, refillPerSecond: 2 },
+    startGame: { capacity: 3, refillPerSecond: 0.5 },
+    konamiCode: { capacity: 3, refillPerSecond: 0.2 },
+    playAgain: { capacity: 3, refillPerSecond: 0.5 },
+    updateRules: { capacity: 10, refillPerSecond: 2 },
+    chooseTeam: { capacity: 5, refillPerSecond: 1 },
+    addBots: { capacity: 5, refillPerSecond: 1 },
+    removeBot: { capacity: 20, refillPerSecond: 5 },
+    selectMap: { capacity: 5, refillPerSecond: 1 },
+    uploadMap: { capacity: 3, refillPerSecond: 0.2 },
+  },
+  DEFAULT: { capacity: 10, refillPerSecond: 2 }, // Any event not listed above
+  MAX_PAYLOAD_BYTES: 1024, // Largest serialized event payload accepted
+  MAX_PAYLOAD_BYTES_BY_EVENT: {
+    uploadMap: 12 * 1024, // A whole map file
+  },
+  MAX_HTTP_BUFFER_SIZE: 16 * 1024, // Transport-level cap on a single message (Socket.io maxHttpBufferSize)
+  MAX_VIOLATIONS: 50, // Dropped events before the socket is disconnected
+  VIOLATION_DECAY_MS: 10000, // Violation count resets after this long without one
+};
+
+// Reconnection sessions
+export const SESSION = {
+  RECONNECT_GRACE_MS: 20000, // How long a disconnected player is held (frozen) for them to resume
+};
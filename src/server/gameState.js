@@ -1,550 +1,1667 @@
 /**
- * GameState - Centralized game state management for SPACE PUSH
- * Server is authoritative for all game state
+ * GameState - Per-match game state management for SPACE PUSH
+ * Server is authoritative for all game state. Each room owns one instance
+ * created with createGameState(), so several matches can run side by side.
  */
 
-import { PLAYER_COLORS, GAME_STATES, PLATFORM } from './constants.js';
+import { PLAYER_COLORS, GAME_STATES, GAME_MODES, TEAMS, PLATFORM, PHYSICS, HILL, RESPAWN, POWER_UPS, TILES, ANTI_CHEAT, COLLISION_VERIFY } from './constants.js';
+import { createPhysicsWorld } from './physicsWorld.js';
+import { getDefaultRules } from './rules.js';
+import { getArenaPieces, getArenaClearance, getRandomArenaPoint } from '../shared/arena.js';
+import { createTileGrid, encodeTileBits } from '../shared/tiles.js';
+import { allocateSpawns, findFreeSpawn } from './spawns.js';
+import { createAIBrain, AI_NAMES } from '../shared/ai.js';
+import { calculateScore } from '../shared/scoring.js';
 
-// Current game state
-let gameState = GAME_STATES.LOBBY;
+/**
+ * Create an isolated game state for a single match
+ * @returns {Object} Game state API bound to this match
+ */
+export function createGameState() {
+  // Current game state
+  let gameState = GAME_STATES.LOBBY;
 
-// Map of player ID -> player data
-const players = new Map();
+  // Map of player ID -> player data
+  const players = new Map();
 
-// Host player ID (first player to join)
-let hostId = null;
+  // Host player ID (first player to join)
+  let hostId = null;
 
-// Platform state
-let platformRadius = PLATFORM.INITIAL_RADIUS;
+  // Decision makers for the bot players: player ID -> brain (see shared/ai.js)
+  const botBrains = new Map();
+  let nextBotId = 1;
 
-// Game timing
-let gameStartTime = null;
-let lastShrinkTime = null;
+  // Rules for this match (host-editable in the lobby, kept across rounds)
+  let rules = getDefaultRules();
 
-/**
- * Create a new player
- * @param {string} id - Socket ID
- * @param {string} name - Player display name
- * @returns {Object} Player object
- */
-export function createPlayer(id, name) {
-  const colorIndex = players.size % PLAYER_COLORS.length;
-  const spawnAngle = Math.random() * Math.PI * 2;
-  const spawnRadius = Math.random() * 3 + 2; // Spawn 2-5 units from center
-
-  const player = {
-    id,
-    name: name || `Player${players.size + 1}`,
-    color: PLAYER_COLORS[colorIndex],
-    colorIndex,
-    position: {
-      x: Math.cos(spawnAngle) * spawnRadius,
-      y: 1, // Above platform
-      z: Math.sin(spawnAngle) * spawnRadius,
+  // Platform state
+  let platformRadius = PLATFORM.INITIAL_RADIUS;
+
+  // Authored map in play (unit scale, from parseArenaMap) - replaces the arena rule's layout
+  let arenaMap = null;
+
+  // Arena pieces at the current radius, rebuilt whenever the layout or radius changes
+  let arena = getArenaPieces(rules.arena, platformRadius);
+
+  // Crumbling tiles while a tiled match is running:
+  // { grid, standTime: ms[], fallsAt: timestamp|null[], fallen: boolean[], lastRandomDrop }
+  let tiles = null;
+
+  // King of the Hill zone while a hill match is running: { x, z, radius, holderId, movedAt }
+  let hill = null;
+
+  // Power-up pickups on the platform: pickup ID -> { id, type, x, z }
+  const pickups = new Map();
+  let nextPickupId = 1;
+  let lastPowerUpSpawn = null;
+
+  // Game timing
+  let gameStartTime = null;
+  let lastShrinkTime = null;
+
+  // Recent per-tick player states for verifying collision reports: [{ timestamp, states: Map }]
+  const stateHistory = [];
+
+  // Last server-detected contact time per player pair (pair key -> timestamp)
+  const recentContacts = new Map();
+
+  // Latest verified client report per player pair, for reconciling dual reports
+  // pair key -> { reporterId, victimPreviousHit, timestamp }
+  const recentReports = new Map();
+
+  // Authoritative physics simulation - contacts feed elimination attribution
+  const physics = createPhysicsWorld({
+    onPlayerContact: (idA, idB) => {
+      recentContacts.set(getPairKey(idA, idB), Date.now());
+      recordCollision(idA, idB);
+      recordCollision(idB, idA);
     },
-    velocity: { x: 0, y: 0, z: 0 },
-    isEliminated: false,
-    isReady: false,
-    
-    // Scoring metrics
-    score: 0,
-    eliminations: 0,           // How many players this player eliminated
-    survivalTime: 0,           // Time spent in bounds (seconds)
-    outOfBoundsTime: 0,        // Cumulative time out of bounds (seconds)
-    
-    // Tracking state
-    isOutOfBounds: false,      // Current boundary state
-    outOfBoundsStartTime: null, // When they went out of bounds
-    gameStartTime: null,       // When they started this round
-    lastHitBy: null,           // { id, name, timestamp } - for elimination attribution
-    
-    joinedAt: Date.now(),
-  };
+    onMotionViolation: (id, { type, value }) => {
+      const player = players.get(id);
+      console.warn(`[ANTI-CHEAT] ${player?.name ?? id}: ${type} ${value.toFixed(2)} over cap, snapped back`);
+    },
+  });
+
+  /**
+   * Build an order-independent key for a pair of players
+   * @param {string} idA - First player ID
+   * @param {string} idB - Second player ID
+   * @returns {string} Pair key
+   */
+  function getPairKey(idA, idB) {
+    return idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+  }
+
+  /**
+   * Create a new player
+   * @param {string} id - Socket ID
+   * @param {string} name - Player display name
+   * @returns {Object} Player object
+   */
+  function createPlayer(id, name) {
+    const colorIndex = players.size % PLAYER_COLORS.length;
+    const spawn = findFreeSpawn(getAllPlayers().map((other) => other.position), getSpawnArena());
+
+    const player = {
+      id,
+      name: name || `Player${players.size + 1}`,
+      color: PLAYER_COLORS[colorIndex],
+      colorIndex,
+      position: { x: spawn.x, y: 1, z: spawn.z }, // Above platform
+      velocity: { x: 0, y: 0, z: 0 },
+      isEliminated: false,
+      isReady: false,
+      isReconnecting: false,     // Disconnected and held (frozen) while their session can resume
+      isBot: false,              // Computer player driven by the server
+      difficulty: null,          // Bot difficulty (key of AI_DIFFICULTIES), null for humans
+      team: null,                // Team index in teams mode, null in free-for-all
+      hillTime: 0,               // Seconds spent holding the hill alone (King of the Hill)
+      lives: null,               // Lives left in stock mode, null otherwise
+      isRespawning: false,       // Lost a life and waiting to come back (stock mode)
+      respawnAt: null,           // When the pending respawn happens
+      protectedUntil: null,      // End of spawn protection (other players pass through until then)
+      downTime: 0,               // ms spent waiting to respawn - not counted as survival
+      effects: {},               // Active power-up effects: type -> expiry timestamp
 
-  players.set(id, player);
+      // Scoring metrics
+      score: 0,
+      eliminations: 0,           // How many players this player eliminated
+      survivalTime: 0,           // Time spent in bounds (seconds)
+      outOfBoundsTime: 0,        // Cumulative time out of bounds (seconds)
+
+      // Tracking state
+      isOutOfBounds: false,      // Current boundary state
+      outOfBoundsStartTime: null, // When they went out of bounds
+      outOfBoundsAtLifeStart: 0, // outOfBoundsTime when the current life began - the limit applies per life
+      gameStartTime: null,       // When they started this round
+      lastHitBy: null,           // { id, name, timestamp } - for elimination attribution
+      lastInputSeq: 0,           // Highest input sequence applied - echoed for client reconciliation
+      strikes: 0,                // Invalid inputs received (anti-cheat)
+      lastStrikeAt: null,        // When the last strike was recorded
+
+      joinedAt: Date.now(),
+    };
+
+    players.set(id, player);
+    physics.addPlayer(id, player.position);
+
+    // Newcomers join the smallest team
+    if (rules.mode === GAME_MODES.TEAMS) {
+      setPlayerTeam(id, getSmallestTeam());
+    }
 
-  // First player becomes host
-  if (!hostId) {
-    hostId = id;
+    // First player becomes host
+    if (!hostId) {
+      hostId = id;
+    }
+
+    return player;
   }
 
-  return player;
-}
+  /**
+   * Remove a player
+   * @param {string} id - Socket ID
+   * @returns {Object|null} Removed player or null
+   */
+  function removePlayer(id) {
+    const player = players.get(id);
+    if (player) {
+      players.delete(id);
+      botBrains.delete(id);
+      physics.removePlayer(id);
 
-/**
- * Remove a player
- * @param {string} id - Socket ID
- * @returns {Object|null} Removed player or null
- */
-export function removePlayer(id) {
-  const player = players.get(id);
-  if (player) {
-    players.delete(id);
-
-    // If host leaves, assign new host (player who joined earliest)
-    if (hostId === id) {
-      if (players.size > 0) {
-        const sortedPlayers = Array.from(players.values()).sort(
-          (a, b) => a.joinedAt - b.joinedAt
-        );
-        hostId = sortedPlayers[0].id;
-      } else {
-        hostId = null;
+      // If host leaves, assign new host (human who joined earliest - bots can't host)
+      if (hostId === id) {
+        const sortedPlayers = Array.from(players.values())
+          .filter((p) => !p.isBot)
+          .sort((a, b) => a.joinedAt - b.joinedAt);
+        hostId = sortedPlayers[0]?.id ?? null;
       }
     }
+    return player;
   }
-  return player;
-}
 
-/**
- * Get a player by ID
- * @param {string} id - Socket ID
- * @returns {Object|undefined} Player object
- */
-export function getPlayer(id) {
-  return players.get(id);
-}
+  /**
+   * Get a player by ID
+   * @param {string} id - Socket ID
+   * @returns {Object|undefined} Player object
+   */
+  function getPlayer(id) {
+    return players.get(id);
+  }
 
-/**
- * Get all players
- * @returns {Object[]} Array of all players
- */
-export function getAllPlayers() {
-  return Array.from(players.values());
-}
+  /**
+   * Get all players
+   * @returns {Object[]} Array of all players
+   */
+  function getAllPlayers() {
+    return Array.from(players.values());
+  }
 
-/**
- * Get player count
- * @returns {number} Number of players
- */
-export function getPlayerCount() {
-  return players.size;
-}
+  /**
+   * Get player count
+   * @returns {number} Number of players
+   */
+  function getPlayerCount() {
+    return players.size;
+  }
 
-/**
- * Get host ID
- * @returns {string|null} Host socket ID
- */
-export function getHostId() {
-  return hostId;
-}
+  /**
+   * Get the number of human players (bots excluded)
+   * @returns {number}
+   */
+  function getHumanCount() {
+    return getAllPlayers().filter((player) => !player.isBot).length;
+  }
 
-/**
- * Check if player is host
- * @param {string} id - Socket ID
- * @returns {boolean}
- */
-export function isHost(id) {
-  return hostId === id;
-}
+  /**
+   * Get the number of bot players
+   * @returns {number}
+   */
+  function getBotCount() {
+    return botBrains.size;
+  }
 
-/**
- * Update player position
- * @param {string} id - Socket ID
- * @param {Object} position - { x, y, z }
- * @param {Object} velocity - { x, y, z }
- */
-export function updatePlayerPosition(id, position, velocity) {
-  const player = players.get(id);
-  if (player && !player.isEliminated) {
-    player.position = { ...position };
-    if (velocity) {
-      player.velocity = { ...velocity };
+  /**
+   * Add a computer player to the match
+   * Bots are always ready and take the first free name from AI_NAMES.
+   * @param {string} difficulty - Key of AI_DIFFICULTIES
+   * @returns {Object} The bot's player object
+   */
+  function addBot(difficulty) {
+    const id = `bot-${nextBotId++}`;
+    const names = new Set(getAllPlayers().map((player) => player.name));
+    const player = createPlayer(id, AI_NAMES.find((name) => !names.has(name)) ?? `Bot ${id.slice(4)}`);
+    player.isBot = true;
+    player.difficulty = difficulty;
+    player.isReady = true;
+    botBrains.set(id, createAIBrain(difficulty));
+    return player;
+  }
+
+  /**
+   * Let every alive bot decide on its next input
+   * Bots see the alive players they're allowed to push, how far any spot is
+   * from an edge (or a fallen tile) and whether their own boost is ready, and
+   * steer with ordinary input intents.
+   * @param {number} now - Current timestamp
+   */
+  function updateBots(now) {
+    if (botBrains.size === 0) return;
+
+    const alive = getAlivePlayers();
+    const getClearance = (x, z) => (hasFloorAt(x, z) ? getArenaClearance(arena, x, z) : -1);
+    botBrains.forEach((brain, id) => {
+      const bot = players.get(id);
+      if (!bot || bot.isEliminated) return;
+
+      const opponents = alive.filter((other) => other.id !== id && !areTeammates(bot, other));
+      const self = { position: bot.position, velocity: bot.velocity, canBoost: physics.isBoostReady(id) };
+      const input = brain.think(self, { opponents, getClearance }, now);
+      if (input) setPlayerInput(id, input);
+    });
+  }
+
+  /**
+   * Get host ID
+   * @returns {string|null} Host socket ID
+   */
+  function getHostId() {
+    return hostId;
+  }
+
+  /**
+   * Check if player is host
+   * @param {string} id - Socket ID
+   * @returns {boolean}
+   */
+  function isHost(id) {
+    return hostId === id;
+  }
+
+  /**
+   * Update player input intent (applied on the next physics steps)
+   * Inputs carry an increasing sequence number; stale ones are dropped and the
+   * latest applied seq is echoed in position snapshots for client reconciliation
+   * @param {string} id - Socket ID
+   * @param {Object} input - { seq, direction: { x, z }, boost, anchor }
+   */
+  function setPlayerInput(id, input) {
+    const player = players.get(id);
+    if (player && !player.isEliminated) {
+      if (Number.isInteger(input?.seq)) {
+        if (input.seq <= player.lastInputSeq) return;
+        player.lastInputSeq = input.seq;
+      }
+      physics.setPlayerInput(id, input);
+      player.lastUpdate = Date.now();
     }
-    player.lastUpdate = Date.now();
   }
-}
 
-/**
- * Eliminate a player
- * @param {string} id - Socket ID
- * @returns {boolean} True if player was eliminated
- */
-export function eliminatePlayer(id) {
-  const player = players.get(id);
-  if (player && !player.isEliminated) {
-    player.isEliminated = true;
-    player.eliminatedAt = Date.now();
+  /**
+   * Flag a player as reconnecting (frozen in place) or back in control
+   * @param {string} id - Socket ID
+   * @param {boolean} isReconnecting - Whether the player's socket is gone
+   * @returns {Object|undefined} Updated player
+   */
+  function setPlayerReconnecting(id, isReconnecting) {
+    const player = players.get(id);
+    if (!player) return undefined;
+
+    player.isReconnecting = isReconnecting;
+    player.velocity = { x: 0, y: 0, z: 0 };
+    physics.setPlayerFrozen(id, isReconnecting);
+    return player;
+  }
+
+  /**
+   * Record an invalid input from a player
+   * Strikes decay after a quiet period so occasional glitches don't add up
+   * @param {string} id - Socket ID
+   * @returns {number} Current strike count (0 if the player doesn't exist)
+   */
+  function recordInputViolation(id) {
+    const player = players.get(id);
+    if (!player) return 0;
+
+    const now = Date.now();
+    if (player.lastStrikeAt && now - player.lastStrikeAt > ANTI_CHEAT.STRIKE_DECAY_MS) {
+      player.strikes = 0;
+    }
+    player.strikes++;
+    player.lastStrikeAt = now;
+    return player.strikes;
+  }
+
+  /**
+   * Advance the physics simulation and copy results onto players
+   * @param {number} deltaSeconds - Elapsed time since the last step
+   */
+  function stepPhysics(deltaSeconds) {
+    physics.step(deltaSeconds);
+
+    const states = new Map();
+    players.forEach((player, id) => {
+      if (player.isEliminated) return;
+      const state = physics.getPlayerState(id);
+      if (state) {
+        player.position = state.position;
+        player.velocity = state.velocity;
+        states.set(id, state);
+      }
+    });
+
+    // Keep a short history so late collision reports can be checked
+    const now = Date.now();
+    stateHistory.push({ timestamp: now, states });
+    while (stateHistory.length > 0 && now - stateHistory[0].timestamp > COLLISION_VERIFY.HISTORY_MS) {
+      stateHistory.shift();
+    }
+  }
+
+  /**
+   * Eliminate a player
+   * @param {string} id - Socket ID
+   * @returns {boolean} True if player was eliminated
+   */
+  function eliminatePlayer(id) {
+    const player = players.get(id);
+    if (player && !player.isEliminated) {
+      player.isEliminated = true;
+      player.eliminatedAt = Date.now();
+      player.effects = {};
+      physics.removePlayer(id);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get alive players (not eliminated)
+   * @returns {Object[]} Array of alive players
+   */
+  function getAlivePlayers() {
+    return Array.from(players.values()).filter((p) => !p.isEliminated);
+  }
+
+  /**
+   * Get current game state
+   * @returns {string} Game state
+   */
+  function getGameState() {
+    return gameState;
+  }
+
+  /**
+   * Set game state
+   * @param {string} state - New game state
+   */
+  function setGameState(state) {
+    gameState = state;
+    if (state === GAME_STATES.COUNTDOWN) {
+      placePlayersAtSpawns(); // Teams are final now - line everyone up
+    }
+    if (state === GAME_STATES.PLAYING) {
+      gameStartTime = Date.now();
+      lastShrinkTime = rules.crumblingTiles ? null : gameStartTime; // Tiles fall instead of the platform shrinking
+      setupTiles(gameStartTime);
+      hill = null;
+      if (rules.mode === GAME_MODES.KING_OF_THE_HILL) {
+        moveHill(gameStartTime);
+      }
+      pickups.clear();
+      lastPowerUpSpawn = gameStartTime;
+      physics.setHazards({
+        bumpers: rules.hazardBumpers,
+        sweeper: rules.hazardSweeper,
+        wells: rules.hazardWells,
+        placed: arenaMap?.hazards ?? [],
+      });
+    }
+  }
+
+  /**
+   * Get platform radius
+   * @returns {number} Current platform radius
+   */
+  function getPlatformRadius() {
+    return platformRadius;
+  }
+
+  /**
+   * Get the rules for this match
+   * @returns {Object} Rules keyed by name
+   */
+  function getRules() {
+    return rules;
+  }
+
+  /**
+   * Replace the rules for this match (already validated)
+   * Switching mode or team count re-deals the teams.
+   * @param {Object} newRules - Complete rule set
+   * @returns {boolean} True if team assignments changed
+   */
+  function setRules(newRules) {
+    const teamsChanged = newRules.mode !== rules.mode
+      || (newRules.mode === GAME_MODES.TEAMS && newRules.teamCount !== rules.teamCount);
+    const arenaChanged = newRules.arena !== rules.arena;
+    rules = { ...newRules };
+
+    if (teamsChanged) {
+      balanceTeams();
+    }
+    if (arenaChanged && !arenaMap) {
+      setArenaLayout(rules.arena);
+      placePlayersAtSpawns();
+    }
+    return teamsChanged;
+  }
+
+  /**
+   * Play on an authored map, or go back to the arena rule's layout
+   * Everyone is moved to a start spot on the new platform.
+   * @param {Object|null} map - Unit-scale map from parseArenaMap (with an id), or null
+   */
+  function setArenaMap(map) {
+    arenaMap = map;
+    setArenaLayout(getArenaLayout());
+    placePlayersAtSpawns();
+  }
+
+  /**
+   * Get the authored map in play
+   * @returns {Object|null} Unit-scale map, or null when playing a built-in layout
+   */
+  function getArenaMap() {
+    return arenaMap;
+  }
+
+  /**
+   * Get the layout the platform is built from
+   * @returns {string|Object} The authored map, or the arena rule's layout key
+   */
+  function getArenaLayout() {
+    return arenaMap ?? rules.arena;
+  }
+
+  /**
+   * Rebuild the arena for a layout at the current radius (physics and boundary checks)
+   * @param {string|Object} layout - Key of ARENA_LAYOUTS, or an authored map
+   */
+  function setArenaLayout(layout) {
+    arena = getArenaPieces(layout, platformRadius);
+    physics.setArenaLayout(layout);
+  }
+
+  /**
+   * Scale a map's unit-scale point to the current platform
+   * @param {Object} point - { x, z } at unit scale
+   * @returns {Object} { x, z } in world units
+   */
+  function toWorldPoint({ x, z }) {
+    return { x: x * platformRadius, z: z * platformRadius };
+  }
+
+  /**
+   * Describe where players can start, for the spawn allocator
+   * @returns {Object} { pieces, radius, hasFloor, spawns } in world units
+   */
+  function getSpawnArena() {
+    return {
+      pieces: arena,
+      radius: platformRadius,
+      hasFloor: hasFloorAt,
+      spawns: (arenaMap?.spawns ?? []).map(toWorldPoint),
+    };
+  }
+
+  /**
+   * Pick a random spot on the arena at least `margin` inside its edge
+   * Falls back to the roomiest spot tried when the arena is too small for the margin.
+   * @param {number} margin - Minimum distance from the nearest edge
+   * @returns {Object} { x, z }
+   */
+  function getArenaSpot(margin) {
+    // On a tiled platform only tiles that are still standing (and not about to fall) will do
+    const standing = tiles ? tiles.grid.tiles.filter((_, index) => tiles.fallsAt[index] === null) : null;
+    const pickSpot = standing?.length > 0
+      ? () => standing[Math.floor(Math.random() * standing.length)]
+      : () => getRandomArenaPoint(arena);
+
+    let best = null;
+    let bestClearance = -Infinity;
+    for (let attempt = 0; attempt < PLATFORM.SPOT_ATTEMPTS; attempt++) {
+      const { x, z } = pickSpot();
+      const spot = { x, z };
+      const clearance = getArenaClearance(arena, spot.x, spot.z);
+      if (clearance >= margin) return spot;
+      if (clearance > bestClearance) {
+        best = spot;
+        bestClearance = clearance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether there is floor under a point - a tile that hasn't fallen on a tiled
+   * platform, otherwise anywhere on the arena
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {boolean}
+   */
+  function hasFloorAt(x, z) {
+    if (tiles) {
+      const index = tiles.grid.getTileIndex(x, z);
+      return index !== -1 && !tiles.fallen[index];
+    }
+    return getArenaClearance(arena, x, z) >= 0;
+  }
+
+  /**
+   * Build the crumbling tile grid for a match, or go back to the solid platform
+   * @param {number} now - Match start time
+   */
+  function setupTiles(now) {
+    if (!rules.crumblingTiles) {
+      tiles = null;
+      physics.setTiles(null);
+      return;
+    }
+
+    const grid = createTileGrid(getArenaLayout(), platformRadius);
+    tiles = {
+      grid,
+      standTime: grid.tiles.map(() => 0),
+      fallsAt: grid.tiles.map(() => null),
+      fallen: grid.tiles.map(() => false),
+      lastRandomDrop: now,
+    };
+    physics.setTiles(grid.tiles, grid.size);
+  }
+
+  /**
+   * Advance the crumbling tiles: wear down tiles players stand on, start a random
+   * tile falling on the match's interval, and drop tiles whose warning has run out
+   * @param {number} deltaSeconds - Elapsed time since the last tick
+   * @returns {boolean} True if any tile started to fall or fell
+   */
+  function updateTiles(deltaSeconds) {
+    if (!tiles) return false;
+
+    const now = Date.now();
+    let changed = false;
+
+    getAlivePlayers().forEach((player) => {
+      if (player.isReconnecting) return;
+      const index = tiles.grid.getTileIndex(player.position.x, player.position.z);
+      if (index === -1 || tiles.fallsAt[index] !== null) return;
+
+      tiles.standTime[index] += deltaSeconds * 1000;
+      if (tiles.standTime[index] >= rules.tileStandTime) {
+        tiles.fallsAt[index] = now + TILES.WARNING_TIME;
+        changed = true;
+      }
+    });
+
+    if (now - tiles.lastRandomDrop >= rules.tileDropInterval) {
+      tiles.lastRandomDrop = now;
+      const candidates = tiles.fallsAt.flatMap((fallsAt, index) => (fallsAt === null ? [index] : []));
+      if (candidates.length > 0) {
+        tiles.fallsAt[candidates[Math.floor(Math.random() * candidates.length)]] = now + TILES.WARNING_TIME;
+        changed = true;
+      }
+    }
+
+    tiles.fallsAt.forEach((fallsAt, index) => {
+      if (fallsAt === null || tiles.fallen[index] || now < fallsAt) return;
+      tiles.fallen[index] = true;
+      physics.dropTile(index);
+      changed = true;
+    });
+
+    return changed;
+  }
+
+  /**
+   * Get the tile states for clients as bitsets
+   * The grid itself isn't sent - clients rebuild it from the arena and radius.
+   * @returns {Object|null} { warning, fallen } packed with encodeTileBits, or null on a solid platform
+   */
+  function getTileState() {
+    if (!tiles) return null;
+    return {
+      warning: encodeTileBits(tiles.fallsAt.map((fallsAt, index) => fallsAt !== null && !tiles.fallen[index])),
+      fallen: encodeTileBits(tiles.fallen),
+    };
+  }
+
+  /**
+   * Move every player to a fresh round-start spot (countdown, new round, or a new arena in the lobby)
+   */
+  function placePlayersAtSpawns() {
+    const spawns = allocateSpawns(getAllPlayers(), getSpawnArena());
+    players.forEach((player) => {
+      const spawn = spawns.get(player.id);
+      player.position = { x: spawn.x, y: 1, z: spawn.z };
+      player.velocity = { x: 0, y: 0, z: 0 };
+      physics.resetPlayer(player.id, player.position);
+    });
+  }
+
+  /**
+   * Get a team's public info
+   * @param {number|null} teamId - Team index
+   * @returns {Object|null} { id, name, color }
+   */
+  function getTeamInfo(teamId) {
+    return teamId === null || teamId === undefined ? null : TEAMS[teamId] || null;
+  }
+
+  /**
+   * Find the team with the fewest players (lowest index on ties)
+   * @returns {number} Team index
+   */
+  function getSmallestTeam() {
+    const sizes = new Array(rules.teamCount).fill(0);
+    players.forEach((player) => {
+      if (player.team !== null && player.team < rules.teamCount) {
+        sizes[player.team]++;
+      }
+    });
+    return sizes.indexOf(Math.min(...sizes));
+  }
+
+  /**
+   * Put a player on a team (or none) and update their color to match
+   * @param {string} id - Player ID
+   * @param {number|null} teamId - Team index, or null for free-for-all
+   * @returns {boolean} True if the team was valid and set
+   */
+  function setPlayerTeam(id, teamId) {
+    const player = players.get(id);
+    if (!player) return false;
+    if (teamId !== null && !(Number.isInteger(teamId) && teamId >= 0 && teamId < rules.teamCount)) {
+      return false;
+    }
+
+    player.team = teamId;
+    player.color = teamId === null ? PLAYER_COLORS[player.colorIndex] : TEAMS[teamId].color;
     return true;
   }
-  return false;
-}
 
-/**
- * Get alive players (not eliminated)
- * @returns {Object[]} Array of alive players
- */
-export function getAlivePlayers() {
-  return Array.from(players.values()).filter((p) => !p.isEliminated);
-}
+  /**
+   * Deal players round-robin into teams in join order, or clear teams in free-for-all
+   */
+  function balanceTeams() {
+    const ordered = Array.from(players.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+    ordered.forEach((player, index) => {
+      setPlayerTeam(player.id, rules.mode === GAME_MODES.TEAMS ? index % rules.teamCount : null);
+    });
+  }
 
-/**
- * Get current game state
- * @returns {string} Game state
- */
-export function getGameState() {
-  return gameState;
-}
+  /**
+   * Get every player's team and color (sent when assignments change)
+   * @returns {Object} { [id]: { team, color } }
+   */
+  function getTeamAssignments() {
+    const assignments = {};
+    players.forEach((player, id) => {
+      assignments[id] = { team: player.team, color: player.color };
+    });
+    return assignments;
+  }
 
-/**
- * Set game state
- * @param {string} state - New game state
- */
-export function setGameState(state) {
-  gameState = state;
-  if (state === GAME_STATES.PLAYING) {
-    gameStartTime = Date.now();
-    lastShrinkTime = gameStartTime;
+  /**
+   * Check whether two players are on the same team (never in free-for-all)
+   * @param {Object} a - Player
+   * @param {Object} b - Player
+   * @returns {boolean}
+   */
+  function areTeammates(a, b) {
+    return rules.mode === GAME_MODES.TEAMS && a.team !== null && a.team === b.team;
   }
-}
 
-/**
- * Get platform radius
- * @returns {number} Current platform radius
- */
-export function getPlatformRadius() {
-  return platformRadius;
-}
+  /**
+   * Decide whether the match is over
+   * Free-for-all ends with one player left, teams mode with one team left.
+   * @returns {Object|null} { winner, winningTeam } once decided, otherwise null
+   */
+  function getMatchOutcome() {
+    // Players waiting to respawn (stock, score attack) are still in the match
+    const alive = Array.from(players.values()).filter((player) => !player.isEliminated || player.isRespawning);
 
-/**
- * Shrink platform
- * @param {number} newRadius - New radius
- */
-export function shrinkPlatform(newRadius) {
-  platformRadius = Math.max(newRadius, PLATFORM.MIN_RADIUS);
-  lastShrinkTime = Date.now();
-}
+    if (rules.mode === GAME_MODES.TEAMS) {
+      const aliveTeams = new Set(alive.map((player) => player.team));
+      if (aliveTeams.size > 1) return null;
+      const [teamId = null] = aliveTeams;
+      return { winner: null, winningTeam: getTeamInfo(teamId) };
+    }
 
-/**
- * Get time since last shrink
- * @returns {number} Milliseconds since last shrink, or 0 if game hasn't started
- */
-export function getTimeSinceLastShrink() {
-  if (!lastShrinkTime) return 0;
-  return Date.now() - lastShrinkTime;
-}
+    if (alive.length > 1) return null;
+    return { winner: alive[0] || null, winningTeam: null };
+  }
 
-/**
- * Check if platform should shrink based on time elapsed
- * @param {number} shrinkInterval - Milliseconds between shrinks
- * @returns {boolean} True if platform should shrink
- */
-export function shouldShrinkPlatform(shrinkInterval) {
-  if (!lastShrinkTime) return false;
-  const timeSinceLastShrink = Date.now() - lastShrinkTime;
-  return timeSinceLastShrink >= shrinkInterval;
-}
+  /**
+   * Sum scores per team (teams mode only)
+   * @returns {Array|null} [{ id, name, color, score, eliminations, alive, players }] sorted by score, or null in free-for-all
+   */
+  function getTeamScores() {
+    if (rules.mode !== GAME_MODES.TEAMS) return null;
 
-/**
- * Get time until next shrink
- * @param {number} shrinkInterval - Milliseconds between shrinks
- * @returns {number} Milliseconds until next shrink, or -1 if game hasn't started
- */
-export function getTimeUntilNextShrink(shrinkInterval) {
-  if (!lastShrinkTime) return -1;
-  const timeSinceLastShrink = Date.now() - lastShrinkTime;
-  return Math.max(0, shrinkInterval - timeSinceLastShrink);
-}
+    const teams = TEAMS.slice(0, rules.teamCount).map((team) => ({
+      ...team,
+      score: 0,
+      eliminations: 0,
+      alive: 0,
+      players: 0,
+    }));
+    players.forEach((player) => {
+      const team = teams[player.team];
+      if (!team) return;
+      calculatePlayerScore(player.id);
+      team.score += Math.round(player.score);
+      team.eliminations += player.eliminations;
+      team.players++;
+      if (!player.isEliminated) team.alive++;
+    });
+    return teams.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Shrink platform
+   * @param {number} newRadius - New radius
+   */
+  function shrinkPlatform(newRadius) {
+    platformRadius = Math.max(newRadius, rules.minRadius);
+    lastShrinkTime = Date.now();
+    arena = getArenaPieces(getArenaLayout(), platformRadius);
+    physics.setPlatformRadius(platformRadius);
+  }
+
+  /**
+   * Get time since last shrink
+   * @returns {number} Milliseconds since last shrink, or 0 if game hasn't started
+   */
+  function getTimeSinceLastShrink() {
+    if (!lastShrinkTime) return 0;
+    return Date.now() - lastShrinkTime;
+  }
+
+  /**
+   * Check if platform should shrink based on time elapsed
+   * @param {number} shrinkInterval - Milliseconds between shrinks
+   * @returns {boolean} True if platform should shrink
+   */
+  function shouldShrinkPlatform(shrinkInterval) {
+    if (!lastShrinkTime) return false;
+    const timeSinceLastShrink = Date.now() - lastShrinkTime;
+    return timeSinceLastShrink >= shrinkInterval;
+  }
+
+  /**
+   * Get time until next shrink
+   * @param {number} shrinkInterval - Milliseconds between shrinks
+   * @returns {number} Milliseconds until next shrink, or -1 if game hasn't started
+   */
+  function getTimeUntilNextShrink(shrinkInterval) {
+    if (!lastShrinkTime) return -1;
+    const timeSinceLastShrink = Date.now() - lastShrinkTime;
+    return Math.max(0, shrinkInterval - timeSinceLastShrink);
+  }
+
+  /**
+   * Check if shrink warning should be active
+   * @param {number} shrinkInterval - Milliseconds between shrinks
+   * @param {number} warningTime - Warning window in milliseconds before shrink
+   * @returns {{ isWarning: boolean, warningProgress: number }} Warning state and progress (0-1)
+   */
+  function getShrinkWarningState(shrinkInterval, warningTime) {
+    if (!lastShrinkTime || platformRadius <= rules.minRadius) {
+      return { isWarning: false, warningProgress: 0 };
+    }
+
+    const timeUntilShrink = getTimeUntilNextShrink(shrinkInterval);
+    const isWarning = timeUntilShrink <= warningTime && timeUntilShrink > 0;
+
+    if (isWarning) {
+      // Progress goes from 0 (just started warning) to 1 (about to shrink)
+      const warningProgress = 1 - (timeUntilShrink / warningTime);
+      return { isWarning, warningProgress };
+    }
 
-/**
- * Check if shrink warning should be active
- * @param {number} shrinkInterval - Milliseconds between shrinks
- * @param {number} warningTime - Warning window in milliseconds before shrink
- * @returns {{ isWarning: boolean, warningProgress: number }} Warning state and progress (0-1)
- */
-export function getShrinkWarningState(shrinkInterval, warningTime) {
-  if (!lastShrinkTime || platformRadius <= PLATFORM.MIN_RADIUS) {
     return { isWarning: false, warningProgress: 0 };
   }
 
-  const timeUntilShrink = getTimeUntilNextShrink(shrinkInterval);
-  const isWarning = timeUntilShrink <= warningTime && timeUntilShrink > 0;
+  /**
+   * Move the hill to a random spot on the platform, away from where it was
+   * @param {number} now - Current timestamp
+   */
+  function moveHill(now) {
+    let x = 0;
+    let z = 0;
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      ({ x, z } = getArenaSpot(HILL.RADIUS + HILL.EDGE_MARGIN));
+      if (!hill || Math.hypot(x - hill.x, z - hill.z) >= HILL.MIN_MOVE_DISTANCE) break;
+    }
 
-  if (isWarning) {
-    // Progress goes from 0 (just started warning) to 1 (about to shrink)
-    const warningProgress = 1 - (timeUntilShrink / warningTime);
-    return { isWarning, warningProgress };
+    hill = { x, z, radius: HILL.RADIUS, holderId: hill?.holderId ?? null, movedAt: now };
   }
 
-  return { isWarning: false, warningProgress: 0 };
-}
+  /**
+   * Advance the hill: move it when due (or when the platform shrank under it)
+   * and credit the player standing in it, if they're alone
+   * @param {number} deltaSeconds - Elapsed time since the last tick
+   * @returns {boolean} True if the hill moved or changed holder
+   */
+  function updateHill(deltaSeconds) {
+    if (!hill) return false;
 
-/**
- * Reset game state for new round
- */
-export function resetGame() {
-  gameState = GAME_STATES.LOBBY;
-  platformRadius = PLATFORM.INITIAL_RADIUS;
-  gameStartTime = null;
-  lastShrinkTime = null;
-
-  // Reset all player states
-  players.forEach((player) => {
-    const spawnAngle = Math.random() * Math.PI * 2;
-    const spawnRadius = Math.random() * 3 + 2;
-    player.position = {
-      x: Math.cos(spawnAngle) * spawnRadius,
-      y: 1,
-      z: Math.sin(spawnAngle) * spawnRadius,
-    };
-    player.velocity = { x: 0, y: 0, z: 0 };
-    player.isEliminated = false;
-    player.isReady = false;
-    
-    // Reset scoring
-    player.score = 0;
-    player.eliminations = 0;
-    player.survivalTime = 0;
-    player.outOfBoundsTime = 0;
-    player.isOutOfBounds = false;
-    player.outOfBoundsStartTime = null;
-    player.gameStartTime = null;
-    player.lastHitBy = null;
-  });
-}
+    const now = Date.now();
+    let changed = false;
 
-/**
- * Set player ready status
- * @param {string} id - Socket ID
- * @param {boolean} ready - Ready status
- */
-export function setPlayerReady(id, ready) {
-  const player = players.get(id);
-  if (player) {
-    player.isReady = ready;
+    if (now - hill.movedAt >= rules.hillMoveInterval || !hasFloorAt(hill.x, hill.z)) {
+      moveHill(now);
+      changed = true;
+    }
+
+    const occupants = getAlivePlayers().filter((player) =>
+      !player.isReconnecting
+      && !player.isOutOfBounds
+      && Math.hypot(player.position.x - hill.x, player.position.z - hill.z) <= hill.radius
+    );
+    const holderId = occupants.length === 1 ? occupants[0].id : null;
+    if (holderId !== hill.holderId) {
+      hill.holderId = holderId;
+      changed = true;
+    }
+
+    if (holderId) {
+      players.get(holderId).hillTime += deltaSeconds;
+    }
+    return changed;
   }
-}
 
-/**
- * Get full state snapshot for syncing
- * @returns {Object} Full game state
- */
-export function getStateSnapshot() {
-  return {
-    gameState,
-    players: getAllPlayers(),
-    hostId,
-    platformRadius,
-    timestamp: Date.now(),
-  };
-}
+  /**
+   * Get the hill for clients
+   * @returns {Object|null} { x, z, radius, holderId }, or null outside King of the Hill
+   */
+  function getHillState() {
+    if (!hill) return null;
+    return { x: hill.x, z: hill.z, radius: hill.radius, holderId: hill.holderId };
+  }
 
-/**
- * Get minimal state for frequent updates (positions only)
- * @returns {Object} Minimal state with positions
- */
-export function getPositionSnapshot() {
-  const positions = {};
-  players.forEach((player, id) => {
-    if (!player.isEliminated) {
-      positions[id] = {
-        position: player.position,
-        velocity: player.velocity,
-      };
+  /**
+   * Get the milliseconds left on the match clock
+   * King of the Hill runs to its time limit, score attack to its match duration.
+   * @returns {number|null} Time remaining, or null without a clock (other modes, or before the start)
+   */
+  function getTimeRemaining() {
+    let limitSeconds = null;
+    if (rules.mode === GAME_MODES.KING_OF_THE_HILL) limitSeconds = rules.hillTimeLimit;
+    if (rules.mode === GAME_MODES.SCORE_ATTACK) limitSeconds = rules.matchDuration;
+    if (limitSeconds === null || !gameStartTime) return null;
+    return Math.max(0, limitSeconds * 1000 - (Date.now() - gameStartTime));
+  }
+
+  /**
+   * Decide whether a King of the Hill match is over
+   * Ends when someone reaches the point target, or at the time limit (the hill
+   * leader wins; a tie or an untouched hill is a draw).
+   * @returns {Object|null} { winner, winningTeam } once decided, otherwise null
+   */
+  function getHillOutcome() {
+    if (!hill) return null;
+
+    const ranked = Array.from(players.values()).sort((a, b) => b.hillTime - a.hillTime);
+    const [leader, runnerUp] = ranked;
+    if (!leader) return null;
+
+    if (leader.hillTime * rules.hillPointsPerSecond >= rules.hillTarget) {
+      return { winner: leader, winningTeam: null };
     }
-  });
-  return {
-    positions,
-    timestamp: Date.now(),
-  };
-}
+    if (getTimeRemaining() > 0) return null;
 
-/**
- * Record collision between two players for elimination attribution
- * @param {string} playerId - Player who got hit
- * @param {string} hitterId - Player who did the hitting
- */
-export function recordCollision(playerId, hitterId) {
-  const player = players.get(playerId);
-  const hitter = players.get(hitterId);
-  
-  if (player && hitter && !player.isEliminated && !hitter.isEliminated) {
-    player.lastHitBy = {
-      id: hitter.id,
-      name: hitter.name,
+    const isTie = runnerUp && runnerUp.hillTime === leader.hillTime;
+    return { winner: leader.hillTime > 0 && !isTie ? leader : null, winningTeam: null };
+  }
+
+  /**
+   * Decide whether a score attack match is over
+   * When the clock runs out the highest score wins; a tie for first is a draw.
+   * @returns {Object|null} { winner, winningTeam } once decided, otherwise null
+   */
+  function getScoreAttackOutcome() {
+    const remaining = getTimeRemaining();
+    if (rules.mode !== GAME_MODES.SCORE_ATTACK || remaining === null || remaining > 0) return null;
+
+    players.forEach((player) => calculatePlayerScore(player.id));
+    const [leader, runnerUp] = Array.from(players.values()).sort((a, b) => b.score - a.score);
+    const isTie = runnerUp && Math.round(runnerUp.score) === Math.round(leader.score);
+    return { winner: leader && !isTie ? leader : null, winningTeam: null };
+  }
+
+  /**
+   * Pick a power-up type from the match's spawn table
+   * @returns {string|null} Power-up type, or null if every weight is 0
+   */
+  function pickPowerUpType() {
+    const entries = Object.entries(POWER_UPS.TYPES);
+    const total = entries.reduce((sum, [, def]) => sum + rules[def.weightRule], 0);
+    if (total <= 0) return null;
+
+    let roll = Math.random() * total;
+    for (const [type, def] of entries) {
+      roll -= rules[def.weightRule];
+      if (roll < 0) return type;
+    }
+    return null;
+  }
+
+  /**
+   * Place a new pickup at a random spot on the platform (or at one of an authored
+   * map's power-up spawners), clear of players and other pickups
+   * @returns {Object|null} The pickup, or null if no clear spot was found
+   */
+  function spawnPickup() {
+    const type = pickPowerUpType();
+    if (!type) return null;
+
+    const alive = getAlivePlayers();
+    const spawners = arenaMap?.powerUpSpawners ?? [];
+    for (let attempt = 0; attempt < POWER_UPS.SPAWN_ATTEMPTS; attempt++) {
+      const { x, z } = spawners.length > 0
+        ? toWorldPoint(spawners[Math.floor(Math.random() * spawners.length)])
+        : getRandomArenaPoint(arena);
+      if (!hasFloorAt(x, z)) continue;
+      if (spawners.length === 0 && getArenaClearance(arena, x, z) < POWER_UPS.EDGE_MARGIN) continue;
+
+      const nearPlayer = alive.some((player) =>
+        Math.hypot(player.position.x - x, player.position.z - z) < POWER_UPS.MIN_PLAYER_DISTANCE);
+      const nearPickup = Array.from(pickups.values()).some((pickup) =>
+        Math.hypot(pickup.x - x, pickup.z - z) < POWER_UPS.PICKUP_RADIUS * 2);
+      if (nearPlayer || nearPickup) continue;
+
+      const pickup = { id: nextPickupId++, type, x, z };
+      pickups.set(pickup.id, pickup);
+      return pickup;
+    }
+    return null;
+  }
+
+  /**
+   * Push a player's active effects into the physics simulation
+   * @param {Object} player - Player whose effects changed
+   */
+  function applyPlayerEffects(player) {
+    const modifiers = { shield: 'shield' in player.effects };
+    Object.keys(player.effects).forEach((type) => {
+      const def = POWER_UPS.TYPES[type];
+      if (def.massMultiplier) modifiers.massMultiplier = def.massMultiplier;
+      if (def.radiusMultiplier) modifiers.radiusMultiplier = def.radiusMultiplier;
+      if (def.speedMultiplier) modifiers.speedMultiplier = def.speedMultiplier;
+    });
+    physics.setPlayerModifiers(player.id, modifiers);
+  }
+
+  /**
+   * Drop all of a player's active effects
+   * @param {Object} player - Player to clear
+   */
+  function clearPlayerEffects(player) {
+    player.effects = {};
+    physics.setPlayerModifiers(player.id, {});
+  }
+
+  /**
+   * Give a player a collected power-up
+   * Timed effects (re)start their clock; boost and shockwave apply at once.
+   * @param {Object} player - Collecting player
+   * @param {string} type - Power-up type
+   * @param {number} now - Current timestamp
+   */
+  function grantPowerUp(player, type, now) {
+    const def = POWER_UPS.TYPES[type];
+    if (type === 'boost') {
+      physics.refillBoost(player.id);
+    } else if (type === 'shockwave') {
+      // Blast victims count as hit by the collector, so push-offs are credited
+      physics.applyRadialImpulse(player.id, POWER_UPS.SHOCKWAVE_RADIUS, POWER_UPS.SHOCKWAVE_IMPULSE)
+        .forEach((victimId) => recordCollision(victimId, player.id));
+    }
+    if (def.duration > 0) {
+      player.effects[type] = now + def.duration;
+      applyPlayerEffects(player);
+    }
+  }
+
+  /**
+   * Advance power-ups: spawn on the match's interval, hand out pickups players touch,
+   * drop pickups the platform shrank away from, and expire finished effects
+   * @returns {Object} { spawned, collected, removed, expired } changes to broadcast
+   */
+  function updatePowerUps() {
+    const now = Date.now();
+    const changes = { spawned: [], collected: [], removed: [], expired: [] };
+
+    if (rules.powerUps && now - lastPowerUpSpawn >= rules.powerUpInterval && pickups.size < rules.powerUpMax) {
+      const pickup = spawnPickup();
+      if (pickup) {
+        lastPowerUpSpawn = now;
+        changes.spawned.push(pickup);
+      }
+    }
+
+    pickups.forEach((pickup) => {
+      if (!hasFloorAt(pickup.x, pickup.z)) {
+        pickups.delete(pickup.id);
+        changes.removed.push(pickup.id);
+        return;
+      }
+
+      const collector = getAlivePlayers().find((player) => {
+        if (player.isReconnecting || player.isOutOfBounds) return false;
+        const reach = POWER_UPS.PICKUP_RADIUS + (physics.getPlayerState(player.id)?.radius ?? PHYSICS.PLAYER_RADIUS);
+        return Math.hypot(player.position.x - pickup.x, player.position.z - pickup.z) <= reach;
+      });
+      if (!collector) return;
+
+      pickups.delete(pickup.id);
+      grantPowerUp(collector, pickup.type, now);
+      changes.collected.push({
+        pickupId: pickup.id,
+        playerId: collector.id,
+        type: pickup.type,
+        duration: POWER_UPS.TYPES[pickup.type].duration,
+        position: { x: collector.position.x, z: collector.position.z },
+      });
+    });
+
+    players.forEach((player) => {
+      const finished = Object.keys(player.effects).filter((type) => now >= player.effects[type]);
+      if (finished.length === 0) return;
+      finished.forEach((type) => {
+        delete player.effects[type];
+        changes.expired.push({ playerId: player.id, type });
+      });
+      applyPlayerEffects(player);
+    });
+
+    return changes;
+  }
+
+  /**
+   * Get the pickups currently on the platform
+   * @returns {Object[]} [{ id, type, x, z }]
+   */
+  function getPickups() {
+    return Array.from(pickups.values());
+  }
+
+  /**
+   * Reset game state for new round
+   */
+  function resetGame() {
+    gameState = GAME_STATES.LOBBY;
+    platformRadius = PLATFORM.INITIAL_RADIUS;
+    gameStartTime = null;
+    lastShrinkTime = null;
+    hill = null;
+    pickups.clear();
+    lastPowerUpSpawn = null;
+    arena = getArenaPieces(getArenaLayout(), platformRadius);
+    physics.setPlatformRadius(platformRadius);
+    physics.setHazards();
+    tiles = null;
+    physics.setTiles(null);
+    stateHistory.length = 0;
+    recentContacts.clear();
+    recentReports.clear();
+
+    // Reset all player states
+    const spawns = allocateSpawns(getAllPlayers(), getSpawnArena());
+    players.forEach((player) => {
+      const spawn = spawns.get(player.id);
+      player.position = { x: spawn.x, y: 1, z: spawn.z };
+      player.velocity = { x: 0, y: 0, z: 0 };
+      player.isEliminated = false;
+      player.isReady = player.isBot; // Bots are always ready
+
+      // Re-add bodies removed on elimination and move everyone to their spawn
+      if (physics.hasPlayer(player.id)) {
+        physics.resetPlayer(player.id, player.position);
+      } else {
+        physics.addPlayer(player.id, player.position);
+      }
+      physics.setPlayerFrozen(player.id, player.isReconnecting);
+
+      // Reset scoring
+      player.score = 0;
+      player.eliminations = 0;
+      player.survivalTime = 0;
+      player.outOfBoundsTime = 0;
+      player.hillTime = 0;
+      player.lives = null;
+      player.isRespawning = false;
+      player.respawnAt = null;
+      player.protectedUntil = null;
+      player.downTime = 0;
+      physics.setPlayerGhost(player.id, false);
+      clearPlayerEffects(player);
+      player.outOfBoundsAtLifeStart = 0;
+      player.isOutOfBounds = false;
+      player.outOfBoundsStartTime = null;
+      player.gameStartTime = null;
+      player.lastHitBy = null;
+    });
+  }
+
+  /**
+   * Set player ready status
+   * @param {string} id - Socket ID
+   * @param {boolean} ready - Ready status
+   */
+  function setPlayerReady(id, ready) {
+    const player = players.get(id);
+    if (player) {
+      player.isReady = ready;
+    }
+  }
+
+  /**
+   * Get full state snapshot for syncing
+   * @returns {Object} Full game state
+   */
+  function getStateSnapshot() {
+    return {
+      gameState,
+      players: getAllPlayers(),
+      hostId,
+      platformRadius,
+      rules,
+      hill: getHillState(),
+      pickups: getPickups(),
+      hazards: physics.getHazardStates(),
+      tiles: getTileState(),
+      map: arenaMap,
+      timeRemaining: getTimeRemaining(),
       timestamp: Date.now(),
     };
   }
-}
 
-/**
- * Check and update boundary status for a player
- * @param {string} id - Player ID
- * @param {number} platformRadius - Current platform radius
- * @returns {boolean} True if player should be eliminated
- */
-export function updateBoundaryStatus(id, platformRadius) {
-  const player = players.get(id);
-  if (!player || player.isEliminated) return false;
-  
-  const now = Date.now();
-  const distance = Math.sqrt(player.position.x ** 2 + player.position.z ** 2);
-  const isCurrentlyOutOfBounds = distance > platformRadius + 1 || player.position.y < -1;
-  
-  // State change: went out of bounds
-  if (isCurrentlyOutOfBounds && !player.isOutOfBounds) {
-    player.isOutOfBounds = true;
-    player.outOfBoundsStartTime = now;
-  }
-  // State change: came back in bounds
-  else if (!isCurrentlyOutOfBounds && player.isOutOfBounds) {
-    player.isOutOfBounds = false;
-    
-    // Add time spent out of bounds
-    if (player.outOfBoundsStartTime) {
-      const timeOut = (now - player.outOfBoundsStartTime) / 1000; // Convert to seconds
-      player.outOfBoundsTime += timeOut;
+  /**
+   * Get minimal state for frequent updates (player positions and hazards)
+   * @returns {Object} Minimal state with positions
+   */
+  function getPositionSnapshot() {
+    const positions = {};
+    players.forEach((player, id) => {
+      if (!player.isEliminated) {
+        positions[id] = {
+          position: player.position,
+          velocity: player.velocity,
+          lastInputSeq: player.lastInputSeq,
+        };
+      }
+    });
+    return {
+      positions,
+      hazards: physics.getHazardStates(),
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Record collision between two players for elimination attribution
+   * @param {string} playerId - Player who got hit
+   * @param {string} hitterId - Player who did the hitting
+   */
+  function recordCollision(playerId, hitterId) {
+    const player = players.get(playerId);
+    const hitter = players.get(hitterId);
+
+    if (player && hitter && !player.isEliminated && !hitter.isEliminated) {
+      player.lastHitBy = {
+        id: hitter.id,
+        name: hitter.name,
+        timestamp: Date.now(),
+      };
     }
-    player.outOfBoundsStartTime = null;
   }
-  // Still out of bounds - check if should eliminate
-  else if (isCurrentlyOutOfBounds && player.isOutOfBounds) {
-    if (player.outOfBoundsStartTime) {
-      const currentOutTime = (now - player.outOfBoundsStartTime) / 1000;
-      const totalOutTime = player.outOfBoundsTime + currentOutTime;
-      
-      // Eliminate after 10 seconds cumulative out of bounds time
-      if (totalOutTime >= 10) {
-        // Finalize out of bounds time
-        player.outOfBoundsTime = totalOutTime;
-        player.outOfBoundsStartTime = null;
-        return true; // Should be eliminated
+
+  /**
+   * Find a recent tick where two players were within contact distance
+   * @param {string} idA - First player ID
+   * @param {string} idB - Second player ID
+   * @param {number} since - Oldest tick timestamp to consider
+   * @returns {Object|null} { a, b } states at the newest such tick
+   */
+  function findContactTick(idA, idB, since) {
+    for (let i = stateHistory.length - 1; i >= 0; i--) {
+      const tick = stateHistory[i];
+      if (tick.timestamp < since) break;
+      const a = tick.states.get(idA);
+      const b = tick.states.get(idB);
+      if (!a || !b) continue;
+      const dx = a.position.x - b.position.x;
+      const dy = a.position.y - b.position.y;
+      const dz = a.position.z - b.position.z;
+      // Giant players reach further than the default two radii
+      const contactDistance = COLLISION_VERIFY.CONTACT_DISTANCE + a.radius + b.radius - PHYSICS.PLAYER_RADIUS * 2;
+      if (Math.sqrt(dx * dx + dy * dy + dz * dz) <= contactDistance) {
+        return { a, b };
       }
     }
+    return null;
   }
-  
-  // Update survival time (only when in bounds and not eliminated)
-  if (!player.isEliminated && !player.isOutOfBounds && player.gameStartTime) {
-    player.survivalTime = (now - player.gameStartTime) / 1000;
+
+  /**
+   * Decide which of two touching players was moving into the other
+   * @param {string} idA - First player ID
+   * @param {string} idB - Second player ID
+   * @param {Object} states - { a, b } states at contact
+   * @returns {string} ID of the aggressor
+   */
+  function getAggressor(idA, idB, { a, b }) {
+    const dx = b.position.x - a.position.x;
+    const dz = b.position.z - a.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz) || 1;
+    const approachA = (a.velocity.x * dx + a.velocity.z * dz) / distance;
+    const approachB = -(b.velocity.x * dx + b.velocity.z * dz) / distance;
+    return approachA >= approachB ? idA : idB;
   }
-  
-  return false;
-}
 
-/**
- * Eliminate player with attribution
- * @param {string} id - Player ID to eliminate
- * @param {string} reason - 'boundary' | 'fall' | 'pushed'
- * @returns {Object|null} Elimination info with attribution
- */
-export function eliminatePlayerWithAttribution(id, reason = 'boundary') {
-  const player = players.get(id);
-  if (!player || player.isEliminated) return null;
-  
-  player.isEliminated = true;
-  player.eliminatedAt = Date.now();
-  
-  // Attribution: who gets credit for this elimination?
-  let eliminatedBy = null;
-  
-  if (reason === 'pushed' && player.lastHitBy) {
-    // Check if hit was recent (within last 3 seconds)
-    const timeSinceHit = Date.now() - player.lastHitBy.timestamp;
-    if (timeSinceHit < 3000) {
-      const hitter = players.get(player.lastHitBy.id);
-      if (hitter && !hitter.isEliminated) {
-        hitter.eliminations += 1;
-        eliminatedBy = {
-          id: hitter.id,
-          name: hitter.name,
-        };
+  /**
+   * Verify a client's claim that it hit another player before attributing it
+   * The pair must have been in contact per server state within the window.
+   * If both players report the same contact, server velocities decide who hit whom.
+   * @param {string} reporterId - Player claiming the hit
+   * @param {string} otherId - Player they claim to have hit
+   * @returns {{ status: string, reason?: string }} status is 'verified', 'reconciled' or 'rejected'
+   */
+  function verifyCollisionReport(reporterId, otherId) {
+    const reporter = players.get(reporterId);
+    const other = players.get(otherId);
+    const reject = (reason) => ({ status: 'rejected', reason });
+
+    if (!reporter || !other || reporterId === otherId) {
+      return reject('unknown player');
+    }
+    if (reporter.isEliminated || other.isEliminated) {
+      return reject('player already eliminated');
+    }
+
+    const now = Date.now();
+    const since = now - COLLISION_VERIFY.WINDOW_MS;
+    const key = getPairKey(reporterId, otherId);
+    const tick = findContactTick(reporterId, otherId, since);
+    const contactAt = recentContacts.get(key);
+    if (!tick && !(contactAt >= since)) {
+      return reject('players were not in contact');
+    }
+
+    // The other player already claimed this contact - settle it from server state
+    const previous = recentReports.get(key);
+    if (previous && previous.reporterId === otherId && now - previous.timestamp <= COLLISION_VERIFY.DUAL_REPORT_MS) {
+      recentReports.delete(key);
+      const states = tick || { a: physics.getPlayerState(reporterId), b: physics.getPlayerState(otherId) };
+      if (states.a && states.b && getAggressor(reporterId, otherId, states) === reporterId) {
+        // The earlier claim was backwards - undo it and credit this reporter
+        reporter.lastHitBy = previous.victimPreviousHit;
+        recordCollision(otherId, reporterId);
       }
+      return { status: 'reconciled' };
     }
+
+    recentReports.set(key, { reporterId, victimPreviousHit: other.lastHitBy, timestamp: now });
+    recordCollision(otherId, reporterId);
+    return { status: 'verified' };
   }
-  
-  // Calculate final score
-  calculatePlayerScore(id);
-  
-  return {
-    playerId: id,
-    playerName: player.name,
-    reason,
-    eliminatedBy,
-    finalScore: player.score,
-  };
-}
 
-/**
- * Calculate composite score for a player
- * Formula: (Eliminations × 100) + SurvivalTime - (OutOfBoundsTime × 10)
- * @param {string} id - Player ID
- */
-export function calculatePlayerScore(id) {
-  const player = players.get(id);
-  if (!player) return;
-  
-  // If currently out of bounds, add current out time to total
-  let totalOutTime = player.outOfBoundsTime;
-  if (player.isOutOfBounds && player.outOfBoundsStartTime) {
-    totalOutTime += (Date.now() - player.outOfBoundsStartTime) / 1000;
-  }
-  
-  // Calculate survival time
-  let survivalTime = player.survivalTime;
-  if (!player.isEliminated && player.gameStartTime && !player.isOutOfBounds) {
-    survivalTime = (Date.now() - player.gameStartTime) / 1000;
-  }
-  
-  player.score = Math.max(0, 
-    (player.eliminations * 100) + 
-    survivalTime - 
-    (totalOutTime * 10)
-  );
-}
+  /**
+   * Check and update boundary status for a player
+   * Out of bounds means more than a unit past the arena's edge (or into a hole), or fallen below it.
+   * On a crumbling platform it means no standing tile under the player.
+   * @param {string} id - Player ID
+   * @returns {boolean} True if player should be eliminated
+   */
+  function updateBoundaryStatus(id) {
+    const player = players.get(id);
+    if (!player || player.isEliminated) return false;
 
-/**
- * Get score snapshot for all players
- * @returns {Object[]} Array of player scores sorted by score descending
- */
-export function getScoreSnapshot() {
-  const scores = [];
-  
-  players.forEach((player) => {
-    // Update score before sending
-    calculatePlayerScore(player.id);
-    
-    // Calculate current out of bounds time
-    let currentOutTime = player.outOfBoundsTime;
+    const now = Date.now();
+    const isOffPlatform = tiles
+      ? !hasFloorAt(player.position.x, player.position.z) // No tile under you
+      : getArenaClearance(arena, player.position.x, player.position.z) < -1;
+    const isCurrentlyOutOfBounds = isOffPlatform || player.position.y < -1;
+
+    // State change: went out of bounds
+    if (isCurrentlyOutOfBounds && !player.isOutOfBounds) {
+      player.isOutOfBounds = true;
+      player.outOfBoundsStartTime = now;
+    }
+    // State change: came back in bounds
+    else if (!isCurrentlyOutOfBounds && player.isOutOfBounds) {
+      player.isOutOfBounds = false;
+
+      // Add time spent out of bounds
+      if (player.outOfBoundsStartTime) {
+        const timeOut = (now - player.outOfBoundsStartTime) / 1000; // Convert to seconds
+        player.outOfBoundsTime += timeOut;
+      }
+      player.outOfBoundsStartTime = null;
+    }
+    // Still out of bounds - check if should eliminate
+    else if (isCurrentlyOutOfBounds && player.isOutOfBounds) {
+      if (player.outOfBoundsStartTime) {
+        const currentOutTime = (now - player.outOfBoundsStartTime) / 1000;
+        const totalOutTime = player.outOfBoundsTime + currentOutTime;
+
+        // Eliminate after the rules' cumulative out of bounds limit (per life in stock mode)
+        if (totalOutTime - player.outOfBoundsAtLifeStart >= rules.outOfBoundsLimit) {
+          // Finalize out of bounds time
+          player.outOfBoundsTime = totalOutTime;
+          player.outOfBoundsStartTime = null;
+          return true; // Should be eliminated
+        }
+      }
+    }
+
+    // Update survival time (only when in bounds and not eliminated)
+    if (!player.isEliminated && !player.isOutOfBounds && player.gameStartTime) {
+      player.survivalTime = (now - player.gameStartTime - player.downTime) / 1000;
+    }
+
+    return false;
+  }
+
+  /**
+   * Eliminate player with attribution
+   * @param {string} id - Player ID to eliminate
+   * @param {string} reason - 'boundary' | 'fall' | 'pushed'
+   * @returns {Object|null} Elimination info with attribution
+   */
+  function eliminatePlayerWithAttribution(id, reason = 'boundary') {
+    const player = players.get(id);
+    if (!player || player.isEliminated) return null;
+
+    player.isEliminated = true;
+    player.eliminatedAt = Date.now();
+    player.effects = {};
+    physics.removePlayer(id);
+
+    // Attribution: who gets credit for this elimination?
+    let eliminatedBy = null;
+
+    if (reason === 'pushed' && player.lastHitBy) {
+      // Check if hit was recent (within the rules' attribution window)
+      const timeSinceHit = Date.now() - player.lastHitBy.timestamp;
+      if (timeSinceHit < rules.attributionWindow) {
+        const hitter = players.get(player.lastHitBy.id);
+        if (hitter && !hitter.isEliminated) {
+          // Teammate push-offs only count if the rules allow it
+          const isFriendlyFire = areTeammates(hitter, player);
+          if (!isFriendlyFire || rules.friendlyFireCredit) {
+            hitter.eliminations += 1;
+          }
+          eliminatedBy = {
+            id: hitter.id,
+            name: hitter.name,
+            isFriendlyFire,
+          };
+        }
+      }
+    }
+
+    // Calculate final score
+    calculatePlayerScore(id);
+
+    // Stock mode costs a life; players come back after the respawn delay while any
+    // remain (always in score attack)
+    if (player.lives !== null) {
+      player.lives -= 1;
+    }
+    let respawnIn = null;
+    if (rules.mode === GAME_MODES.SCORE_ATTACK || player.lives > 0) {
+      player.isRespawning = true;
+      player.respawnAt = player.eliminatedAt + rules.respawnDelay;
+      respawnIn = rules.respawnDelay;
+    }
+
+    return {
+      playerId: id,
+      playerName: player.name,
+      reason,
+      eliminatedBy,
+      finalScore: player.score,
+      livesLeft: player.lives,
+      respawnIn,
+    };
+  }
+
+  /**
+   * Pick a respawn spot on the current platform, as far from other players as possible
+   * @returns {Object} { x, y, z }
+   */
+  function findRespawnPoint() {
+    const others = getAlivePlayers();
+    let best = null;
+    let bestClearance = -1;
+
+    // An authored map's spawn points that still have floor under them, if any
+    const spawns = (arenaMap?.spawns ?? []).map(toWorldPoint).filter(({ x, z }) => hasFloorAt(x, z));
+    const candidates = spawns.length > 0
+      ? spawns
+      : Array.from({ length: RESPAWN.CANDIDATES }, () => getArenaSpot(RESPAWN.EDGE_MARGIN));
+
+    for (const spot of candidates) {
+      const candidate = { x: spot.x, y: 1, z: spot.z };
+      const clearance = others.reduce(
+        (closest, other) => Math.min(closest, Math.hypot(other.position.x - candidate.x, other.position.z - candidate.z)),
+        Infinity
+      );
+      if (clearance > bestClearance) {
+        best = candidate;
+        bestClearance = clearance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Put a respawning player back on the platform with spawn protection
+   * @param {Object} player - Player waiting to respawn
+   * @param {number} now - Current timestamp
+   */
+  function respawnPlayer(player, now) {
+    player.position = findRespawnPoint();
+    player.velocity = { x: 0, y: 0, z: 0 };
+    player.isEliminated = false;
+    player.isRespawning = false;
+    player.respawnAt = null;
+    player.isOutOfBounds = false;
+    player.outOfBoundsStartTime = null;
+    player.outOfBoundsAtLifeStart = player.outOfBoundsTime;
+    player.lastHitBy = null;
+    player.downTime += now - player.eliminatedAt;
+
+    physics.addPlayer(player.id, player.position);
+    physics.setPlayerFrozen(player.id, player.isReconnecting);
+    if (rules.spawnProtection > 0) {
+      physics.setPlayerGhost(player.id, true);
+      player.protectedUntil = now + rules.spawnProtection;
+    }
+  }
+
+  /**
+   * Respawn players whose delay is over and end expired spawn protection
+   * @returns {Object[]} Players respawned this call
+   */
+  function processRespawns() {
+    const now = Date.now();
+    const respawned = [];
+
+    players.forEach((player) => {
+      if (player.protectedUntil && now >= player.protectedUntil) {
+        physics.setPlayerGhost(player.id, false);
+        player.protectedUntil = null;
+      }
+      if (player.isRespawning && now >= player.respawnAt) {
+        respawnPlayer(player, now);
+        respawned.push(player);
+      }
+    });
+    return respawned;
+  }
+
+  /**
+   * Calculate composite score for a player (see shared/scoring.js), weights from the match rules
+   * @param {string} id - Player ID
+   */
+  function calculatePlayerScore(id) {
+    const player = players.get(id);
+    if (!player) return;
+
+    // If currently out of bounds, add current out time to total
+    let totalOutTime = player.outOfBoundsTime;
     if (player.isOutOfBounds && player.outOfBoundsStartTime) {
-      currentOutTime += (Date.now() - player.outOfBoundsStartTime) / 1000;
+      totalOutTime += (Date.now() - player.outOfBoundsStartTime) / 1000;
     }
-    
+
+    // Calculate survival time
     let survivalTime = player.survivalTime;
     if (!player.isEliminated && player.gameStartTime && !player.isOutOfBounds) {
-      survivalTime = (Date.now() - player.gameStartTime) / 1000;
-    }
-    
-    scores.push({
-      id: player.id,
-      name: player.name,
-      color: player.color,
-      score: Math.round(player.score),
+      survivalTime = (Date.now() - player.gameStartTime - player.downTime) / 1000;
+    }
+
+    player.score = calculateScore({
       eliminations: player.eliminations,
-      survivalTime: Math.round(survivalTime * 10) / 10, // 1 decimal
-      outOfBoundsTime: Math.round(currentOutTime * 10) / 10,
-      isEliminated: player.isEliminated,
-      isOutOfBounds: player.isOutOfBounds,
+      survivalTime,
+      hillTime: player.hillTime,
+      outOfBoundsTime: totalOutTime,
+    }, rules);
+  }
+
+  /**
+   * Get score snapshot for all players
+   * @returns {Object[]} Array of player scores sorted by score descending
+   */
+  function getScoreSnapshot() {
+    const scores = [];
+
+    players.forEach((player) => {
+      // Update score before sending
+      calculatePlayerScore(player.id);
+
+      // Calculate current out of bounds time
+      let currentOutTime = player.outOfBoundsTime;
+      if (player.isOutOfBounds && player.outOfBoundsStartTime) {
+        currentOutTime += (Date.now() - player.outOfBoundsStartTime) / 1000;
+      }
+
+      let survivalTime = player.survivalTime;
+      if (!player.isEliminated && player.gameStartTime && !player.isOutOfBounds) {
+        survivalTime = (Date.now() - player.gameStartTime - player.downTime) / 1000;
+      }
+
+      scores.push({
+        id: player.id,
+        name: player.name,
+        color: player.color,
+        team: player.team,
+        score: Math.round(player.score),
+        eliminations: player.eliminations,
+        survivalTime: Math.round(survivalTime * 10) / 10, // 1 decimal
+        outOfBoundsTime: Math.round(currentOutTime * 10) / 10,
+        hillTime: Math.round(player.hillTime * 10) / 10,
+        lives: player.lives,
+        isEliminated: player.isEliminated,
+        isOutOfBounds: player.isOutOfBounds,
+      });
     });
-  });
-  
-  // Sort by score descending
-  scores.sort((a, b) => b.score - a.score);
-  
-  return scores;
-}
 
-/**
- * Initialize game start time for all players
- */
-export function initializeGameTimes() {
-  const now = Date.now();
-  players.forEach((player) => {
-    if (!player.isEliminated) {
-      player.gameStartTime = now;
-      player.survivalTime = 0;
-      player.outOfBoundsTime = 0;
-      player.isOutOfBounds = false;
-      player.outOfBoundsStartTime = null;
-    }
-  });
+    // Sort by score descending
+    scores.sort((a, b) => b.score - a.score);
+
+    return scores;
+  }
+
+  /**
+   * Initialize game start time for all players
+   */
+  function initializeGameTimes() {
+    const now = Date.now();
+    players.forEach((player) => {
+      if (!player.isEliminated) {
+        player.gameStartTime = now;
+        player.survivalTime = 0;
+        player.outOfBoundsTime = 0;
+        player.isOutOfBounds = false;
+        player.outOfBoundsStartTime = null;
+        player.outOfBoundsAtLifeStart = 0;
+        player.downTime = 0;
+        player.lives = rules.mode === GAME_MODES.STOCK ? rules.lives : null;
+      }
+    });
+  }
+
+  return {
+    createPlayer,
+    removePlayer,
+    getPlayer,
+    getAllPlayers,
+    getPlayerCount,
+    getHumanCount,
+    getBotCount,
+    addBot,
+    updateBots,
+    getHostId,
+    isHost,
+    setPlayerInput,
+    setPlayerReconnecting,
+    recordInputViolation,
+    stepPhysics,
+    eliminatePlayer,
+    getAlivePlayers,
+    getGameState,
+    setGameState,
+    getPlatformRadius,
+    getRules,
+    setRules,
+    setArenaMap,
+    getArenaMap,
+    getArenaLayout,
+    getTeamInfo,
+    setPlayerTeam,
+    getTeamAssignments,
+    getMatchOutcome,
+    getTeamScores,
+    updateHill,
+    getHillState,
+    updateTiles,
+    getTileState,
+    getTimeRemaining,
+    getHillOutcome,
+    getScoreAttackOutcome,
+    processRespawns,
+    updatePowerUps,
+    shrinkPlatform,
+    getTimeSinceLastShrink,
+    shouldShrinkPlatform,
+    getTimeUntilNextShrink,
+    getShrinkWarningState,
+    resetGame,
+    setPlayerReady,
+    getStateSnapshot,
+    getPositionSnapshot,
+    recordCollision,
+    verifyCollisionReport,
+    updateBoundaryStatus,
+    eliminatePlayerWithAttribution,
+    calculatePlayerScore,
+    getScoreSnapshot,
+    initializeGameTimes,
+  };
 }
@@ -4,33 +4,22 @@ import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import {
-  createPlayer,
-  removePlayer,
-  getPlayer,
-  getAllPlayers,
-  getPlayerCount,
-  getHostId,
-  isHost,
-  updatePlayerPosition,
-  eliminatePlayer,
-  getAlivePlayers,
-  getGameState,
-  setGameState,
-  getPlatformRadius,
-  shrinkPlatform,
-  shouldShrinkPlatform,
-  getShrinkWarningState,
-  resetGame,
-  setPlayerReady,
-  getStateSnapshot,
-  getPositionSnapshot,
-  updateBoundaryStatus,
-  eliminatePlayerWithAttribution,
-  getScoreSnapshot,
-  initializeGameTimes,
-  recordCollision,
-} from './gameState.js';
-import { GAME_STATES, SERVER, COUNTDOWN, PLATFORM, PLAYERS } from './constants.js';
+  createRoom,
+  getRoom,
+  getRoomCount,
+  findOpenRoom,
+  hasCapacity,
+  normalizeRoomCode,
+  destroyRoom,
+} from './rooms.js';
+import { GAME_STATES, GAME_MODES, TEAMS, SERVER, PLATFORM, PLAYERS, BOTS, ANTI_CHEAT, RATE_LIMITS } from './constants.js';
+import { validateInput } from './inputValidation.js';
+import { createRateLimiter, recordAbusiveDisconnect, getRateLimitStats } from './rateLimiter.js';
+import { createSession, getSession, holdSession, resumeSession, destroySession } from './sessions.js';
+import { validateRules, getRuleLimits } from './rules.js';
+import { loadMaps, getMap, getMapList } from './maps.js';
+import { parseArenaMap } from '../shared/maps.js';
+import { AI_DIFFICULTIES } from '../shared/ai.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,19 +31,63 @@ const io = new Server(httpServer, {
     origin: '*',
     methods: ['GET', 'POST'],
   },
+  maxHttpBufferSize: RATE_LIMITS.MAX_HTTP_BUFFER_SIZE,
 });
 
 const PORT = process.env.PORT || 3000;
 
+// Socket.io room for connected sockets that haven't joined a match yet (join screen)
+const UNASSIGNED_CHANNEL = 'unassigned';
+
 // Serve static files from dist folder (production build)
 app.use(express.static(join(__dirname, '../../dist')));
 
 // Serve static files from public folder (fallback)
 app.use(express.static(join(__dirname, '../../public')));
 
+// Authored arenas offered in every lobby
+loadMaps(join(__dirname, '../../maps'));
+
+// Outcomes of client-reported collisions across all rooms (diagnostics)
+const collisionReportStats = { verified: 0, reconciled: 0, rejected: 0 };
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: Date.now() });
+  res.json({
+    status: 'ok',
+    rooms: getRoomCount(),
+    collisionReports: collisionReportStats,
+    rateLimits: getRateLimitStats(),
+    timestamp: Date.now(),
+  });
+});
+
+// Room lookup - lets the join screen preview a shared room before joining
+app.get('/api/rooms/:code', (req, res) => {
+  const code = normalizeRoomCode(req.params.code);
+  const room = code ? getRoom(code) : undefined;
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+
+  res.json({
+    code: room.id,
+    playerCount: room.game.getPlayerCount(),
+    maxPlayers: PLAYERS.MAX_PLAYERS,
+    gameState: room.game.getGameState(),
+    isFull: !hasCapacity(room),
+  });
+});
+
+// Room deep link - normalize the code in the URL, then let the SPA join it
+app.get('/r/:code', (req, res) => {
+  const code = normalizeRoomCode(req.params.code);
+  if (code && code !== req.params.code) {
+    res.redirect(`/r/${code}`);
+    return;
+  }
+  res.sendFile(join(__dirname, '../../dist/index.html'));
 });
 
 // SPA fallback - serve index.html for all other routes
@@ -62,103 +95,154 @@ app.get('*', (req, res) => {
   res.sendFile(join(__dirname, '../../dist/index.html'));
 });
 
-// Game loop interval reference
-let gameLoopInterval = null;
-let countdownInterval = null;
-let scoreUpdateInterval = null;
-// Track previous warning state to only emit on change
-let previousWarningState = { isWarning: false, warningProgress: 0 };
+/**
+ * Broadcast the player count of the room a newcomer would be placed in
+ * to everyone still on the join screen
+ */
+function broadcastJoinScreenCount() {
+  const openRoom = findOpenRoom();
+  io.to(UNASSIGNED_CHANNEL).emit('playerCount', {
+    count: openRoom ? openRoom.game.getPlayerCount() : 0,
+    maxPlayers: PLAYERS.MAX_PLAYERS,
+  });
+}
+
+/**
+ * Emit an elimination to every member of a room
+ * @param {Object} room - Room object
+ * @param {Object} eliminationInfo - Result of eliminatePlayerWithAttribution
+ */
+function emitElimination(room, eliminationInfo) {
+  io.to(room.id).emit('playerEliminated', {
+    id: eliminationInfo.playerId,
+    name: eliminationInfo.playerName,
+    reason: eliminationInfo.reason,
+    eliminatedBy: eliminationInfo.eliminatedBy,
+    livesLeft: eliminationInfo.livesLeft,
+    respawnIn: eliminationInfo.respawnIn,
+  });
+}
 
 /**
  * Start the game loop for position broadcasting
+ * @param {Object} room - Room to run the loop for
  */
-function startGameLoop() {
-  if (gameLoopInterval) return;
+function startGameLoop(room) {
+  if (room.gameLoopInterval) return;
+
+  const game = room.game;
+  let lastTickTime = Date.now();
 
-  gameLoopInterval = setInterval(() => {
-    const state = getGameState();
+  room.gameLoopInterval = setInterval(() => {
+    const state = game.getGameState();
+    const now = Date.now();
+    const deltaSeconds = (now - lastTickTime) / 1000;
+    lastTickTime = now;
 
     if (state === GAME_STATES.PLAYING) {
-      // Broadcast position updates to all clients
-      const positionSnapshot = getPositionSnapshot();
-      io.emit('positionUpdate', positionSnapshot);
+      // Stock mode - bring back players whose respawn delay is over
+      game.processRespawns().forEach((player) => {
+        io.to(room.id).emit('playerRespawned', {
+          id: player.id,
+          position: player.position,
+          lives: player.lives,
+          protectedFor: game.getRules().spawnProtection,
+        });
+      });
+
+      // Bots pick their inputs, then advance the authoritative simulation from the latest inputs
+      game.updateBots(now);
+      game.stepPhysics(deltaSeconds);
+
+      // Broadcast simulated positions to the room
+      const positionSnapshot = game.getPositionSnapshot();
+      io.to(room.id).emit('positionUpdate', positionSnapshot);
 
-      const currentRadius = getPlatformRadius();
-      const alivePlayers = getAlivePlayers();
+      const currentRadius = game.getPlatformRadius();
+      const alivePlayers = game.getAlivePlayers();
 
       // Check boundary status for all alive players
       let anyEliminated = false;
       alivePlayers.forEach((player) => {
         // Check boundary and get elimination status
-        const shouldEliminate = updateBoundaryStatus(player.id, currentRadius);
+        const shouldEliminate = game.updateBoundaryStatus(player.id);
         
         if (shouldEliminate) {
           // Eliminate with attribution
-          const eliminationInfo = eliminatePlayerWithAttribution(player.id, 'boundary');
+          const eliminationInfo = game.eliminatePlayerWithAttribution(player.id, 'boundary');
           
           if (eliminationInfo) {
-            io.emit('playerEliminated', {
-              id: eliminationInfo.playerId,
-              name: eliminationInfo.playerName,
-              reason: eliminationInfo.reason,
-              eliminatedBy: eliminationInfo.eliminatedBy,
-            });
+            emitElimination(room, eliminationInfo);
             anyEliminated = true;
           }
         }
 
         // Also check for fall deaths (instant)
         if (player.position.y < SERVER.FALL_THRESHOLD) {
-          const eliminationInfo = eliminatePlayerWithAttribution(player.id, 'pushed');
+          const eliminationInfo = game.eliminatePlayerWithAttribution(player.id, 'pushed');
           if (eliminationInfo) {
-            io.emit('playerEliminated', {
-              id: eliminationInfo.playerId,
-              name: eliminationInfo.playerName,
-              reason: eliminationInfo.reason,
-              eliminatedBy: eliminationInfo.eliminatedBy,
-            });
+            emitElimination(room, eliminationInfo);
             anyEliminated = true;
           }
         }
       });
 
-      // Check for winner after processing all eliminations
-      if (anyEliminated) {
-        const remaining = getAlivePlayers();
-        if (remaining.length <= 1) {
-          handleGameEnd(remaining[0] || null);
-        }
+      // King of the Hill - move the zone when due and credit whoever holds it
+      if (game.updateHill(deltaSeconds)) {
+        io.to(room.id).emit('hillUpdate', { hill: game.getHillState() });
+      }
+
+      // Crumbling tiles - start worn and random tiles falling, drop the ones whose warning ran out
+      if (game.updateTiles(deltaSeconds)) {
+        io.to(room.id).emit('tilesUpdated', game.getTileState());
+      }
+
+      // Power-ups - spawn pickups, hand them to whoever touches them, expire effects
+      const powerUps = game.updatePowerUps();
+      powerUps.spawned.forEach((pickup) => io.to(room.id).emit('powerUpSpawned', { pickup }));
+      powerUps.collected.forEach((collected) => io.to(room.id).emit('powerUpCollected', collected));
+      powerUps.removed.forEach((pickupId) => io.to(room.id).emit('powerUpRemoved', { pickupId }));
+      powerUps.expired.forEach((expired) => io.to(room.id).emit('powerUpExpired', expired));
+
+      // Check for winner after processing all eliminations (or a hill target, or the match clock)
+      const outcome = (anyEliminated && game.getMatchOutcome())
+        || game.getHillOutcome()
+        || game.getScoreAttackOutcome();
+      if (outcome) {
+        handleGameEnd(room, outcome.winner, outcome.winningTeam);
       }
 
       // Check for shrink warning state and broadcast to clients only when state changes
-      const warningState = getShrinkWarningState(
-        PLATFORM.SHRINK_INTERVAL,
+      const rules = game.getRules();
+      const warningState = game.getShrinkWarningState(
+        rules.shrinkInterval,
         PLATFORM.SHRINK_WARNING_TIME
       );
 
       // Only emit platformWarning when the warning state actually changes
+      const previousWarningState = room.previousWarningState;
       const warningChanged =
         previousWarningState.isWarning !== warningState.isWarning ||
         (warningState.isWarning &&
           Math.abs(previousWarningState.warningProgress - warningState.warningProgress) > 0.05);
 
       if (warningChanged) {
-        io.emit('platformWarning', {
+        io.to(room.id).emit('platformWarning', {
           isWarning: warningState.isWarning,
           warningProgress: warningState.warningProgress,
           currentRadius,
         });
-        previousWarningState = {
+        room.previousWarningState = {
           isWarning: warningState.isWarning,
           warningProgress: warningState.warningProgress,
         };
       }
 
-      // Check if platform should shrink (every SHRINK_INTERVAL ms since last shrink)
-      if (currentRadius > PLATFORM.MIN_RADIUS && shouldShrinkPlatform(PLATFORM.SHRINK_INTERVAL)) {
-        const newRadius = currentRadius - PLATFORM.SHRINK_AMOUNT;
-        shrinkPlatform(newRadius);
-        io.emit('platformShrink', { radius: getPlatformRadius() });
+      // Check if platform should shrink (every shrinkInterval ms since last shrink)
+      if (currentRadius > rules.minRadius && game.shouldShrinkPlatform(rules.shrinkInterval)) {
+        const newRadius = currentRadius - rules.shrinkAmount;
+        game.shrinkPlatform(newRadius);
+        io.to(room.id).emit('platformShrink', { radius: game.getPlatformRadius() });
       }
     }
   }, SERVER.TICK_INTERVAL);
@@ -166,187 +250,569 @@ function startGameLoop() {
 
 /**
  * Start score update broadcasts
+ * @param {Object} room - Room to broadcast scores for
  */
-function startScoreUpdates() {
-  if (scoreUpdateInterval) return;
+function startScoreUpdates(room) {
+  if (room.scoreUpdateInterval) return;
   
-  scoreUpdateInterval = setInterval(() => {
-    const state = getGameState();
+  room.scoreUpdateInterval = setInterval(() => {
+    const state = room.game.getGameState();
     if (state === GAME_STATES.PLAYING) {
-      const scores = getScoreSnapshot();
-      io.emit('scoreUpdate', { scores });
+      const scores = room.game.getScoreSnapshot();
+      io.to(room.id).emit('scoreUpdate', {
+        scores,
+        teamScores: room.game.getTeamScores(),
+        timeRemaining: room.game.getTimeRemaining(),
+      });
     }
   }, 1000); // Update scores once per second
 }
 
 /**
  * Handle game end
- * @param {Object|null} winner - Winning player or null if draw
+ * @param {Object} room - Room whose match ended
+ * @param {Object|null} winner - Winning player or null if draw (or a team won)
+ * @param {Object|null} [winningTeam] - Winning team in teams mode
  */
-function handleGameEnd(winner) {
+function handleGameEnd(room, winner, winningTeam = null) {
+  const game = room.game;
+
   // Guard clause: prevent multiple calls if game already ended
-  if (getGameState() === GAME_STATES.ENDED) return;
+  if (game.getGameState() === GAME_STATES.ENDED) return;
 
-  setGameState(GAME_STATES.ENDED);
+  game.setGameState(GAME_STATES.ENDED);
   
   // Stop score updates
-  if (scoreUpdateInterval) {
-    clearInterval(scoreUpdateInterval);
-    scoreUpdateInterval = null;
+  if (room.scoreUpdateInterval) {
+    clearInterval(room.scoreUpdateInterval);
+    room.scoreUpdateInterval = null;
   }
 
+  // Final standings let the end screen rank everyone by score
+  const results = { winningTeam, teamScores: game.getTeamScores(), standings: game.getScoreSnapshot() };
   if (winner) {
-    io.emit('gameEnd', {
+    io.to(room.id).emit('gameEnd', {
       winner: {
         id: winner.id,
         name: winner.name,
         color: winner.color,
       },
+      ...results,
     });
   } else {
-    io.emit('gameEnd', { winner: null });
+    io.to(room.id).emit('gameEnd', { winner: null, ...results });
   }
 }
 
 /**
  * Start countdown sequence
+ * @param {Object} room - Room to start
  */
-function startCountdown() {
-  setGameState(GAME_STATES.COUNTDOWN);
-  let count = COUNTDOWN.DURATION;
+function startCountdown(room) {
+  const game = room.game;
+
+  game.setGameState(GAME_STATES.COUNTDOWN);
+  let count = game.getRules().countdownDuration;
 
-  io.emit('countdown', { count });
+  // Everyone was lined up at their round-start spots
+  io.to(room.id).emit('playersRepositioned', { positions: game.getPositionSnapshot().positions });
+  io.to(room.id).emit('countdown', { count });
 
-  countdownInterval = setInterval(() => {
+  room.countdownInterval = setInterval(() => {
     count--;
     if (count > 0) {
-      io.emit('countdown', { count });
+      io.to(room.id).emit('countdown', { count });
     } else {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
-      setGameState(GAME_STATES.PLAYING);
-      initializeGameTimes(); // Initialize scoring timers for all players
-      io.emit('gameStart', getStateSnapshot());
-      startGameLoop();
-      startScoreUpdates(); // Start broadcasting scores
+      clearInterval(room.countdownInterval);
+      room.countdownInterval = null;
+      game.setGameState(GAME_STATES.PLAYING);
+      game.initializeGameTimes(); // Initialize scoring timers for all players
+      io.to(room.id).emit('gameStart', game.getStateSnapshot());
+      startGameLoop(room);
+      startScoreUpdates(room); // Start broadcasting scores
     }
   }, 1000);
 }
 
+/**
+ * Pick the room for a join request
+ * @param {Object} options
+ * @param {string} [options.roomCode] - Join this specific room
+ * @param {boolean} [options.createPrivate] - Create a new private room
+ * @returns {{ room: Object } | { error: string }} Room to join, or a joinError message
+ */
+function resolveJoinRoom({ roomCode, createPrivate }) {
+  if (roomCode) {
+    const code = normalizeRoomCode(roomCode);
+    if (!code) {
+      return { error: 'Room codes are 4 letters or digits, e.g. ABCD' };
+    }
+
+    const room = getRoom(code);
+    if (!room) {
+      return { error: `Room ${code} not found - check the code or create a new room` };
+    }
+    if (!hasCapacity(room)) {
+      return { error: `Room ${code} is full (${PLAYERS.MAX_PLAYERS}/${PLAYERS.MAX_PLAYERS} players)` };
+    }
+    return { room };
+  }
+
+  if (createPrivate) {
+    const room = createRoom({ isPrivate: true });
+    return room ? { room } : { error: 'Server is full - no rooms available, try again later' };
+  }
+
+  // Place the player in an open public room, creating one if all are full
+  const room = findOpenRoom() || createRoom();
+  return room ? { room } : { error: 'Server is full' };
+}
+
+/**
+ * Get the room a socket has joined
+ * @param {Object} socket - Socket.io socket
+ * @returns {Object|undefined} Room object
+ */
+function getSocketRoom(socket) {
+  return socket.data.roomId ? getRoom(socket.data.roomId) : undefined;
+}
+
+/**
+ * Attach a socket to a room as the given player
+ * @param {Object} socket - Socket.io socket
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player the socket controls
+ * @param {string} sessionToken - Resumable session token
+ */
+function assignSocketToRoom(socket, room, playerId, sessionToken) {
+  socket.data.roomId = room.id;
+  socket.data.playerId = playerId;
+  socket.data.sessionToken = sessionToken;
+  socket.leave(UNASSIGNED_CHANNEL);
+  socket.join(room.id);
+}
+
+/**
+ * Build the `joined` payload sent on join and on resume
+ * @param {Object} room - Room object
+ * @param {Object} player - Player object
+ * @param {string} sessionToken - Token the client stores to resume later
+ * @returns {Object} Payload
+ */
+function getJoinedPayload(room, player, sessionToken) {
+  const game = room.game;
+  return {
+    player,
+    isHost: game.isHost(player.id),
+    playerCount: game.getPlayerCount(),
+    maxPlayers: PLAYERS.MAX_PLAYERS,
+    roomCode: room.id,
+    isPrivate: room.isPrivate,
+    sessionToken,
+    ruleLimits: getRuleLimits(),
+    teams: TEAMS,
+    maps: getMapList(),
+    ...game.getStateSnapshot(),
+  };
+}
+
+/**
+ * Get the room whose map the sender wants to change
+ * Only the host can change the map, and only in the lobby.
+ * @param {Object} socket - Socket.io socket
+ * @returns {Object|null} Room, or null if the change isn't allowed
+ */
+function getMapLobbyRoom(socket) {
+  const room = getSocketRoom(socket);
+  if (!room || !room.game.isHost(socket.data.playerId)) return null;
+  if (room.game.getGameState() !== GAME_STATES.LOBBY) {
+    socket.emit('mapError', { message: 'Maps can only be changed in the lobby' });
+    return null;
+  }
+  return room;
+}
+
+/**
+ * Switch a room to an authored map (or back to the arena rule) and tell everyone
+ * @param {Object} room - Room object
+ * @param {Object|null} map - Unit-scale map with an id, or null
+ */
+function applyArenaMap(room, map) {
+  room.game.setArenaMap(map);
+  io.to(room.id).emit('mapUpdated', { map });
+  io.to(room.id).emit('playersRepositioned', { positions: room.game.getPositionSnapshot().positions });
+}
+
+/**
+ * Remove a player from a room for good and notify everyone
+ * Tears the room down if no humans are left, and ends a match left with one player.
+ * @param {Object} room - Room object
+ * @param {string} playerId - Player to remove
+ */
+function removePlayerFromRoom(room, playerId) {
+  const game = room.game;
+  const player = game.removePlayer(playerId);
+  if (!player) return;
+
+  const newCount = game.getPlayerCount();
+  console.log(`[LEAVE] ${player.name} <- ${room.id} - ${newCount}/${PLAYERS.MAX_PLAYERS}`);
+
+  // Tear down rooms nobody is playing in (bots alone don't keep a room open) so their loops stop
+  if (game.getHumanCount() === 0) {
+    destroyRoom(room.id);
+    broadcastJoinScreenCount();
+    return;
+  }
+
+  // Notify the remaining players in the room
+  io.to(room.id).emit('playerLeft', {
+    id: playerId,
+    name: player.name,
+    newHostId: game.getHostId(),
+  });
+
+  // Broadcast updated player count to the room and the join screen
+  io.to(room.id).emit('playerCount', {
+    count: newCount,
+    maxPlayers: PLAYERS.MAX_PLAYERS,
+  });
+  broadcastJoinScreenCount();
+
+  // Check if game should end due to not enough players (or teams)
+  const state = game.getGameState();
+  if (state === GAME_STATES.PLAYING) {
+    const outcome = game.getMatchOutcome();
+    if (outcome) {
+      handleGameEnd(room, outcome.winner, outcome.winningTeam);
+    }
+  }
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
+  // Drop events over their rate or payload limits before they reach a handler
+  const rateLimiter = createRateLimiter();
+  socket.use(([event, ...args], next) => {
+    const result = rateLimiter.check(event, args);
+    if (result.allowed) {
+      next();
+      return;
+    }
+    if (result.abusive && socket.connected) {
+      console.warn(`[RATE LIMIT] Disconnecting ${socket.id}: ${result.reason} on "${event}"`);
+      recordAbusiveDisconnect();
+      socket.disconnect(true);
+    }
+  });
+
+  // Sockets wait in the unassigned channel until they join a room
+  socket.join(UNASSIGNED_CHANNEL);
+
   // Send current player count to new connections (before they join)
+  const openRoom = findOpenRoom();
   socket.emit('playerCount', {
-    count: getPlayerCount(),
+    count: openRoom ? openRoom.game.getPlayerCount() : 0,
     maxPlayers: PLAYERS.MAX_PLAYERS,
   });
 
   // Handle player joining
-  socket.on('join', ({ name }) => {
-    // Check if max players reached
-    const currentCount = getPlayerCount();
-    if (currentCount >= PLAYERS.MAX_PLAYERS) {
-      socket.emit('joinError', { message: 'Server is full' });
+  socket.on('join', ({ name, roomCode, createPrivate } = {}) => {
+    // Ignore repeat joins from a socket already in a room
+    if (getSocketRoom(socket)) return;
+
+    const { room, error } = resolveJoinRoom({ roomCode, createPrivate });
+    if (!room) {
+      socket.emit('joinError', { message: error });
       return;
     }
 
-    const player = createPlayer(socket.id, name);
-    const isPlayerHost = isHost(socket.id);
-    const newCount = getPlayerCount();
+    const game = room.game;
 
-    console.log(`[JOIN] ${player.name} (Host: ${isPlayerHost}) - ${newCount}/${PLAYERS.MAX_PLAYERS}`);
+    // Bots give up their seat to people
+    if (game.getPlayerCount() >= PLAYERS.MAX_PLAYERS) {
+      const bot = game.getAllPlayers().find((other) => other.isBot);
+      if (bot) removePlayerFromRoom(room, bot.id);
+    }
 
-    // Send current state to the joining player
-    socket.emit('joined', {
-      player,
-      isHost: isPlayerHost,
-      playerCount: newCount,
-      maxPlayers: PLAYERS.MAX_PLAYERS,
-      ...getStateSnapshot(),
-    });
+    const player = game.createPlayer(socket.id, name);
+    const isPlayerHost = game.isHost(player.id);
+    const newCount = game.getPlayerCount();
+    const sessionToken = createSession(room.id, player.id, socket.id);
+
+    assignSocketToRoom(socket, room, player.id, sessionToken);
 
-    // Notify all other players
-    socket.broadcast.emit('playerJoined', {
+    console.log(`[JOIN] ${player.name} -> ${room.id}${room.isPrivate ? ' (private)' : ''} (Host: ${isPlayerHost}) - ${newCount}/${PLAYERS.MAX_PLAYERS}`);
+
+    // Send current state (and a token to resume with after a drop) to the joining player
+    socket.emit('joined', getJoinedPayload(room, player, sessionToken));
+
+    // Notify all other players in the room
+    socket.to(room.id).emit('playerJoined', {
       player,
-      hostId: getHostId(),
+      hostId: game.getHostId(),
     });
 
-    // Broadcast updated player count to all clients
-    io.emit('playerCount', {
+    // Broadcast updated player count to the room and the join screen
+    io.to(room.id).emit('playerCount', {
       count: newCount,
       maxPlayers: PLAYERS.MAX_PLAYERS,
     });
+    broadcastJoinScreenCount();
 
     // Start game loop if not running
-    startGameLoop();
+    startGameLoop(room);
+  });
+
+  // Resume a held session after a dropped connection - same player, new socket
+  socket.on('resume', ({ sessionToken } = {}) => {
+    if (getSocketRoom(socket)) return;
+
+    const session = getSession(sessionToken);
+    const room = session ? getRoom(session.roomId) : undefined;
+    const player = room?.game.getPlayer(session.playerId);
+    if (!player) {
+      destroySession(sessionToken);
+      socket.emit('resumeFailed', { message: 'Your previous session has expired - join again to play' });
+      return;
+    }
+
+    // If the old socket hasn't timed out yet, take over from it quietly
+    const previousSocketId = resumeSession(sessionToken, socket.id);
+    const previousSocket = io.sockets.sockets.get(previousSocketId);
+    if (previousSocket && previousSocket.id !== socket.id) {
+      previousSocket.data.roomId = null;
+      previousSocket.disconnect(true);
+    }
+
+    assignSocketToRoom(socket, room, player.id, sessionToken);
+    room.game.setPlayerReconnecting(player.id, false);
+
+    console.log(`[RESUME] ${player.name} -> ${room.id}`);
+
+    socket.emit('joined', { ...getJoinedPayload(room, player, sessionToken), resumed: true });
+    socket.to(room.id).emit('playerReconnected', { id: player.id });
   });
 
-  // Handle player input (position update from authoritative client physics)
-  socket.on('input', ({ position, velocity }) => {
-    const state = getGameState();
+  // Handle player input intent ({ direction: { x, z }, boost, anchor }) for the server simulation
+  socket.on('input', (input) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    const state = game.getGameState();
     if (state !== GAME_STATES.PLAYING) return;
 
-    const player = getPlayer(socket.id);
-    if (player && !player.isEliminated) {
-      updatePlayerPosition(socket.id, position, velocity);
+    const player = game.getPlayer(socket.data.playerId);
+    if (!player || player.isEliminated) return;
+
+    const result = validateInput(input);
+    if (!result.valid) {
+      // Drop the input: the player keeps its server position and the client's
+      // reconciliation snaps it back. Repeat offenders are removed.
+      const strikes = game.recordInputViolation(socket.data.playerId);
+      console.warn(`[ANTI-CHEAT] ${player.name} (${room.id}): ${result.reason} - strike ${strikes}/${ANTI_CHEAT.MAX_STRIKES}`);
+      if (strikes >= ANTI_CHEAT.MAX_STRIKES) {
+        console.warn(`[KICK] ${player.name} (${room.id}): too many invalid inputs`);
+        socket.emit('kicked', { reason: 'Removed from the match for sending invalid input.' });
+        socket.disconnect(true);
+      }
+      return;
     }
+
+    game.setPlayerInput(socket.data.playerId, result.input);
   });
 
-  // Handle collision events for elimination attribution
-  socket.on('collision', ({ otherPlayerId }) => {
-    const state = getGameState();
+  // Handle collision reports for elimination attribution - only credited if server state agrees
+  socket.on('collision', (report) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    const state = game.getGameState();
     if (state !== GAME_STATES.PLAYING) return;
 
-    const player = getPlayer(socket.id);
-    const otherPlayer = getPlayer(otherPlayerId);
-    
-    if (player && otherPlayer && !player.isEliminated && !otherPlayer.isEliminated) {
-      // Record that otherPlayer was hit by this player
-      recordCollision(otherPlayerId, socket.id);
+    const otherPlayerId = report?.otherPlayerId;
+    if (typeof otherPlayerId !== 'string') return;
+
+    const result = game.verifyCollisionReport(socket.data.playerId, otherPlayerId);
+    collisionReportStats[result.status]++;
+    if (result.status === 'rejected') {
+      const player = game.getPlayer(socket.data.playerId);
+      console.warn(`[COLLISION] Rejected claim by ${player?.name ?? socket.data.playerId} (${room.id}): ${result.reason}`);
     }
   });
 
   // Handle host starting game
   socket.on('startGame', () => {
-    if (!isHost(socket.id)) return;
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    if (!game.isHost(socket.data.playerId)) return;
 
-    const state = getGameState();
+    const state = game.getGameState();
     if (state !== GAME_STATES.LOBBY) return;
 
-    const players = getAllPlayers();
+    const players = game.getAllPlayers();
     if (players.length < 1) return; // At least 1 player to start (for testing)
 
-    startCountdown();
+    startCountdown(room);
+  });
+
+  // Handle host changing the match rules (lobby only)
+  socket.on('updateRules', (changes) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    if (!game.isHost(socket.data.playerId)) return;
+    if (game.getGameState() !== GAME_STATES.LOBBY) {
+      socket.emit('rulesError', { message: 'Rules can only be changed in the lobby' });
+      return;
+    }
+
+    const { rules, error } = validateRules(changes, game.getRules());
+    if (error) {
+      socket.emit('rulesError', { message: error });
+      return;
+    }
+
+    const previousLayout = game.getArenaLayout();
+    const teamsChanged = game.setRules(rules);
+    const arenaChanged = game.getArenaLayout() !== previousLayout;
+    io.to(room.id).emit('rulesUpdated', { rules });
+    if (teamsChanged) {
+      io.to(room.id).emit('teamsUpdated', { assignments: game.getTeamAssignments() });
+    }
+    if (arenaChanged) {
+      // Everyone was moved to a spot on the new layout
+      io.to(room.id).emit('playersRepositioned', { positions: game.getPositionSnapshot().positions });
+    }
+  });
+
+  // Handle host picking one of the server's maps (lobby only, null goes back to the arena rule)
+  socket.on('selectMap', ({ id } = {}) => {
+    const room = getMapLobbyRoom(socket);
+    if (!room) return;
+
+    const map = id === null ? null : getMap(id);
+    if (map === null && id !== null) {
+      socket.emit('mapError', { message: 'Unknown map' });
+      return;
+    }
+    applyArenaMap(room, map);
+  });
+
+  // Handle host uploading a map file (lobby only) - validated like the server's own maps
+  socket.on('uploadMap', ({ map: data } = {}) => {
+    const room = getMapLobbyRoom(socket);
+    if (!room) return;
+
+    const { map, error } = parseArenaMap(data);
+    if (error) {
+      socket.emit('mapError', { message: error });
+      return;
+    }
+    console.log(`[MAPS] ${room.id} is using uploaded map "${map.name}"`);
+    applyArenaMap(room, { ...map, id: `upload-${Date.now().toString(36)}` }); // Never one of the listed maps
+  });
+
+  // Handle host adding bots (lobby only) - as many as fit, up to the per-room bot limit
+  socket.on('addBots', ({ count, difficulty } = {}) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    if (!game.isHost(socket.data.playerId)) return;
+    if (game.getGameState() !== GAME_STATES.LOBBY) {
+      socket.emit('botsError', { message: 'Bots can only be added in the lobby' });
+      return;
+    }
+    if (!Number.isInteger(count) || count < 1 || !Object.hasOwn(AI_DIFFICULTIES, difficulty)) {
+      socket.emit('botsError', { message: 'Pick how many bots to add and their difficulty' });
+      return;
+    }
+
+    const added = Math.min(count, PLAYERS.MAX_PLAYERS - game.getPlayerCount(), BOTS.MAX_PER_ROOM - game.getBotCount());
+    if (added <= 0) {
+      socket.emit('botsError', { message: `No room for more bots (at most ${BOTS.MAX_PER_ROOM}, ${PLAYERS.MAX_PLAYERS} players in all)` });
+      return;
+    }
+
+    for (let i = 0; i < added; i++) {
+      io.to(room.id).emit('playerJoined', { player: game.addBot(difficulty), hostId: game.getHostId() });
+    }
+    console.log(`[BOTS] ${added} ${difficulty} bot(s) -> ${room.id} - ${game.getPlayerCount()}/${PLAYERS.MAX_PLAYERS}`);
+
+    io.to(room.id).emit('playerCount', {
+      count: game.getPlayerCount(),
+      maxPlayers: PLAYERS.MAX_PLAYERS,
+    });
+    broadcastJoinScreenCount();
+  });
+
+  // Handle host removing a bot (lobby only)
+  socket.on('removeBot', ({ id } = {}) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    if (!game.isHost(socket.data.playerId) || game.getGameState() !== GAME_STATES.LOBBY) return;
+    if (game.getPlayer(id)?.isBot) {
+      removePlayerFromRoom(room, id);
+    }
+  });
+
+  // Handle a player picking their team (teams mode, lobby only)
+  socket.on('chooseTeam', ({ team } = {}) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    if (game.getGameState() !== GAME_STATES.LOBBY) return;
+    if (game.getRules().mode !== GAME_MODES.TEAMS || !Number.isInteger(team)) return;
+
+    if (game.setPlayerTeam(socket.data.playerId, team)) {
+      io.to(room.id).emit('teamsUpdated', { assignments: game.getTeamAssignments() });
+    }
   });
 
   // Handle player ready status
-  socket.on('ready', ({ ready }) => {
-    setPlayerReady(socket.id, ready);
-    io.emit('playerReady', { id: socket.id, ready });
+  socket.on('ready', ({ ready } = {}) => {
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const isReady = ready === true;
+    room.game.setPlayerReady(socket.data.playerId, isReady);
+    io.to(room.id).emit('playerReady', { id: socket.data.playerId, ready: isReady });
   });
 
   // Handle Konami code activation
   socket.on('konamiCode', () => {
-    const state = getGameState();
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
+    const game = room.game;
+    const state = game.getGameState();
     if (state !== GAME_STATES.PLAYING) return;
 
-    const activator = getPlayer(socket.id);
+    const activator = game.getPlayer(socket.data.playerId);
     if (!activator || activator.isEliminated) return;
 
-    console.log(`[KONAMI] ${activator.name}`);
+    console.log(`[KONAMI] ${activator.name} (${room.id})`);
 
     // Eliminate all other players and broadcast each elimination
-    const players = getAlivePlayers();
+    const players = game.getAlivePlayers();
     players.forEach((player) => {
-      if (player.id !== socket.id) {
-        eliminatePlayer(player.id);
+      if (player.id !== socket.data.playerId) {
+        game.eliminatePlayer(player.id);
         // Broadcast elimination so clients see players eliminated before game over
-        io.emit('playerEliminated', { id: player.id, name: player.name });
+        io.to(room.id).emit('playerEliminated', { id: player.id, name: player.name });
       }
     });
 
     // Broadcast the explosion
-    io.emit('konamiActivated', {
+    io.to(room.id).emit('konamiActivated', {
       activator: {
         id: activator.id,
         name: activator.name,
@@ -354,54 +820,61 @@ io.on('connection', (socket) => {
       },
     });
 
-    // End game with Konami winner
-    handleGameEnd(activator);
+    // End game with Konami winner (and their team, in teams mode)
+    handleGameEnd(room, activator, game.getTeamInfo(activator.team));
   });
 
   // Handle play again request
   socket.on('playAgain', () => {
-    if (!isHost(socket.id)) return;
+    const room = getSocketRoom(socket);
+    if (!room) return;
 
-    const state = getGameState();
+    const game = room.game;
+    if (!game.isHost(socket.data.playerId)) return;
+
+    const state = game.getGameState();
     if (state !== GAME_STATES.ENDED) return;
 
-    resetGame();
+    game.resetGame();
     // Reset warning state tracking for the new game
-    previousWarningState = { isWarning: false, warningProgress: 0 };
-    io.emit('gameReset', getStateSnapshot());
+    room.previousWarningState = { isWarning: false, warningProgress: 0 };
+    io.to(room.id).emit('gameReset', game.getStateSnapshot());
+    broadcastJoinScreenCount();
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    const player = removePlayer(socket.id);
-    if (player) {
-      const newCount = getPlayerCount();
-      console.log(`[LEAVE] ${player.name} - ${newCount}/${PLAYERS.MAX_PLAYERS}`);
-
-      // Notify all clients
-      io.emit('playerLeft', {
-        id: socket.id,
-        name: player.name,
-        newHostId: getHostId(),
-      });
+  // Handle disconnection - dropped connections are held so the player can resume
+  socket.on('disconnect', (reason) => {
+    const room = getSocketRoom(socket);
+    if (!room) {
+      // Socket disconnected without joining (or its session moved to a new socket)
+      return;
+    }
 
-      // Broadcast updated player count to all clients
-      io.emit('playerCount', {
-        count: newCount,
-        maxPlayers: PLAYERS.MAX_PLAYERS,
-      });
+    const { playerId, sessionToken } = socket.data;
 
-      // Check if game should end due to not enough players
-      const state = getGameState();
-      if (state === GAME_STATES.PLAYING) {
-        const remaining = getAlivePlayers();
-        if (remaining.length <= 1) {
-          handleGameEnd(remaining[0] || null);
-        }
-      }
-    } else {
-      // Socket disconnected without joining
+    // Leaving on purpose or being kicked ends the session immediately
+    const isIntentional = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+    if (isIntentional) {
+      destroySession(sessionToken);
+      removePlayerFromRoom(room, playerId);
+      return;
     }
+
+    const player = room.game.setPlayerReconnecting(playerId, true);
+    if (!player) {
+      destroySession(sessionToken);
+      return;
+    }
+
+    console.log(`[DROP] ${player.name} (${room.id}) - holding for reconnect (${reason})`);
+    io.to(room.id).emit('playerReconnecting', { id: playerId });
+
+    holdSession(sessionToken, () => {
+      // The room may have been torn down (or its code reused) in the meantime
+      if (getRoom(room.id) === room) {
+        removePlayerFromRoom(room, playerId);
+      }
+    });
   });
 });
 
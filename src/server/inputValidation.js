@@ -0,0 +1,59 @@
+/**
+ * InputValidation - Checks client input intents before they reach the simulation
+ * Clients only ever send { seq, direction: { x, z }, boost, anchor }; anything
+ * else (wrong types, non-finite numbers, over-long directions, or attempts to
+ * send position/velocity) is rejected so the server state stays untouched.
+ */
+
+import { ANTI_CHEAT } from './constants.js';
+
+/**
+ * Check whether a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate a raw input payload from a client
+ * @param {*} input - Payload received on the `input` event
+ * @returns {{ valid: true, input: Object }|{ valid: false, reason: string }}
+ */
+export function validateInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, reason: 'input is not an object' };
+  }
+
+  const forbidden = ANTI_CHEAT.FORBIDDEN_INPUT_FIELDS.find((field) => field in input);
+  if (forbidden) {
+    return { valid: false, reason: `input contains authoritative field "${forbidden}"` };
+  }
+
+  const { direction, boost = false, anchor = false, seq } = input;
+  if (!direction || typeof direction !== 'object') {
+    return { valid: false, reason: 'direction is missing' };
+  }
+  if (!isFiniteNumber(direction.x) || !isFiniteNumber(direction.z)) {
+    return { valid: false, reason: 'direction is not finite numbers' };
+  }
+
+  const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+  if (length > 1 + ANTI_CHEAT.DIRECTION_TOLERANCE) {
+    return { valid: false, reason: `direction length ${length.toFixed(2)} exceeds 1` };
+  }
+
+  if (typeof boost !== 'boolean' || typeof anchor !== 'boolean') {
+    return { valid: false, reason: 'boost/anchor are not booleans' };
+  }
+
+  if (seq !== undefined && !(Number.isSafeInteger(seq) && seq >= 0)) {
+    return { valid: false, reason: 'seq is not a non-negative integer' };
+  }
+
+  return {
+    valid: true,
+    input: { seq, direction: { x: direction.x, z: direction.z }, boost, anchor },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Maps - Authored arenas available to every room
+ * Map files (see shared/maps.js for the format) are read from the maps/ directory
+ * once at startup. Files that fail validation are skipped with a warning, so a
+ * bad map never reaches a match.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join, basename, extname } from 'path';
+import { parseArenaMap } from '../shared/maps.js';
+
+// Map ID (file name without .json) -> unit-scale map
+const maps = new Map();
+
+/**
+ * Load every .json map in a directory, replacing any loaded before
+ * @param {string} directory - Directory to read
+ * @returns {number} Number of maps loaded
+ */
+export function loadMaps(directory) {
+  maps.clear();
+
+  let files;
+  try {
+    files = readdirSync(directory).filter((file) => extname(file) === '.json').sort();
+  } catch (error) {
+    console.warn(`[MAPS] Could not read ${directory}: ${error.message}`);
+    return 0;
+  }
+
+  files.forEach((file) => {
+    const id = basename(file, '.json');
+    try {
+      const { map, error } = parseArenaMap(JSON.parse(readFileSync(join(directory, file), 'utf8')));
+      if (error) {
+        console.warn(`[MAPS] Skipping ${file}: ${error}`);
+        return;
+      }
+      maps.set(id, { ...map, id });
+    } catch (error) {
+      console.warn(`[MAPS] Skipping ${file}: ${error.message}`);
+    }
+  });
+
+  console.log(`[MAPS] Loaded ${maps.size} map(s) from ${directory}`);
+  return maps.size;
+}
+
+/**
+ * Get a loaded map
+ * @param {string} id - Map ID
+ * @returns {Object|null} Unit-scale map, or null if there is no such map
+ */
+export function getMap(id) {
+  return maps.get(id) ?? null;
+}
+
+/**
+ * List the loaded maps for the lobby's map picker
+ * @returns {Object[]} [{ id, name }]
+ */
+export function getMapList() {
+  return Array.from(maps.values()).map(({ id, name }) => ({ id, name }));
+}
@@ -0,0 +1,739 @@
+/**
+ * PhysicsWorld - Headless Cannon-es simulation for one match
+ * The server steps this world from player input intents and broadcasts
+ * the results, so pushes are decided in one place for every player.
+ * Movement runs through shared/simulation.js, the same code as the client's
+ * prediction, so local prediction agrees.
+ */
+
+import * as CANNON from 'cannon-es';
+import { PHYSICS, PLATFORM, ANTI_CHEAT, HAZARDS } from './constants.js';
+import { DEFAULT_ARENA, getArenaPieces, createArenaBody } from '../shared/arena.js';
+import { createTileBody } from '../shared/tiles.js';
+import {
+  SIMULATION,
+  IDLE_INPUT_FRAME,
+  normalizeInputFrame,
+  createMovementState,
+  isBoostReadyAt,
+  applyInputFrame,
+  createTickClock,
+} from '../shared/simulation.js';
+
+// Power-up modifiers for players without any active effect
+const NO_MODIFIERS = { massMultiplier: 1, radiusMultiplier: 1, speedMultiplier: 1, shield: false };
+
+// Collision filter groups - ghosts (spawn protection) only collide with the platform
+const PLAYER_GROUP = 1;
+const PLATFORM_GROUP = 2;
+const GHOST_GROUP = 4;
+const HAZARD_GROUP = 8;
+
+/**
+ * Create the platform body for an arena layout at a given radius
+ * @param {string} layout - Arena layout key
+ * @param {number} radius - Platform radius
+ * @param {CANNON.Material} material - Platform material
+ * @returns {CANNON.Body} Static platform body
+ */
+function createPlatformBody(layout, radius, material) {
+  return createArenaBody(getArenaPieces(layout, radius), PLATFORM.HEIGHT, {
+    material,
+    collisionFilterGroup: PLATFORM_GROUP,
+  });
+}
+
+/**
+ * Create a physics world for a single match
+ * @param {Object} [options]
+ * @param {Function} [options.onPlayerContact] - Called with (idA, idB, impactSpeed) when two players touch
+ * @param {Function} [options.onMotionViolation] - Called with (id, details) when a body exceeds the motion caps
+ * @returns {Object} Physics world API
+ */
+export function createPhysicsWorld({ onPlayerContact, onMotionViolation } = {}) {
+  const world = new CANNON.World();
+  world.gravity.set(0, PHYSICS.GRAVITY, 0);
+  world.broadphase = new CANNON.NaiveBroadphase();
+  world.solver.iterations = 10;
+  world.allowSleep = true;
+
+  const playerMaterial = new CANNON.Material('player');
+  const platformMaterial = new CANNON.Material('platform');
+
+  world.addContactMaterial(new CANNON.ContactMaterial(playerMaterial, platformMaterial, {
+    friction: PHYSICS.PLATFORM_FRICTION,
+    restitution: PHYSICS.PLATFORM_RESTITUTION,
+  }));
+  world.addContactMaterial(new CANNON.ContactMaterial(playerMaterial, playerMaterial, {
+    friction: PHYSICS.PLAYER_FRICTION,
+    restitution: PHYSICS.PLAYER_RESTITUTION,
+  }));
+
+  let arenaLayout = DEFAULT_ARENA;
+  let platformRadius = PLATFORM.INITIAL_RADIUS;
+  let platformBody = createPlatformBody(arenaLayout, platformRadius, platformMaterial);
+  world.addBody(platformBody);
+
+  // One static body per tile while the platform is made of crumbling tiles
+  // (null for the solid platform; a fallen tile's entry becomes null)
+  let tileBodies = null;
+
+  // Active hazards: [{ id, kind, phase, speed, center, orbit, length, body }] - kind is 'bumper' | 'sweeper' | 'well'
+  // center, orbit and length are fractions of the platform radius so hazards follow it as it shrinks
+  let hazards = [];
+
+  // Last bumper kick per bumper/player pair (pair key -> simTime), for the kick cooldown
+  const bumperKicks = new Map();
+
+  // Map of player ID -> { body, input, movement, frozen, modifiers, pushAllowance } (movement: see createMovementState)
+  // pushAllowance is horizontal speed the server itself gave the player (see allowPush) that the
+  // motion caps let through - it lasts until the player is back within the caps
+  const entries = new Map();
+
+  // Map of body ID -> player ID for contact lookups
+  const bodyToPlayer = new Map();
+
+  // Fixed ticks; simulated time in ms advances only when the world steps
+  const clock = createTickClock({ maxTicks: PHYSICS.MAX_SUBSTEPS });
+  let simTime = 0;
+
+  world.addEventListener('beginContact', (event) => {
+    const idA = bodyToPlayer.get(event.bodyA.id);
+    const idB = bodyToPlayer.get(event.bodyB.id);
+    if (!idA || !idB || !onPlayerContact) return;
+
+    const relativeVelocity = new CANNON.Vec3();
+    event.bodyA.velocity.vsub(event.bodyB.velocity, relativeVelocity);
+    onPlayerContact(idA, idB, relativeVelocity.length());
+  });
+
+  /**
+   * Add a player body
+   * @param {string} id - Player ID
+   * @param {Object} position - { x, y, z }
+   */
+  function addPlayer(id, position) {
+    removePlayer(id);
+
+    const body = new CANNON.Body({
+      mass: SIMULATION.PLAYER_MASS,
+      shape: new CANNON.Sphere(PHYSICS.PLAYER_RADIUS),
+      position: new CANNON.Vec3(position.x, position.y, position.z),
+      linearDamping: PHYSICS.PLAYER_LINEAR_DAMPING,
+      angularDamping: PHYSICS.PLAYER_ANGULAR_DAMPING,
+      material: playerMaterial,
+      type: CANNON.Body.DYNAMIC,
+      collisionFilterGroup: PLAYER_GROUP,
+    });
+    body.allowSleep = false;
+
+    world.addBody(body);
+    bodyToPlayer.set(body.id, id);
+    entries.set(id, {
+      body,
+      input: IDLE_INPUT_FRAME,
+      movement: createMovementState(),
+      frozen: false,
+      pushAllowance: 0,
+      modifiers: NO_MODIFIERS,
+    });
+  }
+
+  /**
+   * Remove a player body (on leave or elimination)
+   * @param {string} id - Player ID
+   */
+  function removePlayer(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    world.removeBody(entry.body);
+    bodyToPlayer.delete(entry.body.id);
+    entries.delete(id);
+  }
+
+  /**
+   * Check if a player has a body in the world
+   * @param {string} id - Player ID
+   * @returns {boolean}
+   */
+  function hasPlayer(id) {
+    return entries.has(id);
+  }
+
+  /**
+   * Store the latest input intent for a player
+   * @param {string} id - Player ID
+   * @param {Object} input - { direction: { x, z }, boost, anchor }
+   */
+  function setPlayerInput(id, input) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.input = normalizeInputFrame(input);
+  }
+
+  /**
+   * Freeze a player in place as an immovable body, or release them
+   * Used while a disconnected player's session is held for reconnection
+   * @param {string} id - Player ID
+   * @param {boolean} frozen - Whether the player should be frozen
+   */
+  function setPlayerFrozen(id, frozen) {
+    const entry = entries.get(id);
+    if (!entry || entry.frozen === frozen) return;
+
+    const { body } = entry;
+    entry.frozen = frozen;
+    entry.input = IDLE_INPUT_FRAME;
+    entry.movement.prevBoost = false;
+    entry.pushAllowance = 0;
+    body.type = frozen ? CANNON.Body.STATIC : CANNON.Body.DYNAMIC;
+    body.mass = frozen ? 0 : SIMULATION.PLAYER_MASS * entry.modifiers.massMultiplier;
+    body.updateMassProperties();
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+  }
+
+  /**
+   * Apply power-up modifiers to a player's body and movement
+   * @param {string} id - Player ID
+   * @param {Object} modifiers - { massMultiplier, radiusMultiplier, speedMultiplier, shield }
+   */
+  function setPlayerModifiers(id, modifiers) {
+    const entry = entries.get(id);
+    if (!entry) return;
+
+    const { body } = entry;
+    entry.modifiers = { ...NO_MODIFIERS, ...modifiers };
+
+    const shape = body.shapes[0];
+    shape.radius = PHYSICS.PLAYER_RADIUS * entry.modifiers.radiusMultiplier;
+    shape.updateBoundingSphereRadius();
+    body.updateBoundingRadius();
+
+    if (!entry.frozen) {
+      body.mass = SIMULATION.PLAYER_MASS * entry.modifiers.massMultiplier;
+    }
+    body.updateMassProperties();
+  }
+
+  /**
+   * Make a player's boost available again immediately
+   * @param {string} id - Player ID
+   */
+  function refillBoost(id) {
+    const entry = entries.get(id);
+    if (entry) entry.movement.boostReadyAt = simTime;
+  }
+
+  /**
+   * Check whether a player's boost is off cooldown
+   * @param {string} id - Player ID
+   * @returns {boolean}
+   */
+  function isBoostReady(id) {
+    const entry = entries.get(id);
+    return Boolean(entry) && isBoostReadyAt(entry.movement, simTime);
+  }
+
+  /**
+   * Push every other player near a source player outward
+   * Strength falls off linearly with distance; shielded and frozen players are unaffected.
+   * @param {string} sourceId - Player at the center of the blast
+   * @param {number} radius - Reach of the blast
+   * @param {number} strength - Impulse at point blank
+   * @returns {string[]} IDs of the players pushed
+   */
+  function applyRadialImpulse(sourceId, radius, strength) {
+    const source = entries.get(sourceId);
+    if (!source) return [];
+
+    const hit = [];
+    entries.forEach((entry, id) => {
+      if (id === sourceId || entry.frozen || entry.modifiers.shield) return;
+      const dx = entry.body.position.x - source.body.position.x;
+      const dz = entry.body.position.z - source.body.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance >= radius) return;
+
+      const magnitude = strength * (1 - distance / radius);
+      const dirX = distance > 0.001 ? dx / distance : 1;
+      const dirZ = distance > 0.001 ? dz / distance : 0;
+      entry.body.applyImpulse(new CANNON.Vec3(dirX * magnitude, 0, dirZ * magnitude), entry.body.position);
+      allowPush(entry, magnitude * entry.body.invMass);
+      hit.push(id);
+    });
+    return hit;
+  }
+
+  /**
+   * Let a player pass through other players (spawn protection) or collide normally
+   * @param {string} id - Player ID
+   * @param {boolean} ghost - Whether other players should pass through
+   */
+  function setPlayerGhost(id, ghost) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.body.collisionFilterGroup = ghost ? GHOST_GROUP : PLAYER_GROUP;
+    entry.body.collisionFilterMask = ghost ? PLATFORM_GROUP : -1;
+  }
+
+  /**
+   * Teleport a player and zero their motion (spawns, resets)
+   * @param {string} id - Player ID
+   * @param {Object} position - { x, y, z }
+   */
+  function resetPlayer(id, position) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.body.position.set(position.x, position.y, position.z);
+    entry.body.velocity.set(0, 0, 0);
+    entry.body.angularVelocity.set(0, 0, 0);
+    entry.input = IDLE_INPUT_FRAME;
+    entry.movement = createMovementState();
+    entry.pushAllowance = 0;
+  }
+
+  /**
+   * Let a player exceed the motion caps by the speed a server-side push gives them
+   * @param {Object} entry - Player entry
+   * @param {number} speed - Horizontal speed added
+   */
+  function allowPush(entry, speed) {
+    entry.pushAllowance += speed;
+  }
+
+  /**
+   * Read a player's simulated state
+   * @param {string} id - Player ID
+   * @returns {{ position: Object, velocity: Object, radius: number }|null}
+   */
+  function getPlayerState(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    const { position, velocity } = entry.body;
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+      radius: entry.body.shapes[0].radius,
+    };
+  }
+
+  /**
+   * Replace the platform body when the radius changes
+   * @param {number} radius - New platform radius
+   */
+  function setPlatformRadius(radius) {
+    world.removeBody(platformBody);
+    platformBody = createPlatformBody(arenaLayout, radius, platformMaterial);
+    platformRadius = radius;
+    if (!tileBodies) world.addBody(platformBody);
+
+    hazards.forEach((hazard) => {
+      if (hazard.kind === 'sweeper') setSweeperShape(hazard);
+    });
+  }
+
+  /**
+   * Switch the platform to another arena layout
+   * @param {string} layout - Arena layout key
+   */
+  function setArenaLayout(layout) {
+    arenaLayout = layout;
+    setPlatformRadius(platformRadius);
+  }
+
+  /**
+   * Swap the solid platform for one static body per tile, or back again
+   * @param {Object[]|null} tiles - Tile centers [{ x, z }], or null for the solid platform
+   * @param {number} [size] - Tile circumradius
+   */
+  function setTiles(tiles, size) {
+    tileBodies?.forEach((body) => body && world.removeBody(body));
+    world.removeBody(platformBody);
+
+    if (!tiles) {
+      tileBodies = null;
+      world.addBody(platformBody);
+      return;
+    }
+
+    tileBodies = tiles.map((tile) => {
+      const body = createTileBody(tile, size, PLATFORM.HEIGHT, {
+        material: platformMaterial,
+        collisionFilterGroup: PLATFORM_GROUP,
+      });
+      world.addBody(body);
+      return body;
+    });
+  }
+
+  /**
+   * Remove a fallen tile from the simulation
+   * @param {number} index - Tile index
+   */
+  function dropTile(index) {
+    const body = tileBodies?.[index];
+    if (!body) return;
+    world.removeBody(body);
+    tileBodies[index] = null;
+  }
+
+  /**
+   * Give a sweeper body its arm at the current platform radius
+   * @param {Object} hazard - Sweeper hazard (the body pivots at the hazard's center)
+   */
+  function setSweeperShape(hazard) {
+    const { body } = hazard;
+    while (body.shapes.length > 0) body.removeShape(body.shapes[0]);
+    const length = platformRadius * hazard.length;
+    body.addShape(
+      new CANNON.Box(new CANNON.Vec3(length / 2, HAZARDS.SWEEPER.HEIGHT / 2, HAZARDS.SWEEPER.WIDTH / 2)),
+      new CANNON.Vec3(length / 2, 0, 0)
+    );
+  }
+
+  /**
+   * Kick a player that touched a bumper straight away from its center
+   * @param {Object} hazard - Bumper hazard
+   * @param {CANNON.Body} other - Body that touched it
+   */
+  function kickFromBumper(hazard, other) {
+    const id = bodyToPlayer.get(other.id);
+    const entry = id && entries.get(id);
+    if (!entry || entry.frozen || entry.modifiers.shield) return;
+
+    const key = `${hazard.id}:${id}`;
+    if (simTime - (bumperKicks.get(key) ?? -Infinity) < HAZARDS.BUMPER.COOLDOWN) return;
+    bumperKicks.set(key, simTime);
+
+    const dx = other.position.x - hazard.body.position.x;
+    const dz = other.position.z - hazard.body.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz) || 1;
+    other.applyImpulse(
+      new CANNON.Vec3((dx / distance) * HAZARDS.BUMPER.IMPULSE, 0, (dz / distance) * HAZARDS.BUMPER.IMPULSE),
+      other.position
+    );
+    allowPush(entry, HAZARDS.BUMPER.IMPULSE * other.invMass);
+  }
+
+  /**
+   * Replace the arena hazards
+   * Rule-toggled hazards circle the platform center; placed ones (from an authored
+   * map) stay where they were put - a placed sweeper still spins about its spot.
+   * @param {Object} kinds - { bumpers, sweeper, wells } - which hazards to place,
+   *   plus placed: [{ kind, x, z }] at unit scale
+   */
+  function setHazards({ bumpers = false, sweeper = false, wells = false, placed = [] } = {}) {
+    hazards.forEach((hazard) => {
+      if (hazard.body) world.removeBody(hazard.body);
+    });
+    hazards = [];
+    bumperKicks.clear();
+
+    const addKinematic = (hazard) => {
+      hazard.body.collisionFilterGroup = HAZARD_GROUP;
+      world.addBody(hazard.body);
+      hazards.push(hazard);
+    };
+
+    const origin = { x: 0, z: 0 };
+    const addBumper = (id, phase, speed, center, orbit) => {
+      const body = new CANNON.Body({
+        type: CANNON.Body.KINEMATIC,
+        shape: new CANNON.Cylinder(HAZARDS.BUMPER.RADIUS, HAZARDS.BUMPER.RADIUS, HAZARDS.BUMPER.HEIGHT, 16),
+        position: new CANNON.Vec3(0, HAZARDS.BUMPER.HEIGHT / 2, 0),
+      });
+      const hazard = { id, kind: 'bumper', phase, speed, center, orbit, body };
+      body.addEventListener('collide', (event) => kickFromBumper(hazard, event.body));
+      addKinematic(hazard);
+    };
+    const addSweeper = (id, center, length) => {
+      const body = new CANNON.Body({
+        type: CANNON.Body.KINEMATIC,
+        position: new CANNON.Vec3(0, HAZARDS.SWEEPER.HEIGHT / 2, 0),
+      });
+      const hazard = { id, kind: 'sweeper', phase: 0, speed: HAZARDS.SWEEPER.SPEED, center, orbit: 0, length, body };
+      setSweeperShape(hazard);
+      addKinematic(hazard);
+    };
+    const addWell = (id, phase, speed, center, orbit) => {
+      hazards.push({ id, kind: 'well', phase, speed, center, orbit, body: null });
+    };
+
+    if (bumpers) {
+      for (let i = 0; i < HAZARDS.BUMPER.COUNT; i++) {
+        addBumper(`bumper-${i}`, (i / HAZARDS.BUMPER.COUNT) * Math.PI * 2, HAZARDS.BUMPER.SPEED, origin, HAZARDS.BUMPER.ORBIT);
+      }
+    }
+
+    if (sweeper) {
+      addSweeper('sweeper', origin, HAZARDS.SWEEPER.LENGTH);
+    }
+
+    if (wells) {
+      for (let i = 0; i < HAZARDS.WELL.COUNT; i++) {
+        addWell(`well-${i}`, (i / HAZARDS.WELL.COUNT) * Math.PI * 2 + Math.PI / 4, HAZARDS.WELL.SPEED, origin, HAZARDS.WELL.ORBIT);
+      }
+    }
+
+    placed.forEach(({ kind, x, z }, i) => {
+      const center = { x, z };
+      if (kind === 'bumper') addBumper(`placed-${i}`, 0, 0, center, 0);
+      else if (kind === 'sweeper') addSweeper(`placed-${i}`, center, HAZARDS.SWEEPER.PLACED_LENGTH);
+      else if (kind === 'well') addWell(`placed-${i}`, 0, 0, center, 0);
+    });
+
+    updateHazards();
+  }
+
+  /**
+   * Where a hazard is in world units at an angle
+   * @param {Object} hazard - Hazard entry
+   * @param {number} angle - Current angle
+   * @returns {{ x: number, z: number }}
+   */
+  function getHazardPosition(hazard, angle) {
+    const orbit = platformRadius * hazard.orbit;
+    return {
+      x: platformRadius * hazard.center.x + Math.cos(angle) * orbit,
+      z: platformRadius * hazard.center.z + Math.sin(angle) * orbit,
+    };
+  }
+
+  /**
+   * Current angle of a hazard around its center
+   * @param {Object} hazard - Hazard entry
+   * @returns {number} Angle in radians
+   */
+  function getHazardAngle(hazard) {
+    return hazard.phase + hazard.speed * (simTime / 1000);
+  }
+
+  /**
+   * Move hazard bodies to their spot for the current sim time and pull players into wells
+   * Kinematic bodies are given matching velocities so contacts push players correctly.
+   */
+  function updateHazards() {
+    hazards.forEach((hazard) => {
+      const angle = getHazardAngle(hazard);
+
+      const position = getHazardPosition(hazard, angle);
+
+      if (hazard.kind === 'bumper') {
+        const orbit = platformRadius * hazard.orbit;
+        hazard.body.position.x = position.x;
+        hazard.body.position.z = position.z;
+        hazard.body.velocity.set(-Math.sin(angle) * orbit * hazard.speed, 0, Math.cos(angle) * orbit * hazard.speed);
+      } else if (hazard.kind === 'sweeper') {
+        // Rotating by -angle about Y points the arm's +X end at (cos angle, sin angle)
+        hazard.body.position.x = position.x;
+        hazard.body.position.z = position.z;
+        hazard.body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), -angle);
+        hazard.body.angularVelocity.set(0, -hazard.speed, 0);
+      } else if (hazard.kind === 'well') {
+        const { x: wellX, z: wellZ } = position;
+        entries.forEach((entry) => {
+          if (entry.frozen) return;
+          const dx = wellX - entry.body.position.x;
+          const dz = wellZ - entry.body.position.z;
+          const distance = Math.sqrt(dx * dx + dz * dz);
+          if (distance >= HAZARDS.WELL.REACH || distance < 0.001) return;
+          const pull = HAZARDS.WELL.STRENGTH * (1 - distance / HAZARDS.WELL.REACH);
+          entry.body.applyForce(new CANNON.Vec3((dx / distance) * pull, 0, (dz / distance) * pull), entry.body.position);
+          allowPush(entry, pull * entry.body.invMass * SIMULATION.TIMESTEP);
+        });
+      }
+    });
+  }
+
+  /**
+   * Get the hazards for clients
+   * Every hazard circles its center (x, z) at `orbit`, so clients advance `angle`
+   * by `speed` (rad/s) between updates. Sizes are in world units.
+   * @returns {Object[]} [{ id, kind, angle, speed, x, z, orbit?, radius?, length?, reach? }]
+   */
+  function getHazardStates() {
+    return hazards.map((hazard) => {
+      const state = {
+        id: hazard.id,
+        kind: hazard.kind,
+        angle: getHazardAngle(hazard),
+        speed: hazard.speed,
+        x: platformRadius * hazard.center.x,
+        z: platformRadius * hazard.center.z,
+      };
+      if (hazard.kind === 'bumper') {
+        state.orbit = platformRadius * hazard.orbit;
+        state.radius = HAZARDS.BUMPER.RADIUS;
+      } else if (hazard.kind === 'sweeper') {
+        state.length = platformRadius * hazard.length;
+      } else {
+        state.orbit = platformRadius * hazard.orbit;
+        state.reach = HAZARDS.WELL.REACH;
+      }
+      return state;
+    });
+  }
+
+  /**
+   * Apply one tick of movement input to a player (see shared/simulation.js)
+   * @param {Object} entry - Player entry
+   */
+  function applyMovement(entry) {
+    if (entry.frozen) return;
+    applyInputFrame(entry.body, entry.movement, entry.input, entry.modifiers, simTime);
+  }
+
+  /**
+   * Fastest a moving hazard's surface travels, in world units per second
+   * @param {Object} hazard - Bumper or sweeper hazard
+   * @returns {number}
+   */
+  function getHazardSurfaceSpeed(hazard) {
+    const reach = hazard.kind === 'sweeper' ? platformRadius * hazard.length : platformRadius * hazard.orbit;
+    return reach * Math.abs(hazard.speed);
+  }
+
+  /**
+   * Allow for players batted by a moving bumper or sweeper this step
+   * A bounce off a moving surface adds at most twice its speed.
+   */
+  function allowHazardContacts() {
+    world.contacts.forEach((contact) => {
+      [[contact.bi, contact.bj], [contact.bj, contact.bi]].forEach(([playerBody, hazardBody]) => {
+        const id = bodyToPlayer.get(playerBody.id);
+        const hazard = id && hazards.find((candidate) => candidate.body === hazardBody);
+        if (!hazard) return;
+        const entry = entries.get(id);
+        entry.pushAllowance = Math.max(entry.pushAllowance, getHazardSurfaceSpeed(hazard) * 2);
+      });
+    });
+  }
+
+  /**
+   * Spread push allowances across player contacts this step
+   * A pushed player can pass their speed on to whoever they're shoved into.
+   * Repeats until settled so a push carries down a whole chain of players.
+   */
+  function spreadPushAllowances() {
+    let spreading = true;
+    while (spreading) {
+      spreading = false;
+      world.contacts.forEach((contact) => {
+        const entryA = entries.get(bodyToPlayer.get(contact.bi.id));
+        const entryB = entries.get(bodyToPlayer.get(contact.bj.id));
+        if (!entryA || !entryB || entryA.pushAllowance === entryB.pushAllowance) return;
+        const allowance = Math.max(entryA.pushAllowance, entryB.pushAllowance);
+        entryA.pushAllowance = allowance;
+        entryB.pushAllowance = allowance;
+        spreading = true;
+      });
+    }
+  }
+
+  /**
+   * Enforce per-step speed and displacement caps on a player body
+   * Out-of-range motion is snapped back to the pre-step position. Only movement
+   * from input is capped - speed the server gave the player itself (its push
+   * allowance) is let through.
+   * @param {string} id - Player ID
+   * @param {Object} entry - Player entry
+   * @param {Object} previous - { x, z } position before the step
+   */
+  function enforceMotionLimits(id, entry, previous) {
+    const { body } = entry;
+    const dx = body.position.x - previous.x;
+    const dz = body.position.z - previous.z;
+    const displacement = Math.sqrt(dx * dx + dz * dz);
+    const speed = Math.sqrt(body.velocity.x ** 2 + body.velocity.z ** 2);
+    const maxSpeed = ANTI_CHEAT.MAX_HORIZONTAL_SPEED + entry.pushAllowance;
+
+    // Back within the caps by itself - the push is spent
+    if (speed <= ANTI_CHEAT.MAX_HORIZONTAL_SPEED && displacement <= ANTI_CHEAT.MAX_STEP_DISPLACEMENT) {
+      entry.pushAllowance = 0;
+      return;
+    }
+
+    if (displacement > maxSpeed * SIMULATION.TIMESTEP) {
+      body.position.x = previous.x;
+      body.position.z = previous.z;
+      body.velocity.x = 0;
+      body.velocity.z = 0;
+      if (onMotionViolation) onMotionViolation(id, { type: 'displacement', value: displacement });
+    } else if (speed > maxSpeed) {
+      const scale = maxSpeed / speed;
+      body.velocity.x *= scale;
+      body.velocity.z *= scale;
+      if (onMotionViolation) onMotionViolation(id, { type: 'speed', value: speed });
+    }
+  }
+
+  /**
+   * Undo knockback on shielded players that touched another player this step
+   * @param {Map} shieldedVelocities - Player ID -> { x, z } velocity before the step
+   */
+  function restoreShieldedVelocities(shieldedVelocities) {
+    if (shieldedVelocities.size === 0) return;
+
+    world.contacts.forEach((contact) => {
+      const idA = bodyToPlayer.get(contact.bi.id);
+      const idB = bodyToPlayer.get(contact.bj.id);
+      if (!idA || !idB) return;
+      [idA, idB].forEach((id) => {
+        const velocity = shieldedVelocities.get(id);
+        if (!velocity) return;
+        const { body } = entries.get(id);
+        body.velocity.x = velocity.x;
+        body.velocity.z = velocity.z;
+      });
+    });
+  }
+
+  /**
+   * Advance the simulation by real elapsed time using fixed steps
+   * @param {number} deltaSeconds - Elapsed time since the last call
+   */
+  function step(deltaSeconds) {
+    clock.advance(deltaSeconds, (tickTime) => {
+      simTime = tickTime;
+      entries.forEach(applyMovement);
+      updateHazards();
+      const previousPositions = new Map();
+      const shieldedVelocities = new Map();
+      entries.forEach((entry, id) => {
+        previousPositions.set(id, { x: entry.body.position.x, z: entry.body.position.z });
+        if (entry.modifiers.shield) {
+          shieldedVelocities.set(id, { x: entry.body.velocity.x, z: entry.body.velocity.z });
+        }
+      });
+      world.step(SIMULATION.TIMESTEP);
+      restoreShieldedVelocities(shieldedVelocities);
+      allowHazardContacts();
+      spreadPushAllowances();
+      entries.forEach((entry, id) => enforceMotionLimits(id, entry, previousPositions.get(id)));
+    });
+    simTime = clock.getTime();
+  }
+
+  return {
+    addPlayer,
+    removePlayer,
+    hasPlayer,
+    setPlayerInput,
+    setPlayerFrozen,
+    setPlayerGhost,
+    setPlayerModifiers,
+    refillBoost,
+    isBoostReady,
+    applyRadialImpulse,
+    resetPlayer,
+    getPlayerState,
+    setPlatformRadius,
+    setArenaLayout,
+    setTiles,
+    dropTile,
+    setHazards,
+    getHazardStates,
+    step,
+  };
+}
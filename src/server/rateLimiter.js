@@ -0,0 +1,114 @@
+/**
+ * RateLimiter - Token-bucket limits for incoming Socket.io events
+ * Each socket gets one bucket per event type. Events over the limit or over
+ * the payload size cap are dropped before reaching their handler, and sockets
+ * that keep tripping the limits are reported as abusive.
+ */
+
+import { RATE_LIMITS } from './constants.js';
+
+// Server-wide counters exposed through /api/health
+const stats = {
+  limited: 0, // Events dropped for exceeding their rate
+  oversized: 0, // Events dropped for exceeding the payload cap
+  disconnected: 0, // Sockets disconnected for abuse
+};
+
+/**
+ * Measure the serialized size of an event payload
+ * @param {Array} args - Event arguments
+ * @returns {number} Size in bytes (Infinity if it can't be serialized)
+ */
+function getPayloadSize(args) {
+  try {
+    return Buffer.byteLength(JSON.stringify(args) ?? '');
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * Create a limiter for one socket
+ * @param {Object} [limits] - Per-event { capacity, refillPerSecond } overrides
+ * @returns {Object} Limiter API
+ */
+export function createRateLimiter(limits = RATE_LIMITS.EVENTS) {
+  // Map of event name -> { tokens, updatedAt }
+  const buckets = new Map();
+  let violations = 0;
+  let lastViolationAt = 0;
+
+  /**
+   * Take one token for an event, refilling based on elapsed time
+   * @param {string} event - Event name
+   * @returns {boolean} True if the event is within its limit
+   */
+  function consume(event) {
+    const { capacity, refillPerSecond } = limits[event] || RATE_LIMITS.DEFAULT;
+    const now = Date.now();
+    let bucket = buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      buckets.set(event, bucket);
+    }
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Record a dropped event
+   * @returns {number} Violations within the decay window
+   */
+  function recordViolation() {
+    const now = Date.now();
+    if (now - lastViolationAt > RATE_LIMITS.VIOLATION_DECAY_MS) {
+      violations = 0;
+    }
+    violations++;
+    lastViolationAt = now;
+    return violations;
+  }
+
+  /**
+   * Check an incoming event against the payload cap and its rate limit
+   * @param {string} event - Event name
+   * @param {Array} args - Event arguments
+   * @returns {{ allowed: boolean, reason?: string, abusive?: boolean }}
+   */
+  function check(event, args) {
+    let reason = null;
+    const maxPayload = RATE_LIMITS.MAX_PAYLOAD_BYTES_BY_EVENT[event] ?? RATE_LIMITS.MAX_PAYLOAD_BYTES;
+    if (getPayloadSize(args) > maxPayload) {
+      stats.oversized++;
+      reason = 'payload too large';
+    } else if (!consume(event)) {
+      stats.limited++;
+      reason = 'rate limited';
+    }
+
+    if (!reason) return { allowed: true };
+    return { allowed: false, reason, abusive: recordViolation() >= RATE_LIMITS.MAX_VIOLATIONS };
+  }
+
+  return { check };
+}
+
+/**
+ * Count a socket disconnected for abuse
+ */
+export function recordAbusiveDisconnect() {
+  stats.disconnected++;
+}
+
+/**
+ * Get server-wide rate limiting counters
+ * @returns {Object} { limited, oversized, disconnected }
+ */
+export function getRateLimitStats() {
+  return { ...stats };
+}
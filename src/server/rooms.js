@@ -0,0 +1,151 @@
+/**
+ * Rooms - Registry of concurrent matches for SPACE PUSH
+ * Each room wraps its own game state plus the timers that drive it,
+ * and maps 1:1 onto a Socket.io room of the same ID for scoped broadcasts.
+ * Room IDs are short shareable codes (e.g. ABCD) used in /r/:code links.
+ */
+
+import { createGameState } from './gameState.js';
+import { GAME_STATES, PLAYERS, ROOMS } from './constants.js';
+
+// Map of room ID -> room
+const rooms = new Map();
+
+/**
+ * Generate a random room code that isn't already in use
+ * @returns {string} Room code
+ */
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOMS.CODE_LENGTH; i++) {
+      code += ROOMS.CODE_ALPHABET[Math.floor(Math.random() * ROOMS.CODE_ALPHABET.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Normalize user-entered room code (case/whitespace) and validate its format
+ * @param {*} code - Raw room code from a client or URL
+ * @returns {string|null} Normalized code, or null if malformed
+ */
+export function normalizeRoomCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  if (normalized.length !== ROOMS.CODE_LENGTH) return null;
+  for (const char of normalized) {
+    if (!ROOMS.CODE_ALPHABET.includes(char)) return null;
+  }
+  return normalized;
+}
+
+/**
+ * Create a new room with a fresh game state
+ * @param {Object} [options]
+ * @param {boolean} [options.isPrivate=false] - Private rooms are only reachable by code
+ * @returns {Object|null} Room object, or null if the server is at capacity
+ */
+export function createRoom({ isPrivate = false } = {}) {
+  if (rooms.size >= ROOMS.MAX_ROOMS) return null;
+
+  const id = generateRoomCode();
+
+  const room = {
+    id,
+    isPrivate,
+    game: createGameState(),
+    // Per-room timers (owned by the server loop in index.js)
+    gameLoopInterval: null,
+    countdownInterval: null,
+    scoreUpdateInterval: null,
+    // Track previous warning state to only emit on change
+    previousWarningState: { isWarning: false, warningProgress: 0 },
+    createdAt: Date.now(),
+  };
+
+  rooms.set(id, room);
+  return room;
+}
+
+/**
+ * Get a room by ID
+ * @param {string} id - Room ID
+ * @returns {Object|undefined} Room object
+ */
+export function getRoom(id) {
+  return rooms.get(id);
+}
+
+/**
+ * Get all rooms
+ * @returns {Object[]} Array of all rooms
+ */
+export function getAllRooms() {
+  return Array.from(rooms.values());
+}
+
+/**
+ * Get room count
+ * @returns {number} Number of active rooms
+ */
+export function getRoomCount() {
+  return rooms.size;
+}
+
+/**
+ * Check if a room has space for another player
+ * Seats taken by bots count as free - a bot leaves to make room.
+ * @param {Object} room - Room object
+ * @returns {boolean}
+ */
+export function hasCapacity(room) {
+  return room.game.getHumanCount() < PLAYERS.MAX_PLAYERS;
+}
+
+/**
+ * Find a public room a new player can be placed in
+ * Prefers rooms still in the lobby so newcomers don't land mid-match
+ * @returns {Object|null} Joinable room, or null if none has space
+ */
+export function findOpenRoom() {
+  const openRooms = getAllRooms().filter((room) => !room.isPrivate && hasCapacity(room));
+  const lobbyRoom = openRooms.find(
+    (room) => room.game.getGameState() === GAME_STATES.LOBBY
+  );
+  return lobbyRoom || openRooms[0] || null;
+}
+
+/**
+ * Stop all timers for a room
+ * @param {Object} room - Room object
+ */
+export function clearRoomTimers(room) {
+  if (room.gameLoopInterval) {
+    clearInterval(room.gameLoopInterval);
+    room.gameLoopInterval = null;
+  }
+  if (room.countdownInterval) {
+    clearInterval(room.countdownInterval);
+    room.countdownInterval = null;
+  }
+  if (room.scoreUpdateInterval) {
+    clearInterval(room.scoreUpdateInterval);
+    room.scoreUpdateInterval = null;
+  }
+}
+
+/**
+ * Destroy a room and stop its timers
+ * @param {string} id - Room ID
+ * @returns {boolean} True if a room was removed
+ */
+export function destroyRoom(id) {
+  const room = rooms.get(id);
+  if (!room) return false;
+
+  clearRoomTimers(room);
+  rooms.delete(id);
+  return true;
+}
@@ -0,0 +1,83 @@
+/**
+ * Rules - Per-match rule sets for SPACE PUSH
+ * Defaults and accepted ranges come from RULES in constants.js; the host
+ * can change them in the lobby and every change is validated here.
+ */
+
+import { RULES } from './constants.js';
+
+/**
+ * Build a rule set with every rule at its default
+ * @returns {Object} Rules keyed by name
+ */
+export function getDefaultRules() {
+  const rules = {};
+  Object.entries(RULES).forEach(([name, { default: value }]) => {
+    rules[name] = value;
+  });
+  return rules;
+}
+
+/**
+ * Get what each rule accepts (sent to clients for the lobby editor)
+ * @returns {Object} { [name]: { min, max, integer } | { options } | { type: 'boolean' } }
+ */
+export function getRuleLimits() {
+  const limits = {};
+  Object.entries(RULES).forEach(([name, { min, max, integer = false, options, type }]) => {
+    if (options) {
+      limits[name] = { options };
+    } else if (type === 'boolean') {
+      limits[name] = { type };
+    } else {
+      limits[name] = { min, max, integer };
+    }
+  });
+  return limits;
+}
+
+/**
+ * Validate a partial rules update against the current rules
+ * @param {*} changes - { [name]: value } from the client
+ * @param {Object} current - Current rules
+ * @returns {{ rules: Object }|{ error: string }} Merged rules, or why they were rejected
+ */
+export function validateRules(changes, current) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Rules must be an object' };
+  }
+
+  const rules = { ...current };
+  for (const [name, value] of Object.entries(changes)) {
+    if (!Object.hasOwn(RULES, name)) {
+      return { error: `Unknown rule "${name}"` };
+    }
+    const rule = RULES[name];
+    if (rule.options) {
+      if (!rule.options.includes(value)) {
+        return { error: `${name} must be one of ${rule.options.join(', ')}` };
+      }
+      rules[name] = value;
+      continue;
+    }
+    if (rule.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        return { error: `${name} must be true or false` };
+      }
+      rules[name] = value;
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `${name} must be a number` };
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return { error: `${name} must be a whole number` };
+    }
+    if (value < rule.min || value > rule.max) {
+      return { error: `${name} must be between ${rule.min} and ${rule.max}` };
+    }
+    rules[name] = value;
+  }
+
+  return { rules };
+}
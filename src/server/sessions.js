@@ -0,0 +1,79 @@
+/**
+ * Sessions - Resumable player sessions for reconnecting mid-match
+ * Each joined player gets an opaque token. When their socket drops, the player
+ * is held for a grace period; presenting the token from a new socket resumes
+ * the same player, otherwise the expiry callback removes them for good.
+ */
+
+import { randomBytes } from 'crypto';
+import { SESSION } from './constants.js';
+
+// Map of token -> { roomId, playerId, socketId, expiryTimer }
+const sessions = new Map();
+
+/**
+ * Issue a session token for a player that just joined a room
+ * @param {string} roomId - Room the player is in
+ * @param {string} playerId - Player ID within the room
+ * @param {string} socketId - Socket currently playing as this player
+ * @returns {string} Session token
+ */
+export function createSession(roomId, playerId, socketId) {
+  const token = randomBytes(16).toString('hex');
+  sessions.set(token, { roomId, playerId, socketId, expiryTimer: null });
+  return token;
+}
+
+/**
+ * Look up a session by token
+ * @param {string} token - Session token
+ * @returns {Object|undefined} { roomId, playerId, socketId, expiryTimer }
+ */
+export function getSession(token) {
+  return typeof token === 'string' ? sessions.get(token) : undefined;
+}
+
+/**
+ * Start the grace period for a disconnected player
+ * @param {string} token - Session token
+ * @param {Function} onExpire - Called if the player doesn't resume in time
+ */
+export function holdSession(token, onExpire) {
+  const session = sessions.get(token);
+  if (!session) return;
+
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = setTimeout(() => {
+    sessions.delete(token);
+    onExpire();
+  }, SESSION.RECONNECT_GRACE_MS);
+}
+
+/**
+ * Attach a session to a new socket, cancelling any grace period
+ * @param {string} token - Session token
+ * @param {string} socketId - Socket resuming the session
+ * @returns {string|null} Socket that held the session before, or null if unknown token
+ */
+export function resumeSession(token, socketId) {
+  const session = sessions.get(token);
+  if (!session) return null;
+
+  const previousSocketId = session.socketId;
+  clearTimeout(session.expiryTimer);
+  session.expiryTimer = null;
+  session.socketId = socketId;
+  return previousSocketId;
+}
+
+/**
+ * Forget a session (player left for good)
+ * @param {string} token - Session token
+ */
+export function destroySession(token) {
+  const session = sessions.get(token);
+  if (!session) return;
+
+  clearTimeout(session.expiryTimer);
+  sessions.delete(token);
+}
@@ -0,0 +1,197 @@
+/**
+ * Spawns - Round-start spawn allocation
+ * Players are spread evenly over concentric rings around the arena center, so
+ * nobody starts on top of anyone else or closer to the edge than they need to.
+ * The outer ring moves out as the player count grows (the same 2-40 player
+ * curve the single-player platform uses to scale), inner rings fill in behind
+ * it, and an authored map's spawn points are always used first.
+ */
+
+import { SPAWN } from './constants.js';
+import { getArenaClearance, getRandomArenaPoint } from '../shared/arena.js';
+
+/**
+ * Outer spawn ring as a fraction of the platform radius for a player count
+ * @param {number} playerCount - Players being placed
+ * @returns {number} Between SPAWN.MIN_SPREAD (2 players) and SPAWN.MAX_SPREAD (40 players)
+ */
+export function getSpawnSpread(playerCount) {
+  const normalized = Math.max(0, Math.min(1, (playerCount - SPAWN.SPREAD_MIN_PLAYERS) / (SPAWN.SPREAD_MAX_PLAYERS - SPAWN.SPREAD_MIN_PLAYERS)));
+  return SPAWN.MIN_SPREAD + normalized * (SPAWN.MAX_SPREAD - SPAWN.MIN_SPREAD);
+}
+
+/**
+ * Angle of a spot around the arena center
+ * @param {Object} spot - { x, z }
+ * @returns {number} Radians
+ */
+function getAngle({ x, z }) {
+  return Math.atan2(x, z);
+}
+
+/**
+ * Order spots by their angle around the center
+ * @param {Object} a - { x, z }
+ * @param {Object} b - { x, z }
+ * @returns {number}
+ */
+function byAngle(a, b) {
+  return getAngle(a) - getAngle(b);
+}
+
+/**
+ * Take `count` spots spread evenly through a list
+ * @param {Object[]} spots - Spots in angle order
+ * @param {number} count - How many to take (at most spots.length)
+ * @returns {Object[]}
+ */
+function pickEvenly(spots, count) {
+  return Array.from({ length: count }, (_, i) => spots[Math.floor((i * spots.length) / count)]);
+}
+
+/**
+ * Ring radii in the order they're filled: the outer ring, then inward to the
+ * center, then outward toward the edge when the inside is full or off the arena
+ * @param {number} outer - Preferred outer ring radius
+ * @param {number} radius - Platform radius
+ * @returns {number[]}
+ */
+function getRingRadii(outer, radius) {
+  const radii = [];
+  for (let r = outer; r >= SPAWN.SPACING; r -= SPAWN.SPACING) radii.push(r);
+  radii.push(0);
+  for (let r = outer + SPAWN.SPACING; r <= radius; r += SPAWN.SPACING) radii.push(r);
+  return radii;
+}
+
+/**
+ * Evenly spaced slots on one ring, staggered against the neighbouring rings
+ * @param {number} r - Ring radius (0 for the center)
+ * @param {number} ringIndex - Position in getRingRadii, for the stagger
+ * @returns {Object[]} [{ x, z }] in angle order
+ */
+function getRingSlots(r, ringIndex) {
+  if (r === 0) return [{ x: 0, z: 0 }];
+  const count = Math.floor((Math.PI * 2 * r) / SPAWN.SPACING);
+  const offset = (ringIndex % 2) * (Math.PI / count);
+  return Array.from({ length: count }, (_, i) => {
+    const angle = offset + (i / count) * Math.PI * 2;
+    return { x: Math.sin(angle) * r, z: Math.cos(angle) * r };
+  });
+}
+
+/**
+ * Distance from a spot to the nearest of some others
+ * @param {Object} spot - { x, z }
+ * @param {Object[]} others - [{ x, z }]
+ * @returns {number} Infinity when there are no others
+ */
+function getNearestDistance(spot, others) {
+  return others.reduce((nearest, other) => Math.min(nearest, Math.hypot(other.x - spot.x, other.z - spot.z)), Infinity);
+}
+
+/**
+ * Find spawn spots for a number of players
+ * Authored spawn points are used first (spread evenly if there are more than
+ * needed). The rest come from the rings, shared between them in proportion to
+ * their size so every ring is equally crowded. If the arena can't fit everyone
+ * at the usual edge margin it's relaxed, and as a last resort the roomiest
+ * random spots are used.
+ * @param {number} count - Spots needed
+ * @param {Object} arena - Where players can stand
+ * @param {Object[]} arena.pieces - Arena pieces in world units
+ * @param {number} arena.radius - Platform radius
+ * @param {Function} arena.hasFloor - (x, z) => whether there is floor there (e.g. a standing tile)
+ * @param {Object[]} [arena.spawns] - Authored spawn points in world units
+ * @returns {Object[]} [{ x, z }]
+ */
+export function getSpawnSlots(count, { pieces, radius, hasFloor, spawns = [] }) {
+  const authored = spawns.filter(({ x, z }) => hasFloor(x, z)).sort(byAngle);
+  if (authored.length >= count) return pickEvenly(authored, count);
+
+  const slots = [...authored];
+  const radii = getRingRadii(radius * getSpawnSpread(count), radius);
+  for (const margin of [SPAWN.EDGE_MARGIN, SPAWN.MIN_EDGE_MARGIN]) {
+    const rings = [];
+    let capacity = 0;
+    for (let i = 0; i < radii.length && slots.length + capacity < count; i++) {
+      const open = getRingSlots(radii[i], i).filter((slot) => getArenaClearance(pieces, slot.x, slot.z) >= margin
+        && hasFloor(slot.x, slot.z)
+        && getNearestDistance(slot, authored) >= SPAWN.SPACING);
+      if (open.length > 0) {
+        rings.push(open);
+        capacity += open.length;
+      }
+    }
+    if (slots.length + capacity < count && margin !== SPAWN.MIN_EDGE_MARGIN) continue;
+
+    // Largest remainder: each ring gets its share, leftovers go to the biggest fractions
+    const needed = Math.min(count - slots.length, capacity);
+    const shares = rings.map((ring) => (needed * ring.length) / capacity);
+    const counts = shares.map(Math.floor);
+    const leftover = needed - counts.reduce((sum, value) => sum + value, 0);
+    shares
+      .map((share, index) => ({ index, remainder: share - counts[index] }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .slice(0, leftover)
+      .forEach(({ index }) => { counts[index]++; });
+    rings.forEach((ring, index) => slots.push(...pickEvenly(ring, counts[index])));
+    break;
+  }
+
+  while (slots.length < count) {
+    let best = null;
+    let bestDistance = -1;
+    for (let attempt = 0; attempt < SPAWN.FALLBACK_ATTEMPTS; attempt++) {
+      const spot = getRandomArenaPoint(pieces);
+      if (!hasFloor(spot.x, spot.z)) continue;
+      const distance = getNearestDistance(spot, slots);
+      if (distance > bestDistance) {
+        best = spot;
+        bestDistance = distance;
+      }
+    }
+    slots.push(best ?? getRandomArenaPoint(pieces));
+  }
+  return slots;
+}
+
+/**
+ * Give every player a round-start spot
+ * Spots are dealt out around the arena from a random starting angle. In team
+ * modes teammates get neighbouring spots, so each team starts together in its
+ * own part of the arena; otherwise the order is random.
+ * @param {Object[]} players - Players to place ({ id, team })
+ * @param {Object} arena - Where players can stand (see getSpawnSlots)
+ * @returns {Map<string, Object>} Player ID -> { x, z }
+ */
+export function allocateSpawns(players, arena) {
+  const slots = getSpawnSlots(players.length, arena).sort(byAngle);
+  const shift = Math.floor(Math.random() * slots.length);
+
+  const shuffled = [...players];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const teamOrder = [...new Set(shuffled.map((player) => player.team))];
+  shuffled.sort((a, b) => teamOrder.indexOf(a.team) - teamOrder.indexOf(b.team));
+
+  return new Map(shuffled.map((player, index) => [player.id, slots[(index + shift) % slots.length]]));
+}
+
+/**
+ * Find a spot for one more player next to those already placed (joining the lobby)
+ * Takes the slot, out of a full allocation for the new count, furthest from everyone.
+ * @param {Object[]} occupied - Positions already taken [{ x, z }]
+ * @param {Object} arena - Where players can stand (see getSpawnSlots)
+ * @returns {Object} { x, z }
+ */
+export function findFreeSpawn(occupied, arena) {
+  const slots = getSpawnSlots(occupied.length + 1, arena);
+  if (occupied.length === 0) return slots[Math.floor(Math.random() * slots.length)];
+
+  return slots.reduce((best, slot) => (
+    getNearestDistance(slot, occupied) > getNearestDistance(best, occupied) ? slot : best
+  ));
+}
@@ -0,0 +1,380 @@
+/**
+ * AI - Computer opponent brains, shared by the server's bots and single player
+ * A brain is a small utility AI: every decision it scores a handful of options
+ * (get back from the edge, dodge a charge, attack, hold ground) and acts on the
+ * best one. The answer is the same { direction, boost, anchor } intent a human's
+ * controls produce, so computer players move through exactly the same physics.
+ *
+ * Difficulty presets change more than reaction time - each one plays
+ * differently, from an easily distracted wanderer to a tactician that leads
+ * its target, circles round to push it toward the edge and sidesteps charges.
+ */
+
+// Per difficulty:
+//   reactionTime    - ms between decisions
+//   accuracy        - 1 for perfect aim; also how steady its choices are
+//   prediction      - seconds ahead it leads a moving target
+//   edgeAwareness   - chance a decision notices it's near an edge
+//   edgeCaution     - how close to an edge it lets itself get
+//   dodgeSkill      - chance of reacting to an incoming charge
+//   setupSkill      - chance of lining up so the push points off the platform
+//   aggression      - how much it wants to attack rather than hold ground
+//   boostDiscipline - chance a boost waits for a lined-up hit instead of firing on a whim
+export const AI_DIFFICULTIES = {
+  easy: {
+    label: 'Easy',
+    style: 'Wanders about, chases whoever is close and boosts on a whim',
+    reactionTime: 800,
+    accuracy: 0.3,
+    prediction: 0,
+    edgeAwareness: 0.5,
+    edgeCaution: 0.75,
+    dodgeSkill: 0,
+    setupSkill: 0,
+    aggression: 0.5,
+    boostDiscipline: 0,
+  },
+  medium: {
+    label: 'Medium',
+    style: 'Charges straight in and mostly saves its boost for a clean hit',
+    reactionTime: 300,
+    accuracy: 0.8,
+    prediction: 0.2,
+    edgeAwareness: 0.85,
+    edgeCaution: 1,
+    dodgeSkill: 0.35,
+    setupSkill: 0.3,
+    aggression: 0.9,
+    boostDiscipline: 0.6,
+  },
+  hard: {
+    label: 'Hard',
+    style: 'Leads its target, lines up pushes toward the edge and sidesteps charges',
+    reactionTime: 120,
+    accuracy: 0.95,
+    prediction: 0.45,
+    edgeAwareness: 1,
+    edgeCaution: 1.5,
+    dodgeSkill: 0.9,
+    setupSkill: 1,
+    aggression: 0.75,
+    boostDiscipline: 1,
+  },
+};
+
+export const DEFAULT_AI_DIFFICULTY = 'medium';
+
+// Single player's adaptive opponents blend the presets above by a skill level
+// (0 plays like easy, 0.5 like medium, 1 like hard) that is tuned between rounds
+export const ADAPTIVE_AI_DIFFICULTY = 'adaptive';
+export const ADAPTIVE_AI = {
+  label: 'Adaptive',
+  style: 'Gets tougher while you keep winning and eases off while you keep losing',
+  START_SKILL: 0.5, // Skill of a fresh adaptive opponent (medium)
+  SKILL_STEP: 0.08, // Skill change per round, multiplied by the streak length
+  MAX_STREAK_STEPS: 3, // Longest streak that still grows the change
+};
+
+// Names given to computer players, first unused one first
+export const AI_NAMES = ['Nova', 'Comet', 'Pulsar', 'Quasar', 'Orbit', 'Vega', 'Zenith', 'Rocket', 'Nebula', 'Astro', 'Meteor', 'Lyra', 'Sirius', 'Cosmo', 'Photon', 'Rigel'];
+
+const AI = {
+  CHASE_RANGE: 8, // Opponents further than this are ignored
+  EDGE_PREFERENCE: 0.5, // How much a skilled brain prefers targets near an edge (per unit of their clearance)
+  LOOKAHEAD: 0.4, // Edge danger is judged from where it will be this many seconds from now
+  PROBE_DIRECTIONS: 8, // Directions sampled when looking for safer ground or a target's way off
+  PROBE_DISTANCE: 2, // How far ahead each sample looks
+  SETUP_DISTANCE: 1.6, // How far behind a target it lines up
+  LINED_UP: 0.8, // Push direction vs the target's way off (cosine) that counts as lined up
+  CHARGE_RANGE: 3.5, // Only boost at targets this close
+  COMMITMENT: 0.9, // How far an aggressive brain lets a lined-up push outweigh its edge caution
+  BOOST_TRAVEL: 2, // Roughly how far a boost carries - don't boost if that lands off the edge
+  DODGE_SPEED: 2.5, // Closing speed that counts as a charge
+  DODGE_TIME: 0.6, // Seconds to contact at which it starts to dodge
+  HOLD_UTILITY: 0.3, // Baseline for holding ground, what the other options have to beat
+  MAX_AIM_ERROR: Math.PI / 2, // Aim error at accuracy 0, scaled down as accuracy rises
+};
+
+const IDLE_INPUT = { direction: { x: 0, z: 0 }, boost: false, anchor: false };
+
+/**
+ * Unit vector from one point toward another
+ * @param {Object} from - { x, z }
+ * @param {Object} to - { x, z }
+ * @returns {Object} { x, z, length } - zero direction when the points coincide
+ */
+function getHeading(from, to) {
+  const x = to.x - from.x;
+  const z = to.z - from.z;
+  const length = Math.hypot(x, z);
+  return length > 0.001 ? { x: x / length, z: z / length, length } : { x: 0, z: 0, length: 0 };
+}
+
+/**
+ * Rotate a direction by an angle about the vertical axis
+ * @param {Object} direction - Unit { x, z }
+ * @param {number} angle - Radians
+ * @returns {Object} Unit { x, z }
+ */
+function rotate({ x, z }, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: x * cos + z * sin, z: z * cos - x * sin };
+}
+
+/**
+ * Probe the ground around a point in evenly spaced directions
+ * @param {Object} point - { x, z }
+ * @param {Function} getClearance - (x, z) => distance inside the nearest edge, negative off the floor
+ * @returns {Object[]} [{ direction, clearance }]
+ */
+function probeAround(point, getClearance) {
+  return Array.from({ length: AI.PROBE_DIRECTIONS }, (_, i) => {
+    const angle = (i / AI.PROBE_DIRECTIONS) * Math.PI * 2;
+    const direction = { x: Math.sin(angle), z: Math.cos(angle) };
+    const clearance = getClearance(point.x + direction.x * AI.PROBE_DISTANCE, point.z + direction.z * AI.PROBE_DISTANCE);
+    return { direction, clearance };
+  });
+}
+
+/**
+ * Direction toward the safest nearby ground
+ * @param {Object} point - { x, z }
+ * @param {Function} getClearance - See probeAround
+ * @returns {Object} Unit { x, z }
+ */
+function getSafestDirection(point, getClearance) {
+  return probeAround(point, getClearance).reduce((best, probe) => (probe.clearance > best.clearance ? probe : best)).direction;
+}
+
+/**
+ * Direction a player standing at a point is closest to being pushed off in
+ * @param {Object} point - { x, z }
+ * @param {Function} getClearance - See probeAround
+ * @returns {Object} Unit { x, z }
+ */
+function getWayOff(point, getClearance) {
+  return probeAround(point, getClearance).reduce((best, probe) => (probe.clearance < best.clearance ? probe : best)).direction;
+}
+
+/**
+ * Label and play style for a difficulty, including adaptive
+ * @param {string} difficulty - Key of AI_DIFFICULTIES or ADAPTIVE_AI_DIFFICULTY
+ * @returns {Object} { label, style }
+ */
+export function getDifficultyInfo(difficulty) {
+  if (difficulty === ADAPTIVE_AI_DIFFICULTY) return ADAPTIVE_AI;
+  return AI_DIFFICULTIES[difficulty] ?? AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
+}
+
+/**
+ * Brain settings for an adaptive skill level, blended between neighbouring presets
+ * @param {number} skill - 0 (easy) to 1 (hard)
+ * @returns {Object} Same numeric settings as an AI_DIFFICULTIES entry
+ */
+export function getAdaptiveSettings(skill) {
+  const level = Math.max(0, Math.min(1, skill)) * 2;
+  const [from, to] = level <= 1
+    ? [AI_DIFFICULTIES.easy, AI_DIFFICULTIES.medium]
+    : [AI_DIFFICULTIES.medium, AI_DIFFICULTIES.hard];
+  const t = level <= 1 ? level : level - 1;
+
+  const settings = { label: ADAPTIVE_AI.label, style: ADAPTIVE_AI.style };
+  for (const [key, value] of Object.entries(from)) {
+    if (typeof value === 'number') settings[key] = value + (to[key] - value) * t;
+  }
+  return settings;
+}
+
+/**
+ * Tune an adaptive skill level after a round
+ * The longer the streak, the bigger the step - a run of wins ramps it up
+ * quickly, a run of losses backs it off just as fast.
+ * @param {number} skill - Current skill, 0 to 1
+ * @param {number} streak - Rounds in a row the player has won (positive) or lost (negative), including this one
+ * @returns {number} New skill, 0 to 1
+ */
+export function getNextAdaptiveSkill(skill, streak) {
+  const steps = Math.sign(streak) * Math.min(Math.abs(streak), ADAPTIVE_AI.MAX_STREAK_STEPS);
+  return Math.max(0, Math.min(1, skill + steps * ADAPTIVE_AI.SKILL_STEP));
+}
+
+/**
+ * Create the decision maker for one computer player
+ * @param {string} difficulty - Key of AI_DIFFICULTIES, or ADAPTIVE_AI_DIFFICULTY
+ * @param {Object} [options]
+ * @param {number} [options.skill] - Adaptive skill level, 0 to 1 (see getAdaptiveSettings)
+ * @param {Function} [options.random] - Source of numbers in [0, 1)
+ * @returns {Object} Brain API
+ */
+export function createAIBrain(difficulty, { skill = ADAPTIVE_AI.START_SKILL, random = Math.random } = {}) {
+  const settings = difficulty === ADAPTIVE_AI_DIFFICULTY
+    ? getAdaptiveSettings(skill)
+    : AI_DIFFICULTIES[difficulty] ?? AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
+
+  let nextDecisionAt = 0;
+
+  /**
+   * Random aim error, smaller the more accurate the brain
+   * @returns {number} Radians
+   */
+  function getAimError() {
+    return (random() * 2 - 1) * (1 - settings.accuracy) * AI.MAX_AIM_ERROR;
+  }
+
+  /**
+   * Head back to safer ground when at (or sliding toward) an edge, if it notices
+   * @param {Object} self - See think
+   * @param {Object} view - See think
+   * @returns {Object|null} { utility, intent }
+   */
+  function considerRecovering(self, { getClearance }) {
+    const ahead = {
+      x: self.position.x + self.velocity.x * AI.LOOKAHEAD,
+      z: self.position.z + self.velocity.z * AI.LOOKAHEAD,
+    };
+    const clearance = Math.min(getClearance(self.position.x, self.position.z), getClearance(ahead.x, ahead.z));
+    if (clearance >= settings.edgeCaution || random() >= settings.edgeAwareness) return null;
+
+    return {
+      utility: 1 + (settings.edgeCaution - clearance) / settings.edgeCaution,
+      intent: {
+        direction: getSafestDirection(self.position, getClearance),
+        // Already over the edge - a disciplined brain spends its boost getting back
+        boost: self.canBoost && clearance < 0 && random() < settings.boostDiscipline,
+        anchor: false,
+      },
+    };
+  }
+
+  /**
+   * Sidestep the opponent about to hit hardest, or brace if there's nowhere to go
+   * @param {Object} self - See think
+   * @param {Object} view - See think
+   * @returns {Object|null} { utility, intent }
+   */
+  function considerDodging(self, { opponents, getClearance }) {
+    let threat = null;
+    opponents.forEach((opponent) => {
+      const away = getHeading(opponent.position, self.position);
+      const closingSpeed = (opponent.velocity.x - self.velocity.x) * away.x + (opponent.velocity.z - self.velocity.z) * away.z;
+      if (closingSpeed < AI.DODGE_SPEED) return;
+      const urgency = 1 - away.length / closingSpeed / AI.DODGE_TIME;
+      if (urgency > 0 && (!threat || urgency > threat.urgency)) threat = { away, urgency };
+    });
+    if (!threat || random() >= settings.dodgeSkill) return null;
+
+    const sides = [{ x: -threat.away.z, z: threat.away.x }, { x: threat.away.z, z: -threat.away.x }].map((direction) => ({
+      direction,
+      clearance: getClearance(self.position.x + direction.x * AI.PROBE_DISTANCE, self.position.z + direction.z * AI.PROBE_DISTANCE),
+    }));
+    const side = sides[0].clearance >= sides[1].clearance ? sides[0] : sides[1];
+    const utility = 1.2 + threat.urgency;
+
+    if (side.clearance < settings.edgeCaution) {
+      return { utility, intent: { direction: { x: 0, z: 0 }, boost: false, anchor: true } };
+    }
+    return {
+      utility,
+      intent: { direction: side.direction, boost: self.canBoost && threat.urgency > 0.5, anchor: false },
+    };
+  }
+
+  /**
+   * Go after the most promising opponent: line up behind them so the push
+   * points off the platform, then charge (boosting when the hit is good)
+   * @param {Object} self - See think
+   * @param {Object} view - See think
+   * @returns {Object|null} { utility, intent }
+   */
+  function considerAttacking(self, { opponents, getClearance }) {
+    let target = null;
+    opponents.forEach((opponent) => {
+      const predicted = {
+        x: opponent.position.x + opponent.velocity.x * settings.prediction,
+        z: opponent.position.z + opponent.velocity.z * settings.prediction,
+      };
+      const distance = Math.hypot(predicted.x - self.position.x, predicted.z - self.position.z);
+      if (distance >= AI.CHASE_RANGE) return;
+      const score = distance + settings.setupSkill * AI.EDGE_PREFERENCE * getClearance(predicted.x, predicted.z);
+      if (!target || score < target.score) target = { predicted, distance, score };
+    });
+    if (!target) return null;
+
+    const utility = settings.aggression * (1 - (target.distance / AI.CHASE_RANGE) * 0.5);
+    const push = getHeading(self.position, target.predicted);
+    const wayOff = getWayOff(target.predicted, getClearance);
+    const alignment = push.x * wayOff.x + push.z * wayOff.z;
+
+    // Circle round to the far side of the target from its nearest edge
+    if (alignment < AI.LINED_UP && random() < settings.setupSkill) {
+      const setup = {
+        x: target.predicted.x - wayOff.x * AI.SETUP_DISTANCE,
+        z: target.predicted.z - wayOff.z * AI.SETUP_DISTANCE,
+      };
+      if (getClearance(setup.x, setup.z) >= settings.edgeCaution) {
+        let direction = getHeading(self.position, setup);
+        // Wrong side of the target - go round it instead of bumping it back toward the middle
+        if (alignment < 0 && target.distance < AI.SETUP_DISTANCE * 1.5) {
+          const tangent = { x: -push.z, z: push.x };
+          const sign = tangent.x * direction.x + tangent.z * direction.z >= 0 ? 1 : -1;
+          direction = { x: tangent.x * sign, z: tangent.z * sign };
+        }
+        return { utility, intent: { direction: rotate(direction, getAimError()), boost: false, anchor: false } };
+      }
+    }
+
+    // Lined up and close: worth following the target further toward the edge than usual
+    const isLinedUp = alignment >= AI.LINED_UP && target.distance < AI.CHARGE_RANGE;
+    const chargeUtility = isLinedUp ? 1 + settings.aggression * AI.COMMITMENT : utility;
+
+    // Disciplined boosts wait for a lined-up hit that won't carry it off the edge too
+    let boost = false;
+    if (self.canBoost && target.distance < AI.CHARGE_RANGE) {
+      if (random() < settings.boostDiscipline) {
+        const landing = getClearance(self.position.x + push.x * AI.BOOST_TRAVEL, self.position.z + push.z * AI.BOOST_TRAVEL);
+        boost = isLinedUp && landing >= 0;
+      } else {
+        boost = random() < 0.3;
+      }
+    }
+    return { utility: chargeUtility, intent: { direction: rotate(push, getAimError()), boost, anchor: false } };
+  }
+
+  /**
+   * Decide what to do next, if it's time to
+   * Every option is scored and the best is taken; a less accurate brain adds
+   * more noise to the scores, so its choices are less consistent.
+   * @param {Object} self - { position, velocity, canBoost }
+   * @param {Object} view - What it can see
+   * @param {Object[]} view.opponents - Players it may push [{ position, velocity }]
+   * @param {Function} view.getClearance - (x, z) => distance inside the nearest edge, negative off the floor
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object|null} New input intent, or null to keep the last one
+   */
+  function think(self, view, now) {
+    if (now < nextDecisionAt) return null;
+    nextDecisionAt = now + settings.reactionTime * (0.75 + random() * 0.5); // Jitter so brains don't act in lockstep
+
+    const options = [
+      { utility: AI.HOLD_UTILITY, intent: IDLE_INPUT },
+      considerRecovering(self, view),
+      considerDodging(self, view),
+      considerAttacking(self, view),
+    ].filter(Boolean);
+
+    const noise = (1 - settings.accuracy) * 0.5;
+    let best = null;
+    let bestScore = -Infinity;
+    options.forEach((option) => {
+      const score = option.utility + random() * noise;
+      if (score > bestScore) {
+        best = option;
+        bestScore = score;
+      }
+    });
+    return best.intent;
+  }
+
+  return { difficulty, think };
+}
@@ -0,0 +1,285 @@
+/**
+ * Arena - Platform layout definitions shared by the server and the client
+ * The server's physics and boundary checks and the client's physics and
+ * visuals are all generated from these pieces, so they always agree.
+ *
+ * Layouts are defined at unit scale: every coordinate and size is a fraction
+ * of the platform radius, so the whole arena shrinks with it.
+ *
+ * Piece types:
+ * - regular: regular polygon { x, z, radius, sides } with a vertex on +Z
+ *   (the same orientation as a CANNON.Cylinder)
+ * - box: rectangle { x, z, width, depth }
+ * - ring: regular polygon with a round hole { x, z, radius, innerRadius, sides }
+ *   (its physics body is one box per side, since cannon-es has no hollow shapes)
+ */
+
+import * as CANNON from 'cannon-es';
+
+export const ARENA_LAYOUTS = {
+  hexagon: {
+    label: 'Hexagon',
+    pieces: [{ type: 'regular', x: 0, z: 0, radius: 1, sides: 6 }],
+  },
+  circle: {
+    label: 'Circle',
+    pieces: [{ type: 'regular', x: 0, z: 0, radius: 1, sides: 48 }],
+  },
+  square: {
+    label: 'Square',
+    pieces: [{ type: 'box', x: 0, z: 0, width: 1.6, depth: 1.6 }],
+  },
+  ring: {
+    label: 'Ring',
+    pieces: [{ type: 'ring', x: 0, z: 0, radius: 1, innerRadius: 0.45, sides: 24 }],
+  },
+  cross: {
+    label: 'Cross',
+    pieces: [
+      { type: 'box', x: 0, z: 0, width: 2, depth: 0.6 },
+      { type: 'box', x: 0, z: 0.65, width: 0.6, depth: 0.7 },
+      { type: 'box', x: 0, z: -0.65, width: 0.6, depth: 0.7 },
+    ],
+  },
+  islands: {
+    label: 'Islands',
+    pieces: [
+      { type: 'regular', x: 0, z: 0, radius: 0.32, sides: 6 },
+      { type: 'regular', x: 0, z: 0.72, radius: 0.28, sides: 6 },
+      { type: 'regular', x: 0.62, z: -0.36, radius: 0.28, sides: 6 },
+      { type: 'regular', x: -0.62, z: -0.36, radius: 0.28, sides: 6 },
+    ],
+  },
+};
+
+export const DEFAULT_ARENA = 'hexagon';
+
+/**
+ * Get a layout's pieces scaled to a platform radius
+ * @param {string|Object} layout - Key of ARENA_LAYOUTS (unknown keys fall back to the default),
+ *   or a unit-scale layout with its own pieces (e.g. an authored map, see maps.js)
+ * @param {number} radius - Platform radius
+ * @returns {Object[]} Pieces in world units
+ */
+export function getArenaPieces(layout, radius) {
+  const { pieces } = (typeof layout === 'object' && layout?.pieces)
+    ? layout
+    : ARENA_LAYOUTS[layout] || ARENA_LAYOUTS[DEFAULT_ARENA];
+  return pieces.map((piece) => {
+    const scaled = { ...piece, x: piece.x * radius, z: piece.z * radius };
+    ['radius', 'innerRadius', 'width', 'depth'].forEach((key) => {
+      if (key in piece) scaled[key] = piece[key] * radius;
+    });
+    return scaled;
+  });
+}
+
+/**
+ * Distance from a point to the edge of a regular polygon, positive inside
+ * @param {number} radius - Circumradius
+ * @param {number} sides - Number of sides
+ * @param {number} dx - Point X relative to the center
+ * @param {number} dz - Point Z relative to the center
+ * @returns {number}
+ */
+function getRegularClearance(radius, sides, dx, dz) {
+  const step = (Math.PI * 2) / sides;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+  const angle = Math.atan2(dx, dz); // Measured from +Z, where the first vertex sits
+  const edgeCenter = (Math.floor(angle / step) + 0.5) * step;
+  return radius * Math.cos(step / 2) - distance * Math.cos(angle - edgeCenter);
+}
+
+/**
+ * Distance from a point to the edge of one piece, positive inside
+ * @param {Object} piece - Piece in world units
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number}
+ */
+function getPieceClearance(piece, x, z) {
+  const dx = x - piece.x;
+  const dz = z - piece.z;
+  if (piece.type === 'box') {
+    return Math.min(piece.width / 2 - Math.abs(dx), piece.depth / 2 - Math.abs(dz));
+  }
+  const outer = getRegularClearance(piece.radius, piece.sides, dx, dz);
+  if (piece.type === 'ring') {
+    return Math.min(outer, Math.sqrt(dx * dx + dz * dz) - piece.innerRadius);
+  }
+  return outer;
+}
+
+/**
+ * Distance from a point to the nearest arena edge
+ * @param {Object[]} pieces - Pieces in world units
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {number} Positive on the platform, negative off it
+ */
+export function getArenaClearance(pieces, x, z) {
+  return pieces.reduce((best, piece) => Math.max(best, getPieceClearance(piece, x, z)), -Infinity);
+}
+
+/**
+ * Approximate area of a piece (for picking pieces in proportion to their size)
+ * @param {Object} piece - Piece in world units
+ * @returns {number}
+ */
+function getPieceArea(piece) {
+  if (piece.type === 'box') return piece.width * piece.depth;
+  const area = Math.PI * piece.radius * piece.radius;
+  return piece.type === 'ring' ? area - Math.PI * piece.innerRadius * piece.innerRadius : area;
+}
+
+/**
+ * Pick a uniformly random point on the arena
+ * @param {Object[]} pieces - Pieces in world units
+ * @param {Function} [random] - Source of numbers in [0, 1)
+ * @returns {{ x: number, z: number }}
+ */
+export function getRandomArenaPoint(pieces, random = Math.random) {
+  const total = pieces.reduce((sum, piece) => sum + getPieceArea(piece), 0);
+  let roll = random() * total;
+  const piece = pieces.find((candidate) => {
+    roll -= getPieceArea(candidate);
+    return roll < 0;
+  }) || pieces[pieces.length - 1];
+
+  // Sample the piece's bounds until the point lands inside it
+  const extentX = piece.type === 'box' ? piece.width / 2 : piece.radius;
+  const extentZ = piece.type === 'box' ? piece.depth / 2 : piece.radius;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const x = piece.x + (random() * 2 - 1) * extentX;
+    const z = piece.z + (random() * 2 - 1) * extentZ;
+    if (getPieceClearance(piece, x, z) >= 0) return { x, z };
+  }
+
+  // Unlucky - a point known to be inside
+  const insetX = piece.type === 'ring' ? (piece.radius + piece.innerRadius) / 2 : 0;
+  return { x: piece.x + insetX, z: piece.z };
+}
+
+/**
+ * Build the static physics body for an arena
+ * The top surface sits at y = 0, like the original single-cylinder platform.
+ * @param {Object[]} pieces - Pieces in world units
+ * @param {number} height - Platform thickness
+ * @param {Object} [bodyOptions] - Extra CANNON.Body options (material, collision groups)
+ * @returns {CANNON.Body}
+ */
+export function createArenaBody(pieces, height, bodyOptions = {}) {
+  const body = new CANNON.Body({
+    mass: 0,
+    position: new CANNON.Vec3(0, -height / 2, 0),
+    ...bodyOptions,
+  });
+
+  pieces.forEach((piece) => {
+    const offset = new CANNON.Vec3(piece.x, 0, piece.z);
+    if (piece.type === 'regular') {
+      // cannon-es cylinders are already Y-aligned, so no rotation is needed
+      body.addShape(new CANNON.Cylinder(piece.radius, piece.radius, height, piece.sides), offset);
+    } else if (piece.type === 'box') {
+      body.addShape(new CANNON.Box(new CANNON.Vec3(piece.width / 2, height / 2, piece.depth / 2)), offset);
+    } else if (piece.type === 'ring') {
+      // One box per side of the outer polygon, reaching in to the hole
+      const apothem = piece.radius * Math.cos(Math.PI / piece.sides);
+      const width = apothem - piece.innerRadius;
+      const middle = (apothem + piece.innerRadius) / 2;
+      const length = 2 * piece.radius * Math.sin(Math.PI / piece.sides);
+      for (let i = 0; i < piece.sides; i++) {
+        const angle = ((i + 0.5) / piece.sides) * Math.PI * 2;
+        const orientation = new CANNON.Quaternion();
+        orientation.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), angle);
+        body.addShape(
+          new CANNON.Box(new CANNON.Vec3(length / 2, height / 2, width / 2)),
+          new CANNON.Vec3(piece.x + Math.sin(angle) * middle, 0, piece.z + Math.cos(angle) * middle),
+          orientation
+        );
+      }
+    }
+  });
+
+  return body;
+}
+
+/**
+ * Outline loops of a piece, for drawing
+ * @param {Object} piece - Piece (any scale)
+ * @returns {{ outer: Object[], hole: Object[]|null }} Loops of { x, z } points
+ */
+export function getPieceOutline(piece) {
+  const regular = (radius, sides) => Array.from({ length: sides }, (_, i) => {
+    const angle = (i / sides) * Math.PI * 2;
+    return { x: piece.x + Math.sin(angle) * radius, z: piece.z + Math.cos(angle) * radius };
+  });
+
+  if (piece.type === 'box') {
+    const halfWidth = piece.width / 2;
+    const halfDepth = piece.depth / 2;
+    return {
+      outer: [
+        { x: piece.x - halfWidth, z: piece.z - halfDepth },
+        { x: piece.x + halfWidth, z: piece.z - halfDepth },
+        { x: piece.x + halfWidth, z: piece.z + halfDepth },
+        { x: piece.x - halfWidth, z: piece.z + halfDepth },
+      ],
+      hole: null,
+    };
+  }
+  return {
+    outer: regular(piece.radius, piece.sides),
+    hole: piece.type === 'ring' ? regular(piece.innerRadius, 32) : null,
+  };
+}
+
+/**
+ * Exposed edges of an arena, for drawing its rim
+ * Outlines are sampled every `step` units and cut wherever another piece covers
+ * them, so touching pieces (like the arms of the cross) don't draw seams.
+ * @param {Object[]} pieces - Pieces (any scale)
+ * @param {number} [step] - Sampling distance along each outline
+ * @returns {Object[]} Runs of [{ points: [{ x, z }], closed }]
+ */
+export function getArenaEdges(pieces, step = 0.02) {
+  const runs = [];
+
+  pieces.forEach((piece, index) => {
+    const others = pieces.filter((_, i) => i !== index);
+    const { outer, hole } = getPieceOutline(piece);
+
+    [outer, hole].filter(Boolean).forEach((loop) => {
+      const points = [];
+      loop.forEach((start, i) => {
+        const end = loop[(i + 1) % loop.length];
+        const count = Math.max(1, Math.ceil(Math.hypot(end.x - start.x, end.z - start.z) / step));
+        for (let k = 0; k < count; k++) {
+          points.push({ x: start.x + ((end.x - start.x) * k) / count, z: start.z + ((end.z - start.z) * k) / count });
+        }
+      });
+
+      const exposed = points.map((point) =>
+        others.every((other) => getPieceClearance(other, point.x, point.z) < -step / 2));
+      const firstCovered = exposed.indexOf(false);
+      if (firstCovered === -1) {
+        runs.push({ points, closed: true });
+        return;
+      }
+
+      // Walk the loop from a covered point so no run wraps around the start
+      let run = [];
+      for (let i = 1; i <= points.length; i++) {
+        const at = (firstCovered + i) % points.length;
+        if (exposed[at]) {
+          run.push(points[at]);
+        } else if (run.length > 0) {
+          if (run.length > 1) runs.push({ points: run, closed: false });
+          run = [];
+        }
+      }
+    });
+  });
+
+  return runs;
+}
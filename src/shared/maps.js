@@ -0,0 +1,191 @@
+/**
+ * Maps - Versioned JSON format for authored arenas, shared by the editor and the server
+ *
+ * A map file is written in world units at the platform radius it was authored for:
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Donut Duel",
+ *     "radius": 10,
+ *     "pieces": [{ "type": "ring", "x": 0, "z": 0, "radius": 10, "innerRadius": 4, "sides": 24 }],
+ *     "hazards": [{ "kind": "bumper", "x": 0, "z": 7 }],
+ *     "spawns": [{ "x": 7, "z": 0 }],
+ *     "powerUpSpawners": [{ "x": -7, "z": 0 }]
+ *   }
+ *
+ * Piece types are the ones in arena.js (regular, box, ring). parseArenaMap checks
+ * a file and converts it to unit scale, the same scale as ARENA_LAYOUTS, so a map
+ * can be used anywhere an arena layout key can and shrinks with the platform.
+ */
+
+import { getArenaClearance } from './arena.js';
+
+export const MAP_FORMAT_VERSION = 1;
+
+export const MAP_LIMITS = {
+  NAME_LENGTH: 40,
+  MIN_RADIUS: 4,
+  MAX_RADIUS: 30,
+  MAX_PIECES: 32,
+  MAX_HAZARDS: 12,
+  MAX_SPAWNS: 40,
+  MAX_POWER_UP_SPAWNERS: 16,
+  MIN_SIDES: 3,
+  MAX_SIDES: 64,
+  REACH: 2, // Nothing may sit further than this many radii from the center
+};
+
+export const MAP_PIECE_TYPES = ['regular', 'box', 'ring'];
+export const MAP_HAZARD_KINDS = ['bumper', 'sweeper', 'well'];
+
+/**
+ * A blank map to start editing from: one hexagon filling the radius
+ * @param {number} radius - Platform radius in world units
+ * @returns {Object} Map file contents
+ */
+export function createEmptyMap(radius) {
+  return {
+    version: MAP_FORMAT_VERSION,
+    name: 'Untitled Arena',
+    radius,
+    pieces: [{ type: 'regular', x: 0, z: 0, radius, sides: 6 }],
+    hazards: [],
+    spawns: [],
+    powerUpSpawners: [],
+  };
+}
+
+/**
+ * Check that a value is a finite number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {boolean}
+ */
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check a list of { x, z } points (and anything else the checker wants)
+ * @param {*} list - Value from the file
+ * @param {string} field - Field name for error messages
+ * @param {number} maxCount - Most entries allowed
+ * @param {number} reach - Largest |x| or |z|
+ * @param {Function} [checkEntry] - Extra check, returns an error message or null
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkPointList(list, field, maxCount, reach, checkEntry = () => null) {
+  if (!Array.isArray(list)) return `${field} must be a list`;
+  if (list.length > maxCount) return `${field} can have at most ${maxCount} entries`;
+  for (let i = 0; i < list.length; i++) {
+    const entry = list[i];
+    if (!entry || typeof entry !== 'object') return `${field}[${i}] must be an object`;
+    if (!isNumberInRange(entry.x, -reach, reach) || !isNumberInRange(entry.z, -reach, reach)) {
+      return `${field}[${i}] must have x and z between ${-reach} and ${reach}`;
+    }
+    const error = checkEntry(entry, `${field}[${i}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Check one platform piece
+ * @param {Object} piece - Piece from the file
+ * @param {string} label - Name for error messages
+ * @param {number} reach - Largest size accepted
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkPiece(piece, label, reach) {
+  if (!MAP_PIECE_TYPES.includes(piece.type)) {
+    return `${label}.type must be one of ${MAP_PIECE_TYPES.join(', ')}`;
+  }
+  if (piece.type === 'box') {
+    if (!isNumberInRange(piece.width, 0.5, reach * 2) || !isNumberInRange(piece.depth, 0.5, reach * 2)) {
+      return `${label} needs a width and depth between 0.5 and ${reach * 2}`;
+    }
+    return null;
+  }
+  if (!isNumberInRange(piece.radius, 0.5, reach)) {
+    return `${label}.radius must be between 0.5 and ${reach}`;
+  }
+  if (!Number.isInteger(piece.sides) || piece.sides < MAP_LIMITS.MIN_SIDES || piece.sides > MAP_LIMITS.MAX_SIDES) {
+    return `${label}.sides must be a whole number between ${MAP_LIMITS.MIN_SIDES} and ${MAP_LIMITS.MAX_SIDES}`;
+  }
+  if (piece.type === 'ring') {
+    const apothem = piece.radius * Math.cos(Math.PI / piece.sides);
+    if (!isNumberInRange(piece.innerRadius, 0.1, apothem - 0.5)) {
+      return `${label}.innerRadius must leave at least 0.5 of floor around the hole`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a map file and convert it to unit scale
+ * @param {*} data - Parsed JSON
+ * @returns {{ map: Object }|{ error: string }} Unit-scale map { version, name, pieces,
+ *   hazards, spawns, powerUpSpawners }, or why the file was rejected
+ */
+export function parseArenaMap(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Map must be an object' };
+  }
+  if (data.version !== MAP_FORMAT_VERSION) {
+    return { error: `Unsupported map version ${data.version} (expected ${MAP_FORMAT_VERSION})` };
+  }
+  if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > MAP_LIMITS.NAME_LENGTH) {
+    return { error: `name must be 1-${MAP_LIMITS.NAME_LENGTH} characters` };
+  }
+  if (!isNumberInRange(data.radius, MAP_LIMITS.MIN_RADIUS, MAP_LIMITS.MAX_RADIUS)) {
+    return { error: `radius must be between ${MAP_LIMITS.MIN_RADIUS} and ${MAP_LIMITS.MAX_RADIUS}` };
+  }
+
+  const reach = data.radius * MAP_LIMITS.REACH;
+  const { hazards = [], spawns = [], powerUpSpawners = [] } = data;
+  if (!Array.isArray(data.pieces) || data.pieces.length === 0) {
+    return { error: 'pieces must list at least one platform piece' };
+  }
+  const error = checkPointList(data.pieces, 'pieces', MAP_LIMITS.MAX_PIECES, reach, (piece, label) => checkPiece(piece, label, reach))
+    || checkPointList(hazards, 'hazards', MAP_LIMITS.MAX_HAZARDS, reach, (hazard, label) => (
+      MAP_HAZARD_KINDS.includes(hazard.kind) ? null : `${label}.kind must be one of ${MAP_HAZARD_KINDS.join(', ')}`
+    ))
+    || checkPointList(spawns, 'spawns', MAP_LIMITS.MAX_SPAWNS, reach)
+    || checkPointList(powerUpSpawners, 'powerUpSpawners', MAP_LIMITS.MAX_POWER_UP_SPAWNERS, reach);
+  if (error) return { error };
+
+  // Everything else is in world units - divide by the radius
+  const scale = 1 / data.radius;
+  const toUnit = ({ x, z }) => ({ x: x * scale, z: z * scale });
+  const pieces = data.pieces.map((piece) => {
+    if (piece.type === 'box') {
+      return { type: 'box', ...toUnit(piece), width: piece.width * scale, depth: piece.depth * scale };
+    }
+    const scaled = { type: piece.type, ...toUnit(piece), radius: piece.radius * scale, sides: piece.sides };
+    if (piece.type === 'ring') scaled.innerRadius = piece.innerRadius * scale;
+    return scaled;
+  });
+
+  // Players and pickups must start on solid ground
+  const offPlatform = (list) => list.findIndex(({ x, z }) => getArenaClearance(pieces, x, z) < 0);
+  const unitSpawns = spawns.map(toUnit);
+  const unitSpawners = powerUpSpawners.map(toUnit);
+  if (offPlatform(unitSpawns) !== -1) {
+    return { error: `spawns[${offPlatform(unitSpawns)}] is not on the platform` };
+  }
+  if (offPlatform(unitSpawners) !== -1) {
+    return { error: `powerUpSpawners[${offPlatform(unitSpawners)}] is not on the platform` };
+  }
+
+  return {
+    map: {
+      version: data.version,
+      name: data.name.trim(),
+      pieces,
+      hazards: hazards.map((hazard) => ({ kind: hazard.kind, ...toUnit(hazard) })),
+      spawns: unitSpawns,
+      powerUpSpawners: unitSpawners,
+    },
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Scoring - The composite score formula, shared by multiplayer and single player
+ * Multiplayer weights come from the match rules (which default to SCORE_WEIGHTS);
+ * single player always uses the defaults.
+ */
+
+export const SCORE_WEIGHTS = {
+  eliminationPoints: 100, // Score per elimination
+  survivalPoints: 1, // Score per second survived
+  hillPointsPerSecond: 10, // King of the Hill - score per second holding the zone alone
+  outOfBoundsPenalty: 10, // Score lost per second out of bounds
+};
+
+/**
+ * Calculate a player's composite score
+ * Formula: (Eliminations × eliminationPoints) + (SurvivalTime × survivalPoints)
+ *          + (HillTime × hillPointsPerSecond) - (OutOfBoundsTime × outOfBoundsPenalty),
+ *          never below zero (hill time only accrues in King of the Hill)
+ * @param {Object} stats - { eliminations, survivalTime, hillTime, outOfBoundsTime } (times in seconds)
+ * @param {Object} [weights] - Same keys as SCORE_WEIGHTS
+ * @returns {number}
+ */
+export function calculateScore({ eliminations, survivalTime, hillTime = 0, outOfBoundsTime }, weights = SCORE_WEIGHTS) {
+  return Math.max(0,
+    (eliminations * weights.eliminationPoints) +
+    (survivalTime * weights.survivalPoints) +
+    (hillTime * weights.hillPointsPerSecond) -
+    (outOfBoundsTime * weights.outOfBoundsPenalty)
+  );
+}
@@ -0,0 +1,258 @@
+/**
+ * Simulation - Deterministic fixed-step movement core shared by the server and the client
+ * Everything that turns a player's input into motion lives here, free of React
+ * and rendering, so the server's physics world, the client's prediction and
+ * replay, computer players and any headless driver all run the same code.
+ *
+ * A tick is: apply every player's input frame with applyInputFrame, then step
+ * the Cannon-es world by exactly one TIMESTEP. createTickClock turns real
+ * elapsed time into whole ticks, so the same inputs from the same world state
+ * always give the same result however fast frames arrive.
+ */
+
+import * as CANNON from 'cannon-es';
+
+export const SIMULATION = {
+  TICK_RATE: 60, // Ticks per simulated second
+  TIMESTEP: 1 / 60, // Seconds per tick
+  PLAYER_MASS: 1,
+  ACCELERATION: 3.0, // Base force applied per tick
+  ACCEL_RAMP: 0.5, // Extra force multiplier per unit of current speed (speeds up over time)
+  MAX_ACCEL_MULTIPLIER: 3.0, // Cap for the speed-based acceleration ramp
+  MAX_SPEED: 4.0, // Horizontal speed clamp
+  BOOST_FORCE_MULTIPLIER: 3.0, // Force multiplier while the boost key is held
+  BOOST_IMPULSE: 8, // Impulse when a boost fires
+  BOOST_MAX_SPEED: 3.5, // Horizontal speed clamp while boosted
+  BOOST_COOLDOWN: 1500, // ms between boosts
+  BOOST_DURATION: 200, // ms the boosted speed clamp applies
+  ANCHOR_MASS: 100, // Mass while anchored (Enter key)
+  ANCHOR_VELOCITY_DAMPING: 0.5, // Horizontal velocity multiplier per tick while anchored
+  MIN_PLAYER_Y: 0.5, // Players are kept at or above this height
+};
+
+// Input frame for a player that isn't pressing anything
+export const IDLE_INPUT_FRAME = { direction: { x: 0, z: 0 }, boost: false, anchor: false };
+
+// Power-up modifiers for players without any active effect
+const NO_MODIFIERS = { massMultiplier: 1, speedMultiplier: 1 };
+
+/**
+ * Clean up an input frame from an untrusted source
+ * The direction is clamped to a unit-or-shorter XZ vector; flags must be literally true.
+ * @param {*} input - Raw { direction: { x, z }, boost, anchor }
+ * @returns {Object} Safe input frame
+ */
+export function normalizeInputFrame(input) {
+  const direction = input?.direction;
+  let safeDirection = { x: 0, z: 0 };
+  if (direction && Number.isFinite(direction.x) && Number.isFinite(direction.z)) {
+    const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+    if (length > 1) safeDirection = { x: direction.x / length, z: direction.z / length };
+    else if (length >= 0.001) safeDirection = { x: direction.x, z: direction.z };
+  }
+  return {
+    direction: safeDirection,
+    boost: input?.boost === true,
+    anchor: input?.anchor === true,
+  };
+}
+
+/**
+ * Fresh per-player movement state - everything applyInputFrame carries between ticks
+ * Plain data, so it can be copied for replays and compared between runs.
+ * @returns {Object} { prevBoost, lastDirection, boostReadyAt, boostActiveUntil } (times in simulated ms)
+ */
+export function createMovementState() {
+  return {
+    prevBoost: false,
+    lastDirection: { x: 0, z: -1 },
+    boostReadyAt: 0,
+    boostActiveUntil: 0,
+  };
+}
+
+/**
+ * Check whether a player's boost is off cooldown
+ * @param {Object} movement - Movement state
+ * @param {number} simTime - Simulated time in ms
+ * @returns {boolean}
+ */
+export function isBoostReadyAt(movement, simTime) {
+  return simTime >= movement.boostReadyAt;
+}
+
+/**
+ * Apply one tick of input to a player body (anchor, forces, speed clamp, boost)
+ * Call once per tick before stepping the world.
+ * @param {CANNON.Body} body - Player body
+ * @param {Object} movement - Movement state (updated in place)
+ * @param {Object} input - Input frame { direction: { x, z }, boost, anchor }, direction already world-space
+ * @param {Object} [modifiers] - Power-up modifiers { massMultiplier, speedMultiplier }
+ * @param {number} simTime - Simulated time in ms at the start of this tick
+ * @returns {Object|null} The boost impulse { x, z } if a boost fired this tick
+ */
+export function applyInputFrame(body, movement, input, modifiers = NO_MODIFIERS, simTime = 0) {
+  // Anchor mode - heavier and sheds horizontal velocity
+  if (input.anchor) {
+    body.mass = SIMULATION.ANCHOR_MASS;
+    body.velocity.x *= SIMULATION.ANCHOR_VELOCITY_DAMPING;
+    body.velocity.z *= SIMULATION.ANCHOR_VELOCITY_DAMPING;
+  } else {
+    body.mass = SIMULATION.PLAYER_MASS * modifiers.massMultiplier;
+  }
+
+  // Power-ups: speed scales the force, heavy scales it by mass so handling stays the same
+  const currentSpeed = Math.sqrt(body.velocity.x ** 2 + body.velocity.z ** 2);
+  const accelMultiplier = Math.min(1 + currentSpeed * SIMULATION.ACCEL_RAMP, SIMULATION.MAX_ACCEL_MULTIPLIER);
+  const movementForce = SIMULATION.ACCELERATION * accelMultiplier
+    * modifiers.speedMultiplier * modifiers.massMultiplier;
+  const boostMultiplier = input.boost ? SIMULATION.BOOST_FORCE_MULTIPLIER : 1.0;
+  const finalForce = movementForce * boostMultiplier;
+
+  let forceX = input.direction.x * finalForce;
+  let forceZ = input.direction.z * finalForce;
+
+  // Normalize diagonal movement
+  if (forceX !== 0 && forceZ !== 0) {
+    const magnitude = Math.sqrt(forceX * forceX + forceZ * forceZ);
+    forceX = (forceX / magnitude) * movementForce;
+    forceZ = (forceZ / magnitude) * movementForce;
+  }
+
+  // Track movement direction for boost
+  if (forceX !== 0 || forceZ !== 0) {
+    const dirMagnitude = Math.sqrt(forceX * forceX + forceZ * forceZ);
+    movement.lastDirection = { x: forceX / dirMagnitude, z: forceZ / dirMagnitude };
+    body.wakeUp();
+    body.applyForce(new CANNON.Vec3(forceX, 0, forceZ), body.position);
+  } else {
+    const velMagnitude = Math.sqrt(body.velocity.x ** 2 + body.velocity.z ** 2);
+    if (velMagnitude > 0.01) {
+      movement.lastDirection = { x: body.velocity.x / velMagnitude, z: body.velocity.z / velMagnitude };
+    }
+  }
+
+  // Clamp velocity to max speed
+  const speed = Math.sqrt(body.velocity.x ** 2 + body.velocity.z ** 2);
+  const maxSpeed = (simTime < movement.boostActiveUntil
+    ? SIMULATION.BOOST_MAX_SPEED
+    : SIMULATION.MAX_SPEED) * modifiers.speedMultiplier;
+  if (speed > maxSpeed) {
+    const scale = maxSpeed / speed;
+    body.velocity.x *= scale;
+    body.velocity.z *= scale;
+  }
+
+  // Boost on the rising edge of the key, gated by cooldown
+  let impulse = null;
+  if (input.boost && !movement.prevBoost && isBoostReadyAt(movement, simTime)) {
+    const strength = SIMULATION.BOOST_IMPULSE * modifiers.massMultiplier;
+    impulse = { x: movement.lastDirection.x * strength, z: movement.lastDirection.z * strength };
+    body.applyImpulse(new CANNON.Vec3(impulse.x, 0, impulse.z), body.position);
+    movement.boostReadyAt = simTime + SIMULATION.BOOST_COOLDOWN;
+    movement.boostActiveUntil = simTime + SIMULATION.BOOST_DURATION;
+  }
+  movement.prevBoost = input.boost;
+
+  // Keep player above platform (prevent falling through)
+  if (body.position.y < SIMULATION.MIN_PLAYER_Y) {
+    body.position.y = SIMULATION.MIN_PLAYER_Y;
+    if (body.velocity.y < 0) {
+      body.velocity.y = 0;
+    }
+  }
+
+  return impulse;
+}
+
+/**
+ * Replay recorded input frames on a body, a tick at a time
+ * Client prediction rewinds to the server's state and replays the inputs the
+ * server hasn't applied yet. Whether a boost fired was settled live, so the
+ * recorded impulses are applied as they were and the replay never decides a
+ * boost of its own (the key counts as already held, the cooldown never ends).
+ * @param {CANNON.Body} body - Body to replay on, alone in its own world
+ * @param {Object} movement - Movement state to replay from (left unchanged)
+ * @param {Object[]} frames - [{ input, ticks, boostImpulse }] - boostImpulse { x, z } fired on the first tick, or null
+ * @param {Object} options
+ * @param {Function} options.step - Advance the body's world by one TIMESTEP
+ * @param {Object} [options.modifiers] - Power-up modifiers (see applyInputFrame)
+ * @returns {Object} Movement state at the end of the replay
+ */
+export function replayInputFrames(body, movement, frames, { step, modifiers = NO_MODIFIERS }) {
+  const replayMovement = {
+    ...movement,
+    lastDirection: { ...movement.lastDirection },
+    prevBoost: true,
+    boostReadyAt: Infinity,
+    boostActiveUntil: 0,
+  };
+
+  let tick = 0;
+  frames.forEach(({ input, ticks, boostImpulse }) => {
+    for (let i = 0; i < ticks; i++) {
+      const simTime = (tick * 1000) / SIMULATION.TICK_RATE;
+      if (i === 0 && boostImpulse) {
+        replayMovement.boostActiveUntil = simTime + SIMULATION.BOOST_DURATION;
+      }
+      applyInputFrame(body, replayMovement, input, modifiers, simTime);
+      if (i === 0 && boostImpulse) {
+        body.applyImpulse(new CANNON.Vec3(boostImpulse.x, 0, boostImpulse.z), body.position);
+      }
+      step();
+      tick += 1;
+    }
+  });
+  return replayMovement;
+}
+
+/**
+ * Create a clock that turns real elapsed time into whole simulation ticks
+ * Leftover time carries over to the next call; after a long stall only
+ * maxTicks are run, so the simulation slows down rather than spiralling.
+ * Simulated time is derived from the tick count, so it never drifts.
+ * @param {Object} [options]
+ * @param {number} [options.maxTicks] - Most ticks run per advance
+ * @returns {Object} Clock API
+ */
+export function createTickClock({ maxTicks = 6 } = {}) {
+  let tick = 0;
+  let accumulator = 0;
+
+  /**
+   * Run every whole tick that has built up
+   * @param {number} deltaSeconds - Real time since the last call
+   * @param {Function} onTick - Called with the simulated time (ms) at the start of each tick
+   * @returns {number} Ticks run
+   */
+  function advance(deltaSeconds, onTick) {
+    accumulator += Math.min(deltaSeconds, SIMULATION.TIMESTEP * maxTicks);
+
+    let ticks = 0;
+    while (accumulator >= SIMULATION.TIMESTEP) {
+      onTick(getTime());
+      tick += 1;
+      ticks += 1;
+      accumulator -= SIMULATION.TIMESTEP;
+    }
+    return ticks;
+  }
+
+  /**
+   * Simulated time in ms (start of the next tick)
+   * @returns {number}
+   */
+  function getTime() {
+    return (tick * 1000) / SIMULATION.TICK_RATE;
+  }
+
+  /**
+   * Ticks run so far
+   * @returns {number}
+   */
+  function getTick() {
+    return tick;
+  }
+
+  return { advance, getTime, getTick };
+}
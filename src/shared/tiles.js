@@ -0,0 +1,125 @@
+/**
+ * Tiles - Hex tile grid for the crumbling platform, shared by the server and the client
+ * Both sides build the same grid from the arena layout and radius, so only the
+ * per-tile state has to be sent over the network (as bitsets, see encodeTileBits).
+ *
+ * Tiles are pointy hexes with a vertex on +Z, the same orientation as a
+ * 6-sided CANNON.Cylinder, laid out in axial coordinates (q along X, r along Z).
+ */
+
+import * as CANNON from 'cannon-es';
+import { getArenaPieces, getArenaClearance } from './arena.js';
+
+export const TILE_SIZE = 1.25; // Tile circumradius in world units
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Key for a tile's axial coordinates
+ * @param {number} q - Axial column
+ * @param {number} r - Axial row
+ * @returns {string}
+ */
+function getTileKey(q, r) {
+  return `${q},${r}`;
+}
+
+/**
+ * Build the tile grid covering an arena
+ * A tile is included when its center lies on the arena layout.
+ * @param {string|Object} arena - Arena layout key, or a unit-scale layout (see getArenaPieces)
+ * @param {number} radius - Platform radius
+ * @param {number} [size] - Tile circumradius
+ * @returns {Object} { tiles: [{ x, z, q, r }], size, getTileIndex(x, z) }
+ */
+export function createTileGrid(arena, radius, size = TILE_SIZE) {
+  const pieces = getArenaPieces(arena, radius);
+  const tiles = [];
+  const indexByKey = new Map();
+
+  const range = Math.ceil(radius / size) + 1;
+  for (let r = -range; r <= range; r++) {
+    for (let q = -range * 2; q <= range * 2; q++) {
+      const x = size * SQRT3 * (q + r / 2);
+      const z = size * 1.5 * r;
+      if (getArenaClearance(pieces, x, z) < 0) continue;
+      indexByKey.set(getTileKey(q, r), tiles.length);
+      tiles.push({ x, z, q, r });
+    }
+  }
+
+  /**
+   * Find the tile covering a point
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number} Tile index, or -1 when the point is off the grid
+   */
+  function getTileIndex(x, z) {
+    // Fractional axial coordinates, rounded to the nearest hex in cube space
+    const fr = z / (size * 1.5);
+    const fq = x / (size * SQRT3) - fr / 2;
+    const fs = -fq - fr;
+    let q = Math.round(fq);
+    let r = Math.round(fr);
+    const s = Math.round(fs);
+    const dq = Math.abs(q - fq);
+    const dr = Math.abs(r - fr);
+    const ds = Math.abs(s - fs);
+    if (dq > dr && dq > ds) {
+      q = -r - s;
+    } else if (dr > ds) {
+      r = -q - s;
+    }
+    return indexByKey.get(getTileKey(q, r)) ?? -1;
+  }
+
+  return { tiles, size, getTileIndex };
+}
+
+/**
+ * Build the static physics body for one tile
+ * The top surface sits at y = 0, level with the solid platform.
+ * @param {Object} tile - Tile { x, z }
+ * @param {number} size - Tile circumradius
+ * @param {number} height - Tile thickness
+ * @param {Object} [bodyOptions] - Extra CANNON.Body options (material, collision groups)
+ * @returns {CANNON.Body}
+ */
+export function createTileBody(tile, size, height, bodyOptions = {}) {
+  return new CANNON.Body({
+    mass: 0,
+    shape: new CANNON.Cylinder(size, size, height, 6),
+    position: new CANNON.Vec3(tile.x, -height / 2, tile.z),
+    ...bodyOptions,
+  });
+}
+
+/**
+ * Pack per-tile flags into a hex string (4 tiles per character)
+ * @param {boolean[]} flags - One flag per tile
+ * @returns {string}
+ */
+export function encodeTileBits(flags) {
+  let encoded = '';
+  for (let i = 0; i < flags.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      if (flags[i + bit]) nibble |= 1 << bit;
+    }
+    encoded += nibble.toString(16);
+  }
+  return encoded;
+}
+
+/**
+ * Unpack a hex string from encodeTileBits
+ * @param {string} encoded - Packed flags
+ * @param {number} count - Number of tiles
+ * @returns {boolean[]}
+ */
+export function decodeTileBits(encoded, count) {
+  return Array.from({ length: count }, (_, i) => {
+    const nibble = parseInt(encoded[i >> 2] || '0', 16);
+    return (nibble & (1 << (i & 3))) !== 0;
+  });
+}